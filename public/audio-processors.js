@@ -219,6 +219,10 @@ class VoiceFeatureExtractor extends AudioWorkletProcessor {
     this.pitchValues = [];
     this.energyValues = [];
     
+    // Streaming mode posts every frame's MFCCs and energy instead of collecting them
+    // (used by the offline keyword spotter)
+    this.streaming = false;
+    
     // Mel filterbank
     this.melFilterbank = this.createMelFilterbank();
     
@@ -228,6 +232,25 @@ class VoiceFeatureExtractor extends AudioWorkletProcessor {
       this.window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (this.frameSize - 1));
     }
     
+    // FFT tables: twiddle factors and bit-reversed sample order (frameSize is a power of two)
+    this.fftCos = new Float64Array(this.frameSize / 2);
+    this.fftSin = new Float64Array(this.frameSize / 2);
+    for (let k = 0; k < this.frameSize / 2; k++) {
+      this.fftCos[k] = Math.cos(2 * Math.PI * k / this.frameSize);
+      this.fftSin[k] = Math.sin(2 * Math.PI * k / this.frameSize);
+    }
+    const bits = Math.log2(this.frameSize);
+    this.fftOrder = new Uint32Array(this.frameSize);
+    for (let i = 0; i < this.frameSize; i++) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      this.fftOrder[i] = reversed;
+    }
+    this.fftReal = new Float64Array(this.frameSize);
+    this.fftImag = new Float64Array(this.frameSize);
+    
     // Communication
     this.port.onmessage = this.handleMessage.bind(this);
   }
@@ -250,6 +273,8 @@ class VoiceFeatureExtractor extends AudioWorkletProcessor {
       this.pitchValues = [];
       this.energyValues = [];
       this.framesProcessed = 0;
+    } else if (data.type === 'stream') {
+      this.streaming = !!data.enabled;
     }
   }
   
@@ -297,6 +322,17 @@ class VoiceFeatureExtractor extends AudioWorkletProcessor {
       energy += windowedFrame[i] * windowedFrame[i];
     }
     energy /= this.frameSize;
+    
+    if (this.streaming) {
+      this.port.postMessage({
+        type: 'frame',
+        mfcc: this.calculateMFCCs(windowedFrame),
+        energy,
+        frameIndex: this.framesProcessed
+      });
+      return;
+    }
+    
     this.energyValues.push(energy);
     
     // Calculate pitch (simplified autocorrelation method)
@@ -392,20 +428,38 @@ class VoiceFeatureExtractor extends AudioWorkletProcessor {
   }
   
   calculateSpectrum(frame) {
-    // Apply FFT (simplified implementation)
-    const fftOutput = new Float32Array(this.frameSize / 2);
-    
-    for (let bin = 0; bin < this.frameSize / 2; bin++) {
-      let real = 0;
-      let imag = 0;
-      const frequency = bin * this.samplingFrequency / this.frameSize;
-      
-      for (let i = 0; i < this.frameSize; i++) {
-        real += frame[i] * Math.cos(2 * Math.PI * frequency * i / this.samplingFrequency);
-        imag -= frame[i] * Math.sin(2 * Math.PI * frequency * i / this.samplingFrequency);
+    // Power spectrum with an iterative radix-2 FFT (runs for every hop while streaming)
+    const n = this.frameSize;
+    const real = this.fftReal;
+    const imag = this.fftImag;
+    
+    for (let i = 0; i < n; i++) {
+      real[this.fftOrder[i]] = frame[i];
+      imag[i] = 0;
+    }
+    
+    for (let size = 2; size <= n; size *= 2) {
+      const half = size / 2;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const cos = this.fftCos[k * step];
+          const sin = this.fftSin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tReal = real[b] * cos + imag[b] * sin;
+          const tImag = imag[b] * cos - real[b] * sin;
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+        }
       }
-      
-      fftOutput[bin] = (real * real + imag * imag) / this.frameSize;
+    }
+    
+    const fftOutput = new Float32Array(n / 2);
+    for (let bin = 0; bin < n / 2; bin++) {
+      fftOutput[bin] = (real[bin] * real[bin] + imag[bin] * imag[bin]) / n;
     }
     
     return fftOutput;
@@ -4,33 +4,72 @@
 class BackgroundGestureService {
     constructor() {
         this.isRunning = false;
-        this.handposeModel = null;
+        this.handposeClient = null;
         this.gestureEstimator = null;
         this.videoStream = null;
         this.videoElement = null;
-        this.detectionInterval = null;
+        this.frameScheduler = null;
+        this.frameInFlight = false;
+        this.detectionFrequency = 'medium'; // 'low', 'medium', 'high'
         this.lastDetectedGesture = null;
         this.onGestureDetected = null;
         this.workerActive = false;
+        this.modelLoadError = null;
         
         // Enhanced gesture detection properties
         this.previousHandPosition = null;
         this.handVelocity = { x: 0, y: 0 };
-        this.gestureConfidenceHistory = {};
+        
+        // Thresholds, calibration and ranking shared with the app (shared/handGestureRecognizer.js)
+        this.thresholds = null;
+        this.calibration = null;
+        this.adaptiveThreshold = null;
+        this.gestureRanker = null;
         this.gestureCounters = {};
         this.lastGestureTimestamp = 0;
         this.gestureSequence = [];
+        this.sequences = null;
+        this.trajectory = null;
+        this.landmarkFilter = null;
+        this.handedness = null;
+        this.handednessMode = 'auto';
+        
+        // Hold, repeat and cooldown rules shared with the app (shared/gestureActivation.js)
+        this.activation = null;
+        this.getAction = null;
+        
+        // Wake and lock gestures shared with the app (shared/gestureLock.js)
+        this.gestureLock = null;
+        this.onLockChange = null;
     }
 
     async initialize() {
         console.log('Initializing background gesture service...');
+        
+        // Model URL set in the app (local model files by default, see shared/modelAssets.js)
+        let modelUrl = window.ModelAssets.DEFAULT_MODEL_URL;
+        try {
+            const savedSettings = localStorage.getItem('gestureSettings');
+            modelUrl = (savedSettings && JSON.parse(savedSettings).modelUrl) || modelUrl;
+        } catch (error) {
+            console.error('Error loading model URL in background:', error);
+        }
+        
         try {
             await tf.ready();
             console.log('TensorFlow.js is ready in background');
             
-            // Load handpose model
-            this.handposeModel = await handpose.load();
-            console.log('Handpose model loaded successfully in background');
+            // Load handpose model, in a worker when the browser supports it
+            this.handposeClient = window.HandposeWorkerClient.createHandposeWorkerClient({
+                workerUrl: 'handposeWorker.js',
+                loadModel: async (url) => {
+                    await window.ModelAssets.prepareModelLoading(tf, url);
+                    return handpose.load();
+                }
+            });
+            const mode = await this.handposeClient.load(modelUrl);
+            console.log(`Handpose model loaded successfully in background (${mode === 'worker' ? 'web worker' : 'main thread'})`);
+            this.modelLoadError = null;
             
             // Initialize gesture estimator
             await this.initializeGestureEstimator();
@@ -38,6 +77,7 @@ class BackgroundGestureService {
             return true;
         } catch (error) {
             console.error('Error initializing background service:', error);
+            this.modelLoadError = window.ModelAssets.describeLoadError(error, modelUrl);
             return false;
         }
     }
@@ -49,101 +89,150 @@ class BackgroundGestureService {
             return;
         }
         
-        // Define default gestures
-        const thumbsUpGesture = new fp.GestureDescription('thumbs_up');
-        thumbsUpGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 1.0);
-        thumbsUpGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.VerticalUp, 1.0);
-        thumbsUpGesture.addCurl(fp.Finger.Index, fp.FingerCurl.FullCurl, 1.0);
-        thumbsUpGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-        thumbsUpGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-        thumbsUpGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-        
-        // Define palm gesture
-        const palmGesture = new fp.GestureDescription('palm');
-        palmGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 1.0);
-        palmGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-        palmGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.NoCurl, 1.0);
-        palmGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.NoCurl, 1.0);
-        palmGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.NoCurl, 1.0);
-
-        // Define pinch gesture
-        const pinchGesture = new fp.GestureDescription('pinch');
-        pinchGesture.addCurl(fp.Finger.Index, fp.FingerCurl.HalfCurl, 0.8);
-        pinchGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 0.8);
-        pinchGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalUpRight, 1.0);
-        pinchGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpLeft, 1.0);
-        
-        // Define pointing up gesture
-        const pointingUpGesture = new fp.GestureDescription('pointing_up');
-        pointingUpGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-        pointingUpGesture.addDirection(fp.Finger.Index, fp.FingerDirection.VerticalUp, 1.0);
-        pointingUpGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.5);
-        pointingUpGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-        pointingUpGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-        pointingUpGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-        
-        // Define pointing down gesture
-        const pointingDownGesture = new fp.GestureDescription('pointing_down');
-        pointingDownGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-        pointingDownGesture.addDirection(fp.Finger.Index, fp.FingerDirection.VerticalDown, 1.0);
-        pointingDownGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.5);
-        pointingDownGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-        pointingDownGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-        pointingDownGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-        
-        // Initialize with defined gestures
-        this.gestureEstimator = new fp.GestureEstimator([
-            thumbsUpGesture,
-            palmGesture,
-            pinchGesture,
-            pointingUpGesture,
-            pointingDownGesture
-        ]);
-        
-        // Add victory gesture if exists in localStorage
+        const GestureCatalogue = window.GestureCatalogue;
+        if (!GestureCatalogue) {
+            console.error('Gesture catalogue not loaded in background service');
+            return;
+        }
+        
+        if (!window.HandGestureRecognizer) {
+            console.error('Gesture recognizer not loaded in background service');
+            return;
+        }
+        
+        // Read the gesture config and custom gestures saved by the app (AsyncStorage uses localStorage on the web)
+        let config = GestureCatalogue.DEFAULT_GESTURE_CONFIG;
+        let customGestures = [];
+        let idleSamples = [];
         try {
-            const savedConfig = localStorage.getItem('custom_gesture_config');
+            const savedConfig = localStorage.getItem(GestureCatalogue.GESTURE_CONFIG_KEY);
             if (savedConfig) {
-                this.addVictoryGesture();
+                config = JSON.parse(savedConfig);
             }
+            const savedGestures = localStorage.getItem(GestureCatalogue.CUSTOM_GESTURES_KEY);
+            customGestures = savedGestures ? JSON.parse(savedGestures) : [];
+            const savedIdleSamples = localStorage.getItem(GestureCatalogue.IDLE_SAMPLES_KEY);
+            idleSamples = savedIdleSamples ? JSON.parse(savedIdleSamples) : [];
         } catch (error) {
-            console.error('Error loading custom gesture in background:', error);
+            console.error('Error loading gesture catalogue settings in background:', error);
         }
-    }
-    
-    // Add victory gesture to estimator
-    addVictoryGesture() {
-        if (window.fp && this.gestureEstimator) {
-            const fp = window.fp;
-            const victoryGesture = new fp.GestureDescription('victory');
-            
-            // Index and Middle finger extended
-            victoryGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-            victoryGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.NoCurl, 1.0);
-            
-            // Other fingers curled
-            victoryGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-            victoryGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-            victoryGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.8);
-            
-            // Index and Middle pointing up
-            victoryGesture.addDirection(fp.Finger.Index, fp.FingerDirection.VerticalUp, 1.0);
-            victoryGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.VerticalUp, 1.0);
-            
-            // Add to gesture estimator
-            this.gestureEstimator.addGesture(victoryGesture);
-            console.log('Added victory gesture to background service');
+        
+        // Same landmark smoothing as the app (settings saved under 'gestureSettings')
+        if (window.LandmarkFilter) {
+            let smoothing = null;
+            try {
+                const savedSettings = localStorage.getItem('gestureSettings');
+                smoothing = savedSettings ? JSON.parse(savedSettings).landmarkSmoothing : null;
+            } catch (error) {
+                console.error('Error loading gesture settings in background:', error);
+            }
+            this.landmarkFilter = window.LandmarkFilter.createLandmarkFilter(smoothing);
+        }
+        
+        // Detection rate set in the app (the background keeps 'medium' until one is saved)
+        try {
+            const savedSettings = localStorage.getItem('gestureSettings');
+            const frequency = savedSettings ? JSON.parse(savedSettings).detectionFrequency : null;
+            if (frequency) {
+                this.setDetectionFrequency(frequency);
+            }
+        } catch (error) {
+            console.error('Error loading detection frequency in background:', error);
         }
+        
+        // Left-handed mode or handedness detection, as set in the app
+        // (the background camera is always the front camera, so only the hand is canonicalized)
+        if (window.HandOrientation) {
+            let orientation = null;
+            try {
+                const savedSettings = localStorage.getItem('gestureSettings');
+                orientation = savedSettings ? JSON.parse(savedSettings) : null;
+            } catch (error) {
+                console.error('Error loading handedness setting in background:', error);
+            }
+            this.handednessMode = window.HandOrientation.normalizeOrientationSettings(orientation).handedness;
+            this.handedness = window.HandOrientation.createHandednessEstimator();
+        }
+        
+        // Same thresholds and per-gesture calibration as the app
+        let savedSettings = null;
+        let savedCalibration = null;
+        try {
+            const settingsJson = localStorage.getItem(GestureCatalogue.GESTURE_SETTINGS_KEY);
+            savedSettings = settingsJson ? JSON.parse(settingsJson) : null;
+            const calibrationJson = localStorage.getItem(GestureCatalogue.GESTURE_CALIBRATION_KEY);
+            savedCalibration = calibrationJson ? JSON.parse(calibrationJson) : null;
+        } catch (error) {
+            console.error('Error loading gesture thresholds in background:', error);
+        }
+        this.thresholds = GestureCatalogue.getRecognitionThresholds(config, savedSettings);
+        this.calibration = { ...window.GestureCalibration.createCalibration(), ...savedCalibration };
+        this.adaptiveThreshold = window.GestureRanking.DEFAULT_ADAPTIVE_THRESHOLD;
+        this.gestureRanker = window.GestureRanking.createGestureRanker();
+        
+        // Same definitions as the app's estimator
+        this.gestureEstimator = GestureCatalogue.createGestureEstimator(fp, config.enabledGestures, customGestures);
+        
+        // Built-in motion templates follow the enabled swipe gestures
+        const TrajectoryRecognizer = window.TrajectoryRecognizer;
+        const motionGestures = GestureCatalogue.getCatalogueGestures(config.enabledGestures)
+            .map(gesture => gesture.id)
+            .filter(id => id === 'swipe_left' || id === 'swipe_right');
+        if (TrajectoryRecognizer) {
+            TrajectoryRecognizer.resetMotionTemplates(motionGestures);
+            this.trajectory = TrajectoryRecognizer.createTrajectoryRecognizer();
+        }
+        
+        // Recorded custom gestures are matched on their landmarks or hand trajectory
+        const LandmarkClassifier = window.LandmarkClassifier;
+        if (LandmarkClassifier) {
+            LandmarkClassifier.clearGestureTemplates();
+            // Recorded "no gesture" poses reject lookalike resting hands
+            LandmarkClassifier.setIdleTemplates(idleSamples);
+        }
+        
+        customGestures.forEach(gesture => {
+            try {
+                const gestureData = gesture.data || {};
+                const kind = GestureCatalogue.getCustomGestureKind(gesture);
+                
+                if (kind === 'motion' && TrajectoryRecognizer) {
+                    const trajectory = (gestureData.frames || []).map(frame => this.calculateHandCenter(frame.landmarks));
+                    TrajectoryRecognizer.addMotionTemplate(gesture.id, trajectory);
+                } else if (kind === 'landmarks' && LandmarkClassifier) {
+                    LandmarkClassifier.setGestureTemplates(gesture.id, gestureData);
+                }
+            } catch (error) {
+                console.error(`Error adding custom gesture ${gesture.id} in background:`, error);
+            }
+        });
+        
+        console.log('Background gesture estimator initialized');
     }
 
-    async start(callback) {
+    // callback(gestureName, details) runs when a gesture activates or a sequence completes
+    // options.getAction maps gestures without a saved binding to their default action
+    // options.onLockChange(state) runs when the gesture lock arms or locks control
+    async start(callback, options = {}) {
         if (this.isRunning) return;
         
         this.onGestureDetected = callback;
+        this.getAction = options.getAction || null;
+        if (window.GestureActivation) {
+            this.activation = window.GestureActivation.createActivationController(gesture => this.getBinding(gesture));
+        }
+        
+        this.onLockChange = options.onLockChange || null;
+        if (window.GestureLock) {
+            this.gestureLock = window.GestureLock.createGestureLock(this.loadLockSettings());
+            if (this.onLockChange && this.gestureLock.getSettings().enabled) {
+                this.onLockChange(this.gestureLock.update(null, Date.now()));
+            }
+        }
         
         try {
             // Initialize if not already done
-            if (!this.handposeModel) {
+            if (!this.handposeClient || !this.handposeClient.getMode()) {
                 const initialized = await this.initialize();
                 if (!initialized) {
                     console.error('Failed to initialize background service');
@@ -176,6 +265,9 @@ class BackgroundGestureService {
                 };
             });
             
+            // Pick up gesture sequences edited in the app since the last start
+            this.loadSequences();
+            
             // Start detection loop
             this.isRunning = true;
             this.startDetectionLoop();
@@ -214,8 +306,8 @@ class BackgroundGestureService {
         this.worker = new Worker(workerUrl);
         
         this.worker.onmessage = (e) => {
-            if (e.data === 'ping' && !document.hidden && this.isRunning) {
-                // Keep the service alive even when app is in background
+            if (e.data === 'ping' && document.hidden && this.isRunning && !this.frameInFlight) {
+                // Keep the service alive when the browser throttles timers in the background
                 this.detectOnce();
             }
         };
@@ -241,17 +333,30 @@ class BackgroundGestureService {
     startDetectionLoop() {
         if (!this.isRunning) return;
         
-        this.detectionInterval = setInterval(() => {
-            this.detectOnce();
-        }, 200); // Detection every 200ms for performance
+        // Frames never overlap; the rate adapts to inference time and backs off without a hand
+        this.frameScheduler = window.FrameScheduler.createFrameScheduler(
+            () => this.detectOnce(),
+            { frequency: this.detectionFrequency }
+        );
+        this.frameScheduler.start();
     }
     
+    // Change the detection rate ('low', 'medium', 'high')
+    setDetectionFrequency(frequency) {
+        this.detectionFrequency = frequency;
+        if (this.frameScheduler) {
+            this.frameScheduler.setFrequency(frequency);
+        }
+    }
+    
+    // Process one camera frame; resolves to true when a hand was seen
     async detectOnce() {
-        if (!this.videoElement || !this.handposeModel || !this.isRunning) return;
+        if (!this.videoElement || !this.handposeClient || !this.isRunning || this.frameInFlight) return false;
         
+        this.frameInFlight = true;
         try {
             const now = Date.now();
-            const predictions = await this.handposeModel.estimateHands(this.videoElement);
+            const predictions = await this.handposeClient.estimateHands(this.videoElement);
             
             if (predictions.length > 0) {
                 const hand = predictions[0];
@@ -260,11 +365,17 @@ class BackgroundGestureService {
                 const gestureResult = await this.detectGesture(hand);
                 
                 if (gestureResult) {
+                    let sequence = null;
+                    let isNewGesture = false;
+                    const armed = !this.gestureLock || this.gestureLock.isArmed(now);
+                    
                     // Update gesture sequence tracking
                     if (gestureResult.name !== this.lastDetectedGesture) {
                         // Only count as a new gesture if enough time has passed
                         // This prevents rapid oscillation between gestures
                         if (now - this.lastGestureTimestamp > 500) {
+                            isNewGesture = true;
+                            
                             // Add to sequence for potential combo detection
                             this.gestureSequence.push({
                                 gesture: gestureResult.name,
@@ -286,27 +397,55 @@ class BackgroundGestureService {
                             this.lastDetectedGesture = gestureResult.name;
                             this.lastGestureTimestamp = now;
                             
-                            // Check for gesture sequence patterns
-                            if (this.gestureSequence.length >= 2) {
-                                const sequencePattern = this.checkGestureSequence();
-                                if (sequencePattern) {
-                                    console.log('Background service detected gesture sequence:', sequencePattern);
-                                    // Could trigger special actions for sequences here
+                            // Check for gesture sequence patterns (only while unlocked)
+                            sequence = armed ? this.checkGestureSequence() : null;
+                            if (sequence) {
+                                console.log('Background service detected gesture sequence:', 
+                                            sequence.gestures.join(' → '), '→', sequence.action);
+                                // Start over so the sequence only fires once
+                                this.gestureSequence = [];
+                                
+                                // Its action is subject to the same cooldown as gesture bindings
+                                if (this.activation && !this.activation.trigger(sequence.action, now).fire) {
+                                    sequence = null;
                                 }
                             }
-                            
-                            // Execute action for the gesture via callback
-                            if (this.onGestureDetected) {
-                                this.onGestureDetected(gestureResult.name, {
-                                    confidence: gestureResult.confidence,
-                                    handPosition: gestureResult.handPosition,
-                                    velocity: gestureResult.velocity
-                                });
-                            }
                         }
                     }
+                    
+                    // Gestures used to wake or lock control (or made while locked) run no actions
+                    const lock = this.updateLock(gestureResult.name, now);
+                    const actionGesture = lock.consumed ? null : gestureResult.name;
+                    
+                    // The gesture's action runs once its hold, repeat and cooldown rules allow
+                    const activation = this.activation
+                        ? this.activation.update(actionGesture, now, { instant: gestureResult.motion })
+                        : { fire: isNewGesture && actionGesture !== null, repeat: false, action: null };
+                    
+                    // Execute action for the gesture (and completed sequence) via callback
+                    if ((activation.fire || sequence) && this.onGestureDetected) {
+                        this.onGestureDetected(gestureResult.name, {
+                            confidence: gestureResult.confidence,
+                            handPosition: gestureResult.handPosition,
+                            velocity: gestureResult.velocity,
+                            sequence: sequence,
+                            activated: activation.fire,
+                            repeat: activation.repeat,
+                            action: activation.action
+                        });
+                    }
+                } else {
+                    this.updateLock(null, now);
+                    if (this.activation) {
+                        this.activation.update(null, now);
+                    }
                 }
             } else {
+                this.updateLock(null, now);
+                if (this.activation) {
+                    this.activation.update(null, now);
+                }
+                
                 // No hand detected for a while, reset sequence tracking
                 if (this.lastDetectedGesture !== null && now - this.lastGestureTimestamp > 1000) {
                     this.lastDetectedGesture = null;
@@ -320,35 +459,56 @@ class BackgroundGestureService {
                     this.gestureSequence = [];
                 }
             }
+            
+            return predictions.length > 0;
         } catch (error) {
             console.error('Error in background detection:', error);
+            return false;
+        } finally {
+            this.frameInFlight = false;
+        }
+    }
+    
+    // Load gesture sequences saved by the app (AsyncStorage uses localStorage on the web)
+    loadSequences() {
+        const GestureSequences = window.GestureSequences;
+        if (!GestureSequences) {
+            console.error('Gesture sequence module not loaded in background service');
+            return;
+        }
+        
+        try {
+            const storedSequences = localStorage.getItem(GestureSequences.SEQUENCE_STORAGE_KEY);
+            this.sequences = storedSequences
+                ? JSON.parse(storedSequences).map(GestureSequences.normalizeSequence)
+                : GestureSequences.DEFAULT_SEQUENCES;
+        } catch (error) {
+            console.error('Error loading gesture sequences in background:', error);
+            this.sequences = GestureSequences.DEFAULT_SEQUENCES;
         }
     }
     
     // Check for known gesture sequences
     checkGestureSequence() {
-        if (this.gestureSequence.length < 2) return null;
-        
-        // Extract gesture names
-        const gestureNames = this.gestureSequence.map(item => item.gesture);
-        const recentGestures = gestureNames.slice(-2).join(',');
-        
-        // Define known sequences
-        const knownSequences = {
-            'thumbs_up,thumbs_down': 'TOGGLE_APPROVAL',
-            'palm,victory': 'SHOW_MENU',
-            'swipe_left,swipe_right': 'SHAKE_ACTION',
-            'pointing_up,pointing_down': 'FLIP_DIRECTION'
-        };
+        if (this.gestureSequence.length < 2 || !window.GestureSequences) return null;
+        
+        const match = window.GestureSequences.matchSequence(this.gestureSequence, this.sequences);
+        if (!match) return null;
         
-        // Check if recent gestures match any known pattern
-        return knownSequences[recentGestures] || null;
+        return {
+            id: match.id,
+            gestures: match.gestures,
+            action: match.action
+        };
     }
     
     async detectGesture(hand) {
-        if (!this.gestureEstimator) return null;
+        if (!this.gestureEstimator || !this.trajectory || !this.handedness) return null;
         
-        const landmarks = hand.landmarks;
+        // Smooth the landmarks so jitter does not read as movement
+        const landmarks = this.landmarkFilter
+            ? this.landmarkFilter.filter(hand.landmarks, Date.now())
+            : hand.landmarks;
         
         // Calculate hand center position for tracking movement
         const currentHandPosition = this.calculateHandCenter(landmarks);
@@ -364,77 +524,85 @@ class BackgroundGestureService {
         }
         this.previousHandPosition = currentHandPosition;
         
-        // Calculate movement magnitude
-        const movementMagnitude = Math.sqrt(
-            this.handVelocity.x * this.handVelocity.x + 
-            this.handVelocity.y * this.handVelocity.y
-        );
-        
-        // Adjust confidence threshold based on movement and conditions
-        let confidenceThreshold = 9.0; // Default is higher for background mode
-        
-        // If hand is moving fast, increase threshold to prevent false positives
-        if (movementMagnitude > 20) {
-            confidenceThreshold += 1.0;
-        } else if (movementMagnitude < 5) {
-            // If hand is relatively still, lower threshold for better detection
-            confidenceThreshold -= 0.5;
+        // Recent hand path for motion gestures
+        this.trajectory.addPoint(currentHandPosition);
+        
+        // Same thresholds, fingerpose and template scores, idle rejection and ranking as the app
+        const recognized = window.HandGestureRecognizer.recognizeHandGesture({
+            landmarks,
+            velocity: this.handVelocity,
+            trajectory: this.trajectory,
+            handedness: this.handedness
+        }, {
+            ...this.thresholds,
+            estimator: this.gestureEstimator,
+            calibration: this.calibration,
+            handedness: this.handednessMode,
+            adaptiveThreshold: this.adaptiveThreshold,
+            ranker: this.gestureRanker
+        });
+        
+        if (!recognized) {
+            return null;
         }
         
-        // Keep threshold within reasonable bounds
-        confidenceThreshold = Math.max(7.5, Math.min(confidenceThreshold, 10.0));
-        
-        // Convert landmarks to fingerpose format
-        const estimatorLandmarks = landmarks.map(point => [point[0], point[1], point[2]]);
-        
-        // Estimate gestures with adjusted threshold
-        const result = this.gestureEstimator.estimate(estimatorLandmarks, confidenceThreshold);
+        this.adaptiveThreshold = recognized.adaptiveThreshold;
+        return {
+            name: recognized.gesture.name,
+            confidence: recognized.gesture.score,
+            allGestures: recognized.allGestures,
+            handPosition: currentHandPosition,
+            velocity: this.handVelocity,
+            // Motion gestures are reported once, so they cannot be held
+            motion: recognized.motion
+        };
+    }
+    
+    // Wake/lock settings saved by the app under 'gestureSettings'
+    loadLockSettings() {
+        try {
+            const savedSettings = localStorage.getItem('gestureSettings');
+            return savedSettings ? JSON.parse(savedSettings).gestureLock : null;
+        } catch (error) {
+            console.error('Error loading gesture lock settings in background:', error);
+            return null;
+        }
+    }
+    
+    // Feed this frame's gesture (or null) to the gesture lock and report arming/locking
+    updateLock(gestureName, now) {
+        if (!this.gestureLock) {
+            return { armed: true, changed: null, consumed: false };
+        }
         
-        // Get most confident gesture
-        if (result.gestures.length > 0) {
-            // Process and collect all gesture confidences
-            const confidences = {};
-            result.gestures.forEach(gesture => {
-                confidences[gesture.name] = gesture.score;
-            });
-            
-            // Sort gestures by confidence
-            const sortedGestures = result.gestures.sort((a, b) => b.score - a.score);
-            
-            // Get highest confidence gesture
-            let highestConfidenceGesture = sortedGestures[0].name;
-            
-            // Apply motion enhancement for swipe gestures
-            if (highestConfidenceGesture === 'swipe_left' && this.handVelocity.x > 15) {
-                // Boost confidence for swipe_left when hand is actually moving left
-                highestConfidenceGesture = 'swipe_left';
-            } else if (highestConfidenceGesture === 'swipe_right' && this.handVelocity.x < -15) {
-                // Boost confidence for swipe_right when hand is actually moving right
-                highestConfidenceGesture = 'swipe_right';
+        const state = this.gestureLock.update(gestureName, now);
+        if (state.changed) {
+            console.log(`Background gesture control ${state.changed}`);
+            if (this.onLockChange) {
+                this.onLockChange(state);
             }
-            
-            // Update gesture stability tracking
-            if (!this.gestureConfidenceHistory[highestConfidenceGesture]) {
-                this.gestureConfidenceHistory[highestConfidenceGesture] = [];
-            }
-            
-            // Keep last 5 confidence scores to track stability
-            this.gestureConfidenceHistory[highestConfidenceGesture].push(confidences[highestConfidenceGesture]);
-            if (this.gestureConfidenceHistory[highestConfidenceGesture].length > 5) {
-                this.gestureConfidenceHistory[highestConfidenceGesture].shift();
-            }
-            
-            // Return enhanced result
-            return {
-                name: highestConfidenceGesture,
-                confidence: confidences[highestConfidenceGesture],
-                allGestures: confidences,
-                handPosition: currentHandPosition,
-                velocity: this.handVelocity
-            };
         }
+        return state;
+    }
+    
+    // Action and activation rules for a gesture, using the bindings saved by the app
+    getBinding(gestureName) {
+        let binding = null;
+        try {
+            const savedBindings = localStorage.getItem('gestureBindings');
+            binding = savedBindings ? JSON.parse(savedBindings)[gestureName] : null;
+        } catch (error) {
+            console.error('Error loading gesture bindings in background:', error);
+        }
+        
+        // Continuous (analog) bindings are only driven by the app itself
+        if (binding && binding.type === 'analog') return null;
+        
+        const action = window.GestureActivation.getBindingAction(binding) ||
+            (this.getAction ? this.getAction(gestureName) : null);
+        if (!action) return null;
         
-        return null;
+        return { action, activation: binding && binding.activation };
     }
     
     // Helper function to calculate center position of hand
@@ -455,10 +623,10 @@ class BackgroundGestureService {
     }
     
     cleanup() {
-        // Clear detection interval
-        if (this.detectionInterval) {
-            clearInterval(this.detectionInterval);
-            this.detectionInterval = null;
+        // Stop the detection loop
+        if (this.frameScheduler) {
+            this.frameScheduler.stop();
+            this.frameScheduler = null;
         }
         
         // Stop video stream
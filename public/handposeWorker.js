@@ -0,0 +1,77 @@
+/**
+ * Hand-pose inference worker
+ *
+ * Runs the TensorFlow.js handpose model off the main thread so detection
+ * does not stall the UI. Used through shared/handposeWorkerClient.js.
+ *
+ * Messages in:
+ *   { type: 'load', id, modelUrl }
+ *   { type: 'estimate', id, bitmap, flipHorizontal }  (bitmap is a transferred ImageBitmap)
+ * Messages out:
+ *   { type: 'ready', id, backend, modelUrl }
+ *   { type: 'result', id, hands, latency }
+ *   { type: 'error', id, error }
+ */
+
+// Libraries are served by server.js, so the worker runs offline
+importScripts(
+    'vendor/tfjs/tf.min.js',
+    'vendor/handpose/handpose.min.js',
+    'shared/modelAssets.js'
+);
+
+let model = null;
+let canvas = null;
+let context = null;
+
+// Draw a frame into the worker's canvas so handpose gets pixel data it understands
+const toImageData = (bitmap) => {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        context = canvas.getContext('2d');
+    }
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+const loadModel = async ({ id, modelUrl }) => {
+    await tf.ready();
+    const source = await ModelAssets.prepareModelLoading(tf, modelUrl);
+    model = await handpose.load();
+    self.postMessage({ type: 'ready', id, backend: tf.getBackend(), modelUrl: source });
+};
+
+const estimate = async ({ id, bitmap, flipHorizontal }) => {
+    const startTime = Date.now();
+    const predictions = await model.estimateHands(toImageData(bitmap), flipHorizontal === true);
+
+    // Only plain data can be posted back
+    const hands = predictions.map(prediction => ({
+        landmarks: prediction.landmarks,
+        boundingBox: prediction.boundingBox,
+        handInViewConfidence: prediction.handInViewConfidence
+    }));
+
+    self.postMessage({ type: 'result', id, hands, latency: Date.now() - startTime });
+};
+
+self.onmessage = async (event) => {
+    const message = event.data || {};
+
+    try {
+        if (message.type === 'load') {
+            await loadModel(message);
+        } else if (message.type === 'estimate') {
+            if (!model) {
+                throw new Error('Handpose model not loaded');
+            }
+            await estimate(message);
+        }
+    } catch (error) {
+        if (message.bitmap && message.bitmap.close) {
+            message.bitmap.close();
+        }
+        self.postMessage({ type: 'error', id: message.id, error: error.message });
+    }
+};
@@ -0,0 +1,124 @@
+// Air cursor: the index fingertip (landmark 8) as an on-screen pointer
+// Positions are 0–1 across the (mirrored) camera view, so the cursor follows the hand
+// the way the user sees it. Pinching thumb and index clicks; keeping the cursor still
+// for dwellMs clicks as well. Used by GestureDetector's pointer mode.
+
+(function (global) {
+    const DEFAULT_CURSOR = {
+        smoothing: 0.5,      // Weight of each new fingertip position (1 = no smoothing)
+        margin: 0.1,         // Border of the camera view beyond the screen edge, so edges are reachable
+        mirror: true,        // Front camera frames are unflipped
+        pinchClose: 0.3,     // Thumb–index distance (relative to palm size) that clicks
+        pinchOpen: 0.6,      // Above this the pinch is released; in between the cursor is held still
+        dwellClick: true,
+        dwellMs: 1200,
+        dwellRadius: 0.03    // Movement that restarts the dwell
+    };
+
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+
+    // Create a cursor fed with the landmarks of the pointing hand in every frame
+    function createAirCursor(options = {}) {
+        const config = { ...DEFAULT_CURSOR, ...options };
+        let position = null;
+        let pinching = false;   // Pinch started (cursor frozen)
+        let clicked = false;    // Pinch already clicked, waiting for release
+        let dwell = null;       // { x, y, startedAt, fired }
+
+        const reset = () => {
+            position = null;
+            pinching = false;
+            clicked = false;
+            dwell = null;
+        };
+
+        return {
+            // frame: { width, height, timestamp }
+            // Returns null without a hand, otherwise { x, y, click, pinching, dwellProgress }
+            // where click is 'pinch' or 'dwell' in the frame that clicks
+            update: (landmarks, frame) => {
+                if (!landmarks || landmarks.length < 21 || !frame.width || !frame.height) {
+                    reset();
+                    return null;
+                }
+                const timestamp = frame.timestamp || Date.now();
+                let click = null;
+
+                const palmSize = distance(landmarks[0], landmarks[9]);
+                const pinchRatio = palmSize > 0 ? distance(landmarks[4], landmarks[8]) / palmSize : Infinity;
+
+                // Closing the fingers moves the fingertip, so the cursor stays put during a pinch
+                if (pinchRatio > config.pinchOpen) {
+                    pinching = false;
+                    clicked = false;
+                } else if (position) {
+                    pinching = true;
+                }
+
+                if (!pinching) {
+                    const tip = landmarks[8];
+                    const fx = config.mirror ? 1 - tip[0] / frame.width : tip[0] / frame.width;
+                    const fy = tip[1] / frame.height;
+                    const target = {
+                        x: clamp((fx - config.margin) / (1 - 2 * config.margin)),
+                        y: clamp((fy - config.margin) / (1 - 2 * config.margin))
+                    };
+
+                    position = position
+                        ? {
+                            x: position.x + config.smoothing * (target.x - position.x),
+                            y: position.y + config.smoothing * (target.y - position.y)
+                        }
+                        : target;
+                }
+
+                if (pinching && !clicked && pinchRatio < config.pinchClose) {
+                    clicked = true;
+                    click = 'pinch';
+                }
+
+                // Dwell: the cursor has to move away before it can dwell-click again
+                let dwellProgress = 0;
+                if (config.dwellClick) {
+                    if (!dwell || Math.hypot(position.x - dwell.x, position.y - dwell.y) > config.dwellRadius) {
+                        dwell = { x: position.x, y: position.y, startedAt: timestamp, fired: false };
+                    }
+                    if (click) {
+                        dwell.fired = true;
+                    }
+
+                    if (!dwell.fired && !pinching) {
+                        dwellProgress = Math.min(1, (timestamp - dwell.startedAt) / config.dwellMs);
+                        if (dwellProgress >= 1) {
+                            dwell.fired = true;
+                            click = 'dwell';
+                        }
+                    }
+                }
+
+                return {
+                    x: position.x,
+                    y: position.y,
+                    click,
+                    pinching,
+                    dwellProgress
+                };
+            },
+
+            reset
+        };
+    }
+
+    const AirCursor = {
+        DEFAULT_CURSOR,
+        createAirCursor
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AirCursor;
+    } else {
+        global.AirCursor = AirCursor;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,161 @@
+// Continuous (analog) gesture controls
+// While a gesture with an analog binding is held, a measurement of the hand
+// (thumb–index distance or hand height) is mapped to a 0–1 value that drives a target
+// such as brightness or volume. Used by GestureDetector through phoneControl's analog bindings.
+//
+// Binding: { type: 'analog', target, analog: rules }
+// Rules: { source, inputRange, deadZone, minChange, smoothing, invert, releaseMs }
+
+(function (global) {
+    const ANALOG_SOURCES = {
+        PINCH_DISTANCE: 'pinch_distance',   // Thumb tip to index tip, relative to palm size
+        HAND_HEIGHT: 'hand_height'          // Wrist height in the frame, 1 at the top
+    };
+
+    // Raw values mapped to 0 and 1 when a binding has no inputRange of its own
+    const SOURCE_RANGES = {
+        pinch_distance: [0.15, 1.2],
+        hand_height: [0.15, 0.85]
+    };
+
+    const DEFAULT_ANALOG = {
+        source: ANALOG_SOURCES.PINCH_DISTANCE,
+        inputRange: null,
+        deadZone: 0.05,     // Values this close to either end snap to 0 or 1
+        minChange: 0.02,    // Smaller changes are not reported, so the target doesn't jitter
+        smoothing: 0.3,     // Weight of each new measurement (1 = no smoothing)
+        invert: false,
+        releaseMs: 400      // Control stays engaged this long after the gesture is lost
+    };
+
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+    function isAnalogBinding(binding) {
+        return !!binding && typeof binding === 'object' && binding.type === 'analog';
+    }
+
+    // Complete rules for an analog binding
+    function getAnalogRules(rules) {
+        return { ...DEFAULT_ANALOG, ...(rules || {}) };
+    }
+
+    // Raw measurement of a hand (21 handpose landmarks); null if it can't be taken
+    // frame: { height } of the camera frame, needed for hand_height
+    function measureSource(source, landmarks, frame = {}) {
+        if (!landmarks || landmarks.length < 21) return null;
+
+        switch (source) {
+            case ANALOG_SOURCES.PINCH_DISTANCE: {
+                // Palm size (wrist to middle finger base) makes it independent of camera distance
+                const palmSize = distance(landmarks[0], landmarks[9]);
+                return palmSize > 0 ? distance(landmarks[4], landmarks[8]) / palmSize : null;
+            }
+
+            case ANALOG_SOURCES.HAND_HEIGHT:
+                return frame.height ? 1 - landmarks[0][1] / frame.height : null;
+
+            default:
+                return null;
+        }
+    }
+
+    // Map a raw measurement to 0–1 with the binding's range, dead zone and direction
+    function normalizeValue(raw, rules) {
+        const [min, max] = rules.inputRange || SOURCE_RANGES[rules.source] || [0, 1];
+        let value = max > min ? (raw - min) / (max - min) : 0;
+        value = Math.max(0, Math.min(1, value));
+
+        if (value < rules.deadZone) value = 0;
+        if (value > 1 - rules.deadZone) value = 1;
+
+        return rules.invert ? 1 - value : value;
+    }
+
+    // Create a controller fed with every frame's recognized gesture and hand landmarks
+    // getBinding(gestureId) returns { target, analog: rules } (or null when the gesture isn't analog)
+    function createAnalogController(getBinding) {
+        let current = null;
+
+        const describe = (changed) => ({
+            gesture: current.gesture,
+            target: current.target,
+            value: current.reported,
+            changed
+        });
+
+        return {
+            // gesture is null when nothing was recognized; landmarks are of the controlling hand
+            // Returns null while no analog control is engaged, otherwise
+            // { gesture, target, value, changed } where changed means the target should be updated
+            update: (gesture, landmarks, options = {}) => {
+                const timestamp = options.timestamp || Date.now();
+                const binding = gesture ? getBinding(gesture) : null;
+
+                if (binding && (!current || current.gesture !== gesture)) {
+                    current = {
+                        gesture,
+                        target: binding.target,
+                        rules: getAnalogRules(binding.analog),
+                        smoothed: null,
+                        reported: null,
+                        lastSeen: timestamp
+                    };
+                } else if (!binding) {
+                    // Opening or closing the fingers can briefly change the recognized pose
+                    if (!current || timestamp - current.lastSeen > current.rules.releaseMs) {
+                        current = null;
+                        return null;
+                    }
+                }
+                if (binding) {
+                    current.lastSeen = timestamp;
+                }
+
+                const raw = measureSource(current.rules.source, landmarks, { height: options.frameHeight });
+                if (raw === null) {
+                    return current.reported === null ? null : describe(false);
+                }
+
+                const value = normalizeValue(raw, current.rules);
+                current.smoothed = current.smoothed === null
+                    ? value
+                    : current.smoothed + current.rules.smoothing * (value - current.smoothed);
+
+                // Snap to the ends, which the smoothed value only approaches
+                const { minChange } = current.rules;
+                let next = current.smoothed;
+                if (next < minChange) next = 0;
+                if (next > 1 - minChange) next = 1;
+                next = Math.round(next * 1000) / 1000;
+
+                if (current.reported !== null && (next === current.reported ||
+                    (Math.abs(next - current.reported) < minChange && next !== 0 && next !== 1))) {
+                    return describe(false);
+                }
+
+                current.reported = next;
+                return describe(true);
+            },
+
+            reset: () => {
+                current = null;
+            }
+        };
+    }
+
+    const AnalogControl = {
+        ANALOG_SOURCES,
+        DEFAULT_ANALOG,
+        isAnalogBinding,
+        getAnalogRules,
+        measureSource,
+        normalizeValue,
+        createAnalogController
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AnalogControl;
+    } else {
+        global.AnalogControl = AnalogControl;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,132 @@
+// Frame scheduler for hand-pose detection loops
+// Shared by the app's GestureDetector and the web background service
+//
+// Frames never overlap: the next frame is scheduled only after the previous one finished.
+// The interval follows the detectionFrequency setting, stretches when inference is slower
+// than the interval, and backs off while no hand is in view.
+
+(function (global) {
+    // Base interval between frame starts (ms) for each detectionFrequency setting
+    const FREQUENCY_INTERVALS = {
+        low: 500,
+        medium: 300,
+        high: 150
+    };
+
+    const MIN_FRAME_GAP = 16;        // Always leave the UI at least one animation frame
+    const LATENCY_HEADROOM = 1.5;    // Keep the interval this much longer than average inference time
+    const LATENCY_SMOOTHING = 0.2;   // Weight of the newest sample in the latency average
+    const IDLE_FRAMES = 5;           // Frames without a hand before backing off
+    const IDLE_BACKOFF = 1.5;        // Interval multiplier per idle frame after that
+    const MAX_IDLE_INTERVAL = 1000;  // Slowest rate while waiting for a hand
+
+    // Interval for a detectionFrequency setting ('low', 'medium', 'high')
+    function getFrequencyInterval(frequency) {
+        return FREQUENCY_INTERVALS[frequency] || FREQUENCY_INTERVALS.high;
+    }
+
+    // Create a scheduler for processFrame, an async function resolving to true when a hand was seen
+    function createFrameScheduler(processFrame, options) {
+        const settings = options || {};
+        let frequency = settings.frequency || 'high';
+        let running = false;
+        let busy = false;            // A frame is being processed
+        let timer = null;
+        let averageLatency = 0;
+        let idleFrames = 0;
+        let idleInterval = 0;
+        let frameCount = 0;
+
+        // Interval to the next frame start, from the setting, measured latency and hand presence
+        const getInterval = () => {
+            const base = Math.max(getFrequencyInterval(frequency), averageLatency * LATENCY_HEADROOM);
+            return Math.max(base, idleInterval);
+        };
+
+        const scheduleNext = (delay) => {
+            if (!running) return;
+            timer = setTimeout(runFrame, Math.max(MIN_FRAME_GAP, delay));
+        };
+
+        const runFrame = async () => {
+            timer = null;
+            if (!running) return;
+
+            const startTime = Date.now();
+            let handPresent = false;
+
+            busy = true;
+            try {
+                handPresent = await processFrame();
+            } catch (error) {
+                console.error('Error processing frame:', error);
+            }
+            busy = false;
+
+            const latency = Date.now() - startTime;
+            averageLatency = frameCount === 0
+                ? latency
+                : averageLatency + (latency - averageLatency) * LATENCY_SMOOTHING;
+            frameCount++;
+
+            // Sample less often while nobody is gesturing, recover immediately on a hand
+            if (handPresent) {
+                idleFrames = 0;
+                idleInterval = 0;
+            } else if (++idleFrames > IDLE_FRAMES) {
+                idleInterval = Math.min(
+                    MAX_IDLE_INTERVAL,
+                    Math.max(idleInterval, getFrequencyInterval(frequency)) * IDLE_BACKOFF
+                );
+            }
+
+            scheduleNext(getInterval() - latency);
+        };
+
+        return {
+            // Restarting while a frame is still being processed lets that frame schedule
+            // the next one, so frames never overlap
+            start: () => {
+                if (running) return;
+                running = true;
+                if (!busy) {
+                    scheduleNext(0);
+                }
+            },
+
+            stop: () => {
+                running = false;
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+            },
+
+            setFrequency: (newFrequency) => {
+                frequency = newFrequency;
+            },
+
+            isRunning: () => running,
+
+            getStats: () => ({
+                frequency,
+                averageLatency,
+                interval: getInterval(),
+                idle: idleFrames > IDLE_FRAMES,
+                frameCount
+            })
+        };
+    }
+
+    const FrameScheduler = {
+        FREQUENCY_INTERVALS,
+        getFrequencyInterval,
+        createFrameScheduler
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FrameScheduler;
+    } else {
+        global.FrameScheduler = FrameScheduler;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,169 @@
+// Activation rules for gesture → action bindings
+// Decides when a recognized gesture actually runs its action: after a minimum hold,
+// repeatedly while held (for continuous actions), and not again until a cooldown has passed.
+// Used by GestureDetector and BackgroundGestureService so both behave the same way.
+//
+// Rules: { holdMs, repeat, repeatIntervalMs, cooldownMs }
+// A binding is either an action id or { action, activation: rules }.
+// Completed gesture sequences go through trigger(), which applies the action's cooldown.
+
+(function (global) {
+    const DEFAULT_ACTIVATION = {
+        holdMs: 200,            // Gesture has to be held this long before it fires
+        repeat: false,          // Keep firing while the gesture is held
+        repeatIntervalMs: 500,
+        cooldownMs: 1000        // Minimum time between separate activations of the same action
+    };
+
+    // Per-action defaults: hard-to-undo actions need a longer hold, continuous ones repeat
+    const ACTION_ACTIVATION = {
+        TAKE_PHOTO: { holdMs: 800, cooldownMs: 2000 },
+        OPEN_CAMERA: { holdMs: 500 },
+        PAUSE_ALL: { holdMs: 600, cooldownMs: 2000 },
+        SCROLL_UP: { repeat: true, repeatIntervalMs: 400, cooldownMs: 0 },
+        SCROLL_DOWN: { repeat: true, repeatIntervalMs: 400, cooldownMs: 0 },
+        INCREASE_BRIGHTNESS: { repeat: true, repeatIntervalMs: 600 },
+        DECREASE_BRIGHTNESS: { repeat: true, repeatIntervalMs: 600 }
+    };
+
+    // A gesture missing for up to this long (a dropped frame) does not end the hold
+    const RELEASE_GRACE_MS = 250;
+
+    // Action id of a stored binding
+    function getBindingAction(binding) {
+        if (!binding) return null;
+        return typeof binding === 'string' ? binding : binding.action || null;
+    }
+
+    // Complete rules for an action, with a binding's own rules taking precedence
+    function getActivationRules(action, rules) {
+        return {
+            ...DEFAULT_ACTIVATION,
+            ...(ACTION_ACTIVATION[action] || {}),
+            ...(rules || {})
+        };
+    }
+
+    // Keep the known rules of a binding that have valid values (null when none are left),
+    // e.g. for rules read from an imported gesture pack
+    function normalizeActivationRules(rules) {
+        if (!rules || typeof rules !== 'object') return null;
+
+        const normalized = {};
+        Object.keys(DEFAULT_ACTIVATION).forEach(key => {
+            const value = rules[key];
+            if (typeof value !== typeof DEFAULT_ACTIVATION[key]) return;
+            if (typeof value === 'number' && !(Number.isFinite(value) && value >= 0)) return;
+            normalized[key] = value;
+        });
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    // Create a controller fed with the recognized gesture of every frame
+    // getBinding(gestureId) returns { action, activation } (or null for an unbound gesture)
+    function createActivationController(getBinding) {
+        let current = null;
+        let lastFired = {}; // Last activation time per action (or gesture when unbound)
+
+        const describe = (state, fire, progress) => ({
+            state,              // 'idle', 'holding', 'cooldown' or 'active'
+            fire,
+            repeat: fire && current.fireCount > 1,
+            progress,           // Hold progress from 0 to 1
+            gesture: current.gesture,
+            action: current.action,
+            rules: current.rules
+        });
+
+        const fire = (timestamp) => {
+            current.fireCount++;
+            current.lastFiredAt = timestamp;
+            lastFired[current.action || current.gesture] = timestamp;
+            return describe('active', true, 1);
+        };
+
+        return {
+            // gesture is null when nothing was recognized in this frame
+            // options.instant skips the hold for gestures that are only reported once (motions)
+            update: (gesture, timestamp = Date.now(), options = {}) => {
+                if (!gesture) {
+                    if (current && timestamp - current.lastSeen <= RELEASE_GRACE_MS) {
+                        return describe(current.fireCount > 0 ? 'active' : 'holding', false, current.fireCount > 0 ? 1 : current.progress);
+                    }
+                    current = null;
+                    return { state: 'idle', fire: false, repeat: false, progress: 0, gesture: null, action: null, rules: null };
+                }
+
+                if (!current || current.gesture !== gesture) {
+                    const binding = getBinding(gesture) || {};
+                    current = {
+                        gesture,
+                        action: binding.action || null,
+                        rules: getActivationRules(binding.action, binding.activation),
+                        startedAt: timestamp,
+                        lastSeen: timestamp,
+                        progress: 0,
+                        fireCount: 0,
+                        lastFiredAt: 0
+                    };
+                }
+                current.lastSeen = timestamp;
+
+                const { rules } = current;
+                const holdMs = options.instant ? 0 : rules.holdMs;
+                const held = timestamp - current.startedAt;
+                if (held < holdMs) {
+                    current.progress = held / holdMs;
+                    return describe('holding', false, current.progress);
+                }
+                current.progress = 1;
+
+                if (current.fireCount === 0) {
+                    const previous = lastFired[current.action || current.gesture];
+                    if (previous !== undefined && timestamp - previous < rules.cooldownMs) {
+                        return describe('cooldown', false, 1);
+                    }
+                    return fire(timestamp);
+                }
+
+                if (rules.repeat && timestamp - current.lastFiredAt >= rules.repeatIntervalMs) {
+                    return fire(timestamp);
+                }
+
+                return describe('active', false, 1);
+            },
+
+            // A completed gesture sequence fires once, without a hold (it was already performed),
+            // unless its action is cooling down from an earlier gesture or sequence
+            trigger: (action, timestamp = Date.now()) => {
+                const rules = getActivationRules(action);
+                const previous = lastFired[action];
+                const fire = previous === undefined || timestamp - previous >= rules.cooldownMs;
+                if (fire) {
+                    lastFired[action] = timestamp;
+                }
+                return { state: fire ? 'active' : 'cooldown', fire, repeat: false, action, rules };
+            },
+
+            reset: () => {
+                current = null;
+                lastFired = {};
+            }
+        };
+    }
+
+    const GestureActivation = {
+        DEFAULT_ACTIVATION,
+        ACTION_ACTIVATION,
+        getBindingAction,
+        getActivationRules,
+        normalizeActivationRules,
+        createActivationController
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GestureActivation;
+    } else {
+        global.GestureActivation = GestureActivation;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
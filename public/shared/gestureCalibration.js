@@ -0,0 +1,143 @@
+// Per-gesture calibration derived from usage statistics
+// Gestures that are often reported wrong get a higher confidence threshold, and
+// gestures that are often detected together (e.g. pinch and point_up) get a margin
+// the winner has to beat the other by. Shared by detectGesture and the offline evaluator.
+//
+// Calibration:
+// {
+//   "version": 1,
+//   "calibratedAt": ISO date,
+//   "thresholds": { "<gesture>": minimum score },
+//   "margins": { "<gesture>|<gesture>": score lead required (ids sorted) }
+// }
+
+(function (global) {
+    const CALIBRATION_VERSION = 1;
+
+    const MIN_SAMPLES = 10;              // Rates are damped until a gesture has this many detections
+    const MAX_THRESHOLD_RAISE = 1.5;     // Score points added for a gesture that is always wrong
+    const MAX_THRESHOLD = 9.5;
+    const MAX_MARGIN = 1.5;              // Lead required for a pair that is always confused
+    const MIN_MARGIN = 0.25;             // Smaller margins are not worth storing
+    const CORRECTION_WEIGHT = 3;         // A "that was wrong" report counts like this many co-detections
+
+    const createCalibration = () => ({
+        version: CALIBRATION_VERSION,
+        calibratedAt: null,
+        thresholds: {},
+        margins: {}
+    });
+
+    const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+    const count = (table, a, b) => (table[a] && table[a][b]) || 0;
+
+    // Derive a calibration from the 'gestureStatistics' data
+    // stats.confusionMatrix[chosen][other]: times `other` also passed the threshold when `chosen` won
+    // stats.corrections[recognized][intended]: "that was wrong" reports ('none' when nothing was intended)
+    // baseThreshold is the configured confidence threshold the per-gesture thresholds start from
+    function calibrateFromStatistics(stats, baseThreshold) {
+        const calibration = createCalibration();
+        calibration.calibratedAt = new Date().toISOString();
+
+        const frequency = (stats && stats.gestureFrequency) || {};
+        const confusion = (stats && stats.confusionMatrix) || {};
+        const corrections = (stats && stats.corrections) || {};
+
+        const gestures = [...new Set([
+            ...Object.keys(frequency),
+            ...Object.keys(confusion),
+            ...Object.keys(corrections)
+        ])];
+        const samples = (gesture) => Math.max(frequency[gesture] || 0, MIN_SAMPLES);
+
+        // Raise the threshold of gestures in proportion to how often they were wrong
+        gestures.forEach(gesture => {
+            const wrong = Object.values(corrections[gesture] || {}).reduce((sum, n) => sum + n, 0);
+            if (wrong === 0) return;
+
+            const wrongRate = Math.min(1, wrong / samples(gesture));
+            calibration.thresholds[gesture] = Math.min(
+                MAX_THRESHOLD,
+                Math.round((baseThreshold + MAX_THRESHOLD_RAISE * wrongRate) * 100) / 100
+            );
+        });
+
+        // Require a lead between gestures that are often detected (or corrected) together
+        gestures.forEach((first, i) => {
+            gestures.slice(i + 1).forEach(second => {
+                const together = count(confusion, first, second) + count(confusion, second, first) +
+                    CORRECTION_WEIGHT * (count(corrections, first, second) + count(corrections, second, first));
+                if (together === 0) return;
+
+                const confusionRate = Math.min(1, together / (samples(first) + samples(second)));
+                const margin = Math.round(MAX_MARGIN * confusionRate * 100) / 100;
+                if (margin >= MIN_MARGIN) {
+                    calibration.margins[pairKey(first, second)] = margin;
+                }
+            });
+        });
+
+        return calibration;
+    }
+
+    // Minimum score for a gesture in a frame whose general threshold is frameThreshold
+    function getGestureThreshold(calibration, gesture, frameThreshold) {
+        const threshold = calibration && calibration.thresholds[gesture];
+        return threshold ? Math.max(frameThreshold, threshold) : frameThreshold;
+    }
+
+    // Required lead between two gestures (0 when they are not known to be confused)
+    function getPairMargin(calibration, first, second) {
+        return (calibration && calibration.margins[pairKey(first, second)]) || 0;
+    }
+
+    // Filter one frame's candidate gestures ([{ name, score }], best first or not)
+    // Candidates should be estimated below the frame threshold so close runners-up are visible
+    // Returns { gestures, rejected } where rejected names a confused pair that was too close to call
+    function applyCalibration(calibration, candidates, frameThreshold) {
+        const sorted = [...candidates].sort((a, b) => b.score - a.score);
+        const gestures = sorted.filter(gesture =>
+            gesture.score >= getGestureThreshold(calibration, gesture.name, frameThreshold)
+        );
+
+        if (gestures.length === 0) {
+            return { gestures, rejected: null };
+        }
+
+        // The winner has to lead every known look-alike by that pair's margin
+        const [best] = gestures;
+        const rival = sorted.find(gesture =>
+            gesture !== best &&
+            best.score - gesture.score < getPairMargin(calibration, best.name, gesture.name)
+        );
+
+        if (rival) {
+            return { gestures: [], rejected: { gestures: [best.name, rival.name], margin: getPairMargin(calibration, best.name, rival.name) } };
+        }
+
+        return { gestures, rejected: null };
+    }
+
+    // Lowest score a candidate needs to matter for applyCalibration
+    function getCandidateThreshold(calibration, frameThreshold) {
+        const margins = Object.values((calibration && calibration.margins) || {});
+        return frameThreshold - (margins.length ? Math.max(...margins) : 0);
+    }
+
+    const GestureCalibration = {
+        CALIBRATION_VERSION,
+        createCalibration,
+        calibrateFromStatistics,
+        getGestureThreshold,
+        getPairMargin,
+        getCandidateThreshold,
+        applyCalibration
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GestureCalibration;
+    } else {
+        global.GestureCalibration = GestureCalibration;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
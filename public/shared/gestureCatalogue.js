@@ -0,0 +1,419 @@
+// Declarative gesture catalogue shared by the app and the web background service
+// Gestures are described in the same `fingers` format used for custom gestures:
+// { Thumb: { curl: { NoCurl: 1.0 }, directions: { VerticalUp: 1.0 } }, ... }
+// Loaded as a plain script by index.html and imported by src/utils/gestureRecognition.js
+
+(function (global) {
+    // Storage keys (AsyncStorage in the app, localStorage on the web)
+    const GESTURE_CONFIG_KEY = 'gestureConfig';
+    const CUSTOM_GESTURES_KEY = 'customGestures';
+    const IDLE_SAMPLES_KEY = 'idleSamples';   // Recorded "no gesture" poses ([{ landmarks, timestamp }])
+    const GESTURE_SETTINGS_KEY = 'gestureSettings';         // Detection settings changed in the app
+    const GESTURE_CALIBRATION_KEY = 'gestureCalibration';   // Per-gesture thresholds and look-alike margins
+
+    // Minimum score of motion gestures and recorded (landmark template) gestures
+    const DEFAULT_CUSTOM_THRESHOLD = 7.5;
+
+    // Names accepted in `fingers` descriptions (fingerpose Finger, FingerCurl and FingerDirection)
+    const FINGER_NAMES = ['Thumb', 'Index', 'Middle', 'Ring', 'Pinky'];
+    const FINGER_CURLS = ['NoCurl', 'HalfCurl', 'FullCurl'];
+    const FINGER_DIRECTIONS = [
+        'VerticalUp', 'VerticalDown', 'HorizontalLeft', 'HorizontalRight',
+        'DiagonalUpRight', 'DiagonalUpLeft', 'DiagonalDownRight', 'DiagonalDownLeft'
+    ];
+
+    // Built-in gestures; optional ones are toggled by configKey in the gesture config
+    const GESTURE_CATALOGUE = [
+        {
+            id: 'thumbs_up',
+            name: 'Thumbs Up',
+            category: 'basic',
+            icon: 'thumbs-up',
+            configKey: 'thumbsUp',
+            optional: false,
+            fingers: {
+                Thumb: {
+                    curl: { NoCurl: 1.0 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.7, DiagonalUpRight: 0.7 }
+                },
+                Index: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                },
+                Middle: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                },
+                Ring: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                },
+                Pinky: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                }
+            }
+        },
+        {
+            id: 'palm',
+            name: 'Palm',
+            category: 'basic',
+            icon: 'hand',
+            configKey: 'palm',
+            optional: false,
+            fingers: {
+                Thumb: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.3 },
+                    directions: { DiagonalUpRight: 1.0 }
+                },
+                Index: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.3 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.8, DiagonalUpRight: 0.8 }
+                },
+                Middle: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.3 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.8, DiagonalUpRight: 0.8 }
+                },
+                Ring: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.3 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.8, DiagonalUpRight: 0.8 }
+                },
+                Pinky: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.3 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.8, DiagonalUpRight: 0.8 }
+                }
+            }
+        },
+        {
+            id: 'pinch',
+            name: 'Pinch',
+            category: 'basic',
+            icon: 'pinch',
+            configKey: 'pinch',
+            optional: false,
+            fingers: {
+                Thumb: {
+                    curl: { NoCurl: 0.8, HalfCurl: 1.0 },
+                    directions: { DiagonalUpRight: 1.0, DiagonalUpLeft: 0.8 }
+                },
+                Index: {
+                    curl: { HalfCurl: 1.0 },
+                    directions: { DiagonalUpLeft: 1.0, DiagonalUpRight: 0.8 }
+                },
+                Middle: {
+                    curl: { HalfCurl: 0.8, FullCurl: 1.0 }
+                },
+                Ring: {
+                    curl: { HalfCurl: 0.8, FullCurl: 1.0 }
+                },
+                Pinky: {
+                    curl: { HalfCurl: 0.8, FullCurl: 1.0 }
+                }
+            }
+        },
+        {
+            id: 'point_up',
+            name: 'Point Up',
+            category: 'navigation',
+            icon: 'arrow-up',
+            configKey: 'pointUp',
+            optional: false,
+            fingers: {
+                Thumb: {
+                    curl: { HalfCurl: 0.8, NoCurl: 0.5 }
+                },
+                Index: {
+                    curl: { NoCurl: 1.0 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.8, DiagonalUpRight: 0.8 }
+                },
+                Middle: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.4 }
+                },
+                Ring: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.4 }
+                },
+                Pinky: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.4 }
+                }
+            }
+        },
+        {
+            id: 'point_down',
+            name: 'Point Down',
+            category: 'navigation',
+            icon: 'arrow-down',
+            configKey: 'pointDown',
+            optional: false,
+            fingers: {
+                Thumb: {
+                    curl: { HalfCurl: 0.8, NoCurl: 0.5 }
+                },
+                Index: {
+                    curl: { NoCurl: 1.0 },
+                    directions: { VerticalDown: 1.0, DiagonalDownLeft: 0.8, DiagonalDownRight: 0.8 }
+                },
+                Middle: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.4 }
+                },
+                Ring: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.4 }
+                },
+                Pinky: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.4 }
+                }
+            }
+        },
+        {
+            id: 'thumbs_down',
+            name: 'Thumbs Down',
+            category: 'basic',
+            icon: 'thumbs-down',
+            configKey: 'thumbsDown',
+            optional: true,
+            fingers: {
+                Thumb: {
+                    curl: { NoCurl: 1.0 },
+                    directions: { VerticalDown: 1.0, DiagonalDownLeft: 0.7, DiagonalDownRight: 0.7 }
+                },
+                Index: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                },
+                Middle: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                },
+                Ring: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                },
+                Pinky: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.5 }
+                }
+            }
+        },
+        {
+            id: 'victory',
+            name: 'Victory',
+            category: 'advanced',
+            icon: 'victory',
+            configKey: 'victory',
+            optional: true,
+            fingers: {
+                Thumb: {
+                    curl: { HalfCurl: 0.8, NoCurl: 0.5 }
+                },
+                Index: {
+                    curl: { NoCurl: 1.0 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.8, DiagonalUpRight: 0.8 }
+                },
+                Middle: {
+                    curl: { NoCurl: 1.0 },
+                    directions: { VerticalUp: 1.0, DiagonalUpLeft: 0.8, DiagonalUpRight: 0.8 }
+                },
+                Ring: {
+                    curl: { FullCurl: 1.0 }
+                },
+                Pinky: {
+                    curl: { FullCurl: 1.0 }
+                }
+            }
+        },
+        {
+            id: 'fist',
+            name: 'Fist',
+            category: 'advanced',
+            icon: 'fist',
+            configKey: 'fist',
+            optional: true,
+            fingers: {
+                Thumb: {
+                    curl: { FullCurl: 1.0, HalfCurl: 0.8 }
+                },
+                Index: {
+                    curl: { FullCurl: 1.0 }
+                },
+                Middle: {
+                    curl: { FullCurl: 1.0 }
+                },
+                Ring: {
+                    curl: { FullCurl: 1.0 }
+                },
+                Pinky: {
+                    curl: { FullCurl: 1.0 }
+                }
+            }
+        },
+        {
+            id: 'swipe_left',
+            name: 'Swipe Left',
+            category: 'navigation',
+            icon: 'swipe-left',
+            configKey: 'swipeLeft',
+            optional: true,
+            mirroredId: 'swipe_right',
+            fingers: {
+                Index: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalLeft: 1.0, DiagonalUpLeft: 0.8, DiagonalDownLeft: 0.8 }
+                },
+                Middle: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalLeft: 1.0, DiagonalUpLeft: 0.8, DiagonalDownLeft: 0.8 }
+                },
+                Ring: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalLeft: 1.0, DiagonalUpLeft: 0.8, DiagonalDownLeft: 0.8 }
+                },
+                Pinky: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalLeft: 1.0, DiagonalUpLeft: 0.8, DiagonalDownLeft: 0.8 }
+                }
+            }
+        },
+        {
+            id: 'swipe_right',
+            name: 'Swipe Right',
+            category: 'navigation',
+            icon: 'swipe-right',
+            configKey: 'swipeRight',
+            optional: true,
+            mirroredId: 'swipe_left',
+            fingers: {
+                Index: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalRight: 1.0, DiagonalUpRight: 0.8, DiagonalDownRight: 0.8 }
+                },
+                Middle: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalRight: 1.0, DiagonalUpRight: 0.8, DiagonalDownRight: 0.8 }
+                },
+                Ring: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalRight: 1.0, DiagonalUpRight: 0.8, DiagonalDownRight: 0.8 }
+                },
+                Pinky: {
+                    curl: { NoCurl: 1.0, HalfCurl: 0.4 },
+                    directions: { HorizontalRight: 1.0, DiagonalUpRight: 0.8, DiagonalDownRight: 0.8 }
+                }
+            }
+        }
+    ];
+
+    const DEFAULT_GESTURE_CONFIG = {
+        confidenceThreshold: 8.0,
+        enabledGestures: {
+            thumbsUp: true,
+            thumbsDown: true,
+            palm: true,
+            pinch: true,
+            pointUp: true,
+            pointDown: true,
+            victory: true,
+            fist: true,
+            swipeLeft: true,
+            swipeRight: true
+        },
+        gestureHistory: {},
+        adaptiveThreshold: true
+    };
+
+    // Thresholds used to recognize each frame (see handGestureRecognizer.js), from a gesture
+    // config and the saved detection settings, so the app and the background service agree
+    // Returns { config: { adaptiveThreshold, confidenceThreshold }, customThreshold }
+    function getRecognitionThresholds(config, settings) {
+        const gestureConfig = config || DEFAULT_GESTURE_CONFIG;
+        return {
+            config: {
+                adaptiveThreshold: gestureConfig.adaptiveThreshold !== false,
+                confidenceThreshold: typeof gestureConfig.confidenceThreshold === 'number'
+                    ? gestureConfig.confidenceThreshold
+                    : DEFAULT_GESTURE_CONFIG.confidenceThreshold
+            },
+            customThreshold: settings && typeof settings.customThreshold === 'number'
+                ? settings.customThreshold
+                : DEFAULT_CUSTOM_THRESHOLD
+        };
+    }
+
+    // Gestures with a mirroredId point in a direction of the view rather than of the hand.
+    // Left hands are estimated mirrored (see handOrientation.js), which turns such a gesture
+    // into its mirror image, so the estimate is reported under the mirrored id instead
+    function getViewGestureId(gestureId, handedness) {
+        if (handedness !== 'left') return gestureId;
+        const gesture = GESTURE_CATALOGUE.find(entry => entry.id === gestureId);
+        return (gesture && gesture.mirroredId) || gestureId;
+    }
+
+    // Built-in gestures enabled by a gesture config's enabledGestures
+    function getCatalogueGestures(enabledGestures) {
+        const enabled = enabledGestures || DEFAULT_GESTURE_CONFIG.enabledGestures;
+        return GESTURE_CATALOGUE.filter(gesture => !gesture.optional || enabled[gesture.configKey]);
+    }
+
+    // Build a fingerpose GestureDescription from `fingers` data
+    function buildGestureDescription(fp, gestureId, fingers) {
+        const description = new fp.GestureDescription(gestureId);
+
+        Object.keys(fingers).forEach(finger => {
+            const fingerData = fingers[finger];
+
+            Object.keys(fingerData.curl || {}).forEach(curl => {
+                description.addCurl(fp.Finger[finger], fp.FingerCurl[curl], fingerData.curl[curl]);
+            });
+
+            Object.keys(fingerData.directions || {}).forEach(direction => {
+                description.addDirection(fp.Finger[finger], fp.FingerDirection[direction], fingerData.directions[direction]);
+            });
+        });
+
+        return description;
+    }
+
+    // How a stored custom gesture is recognized
+    // 'motion' (hand trajectory), 'fingers' (fingerpose) or 'landmarks' (template classifier)
+    function getCustomGestureKind(gesture) {
+        const data = (gesture && gesture.data) || {};
+        if (data.type === 'motion') return 'motion';
+        if (data.fingers) return 'fingers';
+        if (data.frames || data.landmarks) return 'landmarks';
+        return null;
+    }
+
+    // Create a fingerpose estimator with the enabled built-in gestures and
+    // every custom gesture stored in the `fingers` format
+    function createGestureEstimator(fp, enabledGestures, customGestures) {
+        const descriptions = getCatalogueGestures(enabledGestures)
+            .map(gesture => buildGestureDescription(fp, gesture.id, gesture.fingers));
+
+        (customGestures || []).forEach(gesture => {
+            if (getCustomGestureKind(gesture) !== 'fingers') return;
+            try {
+                descriptions.push(buildGestureDescription(fp, gesture.id, gesture.data.fingers));
+            } catch (error) {
+                console.error(`Error converting gesture ${gesture.id}:`, error);
+            }
+        });
+
+        return new fp.GestureEstimator(descriptions);
+    }
+
+    const GestureCatalogue = {
+        GESTURE_CONFIG_KEY,
+        CUSTOM_GESTURES_KEY,
+        IDLE_SAMPLES_KEY,
+        GESTURE_SETTINGS_KEY,
+        GESTURE_CALIBRATION_KEY,
+        DEFAULT_CUSTOM_THRESHOLD,
+        FINGER_NAMES,
+        FINGER_CURLS,
+        FINGER_DIRECTIONS,
+        GESTURE_CATALOGUE,
+        DEFAULT_GESTURE_CONFIG,
+        getRecognitionThresholds,
+        getViewGestureId,
+        getCatalogueGestures,
+        buildGestureDescription,
+        getCustomGestureKind,
+        createGestureEstimator
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GestureCatalogue;
+    } else {
+        global.GestureCatalogue = GestureCatalogue;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
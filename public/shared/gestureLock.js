@@ -0,0 +1,145 @@
+// Gesture lock: arming gesture control with a wake gesture
+// While locked, recognized gestures don't run their actions. Holding the wake gesture
+// (or performing the wake sequence) unlocks control for armedMs; the lock gesture or
+// the timeout locks it again. Honoured by detectGesture/GestureDetector and the web
+// background service, which both read the settings from 'gestureSettings'.gestureLock.
+
+(function (global) {
+    const DEFAULT_LOCK_SETTINGS = {
+        enabled: false,
+        wakeGesture: 'victory',
+        wakeSequence: null,      // e.g. ['palm', 'fist'] to wake with a sequence instead
+        wakeHoldMs: 600,         // How long the wake gesture has to be held
+        lockGesture: 'fist',     // null to only lock on timeout
+        armedMs: 10000,          // How long control stays unlocked
+        extendOnUse: true,       // Every recognized gesture restarts the armed period
+        sequenceWindowMs: 3000   // Time allowed for the whole wake sequence
+    };
+
+    function normalizeLockSettings(settings) {
+        return { ...DEFAULT_LOCK_SETTINGS, ...(settings || {}) };
+    }
+
+    // Create a lock fed with every frame's recognized gesture (null for none)
+    function createGestureLock(settings) {
+        let config = normalizeLockSettings(settings);
+        let armedUntil = 0;
+        let held = null;          // { gesture, since, wokeControl } of the gesture currently held
+        let recent = [];          // Distinct recent gestures, for the wake sequence
+
+        const isArmed = (timestamp = Date.now()) => !config.enabled || timestamp < armedUntil;
+
+        const arm = (timestamp = Date.now()) => {
+            armedUntil = timestamp + config.armedMs;
+        };
+
+        const lock = () => {
+            armedUntil = 0;
+            recent = [];
+        };
+
+        const matchesWakeSequence = (timestamp) => {
+            const sequence = config.wakeSequence;
+            if (!Array.isArray(sequence) || sequence.length === 0 || recent.length < sequence.length) {
+                return false;
+            }
+
+            const tail = recent.slice(-sequence.length);
+            return tail.every((entry, i) => entry.gesture === sequence[i]) &&
+                timestamp - tail[0].timestamp <= config.sequenceWindowMs;
+        };
+
+        return {
+            // Returns { armed, changed, consumed, remainingMs, wakeProgress }
+            // changed is 'armed' or 'locked' in the frame the state changes; consumed means the
+            // gesture was used to wake or lock and shouldn't run its own action
+            update: (gesture, timestamp = Date.now()) => {
+                if (!config.enabled) {
+                    return { armed: true, changed: null, consumed: false, remainingMs: Infinity, wakeProgress: 0 };
+                }
+
+                let changed = null;
+                let consumed = false;
+                let wakeProgress = 0;
+
+                // The armed period ran out
+                if (armedUntil !== 0 && timestamp >= armedUntil) {
+                    lock();
+                    changed = 'locked';
+                }
+
+                if (!gesture) {
+                    held = null;
+                } else if (!held || held.gesture !== gesture) {
+                    held = { gesture, since: timestamp, wokeControl: false };
+                    recent.push({ gesture, timestamp });
+                    if (recent.length > 5) {
+                        recent.shift();
+                    }
+                }
+
+                if (!gesture) {
+                    // Nothing to do without a gesture
+                } else if (isArmed(timestamp)) {
+                    if (held.wokeControl) {
+                        // The gesture that woke control neither runs its action nor locks again
+                        consumed = true;
+                    } else if (gesture === config.lockGesture) {
+                        lock();
+                        changed = 'locked';
+                        consumed = true;
+                    } else if (config.extendOnUse) {
+                        arm(timestamp);
+                    }
+                } else {
+                    if (config.wakeSequence) {
+                        if (matchesWakeSequence(timestamp)) {
+                            arm(timestamp);
+                            changed = 'armed';
+                        }
+                    } else if (gesture === config.wakeGesture) {
+                        wakeProgress = Math.min(1, (timestamp - held.since) / config.wakeHoldMs);
+                        if (wakeProgress >= 1) {
+                            arm(timestamp);
+                            changed = 'armed';
+                        }
+                    }
+                    held.wokeControl = changed === 'armed';
+                    // Nothing runs while locked
+                    consumed = true;
+                }
+
+                const armed = isArmed(timestamp);
+                return {
+                    armed,
+                    changed,
+                    consumed,
+                    remainingMs: armed ? armedUntil - timestamp : 0,
+                    wakeProgress
+                };
+            },
+
+            isArmed,
+            arm,
+            lock,
+
+            setSettings: (settings) => {
+                config = normalizeLockSettings(settings);
+            },
+
+            getSettings: () => ({ ...config })
+        };
+    }
+
+    const GestureLock = {
+        DEFAULT_LOCK_SETTINGS,
+        normalizeLockSettings,
+        createGestureLock
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GestureLock;
+    } else {
+        global.GestureLock = GestureLock;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
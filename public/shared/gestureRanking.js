@@ -0,0 +1,116 @@
+// Post-processing of per-frame gesture scores
+// Adaptive confidence threshold and stability ranking used by detectGesture,
+// kept here so the offline evaluator (scripts/evaluate-gestures.js) ranks frames the same way
+
+(function (global) {
+    const DEFAULT_ADAPTIVE_THRESHOLD = 7.5;
+
+    // Adaptive threshold bounds and movement limits (pixels per frame)
+    const MIN_ADAPTIVE_THRESHOLD = 6.0;
+    const MAX_ADAPTIVE_THRESHOLD = 9.0;
+    const FAST_MOVEMENT = 15;
+    const STILL_MOVEMENT = 5;
+
+    // Stability ranking parameters
+    const HISTORY_LENGTH = 10;           // Scores kept per gesture
+    const MIN_HISTORY = 3;               // Scores needed before stability counts
+    const CLOSE_SCORE_RATIO = 0.9;       // Runner-up within 10% of the leader is "close"
+    const STABILITY_ADVANTAGE = 1.5;     // How much steadier the runner-up has to be to win
+    const RANKED_GESTURES = 3;
+
+    // Threshold for one frame from the running adaptive threshold and the hand's speed
+    // config: { adaptiveThreshold: boolean, confidenceThreshold: number }
+    function getConfidenceThreshold(adaptiveThreshold, movementMagnitude, config) {
+        if (!config.adaptiveThreshold) {
+            return config.confidenceThreshold;
+        }
+
+        let threshold = adaptiveThreshold;
+
+        // If hand is moving fast, increase threshold to prevent false positives
+        if (movementMagnitude > FAST_MOVEMENT) {
+            threshold += 1.0;
+        } else if (movementMagnitude < STILL_MOVEMENT) {
+            // If hand is relatively still, lower threshold for better detection
+            threshold -= 0.5;
+        }
+
+        // Keep threshold within reasonable bounds
+        return Math.max(MIN_ADAPTIVE_THRESHOLD, Math.min(threshold, MAX_ADAPTIVE_THRESHOLD));
+    }
+
+    // Move the running adaptive threshold towards the threshold used for a frame with gestures
+    function updateAdaptiveThreshold(adaptiveThreshold, frameThreshold) {
+        if (adaptiveThreshold === frameThreshold) return adaptiveThreshold;
+        return frameThreshold * 0.9 + adaptiveThreshold * 0.1; // Smooth transition
+    }
+
+    // Ranker that remembers recent scores of each gesture
+    function createGestureRanker() {
+        let history = {};
+
+        // Inverse standard deviation of recent scores; higher is more stable
+        const getStability = (gestureName) => {
+            const scores = history[gestureName];
+            if (!scores || scores.length < MIN_HISTORY) {
+                return 0;
+            }
+
+            const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+            const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+
+            return 1 / (Math.sqrt(variance) + 0.01); // Add small epsilon to avoid division by zero
+        };
+
+        return {
+            // Record one frame's gestures ([{ name, score }]) and return them ranked best first
+            // When the top two scores are close, the more stable gesture wins
+            rank: (gestures) => {
+                gestures.forEach(gesture => {
+                    if (!history[gesture.name]) {
+                        history[gesture.name] = [];
+                    }
+                    history[gesture.name].push(gesture.score);
+                    if (history[gesture.name].length > HISTORY_LENGTH) {
+                        history[gesture.name].shift();
+                    }
+                });
+
+                const ranked = [...gestures]
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, RANKED_GESTURES);
+
+                if (ranked.length >= 2) {
+                    const [first, second] = ranked;
+
+                    if (second.score > first.score * CLOSE_SCORE_RATIO &&
+                        getStability(second.name) > getStability(first.name) * STABILITY_ADVANTAGE) {
+                        ranked[0] = second;
+                        ranked[1] = first;
+                    }
+                }
+
+                return ranked;
+            },
+
+            getStability,
+
+            reset: () => {
+                history = {};
+            }
+        };
+    }
+
+    const GestureRanking = {
+        DEFAULT_ADAPTIVE_THRESHOLD,
+        getConfidenceThreshold,
+        updateAdaptiveThreshold,
+        createGestureRanker
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GestureRanking;
+    } else {
+        global.GestureRanking = GestureRanking;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,97 @@
+// Gesture sequence matching shared by the app and the web background service
+// Loaded as a plain script by index.html and imported by src/utils/gestureSequences.js
+
+(function (global) {
+    // Storage key (AsyncStorage in the app, localStorage on the web)
+    const SEQUENCE_STORAGE_KEY = 'gestureSequences';
+
+    // Default timing windows in milliseconds
+    const DEFAULT_MAX_INTERVAL = 1500; // Between two consecutive gestures
+    const DEFAULT_MAX_DURATION = 3000; // From the first to the last gesture
+
+    const DEFAULT_SEQUENCES = [
+        { gestures: ['thumbs_up', 'thumbs_down'], action: 'TOGGLE_APPROVAL' },
+        { gestures: ['palm', 'fist'], action: 'GRAB_OBJECT' },
+        { gestures: ['swipe_left', 'swipe_right'], action: 'SHAKE_GESTURE' },
+        { gestures: ['victory', 'fist'], action: 'SCISSORS_TO_ROCK' },
+        { gestures: ['point_up', 'point_down'], action: 'FLIP_DIRECTION' }
+    ].map(sequence => normalizeSequence(sequence));
+
+    // Fill in defaults for a user-defined sequence
+    function normalizeSequence(sequence) {
+        return {
+            id: sequence.id || sequence.gestures.join(','),
+            gestures: sequence.gestures,
+            action: sequence.action,
+            maxInterval: sequence.maxInterval || DEFAULT_MAX_INTERVAL,
+            maxDuration: sequence.maxDuration || DEFAULT_MAX_DURATION,
+            enabled: sequence.enabled !== false
+        };
+    }
+
+    // Check that a sequence can be stored and matched
+    function validateSequence(sequence) {
+        if (!sequence || !Array.isArray(sequence.gestures) || sequence.gestures.length < 2) {
+            return 'A sequence needs at least two gestures';
+        }
+        if (sequence.gestures.some(gesture => typeof gesture !== 'string' || !gesture)) {
+            return 'Sequence gestures must be gesture ids';
+        }
+        if (typeof sequence.action !== 'string' || !sequence.action) {
+            return 'A sequence needs an action';
+        }
+        return null;
+    }
+
+    // Find the sequence completed by the most recent gesture
+    // history is a list of { gesture, timestamp } entries, oldest first
+    // Longer sequences win so 'palm,fist,palm' is not shadowed by 'palm,fist'
+    function matchSequence(history, sequences) {
+        if (!history || history.length < 2) return null;
+
+        const candidates = (sequences || DEFAULT_SEQUENCES)
+            .filter(sequence => sequence.enabled !== false && sequence.gestures.length <= history.length)
+            .sort((a, b) => b.gestures.length - a.gestures.length);
+
+        for (const sequence of candidates) {
+            const recent = history.slice(-sequence.gestures.length);
+
+            if (recent.some((entry, i) => entry.gesture !== sequence.gestures[i])) continue;
+
+            // Every step has to follow the previous one quickly enough
+            const maxInterval = sequence.maxInterval || DEFAULT_MAX_INTERVAL;
+            const withinInterval = recent.every((entry, i) =>
+                i === 0 || entry.timestamp - recent[i - 1].timestamp <= maxInterval
+            );
+
+            const duration = recent[recent.length - 1].timestamp - recent[0].timestamp;
+            if (withinInterval && duration <= (sequence.maxDuration || DEFAULT_MAX_DURATION)) {
+                return sequence;
+            }
+        }
+
+        return null;
+    }
+
+    // How long gesture history has to be kept to match any enabled sequence
+    function getSequenceWindow(sequences) {
+        return (sequences || DEFAULT_SEQUENCES)
+            .filter(sequence => sequence.enabled !== false)
+            .reduce((longest, sequence) => Math.max(longest, sequence.maxDuration || DEFAULT_MAX_DURATION), DEFAULT_MAX_DURATION);
+    }
+
+    const GestureSequences = {
+        SEQUENCE_STORAGE_KEY,
+        DEFAULT_SEQUENCES,
+        normalizeSequence,
+        validateSequence,
+        matchSequence,
+        getSequenceWindow
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GestureSequences;
+    } else {
+        global.GestureSequences = GestureSequences;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
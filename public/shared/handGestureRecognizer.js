@@ -0,0 +1,113 @@
+// Per-frame gesture recognition for one tracked hand
+// Runs the steps detectGesture applies to each hand (thresholds, fingerpose, calibration,
+// custom landmark templates, idle rejection and ranking), shared with the offline
+// evaluator (scripts/evaluate-gestures.js) so both recognize frames the same way
+
+(function (global) {
+    const isCommonJS = typeof module !== 'undefined' && module.exports;
+    const GestureRanking = isCommonJS ? require('./gestureRanking') : global.GestureRanking;
+    const GestureCalibration = isCommonJS ? require('./gestureCalibration') : global.GestureCalibration;
+    const GestureCatalogue = isCommonJS ? require('./gestureCatalogue') : global.GestureCatalogue;
+    const HandOrientation = isCommonJS ? require('./handOrientation') : global.HandOrientation;
+    const LandmarkClassifier = isCommonJS ? require('./landmarkClassifier') : global.LandmarkClassifier;
+
+    // Recognize the gesture of one hand in one frame
+    // hand: { landmarks, velocity, trajectory, handedness } with smoothed view-space landmarks,
+    //   the hand's velocity (pixels per frame), its trajectory recognizer and handedness estimator
+    // context: {
+    //   estimator,          fingerpose GestureEstimator
+    //   calibration,        per-gesture calibration (see gestureCalibration.js)
+    //   config,             { adaptiveThreshold, confidenceThreshold }
+    //   customThreshold,    minimum score of motion and landmark-template gestures
+    //   handedness,         'auto', 'right' or 'left'
+    //   adaptiveThreshold,  current adaptive threshold
+    //   ranker              stability ranker (see gestureRanking.js)
+    // }
+    // Returns { gesture, motion, allGestures, handedness, adaptiveThreshold }, or null
+    // when nothing is recognized; the caller keeps the returned adaptiveThreshold
+    const recognizeHandGesture = (hand, context) => {
+        const { velocity } = hand;
+        const movementMagnitude = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+
+        // Match the recent hand path against motion gestures
+        const motionGesture = hand.trajectory.match(context.customThreshold);
+
+        // Adjust confidence threshold based on movement (or use the fixed threshold from config)
+        const confidenceThreshold = GestureRanking.getConfidenceThreshold(
+            context.adaptiveThreshold,
+            movementMagnitude,
+            context.config
+        );
+
+        // Poses are defined for a right hand, so left hands are mirrored before estimation
+        const handedness = hand.handedness.update(hand.landmarks, context.handedness);
+        const poseLandmarks = HandOrientation.toPoseSpace(hand.landmarks, handedness);
+
+        // Estimate gestures using fingerpose, including runners-up just below the threshold
+        // so calibrated look-alike margins can be checked
+        const estimatedGestures = context.estimator.estimate(
+            poseLandmarks,
+            GestureCalibration.getCandidateThreshold(context.calibration, confidenceThreshold)
+        );
+
+        // Pointing directions are mirrored along with a left hand, so gestures that point
+        // somewhere in the view (swipes) are reported as their mirror image
+        const viewGestures = estimatedGestures.gestures.map(gesture => ({
+            ...gesture,
+            name: GestureCatalogue.getViewGestureId(gesture.name, handedness)
+        }));
+
+        // Apply per-gesture thresholds and reject frames where confused gestures are too close
+        const { gestures: calibratedGestures } = GestureCalibration.applyCalibration(
+            context.calibration,
+            viewGestures,
+            confidenceThreshold
+        );
+
+        // Score recorded custom gestures on the same 0-10 scale
+        const templateGestures = LandmarkClassifier.classifyLandmarks(poseLandmarks, context.customThreshold);
+
+        const detectedGestures = [...calibratedGestures, ...templateGestures];
+        if (motionGesture) {
+            detectedGestures.push(motionGesture);
+        }
+
+        if (detectedGestures.length === 0) {
+            return null;
+        }
+
+        // A pose closer to the recorded idle samples than to any gesture is no gesture
+        if (!motionGesture && LandmarkClassifier.isIdlePose(poseLandmarks, detectedGestures)) {
+            return null;
+        }
+
+        const allGestures = {};
+        detectedGestures.forEach(gesture => {
+            allGestures[gesture.name] = gesture.score;
+        });
+
+        // If the top gestures have similar scores, prefer the one that has been more stable
+        // A completed motion gesture takes precedence over the pose it was performed with
+        const [best] = context.ranker.rank(detectedGestures);
+        const gesture = motionGesture || best;
+
+        return {
+            gesture,
+            motion: gesture === motionGesture,
+            allGestures,
+            handedness,
+            // Gradually adjust the threshold while gestures are detected
+            adaptiveThreshold: GestureRanking.updateAdaptiveThreshold(context.adaptiveThreshold, confidenceThreshold)
+        };
+    };
+
+    const HandGestureRecognizer = {
+        recognizeHandGesture
+    };
+
+    if (isCommonJS) {
+        module.exports = HandGestureRecognizer;
+    } else {
+        global.HandGestureRecognizer = HandGestureRecognizer;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
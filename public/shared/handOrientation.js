@@ -0,0 +1,127 @@
+// Handedness and camera-orientation canonicalization of handpose landmarks
+// Gesture definitions (fingerpose directions, motion templates) are written for a right
+// hand seen by the front camera, in unflipped image coordinates. Two steps map any hand
+// and camera onto that:
+//   - view space: rear-camera frames are mirrored, so moving the hand to the user's left
+//     always increases x (hand positions, trajectories and swipes use this space)
+//   - pose space: left hands are additionally mirrored about the wrist, so a left-hand pose
+//     looks like the same right-hand pose (estimation and templates use this space); the
+//     wrist, which is the tracked hand center, doesn't move. Mirroring also swaps left and
+//     right pointing directions, so gestures that point somewhere in the view are mapped
+//     back by the catalogue's mirroredId (see handGestureRecognizer.js)
+// Shared by the app, the web background service and the offline evaluator.
+
+(function (global) {
+    const HANDEDNESS_MODES = ['auto', 'right', 'left'];
+    const CAMERA_FACINGS = ['front', 'rear'];
+
+    const DEFAULT_ORIENTATION_SETTINGS = {
+        handedness: 'auto',     // 'left' is the left-handed mode
+        cameraFacing: 'front'
+    };
+
+    // Handedness votes kept per hand, and the palm-area ratio below which a frame doesn't vote
+    const HANDEDNESS_HISTORY = 15;
+    const MIN_PALM_AREA = 0.15;
+
+    function normalizeOrientationSettings(settings) {
+        const merged = { ...DEFAULT_ORIENTATION_SETTINGS, ...(settings || {}) };
+        return {
+            handedness: HANDEDNESS_MODES.includes(merged.handedness) ? merged.handedness : 'auto',
+            cameraFacing: CAMERA_FACINGS.includes(merged.cameraFacing) ? merged.cameraFacing : 'front'
+        };
+    }
+
+    // Camera facing from a getUserMedia track's facingMode ('user', 'environment' or undefined)
+    function getCameraFacing(facingMode) {
+        return facingMode === 'environment' ? 'rear' : 'front';
+    }
+
+    // Mirror the whole frame horizontally (frameWidth unknown: mirror about x = 0)
+    function mirrorFrame(landmarks, frameWidth) {
+        return landmarks.map(([x, y, z]) => [frameWidth ? frameWidth - x : -x, y, z]);
+    }
+
+    // Mirror a hand about its wrist, which keeps the hand center in place
+    function mirrorAboutWrist(landmarks) {
+        const wristX = landmarks[0][0];
+        return landmarks.map(([x, y, z]) => [2 * wristX - x, y, z]);
+    }
+
+    // Image-space landmarks → view space (and back, the mirror being its own inverse)
+    function toViewSpace(landmarks, frameWidth, cameraFacing) {
+        return cameraFacing === 'rear' ? mirrorFrame(landmarks, frameWidth) : landmarks;
+    }
+
+    // View-space landmarks of a hand with known handedness → pose space
+    function toPoseSpace(landmarks, handedness) {
+        return handedness === 'left' ? mirrorAboutWrist(landmarks) : landmarks;
+    }
+
+    // Handedness of one view-space hand from the winding of wrist, index base and pinky base
+    // Assumes the palm faces the camera, as it does for most gestures; returns null when the
+    // palm is seen edge-on and the winding can't be trusted
+    // The back of a right hand has the same winding as a left palm (and vice versa), so
+    // back-of-hand poses are misjudged in 'auto' mode; setting the hand explicitly avoids it
+    function estimateHandedness(landmarks) {
+        if (!landmarks || landmarks.length < 21) return null;
+
+        const [wx, wy] = landmarks[0];
+        const [ix, iy] = landmarks[5];
+        const [px, py] = landmarks[17];
+        const cross = (ix - wx) * (py - wy) - (iy - wy) * (px - wx);
+
+        // Compare the palm triangle with the palm length so small, edge-on palms don't vote
+        const palmLength = Math.hypot(landmarks[9][0] - wx, landmarks[9][1] - wy);
+        if (palmLength === 0 || Math.abs(cross) / (palmLength * palmLength) < MIN_PALM_AREA) {
+            return null;
+        }
+
+        return cross < 0 ? 'right' : 'left';
+    }
+
+    // Majority vote over recent frames of one hand
+    // mode 'right' or 'left' fixes the answer; 'auto' estimates it
+    function createHandednessEstimator() {
+        let votes = [];
+
+        return {
+            update: (landmarks, mode = 'auto') => {
+                if (mode === 'right' || mode === 'left') {
+                    return mode;
+                }
+
+                const vote = estimateHandedness(landmarks);
+                if (vote) {
+                    votes.push(vote);
+                    if (votes.length > HANDEDNESS_HISTORY) {
+                        votes.shift();
+                    }
+                }
+
+                const left = votes.filter(v => v === 'left').length;
+                return left * 2 > votes.length ? 'left' : 'right';
+            },
+
+            reset: () => {
+                votes = [];
+            }
+        };
+    }
+
+    const HandOrientation = {
+        DEFAULT_ORIENTATION_SETTINGS,
+        normalizeOrientationSettings,
+        getCameraFacing,
+        toViewSpace,
+        toPoseSpace,
+        estimateHandedness,
+        createHandednessEstimator
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HandOrientation;
+    } else {
+        global.HandOrientation = HandOrientation;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,180 @@
+// Client for public/handposeWorker.js
+// Sends camera frames to the worker as transferred ImageBitmaps and falls back to
+// running handpose on the main thread where workers, OffscreenCanvas or
+// createImageBitmap are unavailable (e.g. React Native) or the worker fails
+
+(function (global) {
+    const LOAD_TIMEOUT = 60000;      // Model download and warm-up (ms)
+    const ESTIMATE_TIMEOUT = 5000;   // A single frame (ms)
+
+    // Check that this environment can run inference in a worker
+    function isWorkerSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    // options.workerUrl: URL of handposeWorker.js
+    // options.loadModel: async function (modelUrl) returning a main-thread handpose model for the fallback
+    function createHandposeWorkerClient(options) {
+        const settings = options || {};
+        let worker = null;
+        let model = null;
+        let mode = null;             // 'worker' or 'main' once loaded
+        let loading = null;
+        let modelUrl;                // Where the model files are served (see shared/modelAssets.js)
+        let nextId = 1;
+        const pending = {};
+
+        // Reject everything in flight and stop using the worker
+        const failWorker = (error) => {
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+            mode = null;
+            Object.keys(pending).forEach(id => {
+                pending[id].reject(error);
+                delete pending[id];
+            });
+        };
+
+        const request = (message, transfer, timeout) => {
+            return new Promise((resolve, reject) => {
+                const id = nextId++;
+                const timer = setTimeout(() => {
+                    delete pending[id];
+                    reject(new Error(`Handpose worker timed out (${message.type})`));
+                }, timeout);
+
+                pending[id] = {
+                    resolve: (value) => {
+                        clearTimeout(timer);
+                        resolve(value);
+                    },
+                    reject: (error) => {
+                        clearTimeout(timer);
+                        reject(error);
+                    }
+                };
+
+                worker.postMessage({ ...message, id }, transfer || []);
+            });
+        };
+
+        const startWorker = async () => {
+            worker = new Worker(settings.workerUrl || 'handposeWorker.js');
+
+            worker.onmessage = (event) => {
+                const message = event.data || {};
+                const entry = pending[message.id];
+                if (!entry) return;
+                delete pending[message.id];
+
+                if (message.type === 'error') {
+                    entry.reject(new Error(message.error));
+                } else {
+                    entry.resolve(message);
+                }
+            };
+
+            worker.onerror = (event) => {
+                failWorker(new Error(event.message || 'Handpose worker failed'));
+            };
+
+            const ready = await request({ type: 'load', modelUrl }, [], LOAD_TIMEOUT);
+            console.log(`Handpose model loaded in worker (${ready.backend}, ${ready.modelUrl})`);
+            mode = 'worker';
+        };
+
+        const startMainThread = async () => {
+            if (!settings.loadModel) {
+                throw new Error('No main-thread handpose model available');
+            }
+            model = model || await settings.loadModel(modelUrl);
+            mode = 'main';
+        };
+
+        const startModel = async () => {
+            if (isWorkerSupported()) {
+                try {
+                    await startWorker();
+                    return mode;
+                } catch (error) {
+                    console.warn('Handpose worker unavailable, using the main thread:', error.message);
+                    failWorker(error);
+                }
+            }
+
+            await startMainThread();
+            return mode;
+        };
+
+        // Load the model, preferring the worker; resolves to 'worker' or 'main'
+        // Concurrent callers share one load; url is the model URL (undefined for the default)
+        const load = (url) => {
+            if (mode) return Promise.resolve(mode);
+            if (!loading) {
+                modelUrl = url;
+                loading = startModel().finally(() => {
+                    loading = null;
+                });
+            }
+            return loading;
+        };
+
+        // Estimate hands in a video, image or canvas element
+        // Resolves to [{ landmarks, boundingBox, handInViewConfidence }]
+        const estimateHands = async (source, flipHorizontal = false) => {
+            if (!mode) {
+                await load();
+            }
+
+            // A video that hasn't decoded a frame yet (HAVE_CURRENT_DATA) has nothing to estimate
+            if (typeof source.readyState === 'number' && source.readyState < 2) {
+                return [];
+            }
+
+            if (mode === 'worker') {
+                // A frame that can't be captured is skipped; the worker itself is fine
+                let bitmap;
+                try {
+                    bitmap = await createImageBitmap(source);
+                } catch (error) {
+                    console.warn('Skipping a frame that could not be captured:', error.message);
+                    return [];
+                }
+
+                try {
+                    const result = await request({ type: 'estimate', bitmap, flipHorizontal }, [bitmap], ESTIMATE_TIMEOUT);
+                    return result.hands;
+                } catch (error) {
+                    // A failing worker is replaced by the main-thread model
+                    console.warn('Handpose worker failed, switching to the main thread:', error.message);
+                    failWorker(error);
+                    await startMainThread();
+                }
+            }
+
+            return model.estimateHands(source, flipHorizontal);
+        };
+
+        return {
+            load,
+            estimateHands,
+            getMode: () => mode,
+            terminate: () => failWorker(new Error('Handpose worker terminated'))
+        };
+    }
+
+    const HandposeWorkerClient = {
+        isWorkerSupported,
+        createHandposeWorkerClient
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HandposeWorkerClient;
+    } else {
+        global.HandposeWorkerClient = HandposeWorkerClient;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
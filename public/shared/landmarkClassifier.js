@@ -0,0 +1,200 @@
+// Landmark template classifier for custom gestures
+// Compares normalized handpose landmarks against frames recorded in GestureTrainingInterface
+// Shared by the app and the web background service so trained gestures match the same way
+
+(function (global) {
+    // Handpose landmark indices used for normalization
+    const LANDMARK_COUNT = 21;
+    const WRIST = 0;
+    const MIDDLE_MCP = 9;
+
+    // Depth estimates from handpose are noisy, so they count less than x/y
+    const DEPTH_WEIGHT = 0.5;
+
+    // Matching parameters
+    const MAX_TEMPLATES_PER_GESTURE = 20;
+    const MAX_AUGMENTED_TEMPLATES = 20;  // Synthetic variations saved with a gesture, on top of the recorded ones
+    const MAX_IDLE_TEMPLATES = 60;       // Idle poses vary more, so more of them are kept
+    const NEAREST_TEMPLATES = 3;         // Average the k nearest templates of each gesture
+    const MAX_MATCH_DISTANCE = 0.6;      // Distance (in palm lengths) that maps to a score of 0
+
+    // Normalized templates keyed by gesture id
+    let gestureTemplates = {};
+
+    // Normalized "no gesture" poses (resting hand, typing, scratching...) forming a rejection class
+    let idleTemplates = [];
+
+    // Normalize landmarks for translation, scale and in-plane rotation
+    // Result is a list of 21 [x, y, z] points with the wrist at the origin,
+    // the middle finger base pointing straight up and a palm length of 1
+    const normalizeLandmarks = (landmarks) => {
+        if (!landmarks || landmarks.length < LANDMARK_COUNT) return null;
+
+        // Translate so the wrist is the origin
+        const [originX, originY, originZ = 0] = landmarks[WRIST];
+        const translated = landmarks.map(([x, y, z = 0]) => [
+            x - originX,
+            y - originY,
+            (z - originZ) * DEPTH_WEIGHT
+        ]);
+
+        // Palm length (wrist to middle finger base) defines the scale
+        const [palmX, palmY, palmZ] = translated[MIDDLE_MCP];
+        const palmLength = Math.sqrt(palmX * palmX + palmY * palmY + palmZ * palmZ);
+        if (palmLength === 0) return null;
+
+        // Rotate so the palm points up (negative y in image coordinates)
+        const angle = -Math.atan2(palmX, -palmY);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        return translated.map(([x, y, z]) => [
+            (x * cos - y * sin) / palmLength,
+            (x * sin + y * cos) / palmLength,
+            z / palmLength
+        ]);
+    };
+
+    // Mean per-landmark distance between two normalized poses
+    const landmarkDistance = (a, b) => {
+        let total = 0;
+        for (let i = 0; i < LANDMARK_COUNT; i++) {
+            const dx = a[i][0] - b[i][0];
+            const dy = a[i][1] - b[i][1];
+            const dz = a[i][2] - b[i][2];
+            total += Math.sqrt(dx * dx + dy * dy + dz * dz);
+        }
+        return total / LANDMARK_COUNT;
+    };
+
+    // Convert a template distance to the 0-10 scale used by fingerpose
+    const distanceToScore = (distance) => {
+        return Math.max(0, 1 - distance / MAX_MATCH_DISTANCE) * 10;
+    };
+
+    // Normalize recorded poses, keeping at most `limit` spread evenly over the recording
+    const selectTemplates = (samples, limit) => {
+        const normalized = samples
+            .map(normalizeLandmarks)
+            .filter(template => template !== null);
+
+        const step = Math.max(1, normalized.length / limit);
+        const selected = [];
+        for (let i = 0; i < normalized.length && selected.length < limit; i += step) {
+            selected.push(normalized[Math.floor(i)]);
+        }
+        return selected;
+    };
+
+    // Average distance from a pose to its nearest templates
+    const nearestDistance = (pose, templates) => {
+        const nearest = templates
+            .map(template => landmarkDistance(pose, template))
+            .sort((a, b) => a - b)
+            .slice(0, NEAREST_TEMPLATES);
+
+        return nearest.reduce((sum, d) => sum + d, 0) / nearest.length;
+    };
+
+    // Register the recorded frames of a custom gesture as templates
+    // Accepts the data saved by GestureTrainingInterface ({ frames, landmarks, augmentedFrames })
+    const setGestureTemplates = (gestureId, gestureData) => {
+        const samples = gestureData.frames && gestureData.frames.length > 0
+            ? gestureData.frames.map(frame => frame.landmarks)
+            : [gestureData.landmarks];
+        const augmented = (gestureData.augmentedFrames || []).map(frame => frame.landmarks);
+
+        const selected = [
+            ...selectTemplates(samples, MAX_TEMPLATES_PER_GESTURE),
+            ...selectTemplates(augmented, MAX_AUGMENTED_TEMPLATES)
+        ];
+        if (selected.length === 0) {
+            delete gestureTemplates[gestureId];
+            return 0;
+        }
+
+        gestureTemplates[gestureId] = selected;
+        return selected.length;
+    };
+
+    // Register recorded idle frames ([{ landmarks }]) as the rejection class
+    const setIdleTemplates = (frames) => {
+        idleTemplates = selectTemplates((frames || []).map(frame => frame.landmarks), MAX_IDLE_TEMPLATES);
+        return idleTemplates.length;
+    };
+
+    const clearIdleTemplates = () => {
+        idleTemplates = [];
+    };
+
+    // Similarity of a pose to the idle class on the 0-10 gesture scale (0 without idle samples)
+    const scoreIdlePose = (landmarks) => {
+        if (idleTemplates.length === 0) return 0;
+
+        const pose = normalizeLandmarks(landmarks);
+        if (!pose) return 0;
+
+        return distanceToScore(nearestDistance(pose, idleTemplates));
+    };
+
+    // Whether a pose is closer to the idle class than to every detected gesture ([{ name, score }])
+    const isIdlePose = (landmarks, gestures) => {
+        if (idleTemplates.length === 0 || gestures.length === 0) return false;
+
+        const bestScore = Math.max(...gestures.map(gesture => gesture.score));
+        return scoreIdlePose(landmarks) >= bestScore;
+    };
+
+    // Remove all templates (e.g. before reloading custom gestures)
+    const clearGestureTemplates = () => {
+        gestureTemplates = {};
+    };
+
+    // Check whether any template gestures are registered
+    const hasGestureTemplates = () => {
+        return Object.keys(gestureTemplates).length > 0;
+    };
+
+    // Score landmarks against every template gesture
+    // Returns [{ name, score, distance }] for gestures scoring at least minScore
+    const classifyLandmarks = (landmarks, minScore = 0) => {
+        if (!hasGestureTemplates()) return [];
+
+        const pose = normalizeLandmarks(landmarks);
+        if (!pose) return [];
+
+        const results = [];
+
+        for (const [gestureId, templates] of Object.entries(gestureTemplates)) {
+            // Average the distance to the nearest templates of this gesture
+            const distance = nearestDistance(pose, templates);
+            const score = distanceToScore(distance);
+
+            if (score >= minScore) {
+                results.push({ name: gestureId, score, distance });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    };
+
+    const LandmarkClassifier = {
+        normalizeLandmarks,
+        landmarkDistance,
+        distanceToScore,
+        setGestureTemplates,
+        clearGestureTemplates,
+        hasGestureTemplates,
+        classifyLandmarks,
+        setIdleTemplates,
+        clearIdleTemplates,
+        scoreIdlePose,
+        isIdlePose
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LandmarkClassifier;
+    } else {
+        global.LandmarkClassifier = LandmarkClassifier;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
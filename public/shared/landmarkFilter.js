@@ -0,0 +1,113 @@
+// One Euro filter for handpose landmarks
+// Shared by the app's hand tracker and the web background service
+//
+// The One Euro filter is a low-pass filter whose cutoff rises with speed:
+// a still hand is smoothed heavily (no jitter) while a fast swipe passes
+// through with little lag. See Casiez et al., CHI 2012.
+
+(function (global) {
+    const DEFAULT_FILTER_SETTINGS = {
+        enabled: true,
+        minCutoff: 1.0,        // Hz; lower removes more jitter from a still hand
+        beta: 0.02,            // Speed coefficient; higher reduces lag on fast movement
+        derivativeCutoff: 1.0  // Hz; smoothing of the speed estimate itself
+    };
+
+    // Smoothing factor for a cutoff frequency and sample interval (seconds)
+    function smoothingFactor(cutoff, interval) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / interval);
+    }
+
+    // Fill in defaults for stored or user-edited settings
+    function normalizeFilterSettings(settings) {
+        return { ...DEFAULT_FILTER_SETTINGS, ...(settings || {}) };
+    }
+
+    // Filter for a single value; timestamps are in milliseconds
+    function createOneEuroFilter(settings) {
+        let config = normalizeFilterSettings(settings);
+        let previousValue = null;
+        let previousDerivative = 0;
+        let previousTime = null;
+
+        return {
+            filter: (value, timestamp) => {
+                if (!config.enabled) return value;
+
+                if (previousValue === null || timestamp <= previousTime) {
+                    previousValue = value;
+                    previousDerivative = 0;
+                    previousTime = timestamp;
+                    return value;
+                }
+
+                const interval = (timestamp - previousTime) / 1000;
+                const derivative = (value - previousValue) / interval;
+                const smoothedDerivative = previousDerivative +
+                    smoothingFactor(config.derivativeCutoff, interval) * (derivative - previousDerivative);
+
+                const cutoff = config.minCutoff + config.beta * Math.abs(smoothedDerivative);
+                const smoothed = previousValue + smoothingFactor(cutoff, interval) * (value - previousValue);
+
+                previousValue = smoothed;
+                previousDerivative = smoothedDerivative;
+                previousTime = timestamp;
+                return smoothed;
+            },
+
+            reset: () => {
+                previousValue = null;
+                previousDerivative = 0;
+                previousTime = null;
+            },
+
+            setSettings: (newSettings) => {
+                config = normalizeFilterSettings(newSettings);
+            }
+        };
+    }
+
+    // Filter for a list of handpose landmarks ([x, y, z] points)
+    function createLandmarkFilter(settings) {
+        let config = normalizeFilterSettings(settings);
+        let filters = [];
+
+        return {
+            // Returns smoothed copies of the landmarks
+            filter: (landmarks, timestamp) => {
+                if (!config.enabled || !landmarks) return landmarks;
+
+                if (filters.length !== landmarks.length) {
+                    filters = landmarks.map(point => point.map(() => createOneEuroFilter(config)));
+                }
+
+                return landmarks.map((point, i) =>
+                    point.map((value, axis) => filters[i][axis].filter(value, timestamp))
+                );
+            },
+
+            reset: () => {
+                filters = [];
+            },
+
+            setSettings: (newSettings) => {
+                config = normalizeFilterSettings(newSettings);
+                filters = [];
+            }
+        };
+    }
+
+    const LandmarkFilter = {
+        DEFAULT_FILTER_SETTINGS,
+        normalizeFilterSettings,
+        createOneEuroFilter,
+        createLandmarkFilter
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LandmarkFilter;
+    } else {
+        global.LandmarkFilter = LandmarkFilter;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,205 @@
+// Offline handpose model loading
+// handpose.load() fetches its models and anchors from TF Hub. Those requests are routed to a
+// configurable model URL instead (by default /models/handpose, filled by
+// `npm run download-models` and served with the rest of public/), and every model file
+// is kept in Cache Storage, so the model loads without a network once it has loaded once.
+// Used by the app, the web background service, index.html and handposeWorker.js.
+//
+// Model URL layout: handdetector/model.json, handskeleton/model.json, handskeleton/anchors.json
+// and the weight shards listed in each model.json next to it.
+//
+// The default model URL is a path on the Express server (server.js serves public/). Where the
+// app isn't served by it there is nothing to resolve that path against (the native app) or no
+// model behind it (the Expo dev server), so the model comes from TF Hub unless the model URL
+// is set to an absolute URL that serves the files.
+
+(function (global) {
+    const HANDPOSE_HUB_URL = 'https://tfhub.dev/mediapipe/tfjs-model';
+    const DEFAULT_MODEL_URL = '/models/handpose';
+    const REMOTE_MODEL_URL = 'remote';      // Model URL setting that loads straight from TF Hub
+    const MODEL_CACHE_NAME = 'handpose-models-v1';
+
+    const MODEL_FILES = ['handdetector/model.json', 'handskeleton/model.json', 'handskeleton/anchors.json'];
+
+    // TF Hub paths look like <hub>/handdetector/1/default/1/model.json?tfjs-format=file
+    const HUB_PATH_PATTERN = /^https:\/\/tfhub\.dev\/mediapipe\/tfjs-model\/(handdetector|handskeleton)\/1\/default\/1\/([^?]+)/;
+
+    let modelUrl = DEFAULT_MODEL_URL;
+    let originalFetch = null;
+
+    const isRemote = (url) => !url || url === REMOTE_MODEL_URL;
+
+    // Absolute form of a model URL; a path is resolved against the page's server,
+    // null where there is no page (the native app)
+    function resolveModelUrl(url) {
+        if (isRemote(url) || /^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+
+        const origin = global.location && /^https?:$/.test(global.location.protocol) ? global.location.origin : null;
+        if (!origin) return null;
+        return `${origin}${url.startsWith('/') ? '' : '/'}${url}`;
+    }
+
+    // TF Hub URL of a model file ('handskeleton/anchors.json')
+    function getHubUrl(file) {
+        const [model, name] = file.split('/');
+        return `${HANDPOSE_HUB_URL}/${model}/1/default/1/${name}?tfjs-format=file`;
+    }
+
+    // Where a handpose request is fetched from: the model URL for TF Hub model files,
+    // unchanged for everything else
+    function resolveModelRequest(url, baseUrl = modelUrl) {
+        const match = typeof url === 'string' ? url.match(HUB_PATH_PATTERN) : null;
+        if (!match || isRemote(baseUrl)) return url;
+        return `${baseUrl.replace(/\/$/, '')}/${match[1]}/${match[2]}`;
+    }
+
+    const openCache = async () => {
+        if (typeof caches === 'undefined') return null;
+        try {
+            return await caches.open(MODEL_CACHE_NAME);
+        } catch (error) {
+            // Cache Storage is unavailable outside secure contexts
+            return null;
+        }
+    };
+
+    // Fetch a model file, answering from Cache Storage when it has been loaded before
+    const fetchModelFile = async (url, init, ...rest) => {
+        const cache = await openCache();
+        const cached = cache ? await cache.match(url) : null;
+        if (cached) return cached;
+
+        const response = await originalFetch(url, init, ...rest);
+        if (cache && response.ok) {
+            await cache.put(url, response.clone());
+        }
+        return response;
+    };
+
+    // Route handpose's TF Hub requests through tf's platform fetch to the model URL
+    // Call before handpose.load(); calling again only changes the model URL
+    function routeModelRequests(tf, url = DEFAULT_MODEL_URL) {
+        modelUrl = url;
+
+        const platform = tf.env().platform;
+        if (originalFetch) return;
+        originalFetch = platform.fetch.bind(platform);
+
+        platform.fetch = (path, init, ...rest) => {
+            return typeof path === 'string' && HUB_PATH_PATTERN.test(path)
+                ? fetchModelFile(resolveModelRequest(path), init, ...rest)
+                : originalFetch(path, init, ...rest);
+        };
+    }
+
+    // Check which model files are already in Cache Storage for a model URL
+    // Resolves to { cached, missing } where missing lists the files that would be downloaded
+    async function checkModelCache(url = modelUrl) {
+        const cache = await openCache();
+        if (!cache) {
+            return { cached: false, missing: MODEL_FILES.slice() };
+        }
+
+        const resolve = (file) => resolveModelRequest(getHubUrl(file), url);
+        const missing = [];
+        for (const file of MODEL_FILES) {
+            const response = await cache.match(resolve(file));
+            if (!response) {
+                missing.push(file);
+                continue;
+            }
+
+            // Weight shards are listed in the model's manifest
+            if (file.endsWith('model.json')) {
+                const model = file.split('/')[0];
+                const manifest = (await response.json()).weightsManifest || [];
+                for (const group of manifest) {
+                    for (const shard of group.paths) {
+                        if (!await cache.match(resolve(`${model}/${shard}`))) {
+                            missing.push(`${model}/${shard}`);
+                        }
+                    }
+                }
+            }
+        }
+
+        return { cached: missing.length === 0, missing };
+    }
+
+    // Whether the model files can be fetched from a model URL (skipped for TF Hub)
+    async function isModelUrlAvailable(url = modelUrl) {
+        if (isRemote(url)) return true;
+        try {
+            const response = await fetch(resolveModelRequest(getHubUrl(MODEL_FILES[0]), url), { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Route model requests before handpose.load() and return the model URL actually used
+    // Without model files at the URL and nothing cached for it, the model comes from TF Hub
+    async function prepareModelLoading(tf, url = DEFAULT_MODEL_URL) {
+        let source = resolveModelUrl(url || REMOTE_MODEL_URL);
+        if (!source) {
+            console.warn(`The model path ${url} needs the Express server (server.js), loading the model from TF Hub`);
+            source = REMOTE_MODEL_URL;
+        } else if (!isRemote(source) && !(await checkModelCache(source)).cached && !(await isModelUrlAvailable(source))) {
+            console.warn(`No handpose model at ${source}, loading it from TF Hub`);
+            source = REMOTE_MODEL_URL;
+        }
+
+        routeModelRequests(tf, source);
+        return source;
+    }
+
+    // Explain a failed model load to the user
+    // Returns { code: 'offline' | 'not_found' | 'timeout' | 'unknown', message }
+    function describeLoadError(error, url = modelUrl) {
+        const text = String((error && error.message) || error || '');
+        const source = isRemote(url) ? 'TF Hub' : url;
+        // A path is only served when the app runs from the Express server
+        const serverHint = !isRemote(url) && url.startsWith('/')
+            ? ' Local model files are only served when the app is opened from the Express server (node server.js).'
+            : '';
+
+        if (/timed out/i.test(text)) {
+            return { code: 'timeout', message: `Loading the hand tracking model from ${source} took too long.` };
+        }
+        if (/404|not found/i.test(text)) {
+            return {
+                code: 'not_found',
+                message: `The hand tracking model was not found at ${source}. Run "npm run download-models" or check the model URL.${serverHint}`
+            };
+        }
+        if (/failed to fetch|network|load failed/i.test(text) || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+            return {
+                code: 'offline',
+                message: `The hand tracking model could not be downloaded from ${source} and is not cached yet. Connect to the network once, or serve the model locally.${serverHint}`
+            };
+        }
+        return { code: 'unknown', message: `The hand tracking model failed to load: ${text || 'unknown error'}` };
+    }
+
+    const ModelAssets = {
+        HANDPOSE_HUB_URL,
+        DEFAULT_MODEL_URL,
+        REMOTE_MODEL_URL,
+        MODEL_CACHE_NAME,
+        MODEL_FILES,
+        getHubUrl,
+        resolveModelUrl,
+        resolveModelRequest,
+        routeModelRequests,
+        prepareModelLoading,
+        checkModelCache,
+        isModelUrlAvailable,
+        describeLoadError
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ModelAssets;
+    } else {
+        global.ModelAssets = ModelAssets;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,237 @@
+// Motion gesture recognition using dynamic time warping (DTW)
+// Hand-center positions are buffered over a sliding window and compared
+// against recorded trajectory templates (circle, zig-zag, wave, swipes...)
+// Shared by the app and the web background service
+
+(function (global) {
+    // Resampling and matching parameters
+    const RESAMPLE_POINTS = 32;
+    const MAX_DTW_DISTANCE = 0.25;       // Average point distance that maps to a score of 0
+    const DTW_BAND = Math.floor(RESAMPLE_POINTS / 4); // Sakoe-Chiba band width
+
+    // Sliding window defaults
+    const DEFAULT_WINDOW_MS = 2000;
+    const DEFAULT_MIN_POINTS = 4;
+    const DEFAULT_MIN_TRAVEL = 60;       // Pixels the hand has to travel to count as motion
+    const DEFAULT_MAX_TRAVEL_MS = 600;   // ...within this long, so a slowly drifting hand never matches
+
+    // Built-in motion templates (image coordinates, front camera)
+    // The front camera faces the user, so moving the hand to their left increases x
+    const DEFAULT_MOTION_TEMPLATES = {
+        swipe_left: [[{ x: 0, y: 0 }, { x: 1, y: 0 }]],
+        swipe_right: [[{ x: 1, y: 0 }, { x: 0, y: 0 }]]
+    };
+
+    // Normalized templates keyed by gesture id
+    let motionTemplates = {};
+
+    // Total path length of a list of points
+    const pathLength = (points) => {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    };
+
+    // Time the hand took to travel minTravel pixels up to its latest position
+    // (Infinity when it has not moved that far within the window)
+    const travelDuration = (points, minTravel) => {
+        const last = points[points.length - 1];
+        let minX = last.x, maxX = last.x, minY = last.y, maxY = last.y;
+
+        for (let i = points.length - 2; i >= 0; i--) {
+            const p = points[i];
+            minX = Math.min(minX, p.x);
+            maxX = Math.max(maxX, p.x);
+            minY = Math.min(minY, p.y);
+            maxY = Math.max(maxY, p.y);
+            if (Math.max(maxX - minX, maxY - minY) >= minTravel) {
+                return last.timestamp - p.timestamp;
+            }
+        }
+        return Infinity;
+    };
+
+    // Resample a path to a fixed number of evenly spaced points
+    const resamplePath = (points, count = RESAMPLE_POINTS) => {
+        const interval = pathLength(points) / (count - 1);
+        if (interval === 0) return null;
+
+        const source = points.map(p => ({ x: p.x, y: p.y }));
+        const resampled = [source[0]];
+        let accumulated = 0;
+
+        for (let i = 1; i < source.length; i++) {
+            const prev = source[i - 1];
+            const curr = source[i];
+            const segment = Math.hypot(curr.x - prev.x, curr.y - prev.y);
+
+            if (accumulated + segment >= interval && segment > 0) {
+                const t = (interval - accumulated) / segment;
+                const point = {
+                    x: prev.x + t * (curr.x - prev.x),
+                    y: prev.y + t * (curr.y - prev.y)
+                };
+                resampled.push(point);
+                // Continue measuring from the inserted point
+                source.splice(i, 0, point);
+                accumulated = 0;
+            } else {
+                accumulated += segment;
+            }
+        }
+
+        // Rounding can leave the path one point short
+        while (resampled.length < count) {
+            resampled.push(source[source.length - 1]);
+        }
+
+        return resampled.slice(0, count);
+    };
+
+    // Normalize a path for position and size, keeping its aspect ratio and direction
+    const normalizeTrajectory = (points) => {
+        if (!points || points.length < 2) return null;
+
+        const resampled = resamplePath(points);
+        if (!resampled) return null;
+
+        // Translate to the centroid
+        const centroid = resampled.reduce(
+            (sum, p) => ({ x: sum.x + p.x / resampled.length, y: sum.y + p.y / resampled.length }),
+            { x: 0, y: 0 }
+        );
+
+        // Scale by the larger side of the bounding box
+        const xs = resampled.map(p => p.x);
+        const ys = resampled.map(p => p.y);
+        const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        if (size === 0) return null;
+
+        return resampled.map(p => ({
+            x: (p.x - centroid.x) / size,
+            y: (p.y - centroid.y) / size
+        }));
+    };
+
+    // Dynamic time warping distance between two normalized paths of equal length
+    const dtwDistance = (a, b) => {
+        const n = a.length;
+        const m = b.length;
+        const cost = Array(n + 1).fill(null).map(() => Array(m + 1).fill(Infinity));
+        cost[0][0] = 0;
+
+        for (let i = 1; i <= n; i++) {
+            const from = Math.max(1, i - DTW_BAND);
+            const to = Math.min(m, i + DTW_BAND);
+            for (let j = from; j <= to; j++) {
+                const d = Math.hypot(a[i - 1].x - b[j - 1].x, a[i - 1].y - b[j - 1].y);
+                cost[i][j] = d + Math.min(
+                    cost[i - 1][j],     // insertion
+                    cost[i][j - 1],     // deletion
+                    cost[i - 1][j - 1]  // match
+                );
+            }
+        }
+
+        // Average distance per matched point
+        return cost[n][m] / Math.max(n, m);
+    };
+
+    // Register a recorded trajectory ([{ x, y }]) as a template for a gesture
+    const addMotionTemplate = (gestureId, trajectory) => {
+        const normalized = normalizeTrajectory(trajectory);
+        if (!normalized) return false;
+
+        if (!motionTemplates[gestureId]) {
+            motionTemplates[gestureId] = [];
+        }
+        motionTemplates[gestureId].push(normalized);
+        return true;
+    };
+
+    // Reset templates to the built-in motion gestures
+    // enabledDefaults limits which built-in templates are registered
+    const resetMotionTemplates = (enabledDefaults = Object.keys(DEFAULT_MOTION_TEMPLATES)) => {
+        motionTemplates = {};
+        enabledDefaults.forEach(gestureId => {
+            (DEFAULT_MOTION_TEMPLATES[gestureId] || []).forEach(trajectory => {
+                addMotionTemplate(gestureId, trajectory);
+            });
+        });
+    };
+
+    // Score a trajectory against every motion template
+    // Returns [{ name, score, distance }] sorted by score
+    const classifyTrajectory = (trajectory, minScore = 0) => {
+        const normalized = normalizeTrajectory(trajectory);
+        if (!normalized) return [];
+
+        const results = [];
+
+        for (const [gestureId, templates] of Object.entries(motionTemplates)) {
+            const distance = Math.min(...templates.map(template => dtwDistance(normalized, template)));
+            const score = Math.max(0, 1 - distance / MAX_DTW_DISTANCE) * 10;
+
+            if (score >= minScore) {
+                results.push({ name: gestureId, score, distance });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    };
+
+    // Create a sliding-window recognizer for one tracked hand
+    const createTrajectoryRecognizer = (options = {}) => {
+        const windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+        const minPoints = options.minPoints || DEFAULT_MIN_POINTS;
+        const minTravel = options.minTravel || DEFAULT_MIN_TRAVEL;
+        const maxTravelMs = options.maxTravelMs || DEFAULT_MAX_TRAVEL_MS;
+
+        let points = [];
+
+        return {
+            // Add a hand-center position and drop positions outside the window
+            addPoint: (position, timestamp = Date.now()) => {
+                points.push({ x: position.x, y: position.y, timestamp });
+                points = points.filter(p => timestamp - p.timestamp <= windowMs);
+            },
+
+            // Match the buffered trajectory, clearing the buffer on success
+            match: (minScore = 0) => {
+                if (points.length < minPoints) return null;
+
+                // Ignore small or slow movements so a still or drifting hand never matches
+                if (travelDuration(points, minTravel) > maxTravelMs) return null;
+
+                const [best] = classifyTrajectory(points, minScore);
+                if (!best) return null;
+
+                points = [];
+                return best;
+            },
+
+            reset: () => {
+                points = [];
+            },
+
+            getPoints: () => [...points]
+        };
+    };
+
+    const TrajectoryRecognizer = {
+        normalizeTrajectory,
+        dtwDistance,
+        addMotionTemplate,
+        resetMotionTemplates,
+        classifyTrajectory,
+        createTrajectoryRecognizer
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TrajectoryRecognizer;
+    } else {
+        global.TrajectoryRecognizer = TrajectoryRecognizer;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : window);
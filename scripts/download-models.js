@@ -0,0 +1,75 @@
+// Download the handpose model files for offline use
+//
+// Copies the hand detector and hand skeleton models (model.json, weight shards and
+// anchors.json) from TF Hub into public/models/handpose, where server.js serves them and
+// shared/modelAssets.js looks for them by default.
+//
+// Usage:
+//   npm run download-models -- [outputDir] [--force]
+//
+// Options:
+//   --force   Download again even if the files are already there
+const fs = require('fs');
+const path = require('path');
+const ModelAssets = require('../public/shared/modelAssets');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'public', 'models', 'handpose');
+
+const parseArgs = (argv) => {
+  const args = { outputDir: DEFAULT_OUTPUT_DIR, force: false };
+  argv.forEach(arg => {
+    if (arg === '--force') {
+      args.force = true;
+    } else {
+      args.outputDir = path.resolve(arg);
+    }
+  });
+  return args;
+};
+
+// Download one model file ('handdetector/model.json') unless it is already there
+const downloadFile = async (file, outputDir, force) => {
+  const target = path.join(outputDir, file);
+  if (!force && fs.existsSync(target)) {
+    console.log(`  ${file} (already downloaded)`);
+    return fs.readFileSync(target);
+  }
+
+  const response = await fetch(ModelAssets.getHubUrl(file));
+  if (!response.ok) {
+    throw new Error(`${file}: HTTP ${response.status}`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, data);
+  console.log(`  ${file} (${Math.round(data.length / 1024)} KB)`);
+  return data;
+};
+
+const main = async () => {
+  const { outputDir, force } = parseArgs(process.argv.slice(2));
+  console.log(`Downloading handpose model files to ${outputDir}`);
+
+  for (const file of ModelAssets.MODEL_FILES) {
+    const data = await downloadFile(file, outputDir, force);
+
+    // Each model.json lists its weight shards, stored next to it
+    if (file.endsWith('model.json')) {
+      const model = file.split('/')[0];
+      const { weightsManifest = [] } = JSON.parse(data.toString('utf8'));
+      for (const group of weightsManifest) {
+        for (const shard of group.paths) {
+          await downloadFile(`${model}/${shard}`, outputDir, force);
+        }
+      }
+    }
+  }
+
+  console.log('Done. The model now loads from this server without a network connection.');
+};
+
+main().catch(error => {
+  console.error(`Failed to download the handpose model: ${error.message}`);
+  process.exit(1);
+});
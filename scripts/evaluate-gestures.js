@@ -0,0 +1,389 @@
+// Offline gesture-recognition evaluator
+//
+// Feeds labelled landmark fixtures through the same per-hand recognition as detectGesture
+// (public/shared/handGestureRecognizer.js) after the same landmark smoothing, and prints
+// per-gesture precision/recall, a confusion matrix, false positives on negative
+// fixtures and per-frame latency.
+//
+// Usage:
+//   npm run evaluate -- [fixturesDir] [options]
+//
+// Options:
+//   --config <file>          Gesture config JSON (same shape as the stored 'gestureConfig')
+//   --calibration <file>     Per-gesture calibration JSON (the stored 'gestureCalibration')
+//   --custom-gestures <file> Custom gestures JSON (the stored 'customGestures')
+//   --idle-samples <file>    Recorded "no gesture" poses (the stored 'idleSamples'),
+//                            e.g. scripts/fixtures/idle-samples.json
+//   --custom-threshold <n>   Minimum score of motion and custom gestures (default 7.5)
+//   --threshold <score>      Fixed confidence threshold (turns the adaptive threshold off)
+//   --no-adaptive            Use the config's fixed threshold
+//   --no-smoothing           Skip the One Euro landmark filter
+//   --handedness <mode>      auto (default), right or left (the left-handed mode)
+//   --camera <facing>        Camera the fixtures were recorded with: front (default) or rear
+//   --baseline <file>        Compare against a saved report
+//   --save-baseline <file>   Save this run's report for later comparison
+//   --json                   Print the report as JSON
+//
+// Fixtures are landmark recordings (see src/utils/landmarkRecorder.js), for example
+// sessions captured with the Record debug control. The expected gesture is
+// metadata.label, or a frame's own `label`; 'none' (or null) marks frames where no
+// gesture should be recognized. Only the first hand of each frame is evaluated.
+//
+// fixtures/gestures/none.json is a negative fixture: a relaxed, half-curled hand that
+// fingerpose alone takes for a pinch. Without --idle-samples its frames are reported
+// as false positives. fixtures/gestures/palm-slow-drift.json is a palm drifting sideways
+// too slowly to be a swipe, so it has to be recognized as a palm.
+const fs = require('fs');
+const path = require('path');
+const fp = require('fingerpose');
+const GestureCalibration = require('../public/shared/gestureCalibration');
+const GestureCatalogue = require('../public/shared/gestureCatalogue');
+const GestureRanking = require('../public/shared/gestureRanking');
+const HandGestureRecognizer = require('../public/shared/handGestureRecognizer');
+const HandOrientation = require('../public/shared/handOrientation');
+const LandmarkClassifier = require('../public/shared/landmarkClassifier');
+const LandmarkFilter = require('../public/shared/landmarkFilter');
+const TrajectoryRecognizer = require('../public/shared/trajectoryRecognizer');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'gestures');
+const NO_GESTURE = 'none';
+
+const parseArgs = (argv) => {
+  const args = {
+    fixturesDir: DEFAULT_FIXTURES_DIR,
+    config: null,
+    calibration: null,
+    customGestures: null,
+    idleSamples: null,
+    customThreshold: GestureCatalogue.DEFAULT_CUSTOM_THRESHOLD,
+    threshold: null,
+    adaptive: true,
+    smoothing: true,
+    handedness: 'auto',
+    camera: 'front',
+    baseline: null,
+    saveBaseline: null,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--config': args.config = argv[++i]; break;
+      case '--calibration': args.calibration = argv[++i]; break;
+      case '--custom-gestures': args.customGestures = argv[++i]; break;
+      case '--idle-samples': args.idleSamples = argv[++i]; break;
+      case '--custom-threshold': args.customThreshold = parseFloat(argv[++i]); break;
+      case '--threshold': args.threshold = parseFloat(argv[++i]); break;
+      case '--no-adaptive': args.adaptive = false; break;
+      case '--no-smoothing': args.smoothing = false; break;
+      case '--handedness': args.handedness = argv[++i]; break;
+      case '--camera': args.camera = argv[++i]; break;
+      case '--baseline': args.baseline = argv[++i]; break;
+      case '--save-baseline': args.saveBaseline = argv[++i]; break;
+      case '--json': args.json = true; break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        args.fixturesDir = arg;
+    }
+  }
+
+  return args;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Load every recording in a directory (or a single recording file)
+const loadFixtures = (fixturesPath) => {
+  const files = fs.statSync(fixturesPath).isDirectory()
+    ? fs.readdirSync(fixturesPath)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(fixturesPath, file))
+    : [fixturesPath];
+
+  return files.map(file => {
+    const recording = readJson(file);
+    if (recording.format !== 'landmark-recording' || !Array.isArray(recording.frames)) {
+      throw new Error(`${file} is not a landmark recording`);
+    }
+    return { file: path.basename(file), recording };
+  });
+};
+
+// Palm base is the hand center, as in gestureRecognition.js
+const getHandCenter = (landmarks) => ({ x: landmarks[0][0], y: landmarks[0][1] });
+
+// Register custom gestures the way initGestureEstimator does: recorded motion paths as
+// trajectory templates and recorded poses as landmark templates (`fingers` gestures
+// go into the estimator)
+const loadCustomGestures = (customGestures, enabledGestures) => {
+  const motionGestures = [];
+  if (enabledGestures.swipeLeft) motionGestures.push('swipe_left');
+  if (enabledGestures.swipeRight) motionGestures.push('swipe_right');
+  TrajectoryRecognizer.resetMotionTemplates(motionGestures);
+  LandmarkClassifier.clearGestureTemplates();
+
+  customGestures.forEach(gesture => {
+    const gestureData = gesture.data || {};
+    const kind = GestureCatalogue.getCustomGestureKind(gesture);
+    if (kind === 'motion') {
+      const trajectory = (gestureData.frames || []).map(frame => getHandCenter(frame.landmarks));
+      TrajectoryRecognizer.addMotionTemplate(gesture.id, trajectory);
+    } else if (kind === 'landmarks') {
+      LandmarkClassifier.setGestureTemplates(gesture.id, gestureData);
+    }
+  });
+};
+
+// Run one recording through the detectGesture pipeline for a single hand
+// Returns [{ expected, predicted, latency }] per frame
+const evaluateRecording = (recording, estimator, config, calibration, args) => {
+  const defaultLabel = (recording.metadata && recording.metadata.label) || NO_GESTURE;
+  const landmarkFilter = LandmarkFilter.createLandmarkFilter({ enabled: args.smoothing });
+  const trajectory = TrajectoryRecognizer.createTrajectoryRecognizer();
+  const ranker = GestureRanking.createGestureRanker();
+  const handedness = HandOrientation.createHandednessEstimator();
+  let adaptiveThreshold = GestureRanking.DEFAULT_ADAPTIVE_THRESHOLD;
+  let previousPosition = null;
+
+  return recording.frames.map(frame => {
+    const expected = (frame.label !== undefined ? frame.label : defaultLabel) || NO_GESTURE;
+    const startTime = process.hrtime.bigint();
+    let predicted = NO_GESTURE;
+
+    const hand = frame.hands[0];
+    if (hand) {
+      // Same view-space canonicalization and smoothing as the hand tracker
+      const viewLandmarks = HandOrientation.toViewSpace(hand.landmarks, frame.frameWidth, args.camera);
+      const landmarks = landmarkFilter.filter(viewLandmarks, frame.timestamp);
+
+      const position = getHandCenter(landmarks);
+      const velocity = previousPosition
+        ? { x: position.x - previousPosition.x, y: position.y - previousPosition.y }
+        : { x: 0, y: 0 };
+      previousPosition = position;
+      trajectory.addPoint(position, frame.timestamp);
+
+      const recognized = HandGestureRecognizer.recognizeHandGesture(
+        { landmarks, velocity, trajectory, handedness },
+        {
+          estimator,
+          calibration,
+          config,
+          customThreshold: args.customThreshold,
+          handedness: args.handedness,
+          adaptiveThreshold,
+          ranker
+        }
+      );
+
+      if (recognized) {
+        adaptiveThreshold = recognized.adaptiveThreshold;
+        predicted = recognized.gesture.name;
+      }
+    } else {
+      // A hand that leaves the frame starts over, like a dropped track
+      landmarkFilter.reset();
+      trajectory.reset();
+      previousPosition = null;
+    }
+
+    const latency = Number(process.hrtime.bigint() - startTime) / 1e6;
+    return { expected, predicted, latency };
+  });
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Per-gesture precision/recall, confusion matrix and latency for all frames
+const buildReport = (results) => {
+  const labels = [...new Set(results.flatMap(r => [r.expected, r.predicted]))]
+    .filter(label => label !== NO_GESTURE)
+    .sort();
+  labels.push(NO_GESTURE);
+
+  const confusion = {};
+  labels.forEach(expected => {
+    confusion[expected] = {};
+    labels.forEach(predicted => {
+      confusion[expected][predicted] = 0;
+    });
+  });
+  results.forEach(({ expected, predicted }) => {
+    confusion[expected][predicted]++;
+  });
+
+  const gestures = {};
+  labels.filter(label => label !== NO_GESTURE).forEach(label => {
+    const truePositives = confusion[label][label];
+    const predictedCount = labels.reduce((sum, expected) => sum + confusion[expected][label], 0);
+    const support = labels.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+    const precision = predictedCount ? truePositives / predictedCount : 0;
+    const recall = support ? truePositives / support : 0;
+
+    gestures[label] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(precision + recall ? (2 * precision * recall) / (precision + recall) : 0),
+      support
+    };
+  });
+
+  const latencies = results.map(r => r.latency).sort((a, b) => a - b);
+  const correct = results.filter(r => r.expected === r.predicted).length;
+
+  // Gestures recognized on each fixture's "no gesture" frames
+  const negativeFixtures = {};
+  results.filter(r => r.expected === NO_GESTURE).forEach(({ fixture, predicted }) => {
+    const entry = negativeFixtures[fixture] || (negativeFixtures[fixture] = { frames: 0, falsePositives: 0, recognized: {} });
+    entry.frames++;
+    if (predicted !== NO_GESTURE) {
+      entry.falsePositives++;
+      entry.recognized[predicted] = (entry.recognized[predicted] || 0) + 1;
+    }
+  });
+
+  return {
+    frames: results.length,
+    accuracy: round(results.length ? correct / results.length : 0),
+    // Frames with no expected gesture where something was recognized anyway
+    falsePositives: results.filter(r => r.expected === NO_GESTURE && r.predicted !== NO_GESTURE).length,
+    negativeFixtures,
+    gestures,
+    confusion,
+    latency: {
+      mean: round(latencies.reduce((sum, l) => sum + l, 0) / (latencies.length || 1)),
+      p50: round(percentile(latencies, 0.5)),
+      p95: round(percentile(latencies, 0.95)),
+      max: round(latencies[latencies.length - 1] || 0)
+    }
+  };
+};
+
+const pad = (value, width) => String(value).padStart(width);
+const formatDelta = (value, baseline) => {
+  if (typeof baseline !== 'number') return '';
+  const delta = round(value - baseline);
+  return delta === 0 ? '' : ` (${delta > 0 ? '+' : ''}${delta})`;
+};
+
+const printReport = (report, baseline) => {
+  const gestureBaseline = (name) => (baseline && baseline.gestures[name]) || {};
+
+  console.log(`Frames: ${report.frames}`);
+  console.log(`Accuracy: ${report.accuracy}${formatDelta(report.accuracy, baseline && baseline.accuracy)}`);
+  console.log(`False positives on idle frames: ${report.falsePositives}` +
+    formatDelta(report.falsePositives, baseline && baseline.falsePositives));
+
+  console.log('\nGesture          precision     recall         f1   support');
+  Object.entries(report.gestures).forEach(([name, stats]) => {
+    const base = gestureBaseline(name);
+    console.log(
+      name.padEnd(14) +
+      pad(stats.precision, 11) + pad(formatDelta(stats.precision, base.precision), 10) +
+      pad(stats.recall, 8) + pad(formatDelta(stats.recall, base.recall), 10) +
+      pad(stats.f1, 8) +
+      pad(stats.support, 10)
+    );
+  });
+
+  const labels = Object.keys(report.confusion);
+  const width = Math.max(...labels.map(label => label.length)) + 2;
+  console.log('\nConfusion matrix (rows: expected, columns: recognized)');
+  console.log(''.padEnd(width) + labels.map(label => pad(label, width)).join(''));
+  labels.forEach(expected => {
+    console.log(expected.padEnd(width) + labels.map(predicted => pad(report.confusion[expected][predicted], width)).join(''));
+  });
+
+  // Negative fixtures are only useful if a failing one stands out
+  const negatives = Object.entries(report.negativeFixtures || {});
+  if (negatives.length > 0) {
+    console.log('\nNegative fixtures (frames where no gesture should be recognized)');
+    negatives.forEach(([fixture, { frames, falsePositives, recognized }]) => {
+      const details = Object.entries(recognized).map(([name, count]) => `${name} x${count}`).join(', ');
+      console.log(falsePositives > 0
+        ? `  WARNING ${fixture}: ${falsePositives}/${frames} frames recognized as a gesture (${details})`
+        : `  ok      ${fixture}: no gesture on ${frames} frames`);
+    });
+  }
+
+  const { latency } = report;
+  console.log(`\nLatency per frame (ms): mean ${latency.mean}, p50 ${latency.p50}, p95 ${latency.p95}, max ${latency.max}` +
+    (baseline ? ` (baseline mean ${baseline.latency.mean}, p95 ${baseline.latency.p95})` : ''));
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const orientation = HandOrientation.normalizeOrientationSettings({
+    handedness: args.handedness,
+    cameraFacing: args.camera
+  });
+  args.handedness = orientation.handedness;
+  args.camera = orientation.cameraFacing;
+
+  const gestureConfig = {
+    ...GestureCatalogue.DEFAULT_GESTURE_CONFIG,
+    ...(args.config ? readJson(args.config) : {})
+  };
+  const config = {
+    adaptiveThreshold: args.threshold === null && args.adaptive && gestureConfig.adaptiveThreshold,
+    confidenceThreshold: args.threshold === null ? gestureConfig.confidenceThreshold : args.threshold
+  };
+
+  const calibration = {
+    ...GestureCalibration.createCalibration(),
+    ...(args.calibration ? readJson(args.calibration) : {})
+  };
+
+  const customGestures = args.customGestures ? readJson(args.customGestures) : [];
+  const estimator = GestureCatalogue.createGestureEstimator(fp, gestureConfig.enabledGestures, customGestures);
+  loadCustomGestures(customGestures, gestureConfig.enabledGestures);
+  const idleCount = LandmarkClassifier.setIdleTemplates(args.idleSamples ? readJson(args.idleSamples) : []);
+
+  const fixtures = loadFixtures(args.fixturesDir);
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures found in ${args.fixturesDir}`);
+  }
+
+  const results = fixtures.flatMap(({ file, recording }) => evaluateRecording(recording, estimator, config, calibration, args)
+    .map(result => ({ ...result, fixture: file })));
+  const report = {
+    createdAt: new Date().toISOString(),
+    fixtures: fixtures.map(fixture => fixture.file),
+    config,
+    customGestures: customGestures.length,
+    idleSamples: idleCount,
+    ...buildReport(results)
+  };
+
+  const baseline = args.baseline ? readJson(args.baseline) : null;
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Evaluated ${fixtures.length} fixture(s) from ${args.fixturesDir}`);
+    console.log(`Threshold: ${config.adaptiveThreshold ? 'adaptive' : config.confidenceThreshold}`);
+    console.log(`Custom gestures: ${customGestures.length}, idle templates: ${idleCount}\n`);
+    printReport(report, baseline);
+  }
+
+  if (args.saveBaseline) {
+    fs.writeFileSync(args.saveBaseline, JSON.stringify(report, null, 2));
+    console.log(`\nSaved baseline to ${args.saveBaseline}`);
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('Error evaluating gestures:', error.message);
+  process.exit(1);
+}
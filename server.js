@@ -1,4 +1,5 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
 const OpenAI = require('openai');
 const bodyParser = require('body-parser');
@@ -20,6 +21,23 @@ if (process.env.OPENAI_API_KEY) {
 app.use(express.static('public'));
 app.use(bodyParser.json());
 
+// Browser libraries served from node_modules, so the web app needs no CDN
+const VENDOR_LIBRARIES = {
+  tfjs: '@tensorflow/tfjs/dist',
+  handpose: '@tensorflow-models/handpose/dist',
+  fingerpose: 'fingerpose/dist',
+  chartjs: 'chart.js/dist',
+  bootstrap: 'bootstrap/dist'
+};
+Object.entries(VENDOR_LIBRARIES).forEach(([name, dir]) => {
+  app.use(`/vendor/${name}`, express.static(path.join(__dirname, 'node_modules', dir)));
+});
+
+// Handpose model files are downloaded into public/models by `npm run download-models`
+if (!fs.existsSync(path.join(__dirname, 'public', 'models', 'handpose', 'handdetector', 'model.json'))) {
+  console.log('Handpose model not found in public/models. Run `npm run download-models` for offline use; until then it loads from TF Hub.');
+}
+
 // Main route
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
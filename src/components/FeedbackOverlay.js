@@ -2,12 +2,21 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, Animated } from 'react-native';
 import { colors } from '../styles/globalStyles';
 import { useAppContext } from '../context/AppContext';
+import { getGestureLockState, getGestureSettings, onGestureLockChange } from '../utils/gestureRecognition';
 
 const FeedbackOverlay = () => {
   const { lastCommand } = useAppContext();
   const [visible, setVisible] = useState(false);
   const fadeAnim = new Animated.Value(0);
   
+  // Armed/locked state of gesture control (only shown when the gesture lock is enabled)
+  const [lockState, setLockState] = useState(getGestureLockState());
+  
+  useEffect(() => {
+    const removeListener = onGestureLockChange(setLockState);
+    return () => removeListener();
+  }, []);
+  
   // Show feedback when a command is executed
   useEffect(() => {
     if (lastCommand) {
@@ -36,8 +45,26 @@ const FeedbackOverlay = () => {
     }
   }, [lastCommand]);
   
+  // Wake gesture (or sequence) that unlocks control, for the hint
+  const { wakeGesture, wakeSequence } = getGestureSettings().gestureLock;
+  const wakeHint = (wakeSequence ? wakeSequence.join(' → ') : wakeGesture || '').replace(/_/g, ' ');
+  const lockIndicator = lockState.enabled ? (
+    <View style={styles.lockContainer} pointerEvents="none">
+      <View style={[styles.lockBadge, lockState.armed ? styles.lockBadgeArmed : styles.lockBadgeLocked]}>
+        <Text style={styles.lockText}>
+          {lockState.armed ? 'Gestures armed' : 'Gestures locked'}
+        </Text>
+        {!lockState.armed && wakeHint !== '' && (
+          <Text style={styles.lockHint}>
+            {wakeSequence ? 'Show' : 'Hold'} {wakeHint} to unlock
+          </Text>
+        )}
+      </View>
+    </View>
+  ) : null;
+  
   if (!visible) {
-    return null;
+    return lockIndicator;
   }
   
   // Format the command for display
@@ -48,13 +75,16 @@ const FeedbackOverlay = () => {
     .join(' ') : '';
   
   return (
-    <Animated.View style={[styles.container, { opacity: fadeAnim }]}>
-      <View style={styles.overlay}>
-        <View style={styles.commandContainer}>
-          <Text style={styles.commandText}>{formattedCommand}</Text>
+    <>
+      {lockIndicator}
+      <Animated.View style={[styles.container, { opacity: fadeAnim }]}>
+        <View style={styles.overlay}>
+          <View style={styles.commandContainer}>
+            <Text style={styles.commandText}>{formattedCommand}</Text>
+          </View>
         </View>
-      </View>
-    </Animated.View>
+      </Animated.View>
+    </>
   );
 };
 
@@ -88,6 +118,36 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     textAlign: 'center',
   },
+  lockContainer: {
+    position: 'absolute',
+    top: 16,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+    zIndex: 1000,
+  },
+  lockBadge: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  lockBadgeArmed: {
+    backgroundColor: colors.success,
+  },
+  lockBadgeLocked: {
+    backgroundColor: 'rgba(0,0,0,0.7)',
+  },
+  lockText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  lockHint: {
+    color: '#fff',
+    fontSize: 12,
+    marginTop: 2,
+  },
 });
 
 export default FeedbackOverlay;
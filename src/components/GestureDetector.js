@@ -1,21 +1,52 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   initTensorFlow, 
+  getModelLoadError,
+  checkHandposeModelCache,
   detectGesture, 
-  startGestureTraining, 
-  stopGestureTraining,
-  getGestureStatistics
+  getGestureStatistics,
+  getGestureSettings,
+  getVisibleHandCount,
+  isReplaying,
+  reportWrongGesture,
+  setCameraFacing
 } from '../utils/gestureRecognition';
-import { executeAction, gestureToAction } from '../utils/phoneControl';
+import { createFrameScheduler } from '../../public/shared/frameScheduler';
+import { GESTURE_CATALOGUE } from '../../public/shared/gestureCatalogue';
+import GestureVisualizer from './GestureVisualizer';
+import { createActivationController } from '../../public/shared/gestureActivation';
+import { createAnalogController } from '../../public/shared/analogControl';
+import { createAirCursor } from '../../public/shared/airCursor';
+import {
+  executeAction,
+  getActionForGesture,
+  getAnalogBinding,
+  getGestureBinding,
+  loadGestureBindings,
+  setAnalogValue,
+  setSelectHandler
+} from '../utils/phoneControl';
+import {
+  startRecording,
+  stopRecording,
+  saveRecording,
+  loadRecording,
+  replayRecording,
+  startReplay,
+  stopReplay
+} from '../utils/landmarkRecorder';
 
 const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions = {} }) => {
   // Main state
   const [isInitialized, setIsInitialized] = useState(false);
   const [hasPermission, setHasPermission] = useState(null);
+  const [videoReady, setVideoReady] = useState(false);
   const [lastGesture, setLastGesture] = useState(null);
   const [lastGestureDetails, setLastGestureDetails] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [modelCached, setModelCached] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
   
   // Advanced tracking state
   const [handTracking, setHandTracking] = useState({
@@ -26,17 +57,52 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
   const [gestureStats, setGestureStats] = useState(null);
   const [gestureHistory, setGestureHistory] = useState([]);
   const [debugMode, setDebugMode] = useState(false);
+  const [lastSequence, setLastSequence] = useState(null);
+  
+  // Landmark recording (debug controls)
+  const [recording, setRecording] = useState(false);
+  const [lastRecording, setLastRecording] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+  const [replayReport, setReplayReport] = useState(null);
+  const replaySourceRef = useRef(null);
+  
+  // Detection the user is correcting (picking the gesture they made) and the one already reported
+  const [correctedDetection, setCorrectedDetection] = useState(null);
+  const [reportedDetection, setReportedDetection] = useState(null);
+  
+  // Hold progress of the gesture being activated
+  const [activation, setActivation] = useState(null);
+  
+  // Value of the continuous control being driven, if any
+  const [analogControl, setAnalogControl] = useState(null);
+  
+  // Pointer mode: the index fingertip moves a cursor, pinch or dwell clicks
+  const [pointerMode, setPointerMode] = useState(gestureOptions.pointerMode === true);
+  const [cursor, setCursor] = useState(null);
   
   // Refs
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  const gestureDebounceTimer = useRef(null);
+  const sequenceBadgeTimer = useRef(null);
+  const frameSchedulerRef = useRef(null);
+  const processFrameRef = useRef(null);
+  
+  // Hold, repeat and cooldown rules of each gesture's binding (kept across detection restarts)
+  const activationController = useRef(createActivationController(getGestureBinding));
+  
+  // Continuous controls driven while a gesture with an analog binding is held
+  const analogController = useRef(createAnalogController(getAnalogBinding));
+  const primaryLandmarks = useRef(null);
+  const visibleHands = useRef([]);
+  const airCursor = useRef(createAirCursor(gestureOptions.cursorOptions));
+  const cursorRef = useRef(null);
   
   // Detection settings
-  const detectionInterval = useMemo(() => {
-    // Faster detection interval for better UX
-    return gestureOptions.highPerformanceMode ? 200 : 350;
-  }, [gestureOptions.highPerformanceMode]);
+  const detectionFrequency = useMemo(() => {
+    // The frame scheduler adapts the actual rate to inference latency and hand presence
+    if (gestureOptions.detectionFrequency) return gestureOptions.detectionFrequency;
+    return gestureOptions.highPerformanceMode ? 'high' : getGestureSettings().detectionFrequency;
+  }, [gestureOptions.detectionFrequency, gestureOptions.highPerformanceMode]);
   
   const visualizationSettings = useMemo(() => {
     return {
@@ -52,14 +118,20 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
     const initialize = async () => {
       try {
         setIsLoading(true);
+        setError(null);
         
-        // Initialize TensorFlow.js
+        // Initialize TensorFlow.js (the model loads from the cache when it has loaded before)
+        setModelCached((await checkHandposeModelCache()).cached);
         const initialized = await initTensorFlow();
         if (!initialized) {
-          throw new Error('Failed to initialize TensorFlow.js');
+          const loadError = getModelLoadError();
+          throw new Error(loadError ? loadError.message : 'Failed to initialize TensorFlow.js');
         }
         setIsInitialized(true);
-        
+
+        // User gesture → action bindings (e.g. from imported gesture packs)
+        await loadGestureBindings();
+
         // Load gesture statistics if requested
         if (showStats) {
           const stats = await getGestureStatistics();
@@ -80,6 +152,12 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
             videoRef.current.srcObject = stream;
             setHasPermission(true);
           }
+          
+          // Rear-camera frames are mirrored so directional gestures keep their meaning
+          const [videoTrack] = stream.getVideoTracks();
+          if (videoTrack && videoTrack.getSettings) {
+            setCameraFacing(videoTrack.getSettings().facingMode);
+          }
         } catch (err) {
           console.error('Error accessing camera:', err);
           setHasPermission(false);
@@ -101,8 +179,9 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
       if (videoRef.current && videoRef.current.srcObject) {
         videoRef.current.srcObject.getTracks().forEach(track => track.stop());
       }
+      setVideoReady(false);
     };
-  }, [showStats]);
+  }, [showStats, retryCount]);
   
   // Enhanced hand landmark visualization
   const drawHandLandmarks = (ctx, landmarks, handBoundingBox) => {
@@ -211,139 +290,367 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
     }
   };
   
-  // Start gesture detection when initialized and camera is ready
-  useEffect(() => {
-    let frameProcessorId = null;
-    
-    const startDetection = async () => {
-      if (isInitialized && hasPermission && videoRef.current) {
-        try {
-          // Start processing frames
-          await startGestureTraining(
-            (prediction) => {
-              // Update hand tracking state
-              setHandTracking(prev => ({
-                ...prev,
-                isVisible: true,
-                position: { 
-                  x: prediction.landmarks[0][0], 
-                  y: prediction.landmarks[0][1] 
-                }
-              }));
-              
-              // Draw hand landmarks on canvas
-              if (canvasRef.current && prediction.landmarks) {
-                const ctx = canvasRef.current.getContext('2d');
-                drawHandLandmarks(
-                  ctx, 
-                  prediction.landmarks, 
-                  prediction.boundingBox
-                );
+  // Detect gestures in one frame; resolves to true while a hand is in view
+  // Rebuilt on every render and called through a ref, so the frame scheduler always sees
+  // current state without being restarted
+  const processFrame = async () => {
+    if (videoRef.current) {
+      try {
+        // Landmarks are drawn from the same inference as the gesture,
+        // so only one frame is ever in flight
+        const result = await detectGesture(videoRef.current, {
+          onHands: (hands) => {
+            visibleHands.current = hands;
+            primaryLandmarks.current = hands.length > 0 ? hands[0].landmarks : null;
+            if (hands.length === 0) return;
+            const prediction = hands[0];
+            
+            // Update hand tracking state
+            setHandTracking(prev => ({
+              ...prev,
+              isVisible: true,
+              position: { 
+                x: prediction.landmarks[0][0], 
+                y: prediction.landmarks[0][1] 
               }
-            },
-            (err) => {
-              console.error('Frame processing error:', err);
+            }));
+            
+            // Draw hand landmarks on canvas
+            if (canvasRef.current && prediction.landmarks) {
+              const ctx = canvasRef.current.getContext('2d');
+              drawHandLandmarks(
+                ctx, 
+                prediction.landmarks, 
+                prediction.boundingBox
+              );
             }
-          );
+          }
+        });
+        
+        // In pointer mode the fingertip drives the cursor instead of gestures running actions
+        if (pointerMode) {
+          moveCursor(airCursor.current.update(primaryLandmarks.current, {
+            width: videoRef.current.videoWidth,
+            height: videoRef.current.videoHeight,
+            timestamp: Date.now()
+          }));
+        }
+        
+        // Gestures used to wake or lock control (or made while locked) run no actions
+        const actionGesture = result && !pointerMode && !result.lock.consumed ? result.name : null;
+        
+        // Replayed sessions show what would have happened without controlling the phone
+        const replayed = isReplaying();
+        
+        // Analog bindings map the hand to a 0-1 value for as long as the gesture is held,
+        // measured on the hand that made the gesture
+        const gestureHand = result && visibleHands.current.find(hand => hand.handId === result.handId);
+        const analog = analogController.current.update(
+          actionGesture,
+          gestureHand ? gestureHand.landmarks : primaryLandmarks.current,
+          { timestamp: Date.now(), frameHeight: videoRef.current.videoHeight }
+        );
+        setAnalogControl(analog);
+        if (analog && analog.changed && !replayed) {
+          setAnalogValue(analog.target, analog.value);
+        }
+        
+        if (result && !pointerMode) {
+          // Store detailed gesture information
+          setLastGestureDetails(result);
           
-          // Detect gestures at adaptive interval
-          frameProcessorId = setInterval(async () => {
-            if (videoRef.current) {
-              try {
-                const result = await detectGesture(videoRef.current);
-                
-                if (result) {
-                  // Store detailed gesture information
-                  setLastGestureDetails(result);
-                  
-                  // Update hand tracking with velocity data
-                  if (result.velocity && result.handPosition) {
-                    setHandTracking(prev => ({
-                      ...prev,
-                      velocity: result.velocity,
-                      position: result.handPosition
-                    }));
-                  }
-                  
-                  // Check if the gesture is different or if we should debounce
-                  if (result.name !== lastGesture) {
-                    // Clear any existing debounce timer
-                    if (gestureDebounceTimer.current) {
-                      clearTimeout(gestureDebounceTimer.current);
-                    }
-                    
-                    // Debounce gesture updates to prevent flickering
-                    gestureDebounceTimer.current = setTimeout(() => {
-                      // Only update if this is still the latest gesture
-                      setLastGesture(result.name);
-                      
-                      // Add to history
-                      setGestureHistory(prev => {
-                        const newHistory = [
-                          {
-                            gesture: result.name,
-                            confidence: result.confidence,
-                            timestamp: Date.now()
-                          },
-                          ...prev
-                        ].slice(0, 10);
-                        return newHistory;
-                      });
-                      
-                      // Map gesture to action and execute
-                      const action = gestureToAction[result.name];
-                      if (action) {
-                        console.log('Executing action:', action);
-                        executeAction(action);
-                        
-                        // Notify parent component
-                        if (onGestureDetected) {
-                          onGestureDetected({
-                            gesture: result.name,
-                            action: action,
-                            confidence: result.confidence,
-                            allGestures: result.allGestures
-                          });
-                        }
-                      }
-                    }, 200); // 200ms debounce
-                  }
-                } else {
-                  // No hand detected
-                  if (handTracking.isVisible) {
-                    setHandTracking(prev => ({
-                      ...prev,
-                      isVisible: false
-                    }));
-                  }
-                }
-              } catch (error) {
-                console.error('Error detecting gesture:', error);
+          // Update hand tracking with velocity data
+          if (result.velocity && result.handPosition) {
+            setHandTracking(prev => ({
+              ...prev,
+              velocity: result.velocity,
+              position: result.handPosition
+            }));
+          }
+          
+          // A completed gesture sequence runs its action unless the action is cooling down
+          const sequenceActivation = result.sequence
+            ? activationController.current.trigger(result.sequence.action, Date.now())
+            : null;
+          if (sequenceActivation && sequenceActivation.fire) {
+            if (!replayed) {
+              executeAction(result.sequence.action);
+            }
+            setLastSequence(result.sequence);
+            
+            // Hide the sequence badge after a short while
+            if (sequenceBadgeTimer.current) {
+              clearTimeout(sequenceBadgeTimer.current);
+            }
+            sequenceBadgeTimer.current = setTimeout(() => setLastSequence(null), 2000);
+            
+            setGestureHistory(prev => [
+              {
+                gesture: result.sequence.gestures.join(' → '),
+                confidence: result.confidence,
+                timestamp: Date.now()
+              },
+              ...prev
+            ].slice(0, 10));
+            
+            if (onGestureDetected) {
+              onGestureDetected({
+                gesture: result.name,
+                action: result.sequence.action,
+                confidence: result.confidence,
+                allGestures: result.allGestures,
+                sequence: result.sequence
+              });
+            }
+          }
+          
+          // Run the bound action once it has been held long enough
+          // (and again while held for repeating actions)
+          const state = activationController.current.update(actionGesture, Date.now(), {
+            instant: result.motion
+          });
+          setActivation(state);
+          
+          if (state.fire) {
+            if (!state.repeat) {
+              setLastGesture(result.name);
+              
+              // Add to history
+              setGestureHistory(prev => [
+                {
+                  gesture: result.name,
+                  confidence: result.confidence,
+                  timestamp: Date.now()
+                },
+                ...prev
+              ].slice(0, 10));
+            }
+            
+            if (state.action) {
+              if (!replayed) {
+                console.log('Executing action:', state.action);
+                executeAction(state.action);
+              }
+              
+              // Notify parent component
+              if (onGestureDetected) {
+                onGestureDetected({
+                  gesture: result.name,
+                  action: state.action,
+                  confidence: result.confidence,
+                  allGestures: result.allGestures,
+                  repeat: state.repeat
+                });
               }
             }
-          }, detectionInterval);
-        } catch (error) {
-          console.error('Error starting gesture detection:', error);
-          setError('Failed to start gesture detection.');
+          }
+        } else if (!result) {
+          // No gesture in this frame ends the hold (after a short grace period)
+          setActivation(activationController.current.update(null, Date.now()));
+          
+          // No hand detected
+          if (handTracking.isVisible) {
+            setHandTracking(prev => ({
+              ...prev,
+              isVisible: false
+            }));
+          }
         }
+      } catch (error) {
+        console.error('Error detecting gesture:', error);
       }
-    };
-    
-    if (isInitialized && hasPermission) {
-      startDetection();
+      
+      // Go back to the camera once a replay has run out of frames
+      if (replaySourceRef.current && replaySourceRef.current.isFinished()) {
+        stopReplay();
+        replaySourceRef.current = null;
+        setReplaying(false);
+      }
+    }
+    return getVisibleHandCount() > 0;
+  };
+  processFrameRef.current = processFrame;
+  
+  // Start gesture detection once initialized and the camera has delivered a frame
+  // Frames are detected one at a time at an adaptive rate
+  useEffect(() => {
+    if (!isInitialized || !hasPermission || !videoReady) {
+      return undefined;
     }
     
+    const frameScheduler = createFrameScheduler(() => processFrameRef.current(), { frequency: detectionFrequency });
+    frameSchedulerRef.current = frameScheduler;
+    frameScheduler.start();
+    
     // Cleanup
     return () => {
-      if (frameProcessorId) {
-        clearInterval(frameProcessorId);
-      }
-      if (gestureDebounceTimer.current) {
-        clearTimeout(gestureDebounceTimer.current);
+      frameScheduler.stop();
+      frameSchedulerRef.current = null;
+      if (sequenceBadgeTimer.current) {
+        clearTimeout(sequenceBadgeTimer.current);
       }
-      stopGestureTraining();
     };
-  }, [isInitialized, hasPermission, lastGesture, onGestureDetected, detectionInterval, visualizationSettings, debugMode]);
+  }, [isInitialized, hasPermission, videoReady]);
+  
+  // A new detection frequency keeps the scheduler's measured latency and idle back-off
+  useEffect(() => {
+    if (frameSchedulerRef.current) {
+      frameSchedulerRef.current.setFrequency(detectionFrequency);
+    }
+  }, [detectionFrequency]);
+  
+  // Click whatever is under the air cursor (our own buttons, links and inputs)
+  const clickAtCursor = () => {
+    const current = cursorRef.current;
+    if (!current) {
+      return { success: false, message: 'No hand to point with' };
+    }
+    
+    const element = document.elementFromPoint(current.x * window.innerWidth, current.y * window.innerHeight);
+    if (!element) {
+      return { success: false, message: 'Nothing under the cursor' };
+    }
+    
+    const target = element.closest('button, a, input, select, textarea, [role="button"]') || element;
+    target.click();
+    if (typeof target.focus === 'function') {
+      target.focus();
+    }
+    return { success: true, message: 'Selected' };
+  };
+  
+  const moveCursor = (state) => {
+    cursorRef.current = state;
+    setCursor(state);
+    
+    if (state && state.click) {
+      clickAtCursor();
+    }
+  };
+  
+  // The voice SELECT action clicks at the cursor while pointer mode is on
+  useEffect(() => {
+    if (!pointerMode) {
+      airCursor.current.reset();
+      cursorRef.current = null;
+      setCursor(null);
+      return undefined;
+    }
+    
+    setSelectHandler(clickAtCursor);
+    return () => setSelectHandler(null);
+  }, [pointerMode]);
+  
+  // Don't leave a recording or replay attached to detectGesture after unmount
+  useEffect(() => {
+    return () => {
+      stopRecording();
+      stopReplay();
+    };
+  }, []);
+  
+  // Record the landmark stream, or stop and save it to a file
+  const toggleRecording = async () => {
+    if (!recording) {
+      startRecording({ name: `Session ${new Date().toLocaleString()}` });
+      setRecording(true);
+      return;
+    }
+    
+    const newRecording = stopRecording();
+    setRecording(false);
+    if (!newRecording) return;
+    
+    setLastRecording(newRecording);
+    const saved = await saveRecording(newRecording);
+    if (saved.success) {
+      console.log(`Saved ${newRecording.frames.length} frames${saved.uri ? ` to ${saved.uri}` : ' as a download'}`);
+    }
+  };
+  
+  // Replay a recording file through detection and compare with what was recorded
+  // Works without a camera; the camera loop is paused meanwhile so it can't take replay frames
+  const loadAndReplay = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const { recording, error: loadError } = await loadRecording(file);
+    if (loadError) {
+      setReplayReport({ error: loadError });
+      return;
+    }
+    setLastRecording(recording);
+    
+    const scheduler = frameSchedulerRef.current;
+    if (scheduler) scheduler.stop();
+    setReplaying(true);
+    try {
+      const { results, mismatches } = await replayRecording(recording);
+      setReplayReport({
+        name: recording.metadata ? recording.metadata.name : file.name,
+        frameCount: results.length,
+        mismatches: mismatches.length
+      });
+    } catch (replayError) {
+      console.error('Error replaying recording:', replayError);
+      setReplayReport({ error: replayError.message });
+    } finally {
+      setReplaying(false);
+      if (scheduler) scheduler.start();
+    }
+  };
+  
+  // Load a recording file and show how its replay compares (debug controls)
+  const renderRecordingLoader = () => (
+    <div className="mt-2 text-center small">
+      <label className={`btn btn-sm btn-outline-secondary ${replaying || recording ? 'disabled' : ''}`}>
+        Load Recording
+        <input
+          type="file"
+          accept="application/json,.json"
+          onChange={loadAndReplay}
+          disabled={replaying || recording}
+          hidden
+        />
+      </label>
+      {replayReport && (
+        <div className={`mt-1 ${replayReport.error || replayReport.mismatches > 0 ? 'text-danger' : 'text-success'}`}>
+          {replayReport.error
+            ? replayReport.error
+            : `${replayReport.name}: ${replayReport.frameCount} frames replayed, ${replayReport.mismatches} differ from the recording`}
+        </div>
+      )}
+    </div>
+  );
+  
+  // Gestures the user may have meant: this frame's runners-up first, then the built-in ones
+  const getIntendedGestureOptions = (detection) => {
+    const candidates = Object.keys(detection.allGestures || {});
+    return [...new Set([...candidates, ...GESTURE_CATALOGUE.map(gesture => gesture.id)])]
+      .filter(gesture => gesture !== detection.name);
+  };
+  
+  // Report the corrected detection as wrong ('none' when no gesture was made);
+  // detection thresholds are recalibrated
+  const reportWrong = async (intendedGesture) => {
+    const detection = correctedDetection;
+    setCorrectedDetection(null);
+    setReportedDetection(detection);
+    await reportWrongGesture(detection.name, intendedGesture);
+  };
+  
+  // Feed the last recording through detection instead of the camera
+  const toggleReplay = () => {
+    if (replaying) {
+      stopReplay();
+      replaySourceRef.current = null;
+      setReplaying(false);
+    } else if (lastRecording) {
+      replaySourceRef.current = startReplay(lastRecording);
+      setReplaying(true);
+    }
+  };
   
   if (isLoading) {
     return (
@@ -352,7 +659,11 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
           <div className="spinner-border text-primary" role="status">
             <span className="visually-hidden">Loading...</span>
           </div>
-          <p className="mt-2">Initializing advanced gesture detection...</p>
+          <p className="mt-2">
+            {modelCached === false
+              ? 'Downloading the hand tracking model...'
+              : 'Initializing advanced gesture detection...'}
+          </p>
         </div>
       </div>
     );
@@ -365,7 +676,13 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
           <div className="alert alert-danger" role="alert">
             {error}
           </div>
+          {!isInitialized && (
+            <button className="btn btn-primary" onClick={() => setRetryCount(count => count + 1)}>
+              Retry
+            </button>
+          )}
         </div>
+        {gestureOptions.showDebugControls && renderRecordingLoader()}
       </div>
     );
   }
@@ -376,6 +693,7 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
         <div className="alert alert-warning" role="alert">
           Camera access denied. Please enable camera permissions.
         </div>
+        {gestureOptions.showDebugControls && renderRecordingLoader()}
       </div>
     );
   }
@@ -391,6 +709,7 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
           width="320" 
           height="240"
           onLoadedMetadata={(e) => e.target.play()}
+          onLoadedData={() => setVideoReady(true)}
           className="camera-feed"
         />
         <canvas 
@@ -412,14 +731,131 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
               {Math.round(lastGestureDetails.confidence * 10) / 10}
             </span>
           )}
-          {gestureToAction[lastGesture] && (
+          {getActionForGesture(lastGesture) && (
             <span className="badge bg-success ms-1">
-              {gestureToAction[lastGesture].replace(/_/g, ' ')}
+              {getActionForGesture(lastGesture).replace(/_/g, ' ')}
+            </span>
+          )}
+          {lastGestureDetails && !correctedDetection && reportedDetection !== lastGestureDetails && (
+            <button 
+              className="btn btn-link btn-sm p-0 ms-2"
+              onClick={() => setCorrectedDetection(lastGestureDetails)}
+              title="Not the gesture you made? Report it to tune recognition"
+            >
+              Wrong?
+            </button>
+          )}
+          {correctedDetection && (
+            <span className="ms-2">
+              <select
+                className="form-select form-select-sm d-inline-block w-auto"
+                value=""
+                onChange={(e) => reportWrong(e.target.value)}
+                title={`What did you make instead of ${correctedDetection.name.replace(/_/g, ' ')}?`}
+              >
+                <option value="" disabled>I made...</option>
+                <option value="none">No gesture</option>
+                {getIntendedGestureOptions(correctedDetection).map(gesture => (
+                  <option key={gesture} value={gesture}>{gesture.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+              <button 
+                className="btn btn-link btn-sm p-0 ms-1"
+                onClick={() => setCorrectedDetection(null)}
+              >
+                Cancel
+              </button>
             </span>
           )}
         </div>
       )}
       
+      {/* Hold progress of a gesture about to run its action */}
+      {activation && activation.action && (activation.state === 'holding' || activation.state === 'cooldown') && (
+        <div className="d-flex justify-content-center mt-1">
+          <GestureVisualizer 
+            detectedGesture={activation.gesture}
+            size="small"
+            showLabels={false}
+            animate={false}
+            activationProgress={activation.progress}
+            activationState={activation.state}
+          />
+        </div>
+      )}
+      
+      {/* Continuous control driven by the held gesture */}
+      {analogControl && analogControl.value !== null && (
+        <div className="gesture-indicator d-flex align-items-center mt-1">
+          <span className="badge bg-primary me-2">
+            {analogControl.target.replace(/_/g, ' ').toLowerCase()}
+          </span>
+          <div className="progress flex-grow-1" style={{ height: '8px', minWidth: '120px' }}>
+            <div 
+              className="progress-bar" 
+              role="progressbar" 
+              style={{ width: `${Math.round(analogControl.value * 100)}%` }}
+              aria-valuenow={Math.round(analogControl.value * 100)}
+              aria-valuemin="0"
+              aria-valuemax="100"
+            />
+          </div>
+        </div>
+      )}
+      
+      {/* Per-hand gestures when both hands are tracked */}
+      {lastGestureDetails && lastGestureDetails.hands && lastGestureDetails.hands.length > 1 && (
+        <div className="gesture-indicator mt-1">
+          {lastGestureDetails.hands.map(hand => (
+            <span key={hand.handId} className="badge bg-secondary me-1">
+              {hand.handId}: {hand.name.replace(/_/g, ' ')}
+            </span>
+          ))}
+        </div>
+      )}
+      
+      {/* Gesture Sequence Indicator */}
+      {lastSequence && (
+        <div className="gesture-indicator mt-1">
+          <span className="badge bg-warning text-dark">
+            {lastSequence.gestures.map(g => g.replace(/_/g, ' ')).join(' → ')}
+          </span>
+          <span className="badge bg-success ms-1">
+            {lastSequence.action.replace(/_/g, ' ')}
+          </span>
+        </div>
+      )}
+      
+      {/* Air cursor, drawn over the whole screen without catching clicks itself */}
+      {pointerMode && cursor && (
+        <div 
+          className="air-cursor"
+          style={{
+            position: 'fixed',
+            left: `${cursor.x * 100}%`,
+            top: `${cursor.y * 100}%`,
+            width: cursor.pinching ? '22px' : '28px',
+            height: cursor.pinching ? '22px' : '28px',
+            borderRadius: '50%',
+            border: `2px solid ${visualizationSettings.landmarkColor}`,
+            background: `conic-gradient(${visualizationSettings.landmarkColor}99 ${cursor.dwellProgress * 360}deg, rgba(255, 255, 255, 0.3) 0deg)`,
+            transform: 'translate(-50%, -50%)',
+            pointerEvents: 'none',
+            zIndex: 9999
+          }}
+        />
+      )}
+      
+      <div className="mt-2 d-flex justify-content-center">
+        <button 
+          className={`btn btn-sm ${pointerMode ? 'btn-primary' : 'btn-outline-primary'}`}
+          onClick={() => setPointerMode(!pointerMode)}
+          title="Point with your index finger; pinch or hold still to click"
+        >
+          {pointerMode ? 'Exit Pointer Mode' : 'Pointer Mode'}
+        </button>
+      </div>
+      
       {/* Debug Controls - only if requested */}
       {gestureOptions.showDebugControls && (
         <div className="mt-2 d-flex justify-content-center">
@@ -429,8 +865,23 @@ const GestureDetector = ({ onGestureDetected, showStats = false, gestureOptions
           >
             {debugMode ? 'Hide Details' : 'Show Details'}
           </button>
+          <button 
+            className={`btn btn-sm ms-2 ${recording ? 'btn-danger' : 'btn-outline-secondary'}`}
+            onClick={toggleRecording}
+            disabled={replaying}
+          >
+            {recording ? 'Stop & Save' : 'Record'}
+          </button>
+          <button 
+            className={`btn btn-sm ms-2 ${replaying ? 'btn-warning' : 'btn-outline-secondary'}`}
+            onClick={toggleReplay}
+            disabled={recording || (!lastRecording && !replaying)}
+          >
+            {replaying ? 'Stop Replay' : 'Replay'}
+          </button>
         </div>
       )}
+      {gestureOptions.showDebugControls && renderRecordingLoader()}
       
       {/* Gesture Statistics - only if requested */}
       {showStats && gestureStats && (
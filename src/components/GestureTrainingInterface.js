@@ -1,6 +1,27 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, Button, TextInput, ScrollView, Alert, TouchableOpacity, Switch } from 'react-native';
-import { saveGesture, startGestureTraining, stopGestureTraining, loadGestures } from '../utils/gestureRecognition';
+import {
+  saveGesture,
+  saveIdleSamples,
+  startGestureTraining,
+  stopGestureTraining,
+  loadGestures,
+  findSimilarGestures
+} from '../utils/gestureRecognition';
+import {
+  TRAINING_TAKES,
+  isHandInFrame,
+  assessRecording,
+  findRepresentativeFrame,
+  augmentFrames
+} from '../utils/trainingQuality';
+
+// Recording length per gesture type; idle samples cover a few natural movements
+const RECORDING_DURATIONS = {
+  static: 2000,
+  motion: 3000,
+  idle: 5000
+};
 
 /**
  * Advanced Gesture Training Interface
@@ -26,13 +47,18 @@ const GestureTrainingInterface = ({
   const [existingGestures, setExistingGestures] = useState([]);
   const [advancedMode, setAdvancedMode] = useState(false);
   const [quality, setQuality] = useState('medium');
+  const [gestureType, setGestureType] = useState('static');
   const [handError, setHandError] = useState(null);
+  const [idleSampleCount, setIdleSampleCount] = useState(0);
+  const [takes, setTakes] = useState([]);
+  const [qualityReport, setQualityReport] = useState(null);
   
   // References
   const canvasRef = useRef(null);
   const timerRef = useRef(null);
   const countdownRef = useRef(null);
   const recordingFramesRef = useRef([]);
+  const isCapturingRef = useRef(false);
   
   // Load existing gestures to avoid name conflicts
   useEffect(() => {
@@ -186,17 +212,21 @@ const GestureTrainingInterface = ({
   // Begin capturing frames after countdown
   const beginCapture = async () => {
     try {
+      // The frame callback outlives this render, so it reads a ref instead of state
+      isCapturingRef.current = true;
+      
       await startGestureTraining(
         (prediction) => {
           if (prediction && prediction.landmarks) {
             setHandLandmarks(prediction.landmarks);
             setBoundingBox(prediction.boundingBox);
             
-            if (recordingInProgress) {
+            if (isCapturingRef.current) {
               // Store frame data
               recordingFramesRef.current.push({
-                landmarks: prediction.landmarks,
-                timestamp: Date.now()
+                landmarks: prediction.poseLandmarks || prediction.landmarks,
+                timestamp: Date.now(),
+                visible: isHandInFrame(prediction.landmarks, prediction.frameWidth, prediction.frameHeight)
               });
             }
           }
@@ -207,12 +237,24 @@ const GestureTrainingInterface = ({
         }
       );
       
-      // Record for 2 seconds
+      // Record long enough to fit a whole movement or several idle poses
       timerRef.current = setTimeout(() => {
-        setRecordedFrames(recordingFramesRef.current);
+        const frames = recordingFramesRef.current;
         stopRecording();
+        
+        // Hand poses are recorded several times so the takes can be compared
+        const recordedTakes = gestureType === 'static' ? [...takes, frames] : [frames];
+        setTakes(recordedTakes);
+        if (recordedTakes.length < (gestureType === 'static' ? TRAINING_TAKES : 1)) {
+          return;
+        }
+        
+        setRecordedFrames(recordedTakes.flat());
+        if (gestureType !== 'idle') {
+          setQualityReport(assessTakes(recordedTakes));
+        }
         setCurrentStep('review');
-      }, 2000);
+      }, RECORDING_DURATIONS[gestureType]);
     } catch (error) {
       console.error('Failed to start gesture training:', error);
       setHandError('Failed to start hand tracking. Please check camera permissions.');
@@ -221,6 +263,7 @@ const GestureTrainingInterface = ({
   
   // Stop recording
   const stopRecording = () => {
+    isCapturingRef.current = false;
     setRecordingInProgress(false);
     stopGestureTraining();
     if (timerRef.current) {
@@ -233,6 +276,35 @@ const GestureTrainingInterface = ({
     }
   };
   
+  // Start over with the first take
+  const recordAgain = () => {
+    setTakes([]);
+    setQualityReport(null);
+    setCurrentStep('record');
+  };
+  
+  // Quality report of the recorded takes, including existing gestures that look alike
+  const assessTakes = (recordedTakes) => {
+    const gestureId = gestureName.toLowerCase().replace(/\s+/g, '_');
+    const editedId = isEditMode ? initialGestureName.toLowerCase().replace(/\s+/g, '_') : gestureId;
+    const similarGestures = gestureType === 'static'
+      ? findSimilarGestures(recordedTakes.flat(), editedId).map(match => {
+          const existing = existingGestures.find(g => g.id === match.name);
+          return { ...match, name: existing && existing.name ? existing.name : match.name.replace(/_/g, ' ') };
+        })
+      : [];
+    
+    return assessRecording(recordedTakes, { type: gestureType, similarGestures });
+  };
+  
+  // Total recording time over all takes
+  const getRecordingDuration = () => {
+    const durations = takes
+      .filter(take => take.length > 1)
+      .map(take => take[take.length - 1].timestamp - take[0].timestamp);
+    return durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) : null;
+  };
+  
   // Process frames to extract gesture data
   const processGestureData = () => {
     if (recordedFrames.length === 0) {
@@ -240,8 +312,13 @@ const GestureTrainingInterface = ({
       return null;
     }
     
-    // Calculate the best frames (those with most stable hand position)
-    const stableFrames = selectStableFrames(recordedFrames);
+    // Motion gestures are defined by the whole movement, so keep every frame
+    if (gestureType === 'motion') {
+      return extractMotionData(recordedFrames);
+    }
+    
+    // Calculate the best frames of each take (fully visible, with the most stable hand position)
+    const stableFrames = takes.flatMap(take => selectStableFrames(take.filter(frame => frame.visible !== false)));
     if (stableFrames.length === 0) {
       return null;
     }
@@ -291,27 +368,62 @@ const GestureTrainingInterface = ({
     return selectedIndices.map(index => frames[index]);
   };
   
-  // Extract finger curl and direction data from frames
+  // Extract the landmark data matched by the main gesture recognition system
   const extractGestureData = (frames) => {
-    // For advanced analysis, we should use the fingerpose library directly
-    // Here we just prepare the data to be processed by the main gesture recognition system
+    // The frame closest to the average pose represents the gesture
+    const representativeFrame = findRepresentativeFrame(frames);
     
-    // Sample the middle frame for demonstration
-    const middleFrame = frames[Math.floor(frames.length / 2)];
+    return {
+      name: gestureName,
+      frames: frames.map(frame => ({
+        landmarks: frame.landmarks,
+        timestamp: frame.timestamp
+      })),
+      // Slightly tilted, stretched and jittered copies help matching from few samples
+      augmentedFrames: augmentFrames(frames),
+      landmarks: representativeFrame.landmarks,
+      quality: quality,
+      trainingQuality: qualityReport ? qualityReport.rating : null,
+      createdAt: Date.now()
+    };
+  };
+  
+  // Keep the full recording of a motion gesture
+  // The hand-center trajectory is derived from these frames when gestures are loaded
+  const extractMotionData = (frames) => {
+    if (frames.length < 4) {
+      setHandError('Not enough frames captured. Please move your hand more slowly.');
+      return null;
+    }
     
     return {
       name: gestureName,
+      type: 'motion',
       frames: frames.map(frame => ({
         landmarks: frame.landmarks,
         timestamp: frame.timestamp
       })),
-      // Include the raw frame data for processing
-      landmarks: middleFrame.landmarks,
       quality: quality,
       createdAt: Date.now()
     };
   };
   
+  // Save the recording as "no gesture" samples that detection will reject
+  const saveIdleRecording = async () => {
+    if (recordedFrames.length === 0) {
+      setHandError('No hand data detected. Please try again.');
+      return;
+    }
+    
+    const result = await saveIdleSamples(recordedFrames);
+    if (result.success) {
+      setIdleSampleCount(result.sampleCount);
+      setCurrentStep('save');
+    } else {
+      Alert.alert('Error', `Failed to save idle samples: ${result.error || 'Unknown error'}`);
+    }
+  };
+  
   // Save the gesture
   const saveCustomGesture = async () => {
     // Validate name
@@ -404,6 +516,41 @@ const GestureTrainingInterface = ({
               maxLength={20}
             />
             
+            <Text style={styles.optionLabel}>Gesture Type:</Text>
+            <View style={[styles.qualityOptions, styles.typeOptions]}>
+              {[
+                { value: 'static', label: 'Hand Pose' },
+                { value: 'motion', label: 'Movement' },
+                { value: 'idle', label: 'No Gesture' }
+              ].map(type => (
+                <TouchableOpacity 
+                  key={type.value}
+                  style={[
+                    styles.qualityOption,
+                    styles.typeOption,
+                    gestureType === type.value ? styles.qualityOptionSelected : {}
+                  ]}
+                  onPress={() => setGestureType(type.value)}
+                >
+                  <Text 
+                    style={[
+                      styles.qualityOptionText,
+                      gestureType === type.value ? styles.qualityOptionTextSelected : {}
+                    ]}
+                  >
+                    {type.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
+            {gestureType === 'idle' && (
+              <Text style={styles.stepDescription}>
+                Record your hand resting, typing or moving naturally. Poses like these
+                will be ignored instead of being mistaken for a gesture. No name is needed.
+              </Text>
+            )}
+            
             <View style={styles.advancedOptionsRow}>
               <Text>Advanced Options</Text>
               <Switch value={advancedMode} onValueChange={setAdvancedMode} />
@@ -441,7 +588,7 @@ const GestureTrainingInterface = ({
               <Button 
                 title="Next"
                 onPress={() => setCurrentStep('record')}
-                disabled={!gestureName.trim()} 
+                disabled={gestureType !== 'idle' && !gestureName.trim()} 
               />
             </View>
           </View>
@@ -452,10 +599,22 @@ const GestureTrainingInterface = ({
           <View style={styles.stepContainer}>
             <Text style={styles.stepTitle}>Record Gesture</Text>
             <Text style={styles.stepDescription}>
-              Position your hand within the frame and hold the gesture steady.
-              Recording will automatically begin after the countdown.
+              {gestureType === 'motion'
+                ? 'Position your hand within the frame and perform the movement once.'
+                : gestureType === 'idle'
+                  ? 'Keep your hand in the frame while resting, typing or scratching.'
+                  : 'Position your hand within the frame and hold the gesture steady.'}
+              {' '}Recording will automatically begin after the countdown.
             </Text>
             
+            {gestureType === 'static' && (
+              <Text style={styles.takeCounter}>
+                {takes.length === 0
+                  ? `Take 1 of ${TRAINING_TAKES}`
+                  : `Take ${takes.length} recorded. Relax your hand, then record take ${takes.length + 1} of ${TRAINING_TAKES}.`}
+              </Text>
+            )}
+            
             <View style={styles.canvasContainer}>
               <canvas
                 ref={canvasRef}
@@ -488,7 +647,11 @@ const GestureTrainingInterface = ({
                 • Position your hand clearly in the frame
               </Text>
               <Text style={styles.instruction}>
-                • Hold the gesture steady during recording
+                {gestureType === 'motion'
+                  ? '• Draw the shape (circle, zig-zag, wave) within 3 seconds'
+                  : gestureType === 'idle'
+                    ? '• Move naturally for 5 seconds without making any gesture'
+                    : '• Hold the gesture steady during recording'}
               </Text>
               <Text style={styles.instruction}>
                 • Ensure good lighting for best results
@@ -498,7 +661,10 @@ const GestureTrainingInterface = ({
             <View style={styles.buttonRow}>
               <Button 
                 title="Back" 
-                onPress={() => setCurrentStep('name')} 
+                onPress={() => {
+                  setTakes([]);
+                  setCurrentStep('name');
+                }} 
                 color="#6b7280" 
                 disabled={recordingInProgress}
               />
@@ -532,6 +698,12 @@ const GestureTrainingInterface = ({
                 <Text style={styles.statLabel}>Frames:</Text>
                 <Text style={styles.statValue}>{recordedFrames.length}</Text>
               </View>
+              <View style={styles.statItem}>
+                <Text style={styles.statLabel}>Type:</Text>
+                <Text style={styles.statValue}>
+                  {{ static: 'Hand Pose', motion: 'Movement', idle: 'No Gesture' }[gestureType]}
+                </Text>
+              </View>
               <View style={styles.statItem}>
                 <Text style={styles.statLabel}>Quality:</Text>
                 <Text style={styles.statValue}>
@@ -541,13 +713,37 @@ const GestureTrainingInterface = ({
               <View style={styles.statItem}>
                 <Text style={styles.statLabel}>Duration:</Text>
                 <Text style={styles.statValue}>
-                  {recordedFrames.length > 1 
-                    ? `${((recordedFrames[recordedFrames.length-1].timestamp - recordedFrames[0].timestamp) / 1000).toFixed(1)}s` 
+                  {getRecordingDuration() !== null 
+                    ? `${(getRecordingDuration() / 1000).toFixed(1)}s` 
                     : 'N/A'}
                 </Text>
               </View>
             </View>
             
+            {qualityReport && (
+              <View style={styles.qualityReport}>
+                <Text style={[styles.qualityRating, styles[`qualityRating_${qualityReport.rating}`]]}>
+                  Recording quality: {qualityReport.rating.charAt(0).toUpperCase() + qualityReport.rating.slice(1)}
+                </Text>
+                {qualityReport.checks.map(check => (
+                  <View key={check.id} style={styles.qualityCheck}>
+                    <Text style={[styles.qualityCheckMark, check.passed ? styles.qualityCheckPassed : styles.qualityCheckFailed]}>
+                      {check.passed ? '✓' : '✗'}
+                    </Text>
+                    <View style={styles.qualityCheckText}>
+                      <Text style={styles.qualityCheckLabel}>{check.label}</Text>
+                      <Text style={styles.qualityCheckDetail}>{check.detail}</Text>
+                    </View>
+                  </View>
+                ))}
+                {qualityReport.rating === 'poor' && (
+                  <Text style={styles.qualityHint}>
+                    Recording again is recommended, or the gesture may be missed or mistaken for another.
+                  </Text>
+                )}
+              </View>
+            )}
+            
             <View style={styles.canvasContainer}>
               <canvas
                 ref={canvasRef}
@@ -560,21 +756,51 @@ const GestureTrainingInterface = ({
             <View style={styles.buttonRow}>
               <Button 
                 title="Record Again" 
-                onPress={() => setCurrentStep('record')} 
+                onPress={recordAgain} 
                 color="#6b7280" 
               />
-              <Button 
-                title="Save Gesture" 
-                onPress={() => {
-                  saveCustomGesture();
-                  setCurrentStep('save');
-                }} 
-              />
+              {gestureType === 'idle' ? (
+                <Button 
+                  title="Save Idle Samples" 
+                  onPress={saveIdleRecording} 
+                />
+              ) : (
+                <Button 
+                  title="Save Gesture" 
+                  onPress={() => {
+                    saveCustomGesture();
+                    setCurrentStep('save');
+                  }} 
+                />
+              )}
             </View>
           </View>
         );
         
       case 'save':
+        if (gestureType === 'idle') {
+          return (
+            <View style={styles.stepContainer}>
+              <Text style={styles.stepTitle}>Idle Samples Saved</Text>
+              <Text style={styles.stepDescription}>
+                Hand poses like the ones you recorded will no longer trigger gestures.
+              </Text>
+              
+              <View style={styles.savedConfirmation}>
+                <Text style={styles.savedGestureName}>{idleSampleCount} samples</Text>
+                <Text style={styles.savedDescription}>
+                  Record more if resting or typing is still mistaken for a gesture.
+                </Text>
+              </View>
+              
+              <Button 
+                title="Done" 
+                onPress={onCancel} 
+              />
+            </View>
+          );
+        }
+        
         return (
           <View style={styles.stepContainer}>
             <Text style={styles.stepTitle}>Gesture Saved</Text>
@@ -715,6 +941,13 @@ const styles = StyleSheet.create({
     borderRadius: 4,
     alignItems: 'center'
   },
+  typeOptions: {
+    marginBottom: 16
+  },
+  typeOption: {
+    flex: 1,
+    marginHorizontal: 4
+  },
   qualityOptionSelected: {
     backgroundColor: '#4F46E5'
   },
@@ -810,6 +1043,64 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#1f2937'
   },
+  takeCounter: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#4F46E5',
+    textAlign: 'center'
+  },
+  qualityReport: {
+    backgroundColor: '#f3f4f6',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16
+  },
+  qualityRating: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8
+  },
+  qualityRating_good: {
+    color: '#047857'
+  },
+  qualityRating_fair: {
+    color: '#b45309'
+  },
+  qualityRating_poor: {
+    color: '#b91c1c'
+  },
+  qualityCheck: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 6
+  },
+  qualityCheckMark: {
+    width: 20,
+    fontSize: 16,
+    fontWeight: 'bold'
+  },
+  qualityCheckPassed: {
+    color: '#10b981'
+  },
+  qualityCheckFailed: {
+    color: '#ef4444'
+  },
+  qualityCheckText: {
+    flex: 1
+  },
+  qualityCheckLabel: {
+    fontSize: 14,
+    color: '#1f2937'
+  },
+  qualityCheckDetail: {
+    fontSize: 12,
+    color: '#6b7280'
+  },
+  qualityHint: {
+    fontSize: 12,
+    color: '#b91c1c',
+    marginTop: 4
+  },
   savedConfirmation: {
     backgroundColor: '#ecfdf5',
     borderWidth: 1,
@@ -7,6 +7,12 @@ import { HandGesture } from '../../assets/icons';
  * 
  * Provides real-time visualization of detected hand gestures with
  * animated feedback and visual cues for better user understanding.
+ *
+ * handPosition and velocity are expected from detectGesture results, which
+ * are already smoothed by the shared landmark filter (no extra smoothing here).
+ *
+ * activationProgress (0-1) and activationState come from the gesture activation
+ * controller and draw a ring that fills while a gesture is held before it fires.
  */
 const GestureVisualizer = ({ 
   detectedGesture, 
@@ -16,7 +22,9 @@ const GestureVisualizer = ({
   size = 'medium',
   showLabels = true,
   theme = 'light',
-  animate = true
+  animate = true,
+  activationProgress = null,
+  activationState = null
 }) => {
   const canvasRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 200, height: 150 });
@@ -182,6 +190,52 @@ const GestureVisualizer = ({
     );
   };
   
+  // Ring that fills while a gesture is held; grey during a cooldown
+  const renderActivationRing = () => {
+    if (activationProgress === null) return null;
+    
+    const ringSize = Math.min(dimensions.width, dimensions.height) - 8;
+    const radius = ringSize / 2 - 4;
+    const circumference = 2 * Math.PI * radius;
+    const ringColor = activationState === 'cooldown' ? '#9CA3AF' :
+                      activationState === 'active' ? colors.accent : colors.primary;
+    
+    return (
+      <svg 
+        className="activation-ring"
+        width={ringSize}
+        height={ringSize}
+        style={{
+          position: 'absolute',
+          top: (dimensions.height - ringSize) / 2,
+          left: (dimensions.width - ringSize) / 2,
+          transform: 'rotate(-90deg)',
+          pointerEvents: 'none'
+        }}
+      >
+        <circle
+          cx={ringSize / 2}
+          cy={ringSize / 2}
+          r={radius}
+          fill="none"
+          stroke={colors.border}
+          strokeWidth={4}
+        />
+        <circle
+          cx={ringSize / 2}
+          cy={ringSize / 2}
+          r={radius}
+          fill="none"
+          stroke={ringColor}
+          strokeWidth={4}
+          strokeLinecap="round"
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - Math.min(1, activationProgress))}
+        />
+      </svg>
+    );
+  };
+  
   // Draw velocity vector if hand position and velocity are provided
   useEffect(() => {
     if (!canvasRef.current || !handPosition || !velocity) return;
@@ -259,6 +313,9 @@ const GestureVisualizer = ({
         }}
       />
       
+      {/* Hold-to-activate progress */}
+      {renderActivationRing()}
+      
       {/* Gesture display */}
       {renderGestureIcon()}
     </div>
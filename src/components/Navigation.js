@@ -6,6 +6,7 @@ import { View, Text } from 'react-native';
 import { Svg, Path } from 'react-native-svg';
 import HomeScreen from '../screens/HomeScreen';
 import GestureTrainingScreen from '../screens/GestureTrainingScreen';
+import GestureEditorScreen from '../screens/GestureEditorScreen';
 import VoiceEnrollmentScreen from '../screens/VoiceEnrollmentScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import { useAppContext } from '../context/AppContext';
@@ -137,7 +138,14 @@ export default function Navigation() {
         {firstTime ? (
           <Stack.Screen name="Onboarding" component={OnboardingTutorial} />
         ) : (
-          <Stack.Screen name="Main" component={MainTabs} />
+          <>
+            <Stack.Screen name="Main" component={MainTabs} />
+            <Stack.Screen
+              name="GestureEditor"
+              component={GestureEditorScreen}
+              options={{ headerShown: true, title: 'Gesture Editor' }}
+            />
+          </>
         )}
       </Stack.Navigator>
     </NavigationContainer>
@@ -10,7 +10,10 @@ import {
   removeEventListener,
   loadConfiguration,
   setRecognitionContext,
-  getSupportedLanguages
+  getSupportedLanguages,
+  getWakeState,
+  resolveAmbiguousCommand,
+  dismissAmbiguousCommand
 } from '../utils/voiceRecognition';
 import { 
   authenticateVoice, 
@@ -42,12 +45,16 @@ const VoiceDetector = ({
   const [isProcessing, setIsProcessing] = useState(false);
   const [audioLevel, setAudioLevel] = useState(0);
   const [speechDetected, setSpeechDetected] = useState(false);
+  const [wakeState, setWakeState] = useState(getWakeState());
+  const [wakePhrase, setWakePhrase] = useState('');
   
   // Recognition results
   const [lastCommand, setLastCommand] = useState(null);
   const [currentTranscript, setCurrentTranscript] = useState('');
   const [recognitionConfidence, setRecognitionConfidence] = useState(0);
   const [commandHistory, setCommandHistory] = useState([]);
+  const [suggestions, setSuggestions] = useState(null); // Candidates of an ambiguous command
+  const [commandError, setCommandError] = useState(null);
   
   // Authentication state
   const [isEnrolled, setIsEnrolled] = useState(false);
@@ -109,25 +116,36 @@ const VoiceDetector = ({
         const voiceConfig = await loadConfiguration();
         if (voiceConfig) {
           setConfig(voiceConfig);
+          setWakePhrase(voiceConfig.wakeWord.phrase);
         }
       }
     })();
+  }, []);
+  
+  // Pulsing animation for active state: a slow, faint pulse while waiting for the
+  // wake phrase and a quick, strong one while the command window is open
+  useEffect(() => {
+    let pulsing = isListening;
+    const pulse = wakeState === 'sleeping'
+      ? { scale: 1.03, duration: 1600 }
+      : wakeState === 'awake'
+        ? { scale: 1.15, duration: 300 }
+        : { scale: 1.1, duration: 800 };
     
-    // Pulsing animation for active state
     const startPulseAnimation = () => {
       Animated.sequence([
         Animated.timing(pulseAnim, {
-          toValue: 1.1,
-          duration: 800,
+          toValue: pulse.scale,
+          duration: pulse.duration,
           useNativeDriver: true
         }),
         Animated.timing(pulseAnim, {
           toValue: 1.0,
-          duration: 800,
+          duration: pulse.duration,
           useNativeDriver: true
         })
       ]).start(() => {
-        if (isListening) {
+        if (pulsing) {
           startPulseAnimation();
         }
       });
@@ -141,9 +159,11 @@ const VoiceDetector = ({
     }
     
     return () => {
+      pulsing = false;
+      pulseAnim.stopAnimation();
       pulseAnim.setValue(1);
     };
-  }, [isListening]);
+  }, [isListening, wakeState]);
   
   // Start/stop voice recognition based on voiceMode
   useEffect(() => {
@@ -180,6 +200,13 @@ const VoiceDetector = ({
               }, 300);
             }
           },
+          {
+            type: 'wakeStateChange',
+            callback: (data) => {
+              setWakeState(data.state);
+              setWakePhrase(data.phrase);
+            }
+          },
           {
             type: 'interimResult',
             callback: (data) => {
@@ -204,6 +231,33 @@ const VoiceDetector = ({
               handleCommandExecuted(data);
             }
           },
+          {
+            type: 'ambiguousCommand',
+            callback: (data) => {
+              setSuggestions(data.candidates);
+              setIsProcessing(false);
+            }
+          },
+          {
+            type: 'ambiguousCommandDismissed',
+            callback: () => {
+              setSuggestions(null);
+              setCurrentTranscript('');
+            }
+          },
+          {
+            type: 'commandFailed',
+            callback: (data) => {
+              setIsProcessing(false);
+              setCommandError(data.result.message);
+              
+              // Clear the error and transcript after a delay
+              setTimeout(() => {
+                setCommandError(null);
+                setCurrentTranscript('');
+              }, 3000);
+            }
+          },
           {
             type: 'unrecognizedCommand',
             callback: (data) => {
@@ -226,7 +280,7 @@ const VoiceDetector = ({
         
         // Start voice recognition
         const processor = await startVoiceRecognition(
-          async (command) => {
+          async (command, params) => {
             if (authRequired) {
               // Verify user's voice before executing command
               const authResult = await authenticateVoice();
@@ -240,13 +294,13 @@ const VoiceDetector = ({
               if (!authResult.success) {
                 console.log('Voice authentication failed');
                 setIsProcessing(false);
-                return;
+                return { success: false, message: 'Voice authentication failed' };
               }
             }
             
             // Execute command
             setLastCommand(command);
-            executeAction(command);
+            const result = executeAction(command, params);
             
             // Record in app context history
             if (recordCommand) {
@@ -257,11 +311,14 @@ const VoiceDetector = ({
             if (onCommandDetected) {
               onCommandDetected({
                 command,
+                params,
                 transcript: currentTranscript,
                 confidence: recognitionConfidence,
                 timestamp: Date.now()
               });
             }
+            
+            return result;
           },
           (error) => {
             console.error('Voice recognition error:', error);
@@ -297,8 +354,11 @@ const VoiceDetector = ({
           
           // Reset state
           setIsListening(false);
+          setWakeState('off');
           setSpeechDetected(false);
           setCurrentTranscript('');
+          setSuggestions(null);
+          setCommandError(null);
         };
       } catch (error) {
         console.error('Error starting voice recognition:', error);
@@ -319,12 +379,19 @@ const VoiceDetector = ({
   
   // Handle command executed - show feedback and animate
   const handleCommandExecuted = (data) => {
-    const { command, transcript, confidence } = data;
+    const { command, params, transcript, confidence } = data;
+    setSuggestions(null);
+    setCommandError(null);
+    
+    // A chain shows its steps ("open camera → take photo")
+    const description = command.action === 'COMMAND_CHAIN'
+      ? params.steps.map(step => step.action).join(' → ')
+      : command.action;
     
     // Add command to history
     setCommandHistory(prev => {
       const newHistory = [
-        { command: command.action, transcript, confidence, timestamp: Date.now() },
+        { command: description, transcript, confidence, timestamp: Date.now() },
         ...prev
       ].slice(0, 5); // Keep last 5 commands
       
@@ -332,7 +399,7 @@ const VoiceDetector = ({
     });
     
     // Set as current command
-    setLastCommand(command.action);
+    setLastCommand(description);
     
     // Show command feedback with animation
     Animated.sequence([
@@ -392,6 +459,11 @@ const VoiceDetector = ({
     }
   };
   
+  // Candidate phrase as it would be said, with its slot values filled in
+  const describeCandidate = (candidate) => {
+    return candidate.command.phrase.replace(/\{(\w+)\}/g, (_, name) => candidate.params[name]);
+  };
+  
   // Render the audio level visualization
   const renderAudioVisualization = () => {
     // Number of bars depends on container size
@@ -488,13 +560,15 @@ const VoiceDetector = ({
           styles.statusIndicator, 
           { 
             backgroundColor: isListening 
-              ? (speechDetected ? colors.accent : colors.success) 
+              ? (wakeState === 'sleeping' ? colors.warning : (speechDetected ? colors.accent : colors.success))
               : colors.error 
           }
         ]} />
         <Text style={styles.statusText}>
           {isListening 
-            ? (speechDetected ? 'Listening...' : 'Ready') 
+            ? (wakeState === 'sleeping'
+              ? `Say "${wakePhrase}"`
+              : (speechDetected ? 'Listening...' : 'Ready'))
             : 'Voice inactive'
           }
         </Text>
@@ -525,6 +599,29 @@ const VoiceDetector = ({
         </View>
       )}
       
+      {/* Did you mean…? */}
+      {suggestions && (
+        <View style={styles.suggestionContainer}>
+          <Text style={styles.commandLabel}>
+            Did you mean:
+          </Text>
+          {suggestions.map((candidate, index) => (
+            <TouchableOpacity
+              key={`${candidate.command.id}-${index}`}
+              style={styles.suggestionButton}
+              onPress={() => resolveAmbiguousCommand(candidate)}
+            >
+              <Text style={styles.suggestionText} numberOfLines={1}>
+                {describeCandidate(candidate)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity onPress={dismissAmbiguousCommand}>
+            <Text style={styles.suggestionDismiss}>None of these</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      
       {/* Command feedback */}
       {lastCommand && (
         <Animated.View 
@@ -542,6 +639,15 @@ const VoiceDetector = ({
         </Animated.View>
       )}
       
+      {/* Failed command */}
+      {commandError && (
+        <View style={[styles.authIndicator, { backgroundColor: 'rgba(239, 68, 68, 0.2)' }]}>
+          <Text style={[styles.authText, { color: colors.error }]} numberOfLines={2}>
+            {commandError}
+          </Text>
+        </View>
+      )}
+      
       {/* Processing indicator */}
       {isProcessing && (
         <View style={styles.processingContainer}>
@@ -675,6 +781,27 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     textTransform: 'capitalize',
   },
+  suggestionContainer: {
+    width: '100%',
+    marginBottom: 8,
+  },
+  suggestionButton: {
+    backgroundColor: 'rgba(255,255,255,0.15)',
+    borderRadius: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginTop: 4,
+  },
+  suggestionText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  suggestionDismiss: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 10,
+    textAlign: 'center',
+    marginTop: 4,
+  },
   processingContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,514 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, Alert, ScrollView, SafeAreaView } from 'react-native';
+import { useAppContext } from '../context/AppContext';
+import { colors, typography, layout, spacing, buttons, forms } from '../styles/globalStyles';
+import {
+  loadGestures,
+  saveGesture,
+  deleteGesture,
+  getGestureSettings,
+  startGestureTraining,
+  stopGestureTraining,
+  createFingersPreview
+} from '../utils/gestureRecognition';
+import { TWO_HAND_GESTURES } from '../utils/handTracker';
+import { moveGestureBinding } from '../utils/phoneControl';
+import {
+  FINGER_NAMES,
+  FINGER_CURLS,
+  FINGER_DIRECTIONS,
+  GESTURE_CATALOGUE,
+  getCustomGestureKind
+} from '../../public/shared/gestureCatalogue';
+
+// Weights change in steps of 0.1 and stay within fingerpose's 0-1 range
+const WEIGHT_STEP = 0.1;
+const MIN_WEIGHT = 0.1;
+
+// Readable names for fingerpose curls and directions ('DiagonalUpLeft' → 'Diagonal Up Left')
+const formatName = (name) => name.replace(/([a-z])([A-Z])/g, '$1 $2');
+
+const toGestureId = (name) => name.trim().toLowerCase().replace(/\s+/g, '_');
+
+// Copy of `fingers` data, so edits never change the catalogue or stored gestures
+const copyFingers = (fingers) => {
+  const copy = {};
+  FINGER_NAMES.forEach(finger => {
+    const data = (fingers && fingers[finger]) || {};
+    copy[finger] = { curl: { ...(data.curl || {}) }, directions: { ...(data.directions || {}) } };
+  });
+  return copy;
+};
+
+// Drop fingers without curls or directions, like the descriptions in the catalogue
+const compactFingers = (fingers) => {
+  const compact = {};
+  Object.entries(fingers).forEach(([finger, data]) => {
+    const entry = {};
+    if (Object.keys(data.curl).length > 0) entry.curl = data.curl;
+    if (Object.keys(data.directions).length > 0) entry.directions = data.directions;
+    if (entry.curl || entry.directions) compact[finger] = entry;
+  });
+  return compact;
+};
+
+/**
+ * Gesture Editor
+ *
+ * Edits the fingerpose definition of a custom gesture: the curls and directions
+ * expected for each finger and their weights, with a live score against the camera.
+ * route.params.gestureId opens a stored `fingers` gesture; without it a new gesture
+ * is created, optionally starting from a built-in one.
+ */
+export default function GestureEditorScreen({ navigation, route }) {
+  const { darkMode } = useAppContext();
+  const editedId = route && route.params ? route.params.gestureId : null;
+
+  const [name, setName] = useState('');
+  const [fingers, setFingers] = useState(copyFingers({}));
+  const [selectedFinger, setSelectedFinger] = useState('Thumb');
+  const [customGestures, setCustomGestures] = useState([]);
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+
+  // The frame callback outlives renders, so it reads the current scorer from a ref
+  const scorerRef = useRef(null);
+
+  // Get theme colors based on dark mode
+  const getThemeColor = (lightColor, darkColor) => {
+    return darkMode ? darkColor : lightColor;
+  };
+
+  // Load the edited gesture and the names already in use
+  useEffect(() => {
+    (async () => {
+      const gestures = await loadGestures();
+      const custom = gestures.filter(gesture => gesture.data);
+      setCustomGestures(custom);
+
+      const edited = custom.find(gesture => gesture.id === editedId);
+      if (edited && getCustomGestureKind(edited) === 'fingers') {
+        setName(edited.name || edited.id);
+        setFingers(copyFingers(edited.data.fingers));
+      }
+    })();
+  }, [editedId]);
+
+  // Rebuild the scorer whenever the definition changes
+  useEffect(() => {
+    try {
+      scorerRef.current = createFingersPreview(toGestureId(name) || 'edited_gesture', compactFingers(fingers));
+    } catch (error) {
+      console.error('Error building gesture preview:', error);
+      scorerRef.current = null;
+    }
+  }, [name, fingers]);
+
+  // Release the camera when leaving the editor
+  useEffect(() => {
+    return () => {
+      stopGestureTraining();
+    };
+  }, []);
+
+  const getGestureName = (gestureId) => {
+    const gesture = [...GESTURE_CATALOGUE, ...customGestures].find(g => g.id === gestureId);
+    return gesture && gesture.name ? gesture.name : gestureId.replace(/_/g, ' ');
+  };
+
+  const startPreview = async () => {
+    setPreviewError(null);
+    setPreviewing(true);
+
+    await startGestureTraining(
+      (prediction) => {
+        if (prediction && prediction.landmarks && scorerRef.current) {
+          setPreview(scorerRef.current(prediction.poseLandmarks || prediction.landmarks));
+        }
+      },
+      (error) => {
+        console.error('Preview error:', error);
+        setPreviewError('Camera preview is not available. Please check camera permissions.');
+        setPreviewing(false);
+      }
+    );
+  };
+
+  const stopPreview = () => {
+    stopGestureTraining();
+    setPreviewing(false);
+    setPreview(null);
+  };
+
+  // Start from a copy of a built-in gesture's definition
+  const loadTemplate = (gesture) => {
+    setFingers(copyFingers(gesture.fingers));
+    if (!name.trim()) {
+      setName(`My ${gesture.name}`);
+    }
+  };
+
+  // Add, reweight or remove one curl or direction of the selected finger
+  // kind is 'curl' or 'directions'; a weight of null removes the entry
+  const setWeight = (kind, key, weight) => {
+    setFingers(prev => {
+      const finger = { ...prev[selectedFinger], [kind]: { ...prev[selectedFinger][kind] } };
+      if (weight === null) {
+        delete finger[kind][key];
+      } else {
+        finger[kind][key] = Math.round(Math.min(1, Math.max(MIN_WEIGHT, weight)) * 10) / 10;
+      }
+      return { ...prev, [selectedFinger]: finger };
+    });
+  };
+
+  const handleSave = async () => {
+    const gestureId = toGestureId(name);
+    if (!gestureId) {
+      Alert.alert('Error', 'Please provide a gesture name');
+      return;
+    }
+
+    // Built-in gestures keep their definitions; edits are saved as a custom gesture
+    if ([...GESTURE_CATALOGUE, ...TWO_HAND_GESTURES].some(gesture => gesture.id === gestureId)) {
+      Alert.alert('Error', 'This name belongs to a built-in gesture. Please choose a different name.');
+      return;
+    }
+    if (gestureId !== editedId && customGestures.some(gesture => gesture.id === gestureId)) {
+      Alert.alert('Error', 'A gesture with this name already exists. Please choose a different name.');
+      return;
+    }
+
+    const definition = compactFingers(fingers);
+    if (Object.keys(definition).length === 0) {
+      Alert.alert('Error', 'Add at least one curl or direction');
+      return;
+    }
+
+    const edited = customGestures.find(gesture => gesture.id === editedId);
+    const result = await saveGesture(gestureId, {
+      ...(edited ? edited.data : {}),
+      name: name.trim(),
+      fingers: definition,
+      createdAt: edited && edited.data.createdAt ? edited.data.createdAt : Date.now(),
+      updatedAt: Date.now()
+    });
+
+    if (!result.success) {
+      Alert.alert('Error', `Failed to save gesture: ${result.error || 'Unknown error'}`);
+      return;
+    }
+
+    // A renamed gesture replaces the old one and keeps its binding
+    if (edited && gestureId !== editedId) {
+      await moveGestureBinding(editedId, gestureId);
+      await deleteGesture(editedId);
+    }
+
+    stopPreview();
+    navigation.goBack();
+  };
+
+  const renderWeights = (kind, options) => {
+    const weights = fingers[selectedFinger][kind];
+    const missing = options.filter(option => weights[option] === undefined);
+    const seen = preview && preview.pose[selectedFinger]
+      ? preview.pose[selectedFinger][kind === 'curl' ? 'curl' : 'direction']
+      : null;
+
+    return (
+      <View style={styles.weightSection}>
+        <Text style={[typography.bodySmall, styles.sectionLabel, { color: getThemeColor(colors.text, colors.textDark) }]}>
+          {kind === 'curl' ? 'Curl' : 'Directions'}
+          {seen ? `  (camera: ${formatName(seen)})` : ''}
+        </Text>
+
+        {Object.entries(weights).map(([key, weight]) => (
+          <View key={key} style={styles.weightRow}>
+            <Text style={[
+              typography.body,
+              styles.weightName,
+              { color: key === seen ? colors.success : getThemeColor(colors.text, colors.textDark) }
+            ]}>
+              {formatName(key)}
+            </Text>
+
+            <TouchableOpacity style={styles.stepButton} onPress={() => setWeight(kind, key, weight - WEIGHT_STEP)}>
+              <Text style={styles.stepButtonText}>−</Text>
+            </TouchableOpacity>
+            <Text style={[styles.weightValue, { color: getThemeColor(colors.text, colors.textDark) }]}>
+              {weight.toFixed(1)}
+            </Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => setWeight(kind, key, weight + WEIGHT_STEP)}>
+              <Text style={styles.stepButtonText}>+</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.removeButton} onPress={() => setWeight(kind, key, null)}>
+              <Text style={styles.removeButtonText}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        {missing.length > 0 && (
+          <View style={styles.chipRow}>
+            {missing.map(option => (
+              <TouchableOpacity key={option} style={styles.chip} onPress={() => setWeight(kind, option, 1.0)}>
+                <Text style={styles.chipText}>+ {formatName(option)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderPreview = () => {
+    if (!preview) {
+      return (
+        <Text style={[typography.bodySmall, { color: getThemeColor(colors.textLight, colors.textLightDark) }]}>
+          {previewing ? 'Show your hand to the camera...' : 'Start the preview to score the definition against your hand.'}
+        </Text>
+      );
+    }
+
+    // Gestures defined by finger poses are recognized at the fingerpose threshold
+    const threshold = getGestureSettings().confidenceThreshold;
+    const recognized = preview.score >= threshold;
+    const competitor = preview.competitors[0];
+
+    return (
+      <View>
+        <View style={styles.scoreTrack}>
+          <View style={[
+            styles.scoreFill,
+            { width: `${Math.min(100, preview.score * 10)}%`, backgroundColor: recognized ? colors.success : colors.warning }
+          ]} />
+        </View>
+        <Text style={[typography.bodySmall, { color: getThemeColor(colors.text, colors.textDark) }]}>
+          Score {preview.score.toFixed(1)} / 10 ({recognized ? 'recognized' : `needs ${threshold.toFixed(1)}`})
+        </Text>
+        {competitor && competitor.score >= threshold && (
+          <Text style={[typography.bodySmall, { color: colors.error }]}>
+            Also matches {getGestureName(competitor.name)} ({competitor.score.toFixed(1)})
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={[
+      layout.container,
+      { backgroundColor: getThemeColor(colors.background, colors.backgroundDark) }
+    ]}>
+      <ScrollView>
+        <View style={[styles.panel, { backgroundColor: getThemeColor(colors.card, colors.cardDark) }]}>
+          <Text style={[forms.label, { color: getThemeColor(colors.text, colors.textDark) }]}>Gesture Name</Text>
+          <TextInput
+            style={forms.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="Gesture Name"
+            maxLength={20}
+          />
+
+          {!editedId && (
+            <>
+              <Text style={[typography.bodySmall, { color: getThemeColor(colors.text, colors.textDark) }]}>
+                Start from a built-in gesture:
+              </Text>
+              <View style={styles.chipRow}>
+                {GESTURE_CATALOGUE.map(gesture => (
+                  <TouchableOpacity key={gesture.id} style={styles.chip} onPress={() => loadTemplate(gesture)}>
+                    <Text style={styles.chipText}>{gesture.name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+        </View>
+
+        <View style={[styles.panel, { backgroundColor: getThemeColor(colors.card, colors.cardDark) }]}>
+          <Text style={[typography.h4, { color: getThemeColor(colors.text, colors.textDark) }]}>Live Preview</Text>
+          {renderPreview()}
+          {previewError && (
+            <Text style={[typography.bodySmall, { color: colors.error }]}>{previewError}</Text>
+          )}
+          <TouchableOpacity
+            style={[previewing ? buttons.outline : buttons.secondary, { marginTop: spacing.sm }]}
+            onPress={previewing ? stopPreview : startPreview}
+          >
+            <Text style={previewing ? buttons.outlineText : buttons.buttonText}>
+              {previewing ? 'Stop Preview' : 'Start Preview'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={[styles.panel, { backgroundColor: getThemeColor(colors.card, colors.cardDark) }]}>
+          <View style={styles.fingerTabs}>
+            {FINGER_NAMES.map(finger => {
+              const data = fingers[finger];
+              const count = Object.keys(data.curl).length + Object.keys(data.directions).length;
+              return (
+                <TouchableOpacity
+                  key={finger}
+                  style={[styles.fingerTab, finger === selectedFinger ? styles.fingerTabSelected : {}]}
+                  onPress={() => setSelectedFinger(finger)}
+                >
+                  <Text style={[styles.fingerTabText, finger === selectedFinger ? styles.fingerTabTextSelected : {}]}>
+                    {finger}
+                  </Text>
+                  <Text style={[styles.fingerTabCount, finger === selectedFinger ? styles.fingerTabTextSelected : {}]}>
+                    {count > 0 ? count : 'any'}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {renderWeights('curl', FINGER_CURLS)}
+          {renderWeights('directions', FINGER_DIRECTIONS)}
+
+          <Text style={[typography.caption, { color: getThemeColor(colors.textLight, colors.textLightDark) }]}>
+            A finger without curls or directions matches any pose. Higher weights count more towards the score.
+          </Text>
+        </View>
+
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[buttons.outline, { flex: 1, marginRight: spacing.sm }]}
+            onPress={() => {
+              stopPreview();
+              navigation.goBack();
+            }}
+          >
+            <Text style={buttons.outlineText}>Cancel</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[buttons.primary, { flex: 1, marginLeft: spacing.sm }]}
+            onPress={handleSave}
+          >
+            <Text style={buttons.buttonText}>Save Gesture</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: spacing.sm,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  chipText: {
+    color: colors.primary,
+    fontSize: 12,
+  },
+  fingerTabs: {
+    flexDirection: 'row',
+    marginBottom: spacing.md,
+  },
+  fingerTab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    marginHorizontal: 2,
+    borderRadius: 8,
+    backgroundColor: colors.border,
+  },
+  fingerTabSelected: {
+    backgroundColor: colors.primary,
+  },
+  fingerTabText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  fingerTabCount: {
+    fontSize: 10,
+    color: colors.textLight,
+  },
+  fingerTabTextSelected: {
+    color: '#fff',
+  },
+  weightSection: {
+    marginBottom: spacing.md,
+  },
+  sectionLabel: {
+    fontWeight: 'bold',
+    marginBottom: spacing.xs,
+  },
+  weightRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  weightName: {
+    flex: 1,
+  },
+  weightValue: {
+    width: 36,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  stepButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  removeButton: {
+    marginLeft: spacing.sm,
+    paddingHorizontal: spacing.sm,
+  },
+  removeButtonText: {
+    color: colors.error,
+    fontSize: 12,
+  },
+  scoreTrack: {
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: colors.border,
+    overflow: 'hidden',
+    marginBottom: spacing.xs,
+  },
+  scoreFill: {
+    height: '100%',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginBottom: spacing.xl,
+  },
+});
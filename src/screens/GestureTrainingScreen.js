@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Alert, ScrollView, SafeAreaView } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, ScrollView, SafeAreaView, Switch, Share, Platform } from 'react-native';
 import { Camera } from 'expo-camera';
+import * as Clipboard from 'expo-clipboard';
 import { useAppContext } from '../context/AppContext';
 import { colors, typography, layout, spacing, buttons } from '../styles/globalStyles';
 import {
@@ -12,8 +13,12 @@ import {
   deleteGesture,
   clearAllGestures,
 } from '../utils/gestureRecognition';
+import { loadSequences, saveSequence, deleteSequence, resetSequences } from '../utils/gestureSequences';
+import { getAvailableActions } from '../utils/phoneControl';
+import { exportGesturePack, previewGesturePack, importGesturePack } from '../utils/gesturePacks';
+import { getCustomGestureKind } from '../../public/shared/gestureCatalogue';
 
-export default function GestureTrainingScreen() {
+export default function GestureTrainingScreen({ navigation }) {
   const { 
     darkMode, 
     markGesturesConfigured 
@@ -25,6 +30,9 @@ export default function GestureTrainingScreen() {
   const [currentGesture, setCurrentGesture] = useState(null);
   const [trainingStep, setTrainingStep] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
+  const [sequences, setSequences] = useState([]);
+  const [newSequenceGestures, setNewSequenceGestures] = useState([]);
+  const [newSequenceAction, setNewSequenceAction] = useState(null);
   
   // Get theme colors based on dark mode
   const getThemeColor = (lightColor, darkColor) => {
@@ -43,6 +51,7 @@ export default function GestureTrainingScreen() {
           await initTensorFlow();
           const savedGestures = await loadGestures();
           setGestures(savedGestures);
+          setSequences(await loadSequences());
           
           // If we have gestures, mark as configured
           if (savedGestures.length > 0) {
@@ -59,6 +68,13 @@ export default function GestureTrainingScreen() {
     })();
   }, []);
   
+  // Refresh the list when returning from the gesture editor
+  useEffect(() => {
+    return navigation.addListener('focus', async () => {
+      setGestures(await loadGestures());
+    });
+  }, [navigation]);
+  
   const startTraining = (gestureId) => {
     setIsTraining(true);
     setCurrentGesture(gestureId);
@@ -154,6 +170,118 @@ export default function GestureTrainingScreen() {
     );
   };
   
+  const handleToggleSequence = async (sequence, enabled) => {
+    const result = await saveSequence({ ...sequence, enabled });
+    if (result.success) {
+      setSequences(await loadSequences());
+    } else {
+      Alert.alert('Error', `Failed to update sequence: ${result.error}`);
+    }
+  };
+  
+  const handleDeleteSequence = async (sequenceId) => {
+    if (await deleteSequence(sequenceId)) {
+      setSequences(await loadSequences());
+    } else {
+      Alert.alert('Error', 'Failed to delete sequence');
+    }
+  };
+  
+  const handleAddSequence = async () => {
+    const result = await saveSequence({
+      gestures: newSequenceGestures,
+      action: newSequenceAction
+    });
+    
+    if (result.success) {
+      setSequences(await loadSequences());
+      setNewSequenceGestures([]);
+      setNewSequenceAction(null);
+    } else {
+      Alert.alert('Error', result.error);
+    }
+  };
+  
+  const handleResetSequences = async () => {
+    if (await resetSequences()) {
+      setSequences(await loadSequences());
+    } else {
+      Alert.alert('Error', 'Failed to reset sequences');
+    }
+  };
+  
+  const handleExportGestures = async () => {
+    const result = await exportGesturePack();
+    if (!result.success) {
+      Alert.alert('Export Failed', result.error);
+      return;
+    }
+    
+    try {
+      if (Platform.OS === 'web') {
+        await Clipboard.setStringAsync(result.json);
+        Alert.alert('Gestures Exported', `${result.gestureCount} gestures copied to the clipboard`);
+      } else {
+        await Share.share({
+          title: 'Gesture pack',
+          message: result.json,
+          url: result.uri
+        });
+      }
+    } catch (error) {
+      console.error('Error sharing gesture pack:', error);
+      Alert.alert('Error', 'Failed to share gesture pack');
+    }
+  };
+  
+  const runImport = async (json, onConflict) => {
+    const result = await importGesturePack(json, onConflict);
+    if (!result.success) {
+      Alert.alert('Import Failed', result.error);
+      return;
+    }
+    
+    const updatedGestures = await loadGestures();
+    setGestures(updatedGestures);
+    markGesturesConfigured(true);
+    
+    const renamedCount = Object.keys(result.renamed).length;
+    Alert.alert(
+      'Gestures Imported',
+      `Imported ${result.imported.length}, skipped ${result.skipped.length}, renamed ${renamedCount}`
+    );
+  };
+  
+  // Import a gesture pack from JSON copied to the clipboard
+  const handleImportGestures = async () => {
+    const json = await Clipboard.getStringAsync();
+    const preview = await previewGesturePack(json);
+    if (preview.error) {
+      Alert.alert('Import Failed', preview.error);
+      return;
+    }
+    
+    if (preview.conflicts.length === 0) {
+      await runImport(preview.pack, 'skip');
+      return;
+    }
+    
+    Alert.alert(
+      'Gestures Already Exist',
+      `These gestures already exist: ${preview.conflicts.join(', ')}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Skip', onPress: () => runImport(preview.pack, 'skip') },
+        { text: 'Keep Both', onPress: () => runImport(preview.pack, 'rename') },
+        { text: 'Overwrite', style: 'destructive', onPress: () => runImport(preview.pack, 'overwrite') }
+      ]
+    );
+  };
+  
+  const formatSequence = (sequenceGestures) => {
+    return sequenceGestures.map(g => g.replace(/_/g, ' ')).join(' → ');
+  };
+  
   // Available gestures to train
   const availableGestures = [
     { id: 'swipe_right', name: 'Swipe Right' },
@@ -359,6 +487,224 @@ export default function GestureTrainingScreen() {
               })}
             </View>
             
+            <View style={[
+              styles.gesturePanel, 
+              { backgroundColor: getThemeColor(colors.card, colors.cardDark) }
+            ]}>
+              <Text style={[
+                typography.h3, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Finger Pose Gestures
+              </Text>
+              
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark), marginBottom: spacing.sm }
+              ]}>
+                Define a gesture by the curl and direction of each finger.
+              </Text>
+              
+              {gestures.filter(gesture => getCustomGestureKind(gesture) === 'fingers').map((gesture) => (
+                <View key={gesture.id} style={styles.gestureRow}>
+                  <Text style={[
+                    typography.body, 
+                    { color: getThemeColor(colors.text, colors.textDark) }
+                  ]}>
+                    {gesture.name}
+                  </Text>
+                  
+                  <View style={styles.gestureActions}>
+                    <TouchableOpacity
+                      style={[
+                        buttons.primary,
+                        { paddingVertical: spacing.xs, paddingHorizontal: spacing.sm }
+                      ]}
+                      onPress={() => navigation.navigate('GestureEditor', { gestureId: gesture.id })}
+                    >
+                      <Text style={[buttons.buttonText, { fontSize: 14 }]}>Edit</Text>
+                    </TouchableOpacity>
+                    
+                    <TouchableOpacity
+                      style={[
+                        buttons.outline,
+                        { 
+                          paddingVertical: spacing.xs, 
+                          paddingHorizontal: spacing.sm,
+                          marginLeft: spacing.sm,
+                          borderColor: colors.error
+                        }
+                      ]}
+                      onPress={() => handleDeleteGesture(gesture.id)}
+                    >
+                      <Text style={[buttons.outlineText, { color: colors.error, fontSize: 14 }]}>
+                        Delete
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ))}
+              
+              <TouchableOpacity
+                style={[buttons.outline, { marginTop: spacing.sm }]}
+                onPress={() => navigation.navigate('GestureEditor')}
+              >
+                <Text style={buttons.outlineText}>New Finger Pose Gesture</Text>
+              </TouchableOpacity>
+            </View>
+            
+            <View style={[
+              styles.gesturePanel, 
+              { backgroundColor: getThemeColor(colors.card, colors.cardDark) }
+            ]}>
+              <Text style={[
+                typography.h3, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Gesture Sequences
+              </Text>
+              
+              {sequences.map((sequence) => (
+                <View key={sequence.id} style={styles.gestureRow}>
+                  <View style={styles.sequenceInfo}>
+                    <Text style={[
+                      typography.body, 
+                      { color: getThemeColor(colors.text, colors.textDark) }
+                    ]}>
+                      {formatSequence(sequence.gestures)}
+                    </Text>
+                    <Text style={styles.sequenceAction}>
+                      {sequence.action.replace(/_/g, ' ')}
+                    </Text>
+                  </View>
+                  
+                  <View style={styles.gestureActions}>
+                    <Switch
+                      value={sequence.enabled}
+                      onValueChange={(enabled) => handleToggleSequence(sequence, enabled)}
+                    />
+                    <TouchableOpacity
+                      style={[
+                        buttons.outline,
+                        { 
+                          paddingVertical: spacing.xs, 
+                          paddingHorizontal: spacing.sm,
+                          marginLeft: spacing.sm,
+                          borderColor: colors.error
+                        }
+                      ]}
+                      onPress={() => handleDeleteSequence(sequence.id)}
+                    >
+                      <Text style={[buttons.outlineText, { color: colors.error, fontSize: 14 }]}>
+                        Delete
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ))}
+              
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark), marginTop: spacing.md }
+              ]}>
+                New sequence: {newSequenceGestures.length > 0 ? formatSequence(newSequenceGestures) : 'tap gestures in order'}
+              </Text>
+              
+              <View style={styles.chipRow}>
+                {gestures.map((gesture) => (
+                  <TouchableOpacity
+                    key={gesture.id}
+                    style={styles.chip}
+                    onPress={() => setNewSequenceGestures(prev => [...prev, gesture.id])}
+                  >
+                    <Text style={styles.chipText}>{gesture.name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              
+              <View style={styles.chipRow}>
+                {getAvailableActions().map((action) => (
+                  <TouchableOpacity
+                    key={action.id}
+                    style={[
+                      styles.chip,
+                      newSequenceAction === action.id ? styles.chipSelected : {}
+                    ]}
+                    onPress={() => setNewSequenceAction(action.id)}
+                  >
+                    <Text style={[
+                      styles.chipText,
+                      newSequenceAction === action.id ? styles.chipTextSelected : {}
+                    ]}>
+                      {action.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              
+              <View style={styles.buttonRow}>
+                <TouchableOpacity
+                  style={[buttons.outline, { flex: 1, marginRight: spacing.sm }]}
+                  onPress={() => {
+                    setNewSequenceGestures([]);
+                    setNewSequenceAction(null);
+                  }}
+                >
+                  <Text style={buttons.outlineText}>Clear</Text>
+                </TouchableOpacity>
+                
+                <TouchableOpacity
+                  style={[buttons.primary, { flex: 1, marginLeft: spacing.sm }]}
+                  onPress={handleAddSequence}
+                  disabled={newSequenceGestures.length < 2 || !newSequenceAction}
+                >
+                  <Text style={buttons.buttonText}>Add Sequence</Text>
+                </TouchableOpacity>
+              </View>
+              
+              <TouchableOpacity
+                style={[buttons.outline, { marginTop: spacing.sm }]}
+                onPress={handleResetSequences}
+              >
+                <Text style={buttons.outlineText}>Reset to Defaults</Text>
+              </TouchableOpacity>
+            </View>
+            
+            <View style={[
+              styles.gesturePanel, 
+              { backgroundColor: getThemeColor(colors.card, colors.cardDark) }
+            ]}>
+              <Text style={[
+                typography.h3, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Share Gestures
+              </Text>
+              
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark), marginBottom: spacing.sm }
+              ]}>
+                Export your custom gestures and their actions as a gesture pack, or import a pack copied to the clipboard.
+              </Text>
+              
+              <View style={styles.buttonRow}>
+                <TouchableOpacity
+                  style={[buttons.outline, { flex: 1, marginRight: spacing.sm }]}
+                  onPress={handleImportGestures}
+                >
+                  <Text style={buttons.outlineText}>Import</Text>
+                </TouchableOpacity>
+                
+                <TouchableOpacity
+                  style={[buttons.primary, { flex: 1, marginLeft: spacing.sm }]}
+                  onPress={handleExportGestures}
+                >
+                  <Text style={buttons.buttonText}>Export</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+            
             {gestures.length > 0 && (
               <TouchableOpacity
                 style={[
@@ -454,5 +800,38 @@ const styles = StyleSheet.create({
   },
   gestureActions: {
     flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sequenceInfo: {
+    flex: 1,
+  },
+  sequenceAction: {
+    color: colors.primary,
+    fontSize: 12,
+    marginTop: 2,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: spacing.sm,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    color: colors.primary,
+    fontSize: 12,
+  },
+  chipTextSelected: {
+    color: '#fff',
   },
 });
@@ -1,7 +1,70 @@
-import React from 'react';
-import { View, Text, StyleSheet, Switch, TouchableOpacity, Alert, ScrollView, SafeAreaView } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, StyleSheet, Switch, TouchableOpacity, Alert, ScrollView, SafeAreaView } from 'react-native';
 import { useAppContext } from '../context/AppContext';
 import { colors, typography, layout, spacing, buttons } from '../styles/globalStyles';
+import {
+  getGestureSettings,
+  updateGestureSettings,
+  getGestureCalibration,
+  calibrateGestureThresholds,
+  resetGestureCalibration,
+  checkHandposeModelCache
+} from '../utils/gestureRecognition';
+import {
+  loadConfiguration,
+  saveConfiguration,
+  loadCommands,
+  getRecognizerBackends,
+  DEFAULT_WAKE_WORD_SETTINGS
+} from '../utils/voiceRecognition';
+import { getKeywordSpotterStatus, recordKeywordSample, KEYWORD_SAMPLES_REQUIRED } from '../utils/keywordSpotter';
+import { hasCommandSlots } from '../utils/commandSlots';
+import {
+  getAvailableActions,
+  getAnalogTargets,
+  getGestureBindings,
+  loadGestureBindings,
+  setGestureBinding,
+  setAnalogBinding,
+  gestureToAction
+} from '../utils/phoneControl';
+import { GESTURE_CATALOGUE } from '../../public/shared/gestureCatalogue';
+import { getBindingAction, getActivationRules } from '../../public/shared/gestureActivation';
+import { ANALOG_SOURCES, DEFAULT_ANALOG, isAnalogBinding } from '../../public/shared/analogControl';
+import { DEFAULT_MODEL_URL, REMOTE_MODEL_URL } from '../../public/shared/modelAssets';
+
+// Selectable One Euro filter parameters
+const MIN_CUTOFF_STEPS = [0.25, 0.5, 1.0, 1.5, 2.0, 3.0, 5.0];
+const BETA_STEPS = [0, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2];
+
+// Gestures that can be held to unlock gesture control (swipes can't be held)
+const WAKE_GESTURES = GESTURE_CATALOGUE
+  .filter(gesture => gesture.category !== 'navigation')
+  .map(gesture => gesture.id);
+const ARMED_SECONDS_STEPS = [5, 10, 20, 30, 60];
+
+// What a gesture can be bound to: its default action, another action or a continuous control
+const BINDABLE_GESTURES = GESTURE_CATALOGUE.map(gesture => gesture.id);
+const BINDING_OPTIONS = [
+  { id: 'default', name: 'Default' },
+  ...getAvailableActions().map(action => ({ id: action.id, name: action.name, action: action.id })),
+  ...getAnalogTargets().map(target => ({ id: `analog:${target.id}`, name: `${target.name} (continuous)`, target: target.id }))
+];
+// Selectable hold, repeat and cooldown times of an action binding (ms)
+const HOLD_MS_STEPS = [0, 200, 500, 800, 1200, 2000];
+const REPEAT_INTERVAL_MS_STEPS = [200, 400, 600, 1000, 2000];
+const COOLDOWN_MS_STEPS = [0, 500, 1000, 2000, 5000];
+const ANALOG_SOURCE_OPTIONS = [
+  { id: ANALOG_SOURCES.PINCH_DISTANCE, name: 'Thumb–index distance' },
+  { id: ANALOG_SOURCES.HAND_HEIGHT, name: 'Hand height' }
+];
+
+// Which hand gestures are made with ('left' is the left-handed mode)
+const HANDEDNESS_OPTIONS = [
+  { id: 'auto', name: 'Detect' },
+  { id: 'right', name: 'Right' },
+  { id: 'left', name: 'Left' }
+];
 
 export default function SettingsScreen() {
   const { 
@@ -13,11 +76,224 @@ export default function SettingsScreen() {
     markVoiceEnrolled
   } = useAppContext();
   
+  const [smoothing, setSmoothing] = useState(getGestureSettings().landmarkSmoothing);
+  const [calibration, setCalibration] = useState(getGestureCalibration());
+  const [gestureLock, setGestureLock] = useState(getGestureSettings().gestureLock);
+  const [handedness, setHandedness] = useState(getGestureSettings().handedness);
+  const [modelUrl, setModelUrl] = useState(getGestureSettings().modelUrl);
+  const [modelCache, setModelCache] = useState(null);
+  const [bindings, setBindings] = useState(getGestureBindings());
+  const [bindingGesture, setBindingGesture] = useState(BINDABLE_GESTURES[0]);
+  const [recognizers] = useState(getRecognizerBackends);
+  const [recognizer, setRecognizer] = useState('webSpeech');
+  const [keywordStatus, setKeywordStatus] = useState([]);
+  const [recordingPhrase, setRecordingPhrase] = useState(null);
+  const [wakeWord, setWakeWord] = useState(DEFAULT_WAKE_WORD_SETTINGS);
+  const [wakePhraseInput, setWakePhraseInput] = useState(DEFAULT_WAKE_WORD_SETTINGS.phrase);
+  const recognizerOption = recognizers.find(option => option.id === recognizer) || recognizers[0];
+  
+  // Whether the hand tracking model is available offline
+  useEffect(() => {
+    checkHandposeModelCache().then(setModelCache);
+  }, [modelUrl]);
+  
+  useEffect(() => {
+    loadGestureBindings().then(loaded => setBindings({ ...loaded }));
+  }, []);
+  
+  useEffect(() => {
+    loadConfiguration().then(config => {
+      if (!config) return;
+      setRecognizer(config.recognizer);
+      setWakeWord(config.wakeWord);
+      setWakePhraseInput(config.wakeWord.phrase);
+    });
+  }, []);
+  
+  // Recorded samples of each command phrase for the offline recognizer
+  // (templated phrases can't be spotted, since their slot values vary)
+  const refreshKeywordStatus = async () => {
+    const commands = await loadCommands();
+    const phrases = [...new Set([
+      ...(wakeWord.enabled ? [wakeWord.phrase] : []),
+      ...commands.filter(command => !hasCommandSlots(command)).map(command => command.phrase)
+    ])];
+    setKeywordStatus(await getKeywordSpotterStatus(phrases));
+  };
+  
+  useEffect(() => {
+    if (recognizer === 'keywordSpotter') {
+      refreshKeywordStatus();
+    }
+  }, [recognizer, wakeWord]);
+  
   // Get theme colors based on dark mode
   const getThemeColor = (lightColor, darkColor) => {
     return darkMode ? darkColor : lightColor;
   };
   
+  const updateSmoothing = async (changes) => {
+    const updated = await updateGestureSettings({
+      landmarkSmoothing: { ...smoothing, ...changes }
+    });
+    setSmoothing(updated.landmarkSmoothing);
+  };
+  
+  // Move a filter parameter to the previous or next preset value
+  const stepSmoothing = (key, steps, direction) => {
+    const current = steps.findIndex(value => value >= smoothing[key]);
+    const index = Math.max(0, Math.min(steps.length - 1, (current === -1 ? steps.length - 1 : current) + direction));
+    updateSmoothing({ [key]: steps[index] });
+  };
+  
+  const stepHandedness = async (direction) => {
+    const current = HANDEDNESS_OPTIONS.findIndex(option => option.id === handedness);
+    const index = (current + direction + HANDEDNESS_OPTIONS.length) % HANDEDNESS_OPTIONS.length;
+    const updated = await updateGestureSettings({ handedness: HANDEDNESS_OPTIONS[index].id });
+    setHandedness(updated.handedness);
+  };
+  
+  // Serve the hand tracking model locally or load it from TF Hub (applies on the next start)
+  const toggleLocalModel = async (local) => {
+    const updated = await updateGestureSettings({ modelUrl: local ? DEFAULT_MODEL_URL : REMOTE_MODEL_URL });
+    setModelUrl(updated.modelUrl);
+  };
+  
+  // Cycle the speech recognizer (applies the next time voice control starts)
+  const stepRecognizer = async (direction) => {
+    const current = recognizers.findIndex(option => option.id === recognizer);
+    const index = (current + direction + recognizers.length) % recognizers.length;
+    if (await saveConfiguration({ recognizer: recognizers[index].id })) {
+      setRecognizer(recognizers[index].id);
+    }
+  };
+  
+  const updateWakeWord = async (changes) => {
+    const updated = { ...wakeWord, ...changes };
+    if (await saveConfiguration({ wakeWord: updated })) {
+      setWakeWord(updated);
+    }
+  };
+  
+  // Keep the previous wake phrase when the field is left empty
+  const submitWakePhrase = () => {
+    const phrase = wakePhraseInput.trim();
+    if (phrase && phrase !== wakeWord.phrase) {
+      updateWakeWord({ phrase });
+    } else {
+      setWakePhraseInput(wakeWord.phrase);
+    }
+  };
+  
+  const handleRecordPhrase = async (phrase) => {
+    setRecordingPhrase(phrase);
+    const result = await recordKeywordSample(phrase);
+    setRecordingPhrase(null);
+    
+    if (!result.success) {
+      Alert.alert('Recording Failed', result.error);
+    }
+    refreshKeywordStatus();
+  };
+  
+  // Binding of the gesture being edited
+  const binding = bindings[bindingGesture];
+  const analogRules = isAnalogBinding(binding) ? { ...DEFAULT_ANALOG, ...binding.analog } : null;
+  const bindingOption = BINDING_OPTIONS.find(option => option.id === (analogRules
+    ? `analog:${binding.target}`
+    : getBindingAction(binding) || 'default')) || BINDING_OPTIONS[0];
+  
+  // Action the gesture runs and its hold/repeat/cooldown rules (the action's defaults unless changed)
+  const boundAction = analogRules ? null : getBindingAction(binding) || gestureToAction[bindingGesture] || null;
+  const activationRules = boundAction ? getActivationRules(boundAction, binding && binding.activation) : null;
+  
+  const stepBindingGesture = (direction) => {
+    const current = BINDABLE_GESTURES.indexOf(bindingGesture);
+    setBindingGesture(BINDABLE_GESTURES[(current + direction + BINDABLE_GESTURES.length) % BINDABLE_GESTURES.length]);
+  };
+  
+  // Bind the gesture being edited ('Default' removes its binding)
+  const saveBinding = async (option, analog = {}) => {
+    const saved = option.target
+      ? await setAnalogBinding(bindingGesture, option.target, analog)
+      : await setGestureBinding(bindingGesture, option.action || null);
+    if (saved) {
+      setBindings({ ...getGestureBindings() });
+    } else {
+      Alert.alert('Error', 'Failed to save the gesture binding.');
+    }
+  };
+  
+  const stepBinding = (direction) => {
+    const current = BINDING_OPTIONS.indexOf(bindingOption);
+    const option = BINDING_OPTIONS[(current + direction + BINDING_OPTIONS.length) % BINDING_OPTIONS.length];
+    saveBinding(option, analogRules ? binding.analog : {});
+  };
+  
+  // Change one activation rule of the gesture being edited (keeping its other changed rules)
+  const updateActivation = async (changes) => {
+    const saved = await setGestureBinding(bindingGesture, boundAction, {
+      ...(binding && binding.activation),
+      ...changes
+    });
+    if (saved) {
+      setBindings({ ...getGestureBindings() });
+    } else {
+      Alert.alert('Error', 'Failed to save the gesture binding.');
+    }
+  };
+  
+  const stepActivationTime = (key, steps, direction) => {
+    const current = steps.findIndex(value => value >= activationRules[key]);
+    const index = Math.max(0, Math.min(steps.length - 1, (current === -1 ? steps.length - 1 : current) + direction));
+    updateActivation({ [key]: steps[index] });
+  };
+  
+  // Cycle what a continuous binding measures
+  const stepAnalogSource = (direction) => {
+    const current = ANALOG_SOURCE_OPTIONS.findIndex(option => option.id === analogRules.source);
+    const source = ANALOG_SOURCE_OPTIONS[(current + direction + ANALOG_SOURCE_OPTIONS.length) % ANALOG_SOURCE_OPTIONS.length].id;
+    // Each source has its own input range
+    saveBinding(bindingOption, { ...binding.analog, source, inputRange: null });
+  };
+  
+  const updateGestureLock = async (changes) => {
+    const updated = await updateGestureSettings({
+      gestureLock: { ...gestureLock, ...changes }
+    });
+    setGestureLock(updated.gestureLock);
+  };
+  
+  // Cycle the wake gesture, skipping the lock gesture
+  const stepWakeGesture = (direction) => {
+    const choices = WAKE_GESTURES.filter(id => id !== gestureLock.lockGesture);
+    const current = choices.indexOf(gestureLock.wakeGesture);
+    const index = (current + direction + choices.length) % choices.length;
+    updateGestureLock({ wakeGesture: choices[index], wakeSequence: null });
+  };
+  
+  const stepArmedTime = (direction) => {
+    const seconds = gestureLock.armedMs / 1000;
+    const current = ARMED_SECONDS_STEPS.findIndex(value => value >= seconds);
+    const index = Math.max(0, Math.min(ARMED_SECONDS_STEPS.length - 1, (current === -1 ? ARMED_SECONDS_STEPS.length - 1 : current) + direction));
+    updateGestureLock({ armedMs: ARMED_SECONDS_STEPS[index] * 1000 });
+  };
+  
+  // Derive per-gesture thresholds from usage statistics and "wrong gesture" reports
+  const handleCalibrate = async () => {
+    const updated = await calibrateGestureThresholds();
+    if (updated) {
+      setCalibration(updated);
+    } else {
+      Alert.alert('Error', 'Failed to calibrate gesture thresholds.');
+    }
+  };
+  
+  const handleResetCalibration = async () => {
+    await resetGestureCalibration();
+    setCalibration(getGestureCalibration());
+  };
+  
   const handleClearAll = () => {
     Alert.alert(
       'Reset App Data',
@@ -131,6 +407,613 @@ export default function SettingsScreen() {
           </View>
         </View>
         
+        <View style={[
+          styles.settingsPanel, 
+          { backgroundColor: getThemeColor(colors.card, colors.cardDark) }
+        ]}>
+          <Text style={[
+            typography.h3, 
+            { color: getThemeColor(colors.text, colors.textDark) }
+          ]}>
+            Hand Tracking
+          </Text>
+          
+          <View style={styles.settingRow}>
+            <View>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Gesture Hand: {HANDEDNESS_OPTIONS.find(option => option.id === handedness).name}
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                Left-hand poses are mirrored to match the built-in gestures
+              </Text>
+            </View>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepHandedness(-1)}
+              >
+                <Text style={styles.textSizeButtonText}>‹</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepHandedness(1)}
+              >
+                <Text style={styles.textSizeButtonText}>›</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <View style={styles.settingRow}>
+            <View>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Local Hand Model
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                {!modelCache
+                  ? 'Checking model cache...'
+                  : modelCache.cached
+                    ? 'Cached for offline use'
+                    : modelUrl === REMOTE_MODEL_URL
+                      ? 'Downloads from TF Hub on the next start'
+                      : 'Downloads from the Express server (node server.js) on the next start, otherwise from TF Hub'}
+              </Text>
+            </View>
+            <Switch
+              value={modelUrl !== REMOTE_MODEL_URL}
+              onValueChange={toggleLocalModel}
+              trackColor={{ false: '#ccc', true: colors.primary }}
+              thumbColor={modelUrl !== REMOTE_MODEL_URL ? colors.secondary : '#f4f3f4'}
+            />
+          </View>
+          
+          <View style={styles.settingRow}>
+            <Text style={[
+              typography.body, 
+              { color: getThemeColor(colors.text, colors.textDark) }
+            ]}>
+              Landmark Smoothing
+            </Text>
+            <Switch
+              value={smoothing.enabled}
+              onValueChange={(enabled) => updateSmoothing({ enabled })}
+              trackColor={{ false: '#ccc', true: colors.primary }}
+              thumbColor={smoothing.enabled ? colors.secondary : '#f4f3f4'}
+            />
+          </View>
+          
+          <View style={styles.settingRow}>
+            <View>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Jitter Reduction: {smoothing.minCutoff}
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                Lower values steady a still hand more
+              </Text>
+            </View>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepSmoothing('minCutoff', MIN_CUTOFF_STEPS, -1)}
+                disabled={!smoothing.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>-</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepSmoothing('minCutoff', MIN_CUTOFF_STEPS, 1)}
+                disabled={!smoothing.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <View style={styles.settingRow}>
+            <View>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Speed Response: {smoothing.beta}
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                Higher values reduce lag on fast swipes
+              </Text>
+            </View>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepSmoothing('beta', BETA_STEPS, -1)}
+                disabled={!smoothing.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>-</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepSmoothing('beta', BETA_STEPS, 1)}
+                disabled={!smoothing.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <View style={styles.settingRow}>
+            <View>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Gesture Lock
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                {gestureLock.lockGesture
+                  ? `Ignore gestures until woken; ${gestureLock.lockGesture.replace(/_/g, ' ')} locks again`
+                  : 'Ignore gestures until woken'}
+              </Text>
+            </View>
+            <Switch
+              value={gestureLock.enabled}
+              onValueChange={(enabled) => updateGestureLock({ enabled })}
+              trackColor={{ false: '#ccc', true: colors.primary }}
+              thumbColor={gestureLock.enabled ? colors.secondary : '#f4f3f4'}
+            />
+          </View>
+          
+          <View style={styles.settingRow}>
+            <Text style={[
+              typography.body, 
+              { color: getThemeColor(colors.text, colors.textDark) }
+            ]}>
+              Wake Gesture: {gestureLock.wakeSequence
+                ? gestureLock.wakeSequence.join(' → ').replace(/_/g, ' ')
+                : gestureLock.wakeGesture.replace(/_/g, ' ')}
+            </Text>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepWakeGesture(-1)}
+                disabled={!gestureLock.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>‹</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepWakeGesture(1)}
+                disabled={!gestureLock.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>›</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <View style={styles.settingRow}>
+            <Text style={[
+              typography.body, 
+              { color: getThemeColor(colors.text, colors.textDark) }
+            ]}>
+              Stay Unlocked: {gestureLock.armedMs / 1000}s
+            </Text>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepArmedTime(-1)}
+                disabled={!gestureLock.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>-</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepArmedTime(1)}
+                disabled={!gestureLock.enabled}
+              >
+                <Text style={styles.textSizeButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <View style={[styles.settingRow, { borderBottomWidth: 0 }]}>
+            <View>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Gesture Calibration
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                {calibration.calibratedAt
+                  ? `${Object.keys(calibration.thresholds).length} tuned gestures, ${Object.keys(calibration.margins).length} look-alike pairs`
+                  : 'Tunes thresholds from usage and gestures reported as wrong'}
+              </Text>
+            </View>
+          </View>
+          <View style={styles.calibrationButtons}>
+            <TouchableOpacity
+              style={[buttons.outline, styles.calibrationButton]}
+              onPress={handleCalibrate}
+            >
+              <Text style={buttons.outlineText}>Calibrate</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[buttons.outline, styles.calibrationButton]}
+              onPress={handleResetCalibration}
+              disabled={!calibration.calibratedAt}
+            >
+              <Text style={buttons.outlineText}>Reset</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        <View style={[
+          styles.settingsPanel, 
+          { backgroundColor: getThemeColor(colors.card, colors.cardDark) }
+        ]}>
+          <Text style={[
+            typography.h3, 
+            { color: getThemeColor(colors.text, colors.textDark) }
+          ]}>
+            Gesture Bindings
+          </Text>
+          
+          <View style={styles.settingRow}>
+            <Text style={[
+              typography.body, 
+              { color: getThemeColor(colors.text, colors.textDark) }
+            ]}>
+              Gesture: {bindingGesture.replace(/_/g, ' ')}
+            </Text>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepBindingGesture(-1)}
+              >
+                <Text style={styles.textSizeButtonText}>‹</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepBindingGesture(1)}
+              >
+                <Text style={styles.textSizeButtonText}>›</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <View style={[styles.settingRow, !analogRules && !activationRules && { borderBottomWidth: 0 }]}>
+            <View style={styles.settingLabel}>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Runs: {bindingOption.name}
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                {analogRules
+                  ? 'Follows the hand for as long as the gesture is held'
+                  : bindingOption.id === 'default'
+                    ? (gestureToAction[bindingGesture] || 'No action').replace(/_/g, ' ').toLowerCase()
+                    : 'Runs when the gesture is recognized'}
+              </Text>
+            </View>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepBinding(-1)}
+              >
+                <Text style={styles.textSizeButtonText}>‹</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepBinding(1)}
+              >
+                <Text style={styles.textSizeButtonText}>›</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          {analogRules && (
+            <View style={[styles.settingRow, { borderBottomWidth: 0 }]}>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Measured By: {(ANALOG_SOURCE_OPTIONS.find(option => option.id === analogRules.source) || ANALOG_SOURCE_OPTIONS[0]).name}
+              </Text>
+              <View style={styles.textSizeButtons}>
+                <TouchableOpacity
+                  style={styles.textSizeButton}
+                  onPress={() => stepAnalogSource(-1)}
+                >
+                  <Text style={styles.textSizeButtonText}>‹</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.textSizeButton}
+                  onPress={() => stepAnalogSource(1)}
+                >
+                  <Text style={styles.textSizeButtonText}>›</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+          
+          {activationRules && (
+            <>
+              <View style={styles.settingRow}>
+                <View style={styles.settingLabel}>
+                  <Text style={[
+                    typography.body, 
+                    { color: getThemeColor(colors.text, colors.textDark) }
+                  ]}>
+                    Hold: {activationRules.holdMs} ms
+                  </Text>
+                  <Text style={[
+                    typography.caption, 
+                    { color: getThemeColor(colors.textLight, colors.textLightDark) }
+                  ]}>
+                    How long the gesture is held before it runs
+                  </Text>
+                </View>
+                <View style={styles.textSizeButtons}>
+                  <TouchableOpacity
+                    style={styles.textSizeButton}
+                    onPress={() => stepActivationTime('holdMs', HOLD_MS_STEPS, -1)}
+                  >
+                    <Text style={styles.textSizeButtonText}>‹</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.textSizeButton}
+                    onPress={() => stepActivationTime('holdMs', HOLD_MS_STEPS, 1)}
+                  >
+                    <Text style={styles.textSizeButtonText}>›</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+              <View style={styles.settingRow}>
+                <View style={styles.settingLabel}>
+                  <Text style={[
+                    typography.body, 
+                    { color: getThemeColor(colors.text, colors.textDark) }
+                  ]}>
+                    Repeat While Held
+                  </Text>
+                  <Text style={[
+                    typography.caption, 
+                    { color: getThemeColor(colors.textLight, colors.textLightDark) }
+                  ]}>
+                    Keeps running the action, e.g. for scrolling
+                  </Text>
+                </View>
+                <Switch
+                  value={activationRules.repeat}
+                  onValueChange={repeat => updateActivation({ repeat })}
+                  trackColor={{ false: '#ccc', true: colors.primary }}
+                  thumbColor={activationRules.repeat ? colors.secondary : '#f4f3f4'}
+                />
+              </View>
+              {activationRules.repeat && (
+                <View style={styles.settingRow}>
+                  <View style={styles.settingLabel}>
+                    <Text style={[
+                      typography.body, 
+                      { color: getThemeColor(colors.text, colors.textDark) }
+                    ]}>
+                      Repeat Every: {activationRules.repeatIntervalMs} ms
+                    </Text>
+                    <Text style={[
+                      typography.caption, 
+                      { color: getThemeColor(colors.textLight, colors.textLightDark) }
+                    ]}>
+                      Time between repeats
+                    </Text>
+                  </View>
+                  <View style={styles.textSizeButtons}>
+                    <TouchableOpacity
+                      style={styles.textSizeButton}
+                      onPress={() => stepActivationTime('repeatIntervalMs', REPEAT_INTERVAL_MS_STEPS, -1)}
+                    >
+                      <Text style={styles.textSizeButtonText}>‹</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.textSizeButton}
+                      onPress={() => stepActivationTime('repeatIntervalMs', REPEAT_INTERVAL_MS_STEPS, 1)}
+                    >
+                      <Text style={styles.textSizeButtonText}>›</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+              <View style={[styles.settingRow, { borderBottomWidth: 0 }]}>
+                <View style={styles.settingLabel}>
+                  <Text style={[
+                    typography.body, 
+                    { color: getThemeColor(colors.text, colors.textDark) }
+                  ]}>
+                    Cooldown: {activationRules.cooldownMs} ms
+                  </Text>
+                  <Text style={[
+                    typography.caption, 
+                    { color: getThemeColor(colors.textLight, colors.textLightDark) }
+                  ]}>
+                    Wait before the action can run again
+                  </Text>
+                </View>
+                <View style={styles.textSizeButtons}>
+                  <TouchableOpacity
+                    style={styles.textSizeButton}
+                    onPress={() => stepActivationTime('cooldownMs', COOLDOWN_MS_STEPS, -1)}
+                  >
+                    <Text style={styles.textSizeButtonText}>‹</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.textSizeButton}
+                    onPress={() => stepActivationTime('cooldownMs', COOLDOWN_MS_STEPS, 1)}
+                  >
+                    <Text style={styles.textSizeButtonText}>›</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </>
+          )}
+        </View>
+        
+        <View style={[
+          styles.settingsPanel, 
+          { backgroundColor: getThemeColor(colors.card, colors.cardDark) }
+        ]}>
+          <Text style={[
+            typography.h3, 
+            { color: getThemeColor(colors.text, colors.textDark) }
+          ]}>
+            Voice Recognition
+          </Text>
+          
+          <View style={styles.settingRow}>
+            <View style={styles.settingLabel}>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Recognizer: {recognizerOption.name}
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                {recognizerOption.supported
+                  ? recognizerOption.description
+                  : 'Not supported on this device; the other recognizer is used instead'}
+              </Text>
+            </View>
+            <View style={styles.textSizeButtons}>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepRecognizer(-1)}
+              >
+                <Text style={styles.textSizeButtonText}>‹</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.textSizeButton}
+                onPress={() => stepRecognizer(1)}
+              >
+                <Text style={styles.textSizeButtonText}>›</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          
+          <View style={styles.settingRow}>
+            <View style={styles.settingLabel}>
+              <Text style={[
+                typography.body, 
+                { color: getThemeColor(colors.text, colors.textDark) }
+              ]}>
+                Wake Phrase
+              </Text>
+              <Text style={[
+                typography.caption, 
+                { color: getThemeColor(colors.textLight, colors.textLightDark) }
+              ]}>
+                Only listen for commands for {wakeWord.windowMs / 1000}s after the wake phrase
+              </Text>
+              {recognizer === 'webSpeech' && (
+                <Text style={[
+                  typography.caption, 
+                  { color: getThemeColor(colors.textLight, colors.textLightDark) }
+                ]}>
+                  Web Speech still sends everything it hears to the speech service while waiting
+                  for the wake phrase. Use Offline Keywords to keep it on this device.
+                </Text>
+              )}
+            </View>
+            <Switch
+              value={wakeWord.enabled}
+              onValueChange={(enabled) => updateWakeWord({ enabled })}
+              trackColor={{ false: '#ccc', true: colors.primary }}
+              thumbColor={wakeWord.enabled ? colors.secondary : '#f4f3f4'}
+            />
+          </View>
+          
+          <View style={[styles.settingRow, recognizer !== 'keywordSpotter' && { borderBottomWidth: 0 }]}>
+            <TextInput
+              style={[
+                styles.phraseInput,
+                {
+                  color: getThemeColor(colors.text, colors.textDark),
+                  borderColor: getThemeColor(colors.border, colors.borderDark)
+                }
+              ]}
+              value={wakePhraseInput}
+              onChangeText={setWakePhraseInput}
+              onBlur={submitWakePhrase}
+              onSubmitEditing={submitWakePhrase}
+              editable={wakeWord.enabled}
+              placeholder={DEFAULT_WAKE_WORD_SETTINGS.phrase}
+              placeholderTextColor={getThemeColor(colors.textLight, colors.textLightDark)}
+            />
+          </View>
+          
+          {recognizer === 'keywordSpotter' && keywordStatus.map((status, index) => (
+            <View
+              key={status.phrase}
+              style={[styles.settingRow, index === keywordStatus.length - 1 && { borderBottomWidth: 0 }]}
+            >
+              <View style={styles.settingLabel}>
+                <Text style={[
+                  typography.body, 
+                  { color: getThemeColor(colors.text, colors.textDark) }
+                ]}>
+                  "{status.phrase}"
+                </Text>
+                <Text style={[
+                  typography.caption, 
+                  { color: getThemeColor(colors.textLight, colors.textLightDark) }
+                ]}>
+                  {recordingPhrase === status.phrase
+                    ? 'Listening... say the phrase now'
+                    : status.trained
+                      ? `Ready (${status.samples} samples)`
+                      : `${status.samples} of ${KEYWORD_SAMPLES_REQUIRED} samples recorded`}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[buttons.outline, styles.recordButton]}
+                onPress={() => handleRecordPhrase(status.phrase)}
+                disabled={recordingPhrase !== null}
+              >
+                <Text style={buttons.outlineText}>Record</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+        
         <View style={[
           styles.settingsPanel, 
           { backgroundColor: getThemeColor(colors.card, colors.cardDark) }
@@ -218,6 +1101,10 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: colors.border,
   },
+  settingLabel: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
   textSizeButtons: {
     flexDirection: 'row',
   },
@@ -234,4 +1121,23 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: 'bold',
   },
+  phraseInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+  recordButton: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+  },
+  calibrationButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  calibrationButton: {
+    flex: 1,
+    marginHorizontal: spacing.xs,
+  },
 });
@@ -0,0 +1,535 @@
+// Ranked voice command matching
+// Every command is scored against the recognizer's transcript and its n-best alternatives.
+// Phrases are compared word by word, in any order, where two words are alike when they are
+// spelled alike or sound alike (Double Metaphone), so "collect" still finds "Select" and
+// "brightness increase" finds "Increase brightness". Templated commands (commandSlots.js)
+// match when their slots parse. The best candidates come back ranked, with a flag telling
+// the UI to ask "Did you mean…?" when the best one isn't clearly right.
+// Compound utterances ("open camera and take a photo") are cut into single commands first.
+
+import { hasCommandSlots, matchCommandTemplate } from './commandSlots';
+
+// Scoring
+const MATCH_SCORE = 0.8;            // Best score needed to run a command without asking
+const CANDIDATE_SCORE = 0.5;        // Lowest score still offered as a candidate
+const AMBIGUITY_MARGIN = 0.08;      // Runners-up this close to the best make it ambiguous
+const ALTERNATIVE_WEIGHT = 0.9;     // Scores from n-best alternatives count a little less
+const EXTRA_WORD_PENALTY = 0.2;     // Penalty for transcript words the phrase doesn't use
+const PHONETIC_WEIGHT = 0.9;        // Sounding alike counts slightly less than spelling alike
+const MAX_CANDIDATES = 3;
+
+// Words that don't change which command was meant
+const FILLER_WORDS = ['please', 'the', 'a', 'an', 'my', 'now', 'could', 'you', 'can', 'would'];
+
+// Where one command ends and the next begins in a compound utterance: conjunctions, and the
+// punctuation recognizers put at pauses ("open camera, then take a photo")
+const COMMAND_SEPARATOR = /\s*[,;.!?]+\s*|\s+(?:and then|and after that|after that|then|and)\s+/;
+
+// Levenshtein similarity of two strings, from 0 to 1
+export const calculateSimilarity = (s1, s2) => {
+  // Early return for exact match or empty strings
+  if (s1 === s2) return 1;
+  if (s1.length === 0 || s2.length === 0) return 0;
+
+  let previous = Array.from({ length: s1.length + 1 }, (_, i) => i);
+  for (let j = 1; j <= s2.length; j++) {
+    const current = [j];
+    for (let i = 1; i <= s1.length; i++) {
+      const indicator = s1[i - 1] === s2[j - 1] ? 0 : 1;
+      current[i] = Math.min(
+        current[i - 1] + 1,             // deletion
+        previous[i] + 1,                // insertion
+        previous[i - 1] + indicator     // substitution
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - (previous[s1.length] / Math.max(s1.length, s2.length));
+};
+
+// Double Metaphone phonetic codes of a word: [primary, alternate]
+// Follows Lawrence Philips' rules for the sounds of English (and common loan) words
+export const doubleMetaphone = (word) => {
+  const value = word.toUpperCase().replace(/[^A-ZÇÑ]/g, '');
+  const length = value.length;
+  const last = length - 1;
+  const isSlavoGermanic = /W|K|CZ|WITZ/.test(value);
+  const isGermanic = /^(VAN |VON |SCH)/.test(value);
+  let primary = '';
+  let secondary = '';
+  let index = 0;
+
+  const at = (i) => (i >= 0 && i < length ? value[i] : '');
+  const isVowel = (c) => c !== '' && 'AEIOUY'.includes(c);
+  const matches = (start, ...options) => start >= 0 && options.some(option => value.substr(start, option.length) === option);
+  const add = (main, alternate = main) => {
+    primary += main;
+    secondary += alternate;
+  };
+
+  if (length === 0) return ['', ''];
+
+  // Silent first letters, and an initial X sounds like S (Xavier)
+  if (matches(0, 'GN', 'KN', 'PN', 'WR', 'PS')) index++;
+  if (value[0] === 'X') {
+    add('S');
+    index++;
+  }
+
+  while (index < length) {
+    const c = value[index];
+    const next = at(index + 1);
+
+    switch (c) {
+      case 'A': case 'E': case 'I': case 'O': case 'U': case 'Y':
+        if (index === 0) add('A');
+        index++;
+        break;
+
+      case 'B':
+        add('P');
+        index += next === 'B' ? 2 : 1;
+        break;
+
+      case 'Ç':
+        add('S');
+        index++;
+        break;
+
+      case 'C':
+        // Germanic "ach" (Bacher, Macher)
+        if (index > 1 && !isVowel(at(index - 2)) && matches(index - 1, 'ACH') &&
+            at(index + 2) !== 'I' && (at(index + 2) !== 'E' || matches(index - 2, 'BACHER', 'MACHER'))) {
+          add('K');
+          index += 2;
+        } else if (index === 0 && matches(index, 'CAESAR')) {
+          add('S');
+          index += 2;
+        } else if (matches(index, 'CHIA')) {
+          add('K');
+          index += 2;
+        } else if (matches(index, 'CH')) {
+          if (index > 0 && matches(index, 'CHAE')) {
+            add('K', 'X');
+          } else if (index === 0 && (matches(index + 1, 'HARAC', 'HARIS', 'HOR', 'HYM', 'HIA', 'HEM')) && !matches(0, 'CHORE')) {
+            // Greek roots (chemistry, chorus)
+            add('K');
+          } else if (isGermanic || matches(index - 2, 'ORCHES', 'ARCHIT', 'ORCHID') || matches(index + 2, 'T', 'S') ||
+              ((index === 0 || matches(index - 1, 'A', 'O', 'U', 'E')) && matches(index + 2, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' '))) {
+            add('K');
+          } else if (index > 0) {
+            add(matches(0, 'MC') ? 'K' : 'X', 'K');
+          } else {
+            add('X');
+          }
+          index += 2;
+        } else if (matches(index, 'CZ') && !matches(index - 2, 'WICZ')) {
+          // Polish (Czerny)
+          add('S', 'X');
+          index += 2;
+        } else if (matches(index + 1, 'CIA')) {
+          add('X');
+          index += 3;
+        } else if (matches(index, 'CC') && !(index === 1 && value[0] === 'M')) {
+          // "accident" and "accede", but not "McCoy"
+          if (matches(index + 2, 'I', 'E', 'H') && !matches(index + 2, 'HU')) {
+            add((index === 1 && value[0] === 'A') || matches(index - 1, 'UCCEE', 'UCCES') ? 'KS' : 'X');
+            index += 3;
+          } else {
+            add('K');
+            index += 2;
+          }
+        } else if (matches(index, 'CK', 'CG', 'CQ')) {
+          add('K');
+          index += 2;
+        } else if (matches(index, 'CI', 'CE', 'CY')) {
+          add('S', matches(index, 'CIO', 'CIE', 'CIA') ? 'X' : 'S');
+          index += 2;
+        } else {
+          add('K');
+          index += matches(index + 1, ' C', ' Q', ' G') ? 3
+            : matches(index + 1, 'C', 'K', 'Q') && !matches(index + 1, 'CE', 'CI') ? 2 : 1;
+        }
+        break;
+
+      case 'D':
+        if (matches(index, 'DG')) {
+          if (matches(index + 2, 'I', 'E', 'Y')) {
+            // "edge"
+            add('J');
+            index += 3;
+          } else {
+            add('TK');
+            index += 2;
+          }
+        } else {
+          add('T');
+          index += matches(index, 'DT', 'DD') ? 2 : 1;
+        }
+        break;
+
+      case 'F':
+        add('F');
+        index += next === 'F' ? 2 : 1;
+        break;
+
+      case 'G':
+        if (next === 'H') {
+          if (index > 0 && !isVowel(at(index - 1))) {
+            add('K');
+          } else if (index === 0) {
+            add(at(index + 2) === 'I' ? 'J' : 'K');
+          } else if ((index > 1 && matches(index - 2, 'B', 'H', 'D')) ||
+              (index > 2 && matches(index - 3, 'B', 'H', 'D')) ||
+              (index > 3 && matches(index - 4, 'B', 'H'))) {
+            // Silent, as in "bough" and "night"
+          } else if (index > 2 && at(index - 1) === 'U' && matches(index - 3, 'C', 'G', 'L', 'R', 'T')) {
+            // "laugh", "tough"
+            add('F');
+          } else if (index > 0 && at(index - 1) !== 'I') {
+            add('K');
+          }
+          index += 2;
+        } else if (next === 'N') {
+          if (index === 1 && isVowel(value[0]) && !isSlavoGermanic) {
+            add('KN', 'N');
+          } else if (!matches(index + 2, 'EY') && next !== 'Y' && !isSlavoGermanic) {
+            add('N', 'KN');
+          } else {
+            add('KN');
+          }
+          index += 2;
+        } else if (matches(index + 1, 'LI') && !isSlavoGermanic) {
+          // "tagliaro"
+          add('KL', 'L');
+          index += 2;
+        } else if (index === 0 && (next === 'Y' || matches(index + 1, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+          add('K', 'J');
+          index += 2;
+        } else if ((matches(index + 1, 'ER') || next === 'Y') && !matches(0, 'DANGER', 'RANGER', 'MANGER') &&
+            !matches(index - 1, 'E', 'I') && !matches(index - 1, 'RGY', 'OGY')) {
+          add('K', 'J');
+          index += 2;
+        } else if (matches(index + 1, 'E', 'I', 'Y') || matches(index - 1, 'AGGI', 'OGGI')) {
+          if (isGermanic || matches(index + 1, 'ET')) {
+            add('K');
+          } else if (matches(index + 1, 'IER')) {
+            add('J');
+          } else {
+            add('J', 'K');
+          }
+          index += 2;
+        } else {
+          add('K');
+          index += next === 'G' ? 2 : 1;
+        }
+        break;
+
+      case 'H':
+        // Only sounded before a vowel and not after one
+        if ((index === 0 || isVowel(at(index - 1))) && isVowel(next)) {
+          add('H');
+          index += 2;
+        } else {
+          index++;
+        }
+        break;
+
+      case 'J':
+        if (matches(index, 'JOSE') || matches(0, 'SAN ')) {
+          // Spanish "Jose"
+          add((index === 0 && at(index + 4) === ' ') || matches(0, 'SAN ') ? 'H' : 'J', 'H');
+        } else if (index === 0) {
+          add('J', 'A');
+        } else if (isVowel(at(index - 1)) && !isSlavoGermanic && (next === 'A' || next === 'O')) {
+          add('J', 'H');
+        } else if (index === last) {
+          add('J', '');
+        } else if (!matches(index + 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !matches(index - 1, 'S', 'K', 'L')) {
+          add('J');
+        }
+        index += next === 'J' ? 2 : 1;
+        break;
+
+      case 'K':
+        add('K');
+        index += next === 'K' ? 2 : 1;
+        break;
+
+      case 'L':
+        if (next === 'L') {
+          // Spanish "cabrillo", "gallegos"
+          if ((index === length - 3 && matches(index - 1, 'ILLO', 'ILLA', 'ALLE')) ||
+              ((matches(last - 1, 'AS', 'OS') || matches(last, 'A', 'O')) && matches(index - 1, 'ALLE'))) {
+            add('L', '');
+          } else {
+            add('L');
+          }
+          index += 2;
+        } else {
+          add('L');
+          index++;
+        }
+        break;
+
+      case 'M':
+        add('M');
+        index += next === 'M' || (matches(index - 1, 'UMB') && (index + 1 === last || matches(index + 2, 'ER'))) ? 2 : 1;
+        break;
+
+      case 'N':
+        add('N');
+        index += next === 'N' ? 2 : 1;
+        break;
+
+      case 'Ñ':
+        add('N');
+        index++;
+        break;
+
+      case 'P':
+        if (next === 'H') {
+          add('F');
+          index += 2;
+        } else {
+          add('P');
+          index += next === 'P' || next === 'B' ? 2 : 1;
+        }
+        break;
+
+      case 'Q':
+        add('K');
+        index += next === 'Q' ? 2 : 1;
+        break;
+
+      case 'R':
+        // French final "-ier" is silent in the primary code
+        if (index === last && !isSlavoGermanic && matches(index - 2, 'IE') && !matches(index - 4, 'ME', 'MA')) {
+          add('', 'R');
+        } else {
+          add('R');
+        }
+        index += next === 'R' ? 2 : 1;
+        break;
+
+      case 'S':
+        if (matches(index - 1, 'ISL', 'YSL')) {
+          // Silent in "island", "carlysle"
+          index++;
+        } else if (index === 0 && matches(index, 'SUGAR')) {
+          add('X', 'S');
+          index++;
+        } else if (matches(index, 'SH')) {
+          add(matches(index + 1, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+          index += 2;
+        } else if (matches(index, 'SIO', 'SIA', 'SIAN')) {
+          add('S', isSlavoGermanic ? 'S' : 'X');
+          index += 3;
+        } else if ((index === 0 && matches(index + 1, 'M', 'N', 'L', 'W')) || matches(index + 1, 'Z')) {
+          // "smith" and "schmidt"
+          add('S', 'X');
+          index += next === 'Z' ? 2 : 1;
+        } else if (matches(index, 'SC')) {
+          if (at(index + 2) === 'H') {
+            if (matches(index + 3, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+              add(matches(index + 3, 'ER', 'EN') ? 'X' : 'SK', 'SK');
+            } else {
+              add('X', index === 0 && !isVowel(at(3)) && at(3) !== 'W' ? 'S' : 'X');
+            }
+          } else if (matches(index + 2, 'I', 'E', 'Y')) {
+            add('S');
+          } else {
+            add('SK');
+          }
+          index += 3;
+        } else {
+          // French final "-ais", "-ois" is silent in the primary code
+          if (index === last && matches(index - 2, 'AI', 'OI')) {
+            add('', 'S');
+          } else {
+            add('S');
+          }
+          index += next === 'S' || next === 'Z' ? 2 : 1;
+        }
+        break;
+
+      case 'T':
+        if (matches(index, 'TION', 'TIA', 'TCH')) {
+          add('X');
+          index += 3;
+        } else if (matches(index, 'TH', 'TTH')) {
+          // "thomas" and "thames" keep a T
+          add(isGermanic || matches(index + 2, 'OM', 'AM') ? 'T' : '0', 'T');
+          index += 2;
+        } else {
+          add('T');
+          index += next === 'T' || next === 'D' ? 2 : 1;
+        }
+        break;
+
+      case 'V':
+        add('F');
+        index += next === 'V' ? 2 : 1;
+        break;
+
+      case 'W':
+        if (matches(index, 'WR')) {
+          add('R');
+          index += 2;
+        } else {
+          if (index === 0 && (isVowel(next) || matches(index, 'WH'))) {
+            add('A', isVowel(next) ? 'F' : 'A');
+          }
+          // Polish "filipowicz" and silent "-ewski"
+          if ((index === last && isVowel(at(index - 1))) || matches(index - 1, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') || matches(0, 'SCH')) {
+            add('', 'F');
+          } else if (matches(index, 'WICZ', 'WITZ')) {
+            add('TS', 'FX');
+            index += 3;
+          }
+          index++;
+        }
+        break;
+
+      case 'X':
+        // French final "-x" is silent (breaux)
+        if (!(index === last && (matches(index - 3, 'IAU', 'EAU') || matches(index - 2, 'AU', 'OU')))) {
+          add('KS');
+        }
+        index += next === 'C' || next === 'X' ? 2 : 1;
+        break;
+
+      case 'Z':
+        if (next === 'H') {
+          // Chinese "zhao"
+          add('J');
+          index += 2;
+        } else {
+          add('S', matches(index + 1, 'ZO', 'ZI', 'ZA') || (isSlavoGermanic && index > 0 && at(index - 1) !== 'T') ? 'TS' : 'S');
+          index += next === 'Z' ? 2 : 1;
+        }
+        break;
+
+      default:
+        index++;
+    }
+  }
+
+  return [primary, secondary];
+};
+
+// Lowercase words of a phrase without punctuation and filler words
+const tokenize = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.includes(word));
+};
+
+const phoneticCache = {};
+const getPhoneticCodes = (word) => {
+  if (!phoneticCache[word]) {
+    phoneticCache[word] = doubleMetaphone(word);
+  }
+  return phoneticCache[word];
+};
+
+// How alike two words are by spelling or by sound, from 0 to 1
+const wordSimilarity = (a, b) => {
+  if (a === b) return 1;
+
+  const [primaryA, alternateA] = getPhoneticCodes(a);
+  const [primaryB, alternateB] = getPhoneticCodes(b);
+  const phonetic = primaryA && (primaryA === primaryB || primaryA === alternateB || alternateA === primaryB)
+    ? 1
+    : calculateSimilarity(primaryA, primaryB);
+
+  return Math.max(calculateSimilarity(a, b), phonetic * PHONETIC_WEIGHT);
+};
+
+// Token-set similarity: how well the phrase's words are found among the transcript's words, in
+// any order, less a penalty for transcript words the phrase doesn't account for
+const phraseSimilarity = (phraseTokens, transcriptTokens) => {
+  if (phraseTokens.length === 0 || transcriptTokens.length === 0) return 0;
+
+  const unused = [...transcriptTokens];
+  let total = 0;
+  phraseTokens.forEach(token => {
+    let best = 0;
+    let bestIndex = -1;
+    unused.forEach((candidate, i) => {
+      const similarity = wordSimilarity(token, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex >= 0) unused.splice(bestIndex, 1);
+    total += best;
+  });
+
+  const coverage = total / phraseTokens.length;
+  return coverage * (1 - EXTRA_WORD_PENALTY * unused.length / transcriptTokens.length);
+};
+
+// Score one command against one transcript: { score, params } or null
+const scoreCommand = (command, transcript) => {
+  if (hasCommandSlots(command)) {
+    const params = matchCommandTemplate(command, transcript);
+    return params ? { score: 1, params } : null;
+  }
+
+  const phrase = command.phrase.toLowerCase();
+  if (phrase === transcript) {
+    return { score: 1, params: {} };
+  }
+  return { score: phraseSimilarity(tokenize(phrase), tokenize(transcript)), params: {} };
+};
+
+// Rank commands against a transcript and its n-best alternatives
+// transcripts: [{ transcript, confidence }], the recognizer's best guess first
+// Returns { best, candidates: [{ command, params, score, transcript }], ambiguous }; best is the
+// command to run, or null when there is none or the candidates are too close to call
+export const rankCommands = (transcripts, commands) => {
+  const candidates = [];
+
+  commands.forEach(command => {
+    let bestCandidate = null;
+    transcripts.forEach(({ transcript }, i) => {
+      const result = scoreCommand(command, transcript.trim().toLowerCase());
+      if (!result) return;
+
+      const score = result.score * (i === 0 ? 1 : ALTERNATIVE_WEIGHT);
+      if (!bestCandidate || score > bestCandidate.score) {
+        bestCandidate = { command, params: result.params, score, transcript };
+      }
+    });
+    if (bestCandidate && bestCandidate.score >= CANDIDATE_SCORE) {
+      candidates.push(bestCandidate);
+    }
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+  const ranked = candidates.slice(0, MAX_CANDIDATES);
+  if (ranked.length === 0) {
+    return { best: null, candidates: [], ambiguous: false };
+  }
+
+  // Ask when the best is a near miss, or when a different action scores about as well
+  const [top, runnerUp] = ranked;
+  const ambiguous = top.score < MATCH_SCORE ||
+    (!!runnerUp && runnerUp.command.action !== top.command.action && top.score - runnerUp.score < AMBIGUITY_MARGIN);
+
+  return { best: ambiguous ? null : top, candidates: ranked, ambiguous };
+};
+
+// Split a compound utterance into the parts that could each be a command
+// "open camera and then take a photo" -> ['open camera', 'take a photo']
+export const splitUtterance = (transcript) => {
+  return transcript
+    .split(COMMAND_SEPARATOR)
+    .map(part => part.trim().replace(/^(?:and|then)\s+/i, ''))
+    .filter(part => part.length > 0);
+};
@@ -0,0 +1,169 @@
+// Voice command templates with typed slots
+// A command phrase can contain slots in braces, typed by the command's `slots` definitions:
+//   { phrase: 'Set brightness to {level}', slots: { level: { type: 'percentage' } } }
+// Slot types:
+//   number      a number, in digits or words ("three", "twenty five"); optional min and max
+//   percentage  a number from 0 to 100, with or without "percent"
+//   enum        one of `values` (case-insensitive)
+//   text        any non-empty text
+// Matching a transcript against a template yields the slot values as action parameters.
+
+export const SLOT_TYPES = ['number', 'percentage', 'enum', 'text'];
+
+const SLOT_PATTERN = /\{(\w+)\}/g;
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SCALES = { hundred: 100, thousand: 1000, million: 1000000 };
+
+// Words that stand for a number on their own ("scroll down twice")
+const NUMBER_WORDS = { a: 1, an: 1, once: 1, twice: 2, thrice: 3, half: 50 };
+
+const has = (table, word) => Object.prototype.hasOwnProperty.call(table, word);
+
+// Slot names used in a phrase, in order
+export const getTemplateSlots = (phrase) => {
+  return Array.from(phrase.matchAll(SLOT_PATTERN), match => match[1]);
+};
+
+export const hasCommandSlots = (command) => getTemplateSlots(command.phrase).length > 0;
+
+// Parse a number written in digits ("40", "1,000", "2.5") or words ("forty two",
+// "one hundred and five", "twenty-five"); returns null when the text isn't a number
+export const parseNumber = (text) => {
+  const normalized = text.trim().toLowerCase();
+  if (/^-?\d[\d,]*(\.\d+)?$/.test(normalized)) {
+    return parseFloat(normalized.replace(/,/g, ''));
+  }
+  if (has(NUMBER_WORDS, normalized)) {
+    return NUMBER_WORDS[normalized];
+  }
+
+  const words = normalized.split(/[\s-]+/).filter(word => word !== 'and');
+  if (words.length === 0) return null;
+
+  let total = 0;
+  let current = 0;
+  let seenNumber = false;
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (has(SMALL_NUMBERS, word)) {
+      current += SMALL_NUMBERS[word];
+    } else if (has(TENS, word)) {
+      current += TENS[word];
+    } else if (/^\d+$/.test(word)) {
+      current += parseInt(word, 10);
+    } else if (has(SCALES, word)) {
+      // "a hundred" and "hundred" both mean one hundred
+      current = (current || 1) * SCALES[word];
+      if (SCALES[word] > 100) {
+        total += current;
+        current = 0;
+      }
+    } else if ((word === 'a' || word === 'an') && has(SCALES, words[i + 1])) {
+      continue;
+    } else {
+      return null;
+    }
+    seenNumber = true;
+  }
+
+  return seenNumber ? total + current : null;
+};
+
+// Value of one slot from its transcript text, or null when the text doesn't fit the type
+const parseSlotValue = (text, slot) => {
+  const value = text.trim();
+  if (!value) return null;
+
+  switch (slot.type) {
+    case 'number': {
+      const number = parseNumber(value);
+      if (number === null) return null;
+      if (slot.min !== undefined && number < slot.min) return null;
+      if (slot.max !== undefined && number > slot.max) return null;
+      return number;
+    }
+
+    case 'percentage': {
+      const number = parseNumber(value.replace(/\s*(%|percent|per cent)$/i, ''));
+      return number !== null && number >= 0 && number <= 100 ? number : null;
+    }
+
+    case 'enum': {
+      const option = (slot.values || []).find(candidate => candidate.toLowerCase() === value.toLowerCase());
+      return option || null;
+    }
+
+    case 'text':
+      return value;
+
+    default:
+      return null;
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^$|()[\]\\]/g, '\\$&');
+
+// Regular expression for a template; words before the command are allowed ("please ...")
+const buildTemplatePattern = (phrase, slots) => {
+  let pattern = '';
+  let lastIndex = 0;
+  for (const match of phrase.matchAll(SLOT_PATTERN)) {
+    pattern += escapeRegExp(phrase.slice(lastIndex, match.index).toLowerCase());
+    const slot = slots[match[1]];
+    pattern += slot.type === 'enum'
+      ? `(${slot.values.map(value => escapeRegExp(value.toLowerCase())).join('|')})`
+      : '(.+?)';
+    lastIndex = match.index + match[0].length;
+  }
+  pattern += escapeRegExp(phrase.slice(lastIndex).toLowerCase());
+
+  return new RegExp(`(?:^|\\s)${pattern.replace(/\s+/g, '\\s+')}$`, 'i');
+};
+
+// Match a transcript against a command template
+// Returns the slot values ({ level: 40 }) or null when the transcript doesn't fit
+export const matchCommandTemplate = (command, transcript) => {
+  const names = getTemplateSlots(command.phrase);
+  if (names.length === 0 || validateCommandTemplate(command)) return null;
+
+  const slots = command.slots || {};
+  const match = transcript.trim().toLowerCase().match(buildTemplatePattern(command.phrase, slots));
+  if (!match) return null;
+
+  const params = {};
+  for (let i = 0; i < names.length; i++) {
+    const value = parseSlotValue(match[i + 1], slots[names[i]]);
+    if (value === null) return null;
+    params[names[i]] = value;
+  }
+  return params;
+};
+
+// Check a command's slot definitions; returns an error message or null when valid
+export const validateCommandTemplate = (command) => {
+  const names = getTemplateSlots(command.phrase);
+  const slots = command.slots || {};
+
+  for (const name of names) {
+    const slot = slots[name];
+    if (!slot) {
+      return `Slot "${name}" has no definition`;
+    }
+    if (!SLOT_TYPES.includes(slot.type)) {
+      return `Slot "${name}" has unknown type "${slot.type}"`;
+    }
+    if (slot.type === 'enum' && (!Array.isArray(slot.values) || slot.values.length === 0)) {
+      return `Slot "${name}" needs a list of values`;
+    }
+  }
+  if (new Set(names).size !== names.length) {
+    return 'Each slot can only appear once in a phrase';
+  }
+  return null;
+};
@@ -0,0 +1,343 @@
+// Gesture packs: a versioned JSON file format for moving custom gestures between devices
+//
+// {
+//   "format": "gesture-pack",
+//   "version": 1,
+//   "metadata": { "name", "description", "createdAt", "gestureCount" },
+//   "gestures": [{
+//     "id", "name", "category", "icon",
+//     "type": "static" | "motion",
+//     "fingers": { "Index": { "curl": { "NoCurl": 1.0 }, "directions": { "VerticalUp": 1.0 } } },
+//     "templates": [ [[x, y, z] x 21], ... ],   // static: recorded landmark templates
+//     "frames": [ [[x, y, z] x 21], ... ],      // motion: recorded landmarks in order
+//     "action": "TAKE_PHOTO",                   // optional action binding
+//     "activation": { "holdMs": 800 }            // optional hold/repeat/cooldown rules of the binding
+//   }]
+// }
+import * as FileSystem from 'expo-file-system';
+import {
+  FINGER_NAMES,
+  FINGER_CURLS,
+  FINGER_DIRECTIONS,
+  getCustomGestureKind
+} from '../../public/shared/gestureCatalogue';
+import { getBindingAction, normalizeActivationRules } from '../../public/shared/gestureActivation';
+import { loadGestures, saveGesture } from './gestureRecognition';
+import { getAvailableActions, loadGestureBindings, setGestureBinding } from './phoneControl';
+import { augmentFrames } from './trainingQuality';
+
+export const GESTURE_PACK_FORMAT = 'gesture-pack';
+export const GESTURE_PACK_VERSION = 1;
+
+// How an imported gesture whose id is already in use is handled
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+const LANDMARK_COUNT = 21;
+const GESTURE_ID_PATTERN = /^[a-z0-9_]+$/;
+
+// Check a list of 21 [x, y, z] points
+const isLandmarkList = (landmarks) => {
+  return Array.isArray(landmarks) &&
+    landmarks.length === LANDMARK_COUNT &&
+    landmarks.every(point =>
+      Array.isArray(point) &&
+      point.length >= 2 &&
+      point.every(value => typeof value === 'number' && Number.isFinite(value))
+    );
+};
+
+// Check a fingerpose description; returns an error string or null
+const validateFingers = (fingers) => {
+  if (typeof fingers !== 'object' || fingers === null) {
+    return 'fingers must be an object';
+  }
+
+  for (const [finger, fingerData] of Object.entries(fingers)) {
+    if (!FINGER_NAMES.includes(finger)) {
+      return `unknown finger "${finger}"`;
+    }
+    if (typeof fingerData !== 'object' || fingerData === null) {
+      return `${finger} must be an object with curl and directions`;
+    }
+
+    const weights = [
+      ...Object.entries(fingerData.curl || {}).map(([name, weight]) => ({ name, weight, allowed: FINGER_CURLS })),
+      ...Object.entries(fingerData.directions || {}).map(([name, weight]) => ({ name, weight, allowed: FINGER_DIRECTIONS }))
+    ];
+
+    for (const { name, weight, allowed } of weights) {
+      if (!allowed.includes(name)) {
+        return `unknown curl or direction "${name}" for ${finger}`;
+      }
+      if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+        return `weight for ${finger} ${name} must be between 0 and 1`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Check one gesture entry; returns an error string or null
+const validatePackGesture = (gesture, actionIds) => {
+  if (!gesture || typeof gesture.id !== 'string' || !GESTURE_ID_PATTERN.test(gesture.id)) {
+    return 'gesture ids must use lowercase letters, digits and underscores';
+  }
+  if (gesture.type !== 'static' && gesture.type !== 'motion') {
+    return `${gesture.id}: type must be "static" or "motion"`;
+  }
+
+  if (gesture.type === 'motion') {
+    if (!Array.isArray(gesture.frames) || gesture.frames.length < 4 || !gesture.frames.every(isLandmarkList)) {
+      return `${gesture.id}: motion gestures need at least 4 frames of 21 landmarks`;
+    }
+  } else {
+    if (!gesture.fingers && !gesture.templates) {
+      return `${gesture.id}: static gestures need finger descriptions or landmark templates`;
+    }
+    if (gesture.templates && (!Array.isArray(gesture.templates) || gesture.templates.length === 0 || !gesture.templates.every(isLandmarkList))) {
+      return `${gesture.id}: templates must be lists of 21 landmarks`;
+    }
+    if (gesture.fingers) {
+      const fingersError = validateFingers(gesture.fingers);
+      if (fingersError) {
+        return `${gesture.id}: ${fingersError}`;
+      }
+    }
+  }
+
+  if (gesture.action !== undefined && !actionIds.includes(gesture.action)) {
+    return `${gesture.id}: unknown action "${gesture.action}"`;
+  }
+
+  if (gesture.activation !== undefined) {
+    if (gesture.action === undefined) {
+      return `${gesture.id}: activation rules without an action`;
+    }
+    if (!normalizeActivationRules(gesture.activation)) {
+      return `${gesture.id}: invalid activation rules`;
+    }
+  }
+
+  return null;
+};
+
+// Check a parsed pack; returns a list of error strings (empty when valid)
+export const validateGesturePack = (pack) => {
+  if (!pack || typeof pack !== 'object') {
+    return ['Not a gesture pack'];
+  }
+  if (pack.format !== GESTURE_PACK_FORMAT) {
+    return ['Not a gesture pack'];
+  }
+  if (!Number.isInteger(pack.version) || pack.version < 1) {
+    return ['Missing gesture pack version'];
+  }
+  if (pack.version > GESTURE_PACK_VERSION) {
+    return [`Gesture pack version ${pack.version} is newer than this app supports (${GESTURE_PACK_VERSION})`];
+  }
+  if (!Array.isArray(pack.gestures) || pack.gestures.length === 0) {
+    return ['The pack contains no gestures'];
+  }
+
+  const actionIds = getAvailableActions().map(action => action.id);
+  const errors = pack.gestures
+    .map(gesture => validatePackGesture(gesture, actionIds))
+    .filter(error => error !== null);
+
+  const ids = pack.gestures.map(gesture => gesture && gesture.id);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate gesture ids: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  return errors;
+};
+
+// Convert a stored custom gesture and its binding into a pack entry
+const toPackGesture = (gesture, binding) => {
+  const data = gesture.data || {};
+  const landmarks = (data.frames || []).map(frame => frame.landmarks);
+  const entry = {
+    id: gesture.id,
+    name: gesture.name || gesture.id,
+    category: gesture.category || 'custom',
+    icon: gesture.icon || 'custom-gesture',
+    type: data.type === 'motion' ? 'motion' : 'static'
+  };
+
+  if (entry.type === 'motion') {
+    entry.frames = landmarks;
+  } else {
+    if (data.fingers) entry.fingers = data.fingers;
+    if (landmarks.length > 0) {
+      entry.templates = landmarks;
+    } else if (data.landmarks) {
+      entry.templates = [data.landmarks];
+    }
+  }
+
+  const action = getBindingAction(binding);
+  if (action) {
+    entry.action = action;
+    // Rules the user set for this binding (the action's defaults aren't exported)
+    if (binding.activation) entry.activation = binding.activation;
+  }
+  return entry;
+};
+
+// Convert a pack entry into the data saved by saveGesture
+const fromPackGesture = (entry) => {
+  const samples = entry.type === 'motion' ? entry.frames : (entry.templates || []);
+  const data = {
+    name: entry.name || entry.id,
+    type: entry.type,
+    createdAt: new Date().toISOString(),
+    importedFrom: GESTURE_PACK_FORMAT
+  };
+
+  if (samples.length > 0) {
+    data.frames = samples.map(landmarks => ({ landmarks }));
+    data.landmarks = samples[Math.floor(samples.length / 2)];
+    // Synthetic variations aren't exported, so imported poses get their own
+    if (entry.type !== 'motion') {
+      data.augmentedFrames = augmentFrames(data.frames);
+    }
+  }
+  if (entry.fingers) data.fingers = entry.fingers;
+
+  return data;
+};
+
+// Build a pack from the saved custom gestures and their action bindings
+// Gestures without recognizable data (e.g. placeholder recordings) are left out
+export const createGesturePack = async (metadata = {}) => {
+  const gestures = await loadGestures();
+  const bindings = await loadGestureBindings();
+  const customGestures = gestures.filter(gesture => gesture.data && getCustomGestureKind(gesture));
+
+  return {
+    format: GESTURE_PACK_FORMAT,
+    version: GESTURE_PACK_VERSION,
+    metadata: {
+      name: metadata.name || 'My gestures',
+      description: metadata.description || '',
+      createdAt: new Date().toISOString(),
+      gestureCount: customGestures.length
+    },
+    gestures: customGestures.map(gesture => toPackGesture(gesture, bindings[gesture.id]))
+  };
+};
+
+// Write the pack to a JSON file; returns { success, json, uri }
+// uri is null where there is no document directory (web)
+export const exportGesturePack = async (metadata = {}) => {
+  try {
+    const pack = await createGesturePack(metadata);
+    if (pack.gestures.length === 0) {
+      return { success: false, error: 'There are no custom gestures to export' };
+    }
+
+    const json = JSON.stringify(pack, null, 2);
+    let uri = null;
+
+    if (FileSystem.documentDirectory) {
+      uri = `${FileSystem.documentDirectory}gesture-pack-${Date.now()}.json`;
+      await FileSystem.writeAsStringAsync(uri, json);
+    }
+
+    return { success: true, json, uri, gestureCount: pack.gestures.length };
+  } catch (error) {
+    console.error('Error exporting gesture pack:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Parse and validate pack JSON; returns { pack, conflicts } or { error }
+// conflicts lists pack gesture ids already used by a gesture from loadGestures
+export const previewGesturePack = async (json) => {
+  let pack;
+  try {
+    pack = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    return { error: 'The gesture pack is not valid JSON' };
+  }
+
+  const errors = validateGesturePack(pack);
+  if (errors.length > 0) {
+    return { error: errors.join('\n') };
+  }
+
+  const existingIds = (await loadGestures()).map(gesture => gesture.id);
+  const conflicts = pack.gestures
+    .map(gesture => gesture.id)
+    .filter(id => existingIds.includes(id));
+
+  return { pack, conflicts };
+};
+
+// Pick an id that is not in use yet: wave → wave_2, wave_3, ...
+const uniqueGestureId = (id, usedIds) => {
+  let suffix = 2;
+  while (usedIds.includes(`${id}_${suffix}`)) {
+    suffix += 1;
+  }
+  return `${id}_${suffix}`;
+};
+
+// Save the gestures and bindings of a pack
+// onConflict decides what happens to ids that already exist: 'skip', 'overwrite' or 'rename'
+// Built-in gestures are never overwritten; conflicting entries are renamed instead
+export const importGesturePack = async (json, onConflict = 'skip') => {
+  try {
+    if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+      return { success: false, error: `Unknown conflict strategy "${onConflict}"` };
+    }
+
+    const preview = await previewGesturePack(json);
+    if (preview.error) {
+      return { success: false, error: preview.error };
+    }
+
+    const existingGestures = await loadGestures();
+    const usedIds = existingGestures.map(gesture => gesture.id);
+    const builtInIds = existingGestures.filter(gesture => !gesture.data).map(gesture => gesture.id);
+    await loadGestureBindings();
+
+    const imported = [];
+    const skipped = [];
+    const renamed = {};
+
+    for (const entry of preview.pack.gestures) {
+      let gestureId = entry.id;
+
+      if (usedIds.includes(gestureId)) {
+        if (onConflict === 'skip') {
+          skipped.push(gestureId);
+          continue;
+        }
+        if (onConflict === 'rename' || builtInIds.includes(gestureId)) {
+          gestureId = uniqueGestureId(entry.id, usedIds);
+          renamed[entry.id] = gestureId;
+        }
+      }
+
+      const result = await saveGesture(gestureId, fromPackGesture(entry));
+      if (!result.success) {
+        return { success: false, error: result.error, imported, skipped, renamed };
+      }
+
+      if (entry.action) {
+        await setGestureBinding(gestureId, entry.action, normalizeActivationRules(entry.activation));
+      }
+
+      usedIds.push(gestureId);
+      imported.push(gestureId);
+    }
+
+    return { success: true, imported, skipped, renamed };
+  } catch (error) {
+    console.error('Error importing gesture pack:', error);
+    return { success: false, error: error.message };
+  }
+};
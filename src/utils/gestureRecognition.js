@@ -4,36 +4,223 @@ import * as handpose from '@tensorflow-models/handpose';
 import * as fp from 'fingerpose';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { processAmbiguousGesture, suggestCustomGestures } from './aiEnhancement';
+import {
+  setGestureTemplates,
+  clearGestureTemplates,
+  classifyLandmarks,
+  setIdleTemplates
+} from '../../public/shared/landmarkClassifier';
+import { resetMotionTemplates, addMotionTemplate } from '../../public/shared/trajectoryRecognizer';
+import {
+  GESTURE_CATALOGUE,
+  DEFAULT_GESTURE_CONFIG,
+  GESTURE_CONFIG_KEY,
+  CUSTOM_GESTURES_KEY,
+  IDLE_SAMPLES_KEY,
+  GESTURE_SETTINGS_KEY,
+  GESTURE_CALIBRATION_KEY,
+  DEFAULT_CUSTOM_THRESHOLD,
+  getRecognitionThresholds,
+  getCatalogueGestures,
+  getCustomGestureKind,
+  buildGestureDescription,
+  createGestureEstimator
+} from '../../public/shared/gestureCatalogue';
+import { createHandposeWorkerClient } from '../../public/shared/handposeWorkerClient';
+import { createFrameScheduler } from '../../public/shared/frameScheduler';
+import { DEFAULT_FILTER_SETTINGS, normalizeFilterSettings } from '../../public/shared/landmarkFilter';
+import { DEFAULT_ADAPTIVE_THRESHOLD, createGestureRanker } from '../../public/shared/gestureRanking';
+import { createCalibration, calibrateFromStatistics } from '../../public/shared/gestureCalibration';
+import { recognizeHandGesture } from '../../public/shared/handGestureRecognizer';
+import { DEFAULT_LOCK_SETTINGS, normalizeLockSettings, createGestureLock } from '../../public/shared/gestureLock';
+import {
+  DEFAULT_ORIENTATION_SETTINGS,
+  normalizeOrientationSettings,
+  getCameraFacing,
+  toViewSpace,
+  toPoseSpace,
+  createHandednessEstimator
+} from '../../public/shared/handOrientation';
+import {
+  DEFAULT_MODEL_URL,
+  prepareModelLoading,
+  checkModelCache,
+  describeLoadError
+} from '../../public/shared/modelAssets';
+import { createHandTracker, TWO_HAND_GESTURES, TWO_HAND_GESTURES_AVAILABLE } from './handTracker';
+import { loadSequences, findSequenceMatch, getSequenceWindowMs } from './gestureSequences';
 
 // Global variables to hold models and gesture data
-let handposeModel = null;
+let handposeReady = false;
 let gestureEstimator = null;
 let videoStream = null;
+let trainingScheduler = null;
+let gestureConfig = null;
+
+// Hand-pose inference runs in public/handposeWorker.js where the platform supports it,
+// otherwise on the main thread
+const handposeClient = createHandposeWorkerClient({
+  workerUrl: '/handposeWorker.js',
+  loadModel: async (modelUrl) => {
+    await prepareModelLoading(tf, modelUrl);
+    return handpose.load();
+  }
+});
+
+// Why the handpose model failed to load ({ code, message }), null after a successful load
+let modelLoadError = null;
 
 // Settings with defaults for high accuracy detection
 let settings = {
   confidenceThreshold: 8.0,      // Default threshold for built-in gestures
-  customThreshold: 7.5,          // Default threshold for custom gestures
+  customThreshold: DEFAULT_CUSTOM_THRESHOLD, // Default threshold for motion and custom gestures
   adaptiveThresholdEnabled: true,
   multiGestureDetection: true,
   gestureSequenceEnabled: true,
   predictionSmoothing: true,
   detectionFrequency: 'high',    // 'low', 'medium', 'high'
   handTrackingSensitivity: 0.7,  // Higher sensitivity for better tracking
-  useAIEnhancement: true         // Use AI for ambiguous gesture resolution
+  useAIEnhancement: true,        // Use AI for ambiguous gesture resolution
+  landmarkSmoothing: DEFAULT_FILTER_SETTINGS, // One Euro filter over landmarks and hand center
+  gestureLock: DEFAULT_LOCK_SETTINGS, // Wake/lock gestures that arm gesture control
+  ...DEFAULT_ORIENTATION_SETTINGS, // handedness ('auto', 'right', 'left') and cameraFacing ('front', 'rear')
+  modelUrl: DEFAULT_MODEL_URL    // Where handpose model files are served ('remote' for TF Hub)
+};
+
+// Storage keys for user-changed settings and per-gesture thresholds (see calibrateGestureThresholds),
+// defined in the catalogue because the web background service reads them too
+export { GESTURE_SETTINGS_KEY, GESTURE_CALIBRATION_KEY };
+
+let calibration = createCalibration();
+
+// Gesture lock: while locked, gestures and sequences don't run actions
+const gestureLock = createGestureLock(settings.gestureLock);
+let gestureLockState = gestureLock.update(null);
+const gestureLockListeners = new Set();
+
+// Current detection settings
+export const getGestureSettings = () => ({ ...settings });
+
+// Load user-changed settings from storage
+const loadGestureSettings = async () => {
+  try {
+    const settingsJson = await AsyncStorage.getItem(GESTURE_SETTINGS_KEY);
+    if (settingsJson) {
+      const storedSettings = JSON.parse(settingsJson);
+      settings = {
+        ...settings,
+        ...storedSettings,
+        ...normalizeOrientationSettings(storedSettings),
+        landmarkSmoothing: normalizeFilterSettings(storedSettings.landmarkSmoothing),
+        gestureLock: normalizeLockSettings(storedSettings.gestureLock)
+      };
+      handTracker.setFilterSettings(settings.landmarkSmoothing);
+      setGestureLockSettings(settings.gestureLock);
+    }
+  } catch (error) {
+    console.error('Error loading gesture settings:', error);
+  }
+};
+
+// Change and store detection settings (e.g. detectionFrequency, landmarkSmoothing)
+export const updateGestureSettings = async (changes) => {
+  settings = { ...settings, ...changes };
+  
+  if (changes.landmarkSmoothing) {
+    settings.landmarkSmoothing = normalizeFilterSettings(changes.landmarkSmoothing);
+    handTracker.setFilterSettings(settings.landmarkSmoothing);
+  }
+  
+  if (changes.gestureLock) {
+    settings.gestureLock = normalizeLockSettings(changes.gestureLock);
+    setGestureLockSettings(settings.gestureLock);
+  }
+  
+  if (changes.handedness || changes.cameraFacing) {
+    settings = { ...settings, ...normalizeOrientationSettings(settings) };
+    // Hands are re-identified in the new orientation
+    handTracker.reset();
+  }
+  
+  try {
+    await AsyncStorage.setItem(GESTURE_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving gesture settings:', error);
+  }
+  
+  return { ...settings };
+};
+
+// Tell detection which camera the frames come from (a MediaStreamTrack facingMode,
+// e.g. 'user' or 'environment'); not stored, as it follows the open camera
+export const setCameraFacing = (facingMode) => {
+  const cameraFacing = getCameraFacing(facingMode);
+  if (cameraFacing !== settings.cameraFacing) {
+    settings = { ...settings, cameraFacing };
+    handTracker.reset();
+  }
+};
+
+// Record the lock state of a frame and tell listeners (e.g. FeedbackOverlay) when it changed
+const setGestureLockState = (state) => {
+  const changed = state.changed || state.armed !== gestureLockState.armed;
+  gestureLockState = state;
+  
+  if (changed) {
+    gestureLockListeners.forEach(listener => listener({ ...state, enabled: settings.gestureLock.enabled }));
+  }
+};
+
+const setGestureLockSettings = (lockSettings) => {
+  gestureLock.setSettings(lockSettings);
+  gestureLock.lock();
+  setGestureLockState({ ...gestureLock.update(null), changed: lockSettings.enabled ? 'locked' : 'armed' });
+};
+
+// Current lock state: { enabled, armed, remainingMs, wakeProgress }
+export const getGestureLockState = () => ({
+  ...gestureLockState,
+  enabled: settings.gestureLock.enabled
+});
+
+// Listen for lock state changes; returns a function that removes the listener
+export const onGestureLockChange = (listener) => {
+  gestureLockListeners.add(listener);
+  return () => gestureLockListeners.delete(listener);
+};
+
+// Unlock gesture control for the configured period (as the wake gesture would)
+export const unlockGestureControl = () => {
+  gestureLock.arm(Date.now());
+  setGestureLockState({ ...gestureLock.update(null), changed: 'armed' });
+};
+
+// Lock gesture control until the next wake gesture
+export const lockGestureControl = () => {
+  gestureLock.lock();
+  setGestureLockState({ ...gestureLock.update(null), changed: 'locked' });
 };
 
 // Initialize TensorFlow and load handpose model
-export const initTensorFlow = async () => {
+// options.modelUrl overrides the modelUrl setting for where the model files are served
+export const initTensorFlow = async (options = {}) => {
+  let modelUrl = options.modelUrl;
   try {
     console.log('Initializing TensorFlow.js...');
     await tf.ready();
     console.log('TensorFlow.js is ready');
     
-    // Load handpose model
-    console.log('Loading handpose model...');
-    handposeModel = await handpose.load();
-    console.log('Handpose model loaded successfully');
+    await loadGestureSettings();
+    await loadGestureCalibration();
+    modelUrl = modelUrl || settings.modelUrl;
+    
+    // Load handpose model (in the worker when available)
+    const { cached } = await checkModelCache(modelUrl);
+    console.log(`Loading handpose model from ${cached ? 'cache' : modelUrl}...`);
+    const mode = await handposeClient.load(modelUrl);
+    handposeReady = true;
+    modelLoadError = null;
+    console.log(`Handpose model loaded successfully (${mode === 'worker' ? 'web worker' : 'main thread'})`);
     
     // Initialize gesture estimator with default gestures
     await initializeGestureEstimator();
@@ -41,323 +228,100 @@ export const initTensorFlow = async () => {
     return true;
   } catch (error) {
     console.error('Error initializing TensorFlow:', error);
+    if (!handposeReady) {
+      modelLoadError = describeLoadError(error, modelUrl);
+    }
     return false;
   }
 };
 
+// Load settings and gesture definitions without the handpose model, which is all
+// replaying a recording needs (e.g. on a machine without a camera)
+export const initGestureEstimation = async () => {
+  if (gestureEstimator) return true;
+  try {
+    await loadGestureSettings();
+    await loadGestureCalibration();
+    await initializeGestureEstimator();
+    return true;
+  } catch (error) {
+    console.error('Error initializing gesture estimation:', error);
+    return false;
+  }
+};
+
+// Why the last initTensorFlow failed to load the model ({ code, message }), or null
+export const getModelLoadError = () => modelLoadError;
+
+// Whether every handpose model file is cached for offline use ({ cached, missing })
+export const checkHandposeModelCache = () => checkModelCache(settings.modelUrl);
+
 // Initialize gesture estimator with advanced default and custom gestures
 const initializeGestureEstimator = async () => {
   console.log('Initializing advanced gesture estimator...');
   
   // Load gesture configuration
   const config = await loadGestureConfig();
+  gestureConfig = config;
   
-  // ---------- ENHANCED DEFAULT GESTURES ----------
-  
-  // Define thumbs up gesture with improved detection parameters
-  const thumbsUpGesture = new fp.GestureDescription('thumbs_up');
-  // Primary definition for thumb
-  thumbsUpGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 1.0);
-  thumbsUpGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.VerticalUp, 1.0);
-  // Alternative directions to improve detection in various hand orientations
-  thumbsUpGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalUpLeft, 0.7);
-  thumbsUpGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalUpRight, 0.7);
-  // Ensure other fingers are curled
-  thumbsUpGesture.addCurl(fp.Finger.Index, fp.FingerCurl.FullCurl, 1.0);
-  thumbsUpGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-  thumbsUpGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-  thumbsUpGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-  // Allow half curls for more natural detection
-  thumbsUpGesture.addCurl(fp.Finger.Index, fp.FingerCurl.HalfCurl, 0.5);
-  thumbsUpGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.5);
-  thumbsUpGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.5);
-  thumbsUpGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.5);
-  
-  // Define thumbs down gesture
-  const thumbsDownGesture = new fp.GestureDescription('thumbs_down');
-  // Primary definition for thumb
-  thumbsDownGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 1.0);
-  thumbsDownGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.VerticalDown, 1.0);
-  // Alternative directions
-  thumbsDownGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalDownLeft, 0.7);
-  thumbsDownGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalDownRight, 0.7);
-  // Ensure other fingers are curled
-  thumbsDownGesture.addCurl(fp.Finger.Index, fp.FingerCurl.FullCurl, 1.0);
-  thumbsDownGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-  thumbsDownGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-  thumbsDownGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-  // Allow half curls
-  thumbsDownGesture.addCurl(fp.Finger.Index, fp.FingerCurl.HalfCurl, 0.5);
-  thumbsDownGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.5);
-  thumbsDownGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.5);
-  thumbsDownGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.5);
-  
-  // Define palm gesture with greater accuracy
-  const palmGesture = new fp.GestureDescription('palm');
-  // All fingers straight
-  palmGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 1.0);
-  palmGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-  palmGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.NoCurl, 1.0);
-  palmGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.NoCurl, 1.0);
-  palmGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.NoCurl, 1.0);
-  // Allow slight curl for more natural hand poses
-  palmGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.3);
-  palmGesture.addCurl(fp.Finger.Index, fp.FingerCurl.HalfCurl, 0.3);
-  palmGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.3);
-  palmGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.3);
-  palmGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.3);
-  // Preferred directions (vertical)
-  palmGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalUpRight, 1.0);
-  palmGesture.addDirection(fp.Finger.Index, fp.FingerDirection.VerticalUp, 1.0);
-  palmGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.VerticalUp, 1.0);
-  palmGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.VerticalUp, 1.0);
-  palmGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.VerticalUp, 1.0);
-  // Allow diagonal directions for better tolerance
-  palmGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  palmGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  palmGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  palmGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  palmGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpRight, 0.8);
-  palmGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalUpRight, 0.8);
-  palmGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.DiagonalUpRight, 0.8);
-  palmGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.DiagonalUpRight, 0.8);
-
-  // Define pinch gesture with more precision
-  const pinchGesture = new fp.GestureDescription('pinch');
-  // Thumb and index finger configurations
-  pinchGesture.addCurl(fp.Finger.Index, fp.FingerCurl.HalfCurl, 1.0);
-  pinchGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 0.8);
-  pinchGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 1.0);
-  // Their directions should be towards each other
-  pinchGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalUpRight, 1.0);
-  pinchGesture.addDirection(fp.Finger.Thumb, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  pinchGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpLeft, 1.0);
-  pinchGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpRight, 0.8);
-  // Other fingers can be in different positions, but preferably curled
-  pinchGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.8);
-  pinchGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-  pinchGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.8);
-  pinchGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-  pinchGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.8);
-  pinchGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-  
-  // Define point up gesture with improved recognition
-  const pointUpGesture = new fp.GestureDescription('point_up');
-  // Index should be pointing up
-  pointUpGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-  pointUpGesture.addDirection(fp.Finger.Index, fp.FingerDirection.VerticalUp, 1.0);
-  pointUpGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  pointUpGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpRight, 0.8);
-  // Thumb can be in different positions
-  pointUpGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.8);
-  pointUpGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 0.5);
-  // Other fingers should be curled
-  pointUpGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-  pointUpGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-  pointUpGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-  // Allow some tolerance with half curls
-  pointUpGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.4);
-  pointUpGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.4);
-  pointUpGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.4);
-
-  // Define point down gesture with improved recognition
-  const pointDownGesture = new fp.GestureDescription('point_down');
-  // Index should be pointing down
-  pointDownGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-  pointDownGesture.addDirection(fp.Finger.Index, fp.FingerDirection.VerticalDown, 1.0);
-  pointDownGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalDownLeft, 0.8);
-  pointDownGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalDownRight, 0.8);
-  // Thumb can be in different positions
-  pointDownGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.8);
-  pointDownGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 0.5);
-  // Other fingers should be curled
-  pointDownGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-  pointDownGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-  pointDownGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-  // Allow some tolerance with half curls
-  pointDownGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.4);
-  pointDownGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.4);
-  pointDownGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.4);
-  
-  // Define victory gesture (✌️)
-  const victoryGesture = new fp.GestureDescription('victory');
-  // Index and middle fingers extended
-  victoryGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-  victoryGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.NoCurl, 1.0);
-  // Direction of index and middle finger (typically up, but allow diagonal)
-  victoryGesture.addDirection(fp.Finger.Index, fp.FingerDirection.VerticalUp, 1.0);
-  victoryGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  victoryGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpRight, 0.8);
-  victoryGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.VerticalUp, 1.0);
-  victoryGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  victoryGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalUpRight, 0.8);
-  // Ring and pinky should be curled
-  victoryGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-  victoryGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-  // Thumb can be in various positions, allowing more natural poses
-  victoryGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.8);
-  victoryGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.NoCurl, 0.5);
+  // Load custom gestures
+  let customGestures = [];
+  try {
+    const customGesturesJson = await AsyncStorage.getItem(CUSTOM_GESTURES_KEY);
+    customGestures = customGesturesJson ? JSON.parse(customGesturesJson) : [];
+  } catch (error) {
+    console.error('Error loading custom gestures:', error);
+  }
   
-  // Define fist gesture (closed hand)
-  const fistGesture = new fp.GestureDescription('fist');
-  // All fingers should be fully curled
-  fistGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.FullCurl, 1.0);
-  fistGesture.addCurl(fp.Finger.Index, fp.FingerCurl.FullCurl, 1.0);
-  fistGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.FullCurl, 1.0);
-  fistGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.FullCurl, 1.0);
-  fistGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.FullCurl, 1.0);
-  // Allow half curl for thumb as it's often not fully curled in a fist
-  fistGesture.addCurl(fp.Finger.Thumb, fp.FingerCurl.HalfCurl, 0.8);
-
-  // Define swipe left gesture (hand with fingers together pointing left)
-  const swipeLeftGesture = new fp.GestureDescription('swipe_left');
-  // Fingers straight but pointing left
-  swipeLeftGesture.addDirection(fp.Finger.Index, fp.FingerDirection.HorizontalLeft, 1.0);
-  swipeLeftGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.HorizontalLeft, 1.0);
-  swipeLeftGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.HorizontalLeft, 1.0);
-  swipeLeftGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.HorizontalLeft, 1.0);
-  // Add diagonal tolerance
-  swipeLeftGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  swipeLeftGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  swipeLeftGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  swipeLeftGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.DiagonalUpLeft, 0.8);
-  swipeLeftGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalDownLeft, 0.8);
-  swipeLeftGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalDownLeft, 0.8);
-  swipeLeftGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.DiagonalDownLeft, 0.8);
-  swipeLeftGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.DiagonalDownLeft, 0.8);
-  // All fingers are uncurled
-  swipeLeftGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-  swipeLeftGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.NoCurl, 1.0);
-  swipeLeftGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.NoCurl, 1.0);
-  swipeLeftGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.NoCurl, 1.0);
-  // Allow slight curl
-  swipeLeftGesture.addCurl(fp.Finger.Index, fp.FingerCurl.HalfCurl, 0.4);
-  swipeLeftGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.4);
-  swipeLeftGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.4);
-  swipeLeftGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.4);
-
-  // Define swipe right gesture (hand with fingers together pointing right)
-  const swipeRightGesture = new fp.GestureDescription('swipe_right');
-  // Fingers straight but pointing right
-  swipeRightGesture.addDirection(fp.Finger.Index, fp.FingerDirection.HorizontalRight, 1.0);
-  swipeRightGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.HorizontalRight, 1.0);
-  swipeRightGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.HorizontalRight, 1.0);
-  swipeRightGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.HorizontalRight, 1.0);
-  // Add diagonal tolerance
-  swipeRightGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalUpRight, 0.8);
-  swipeRightGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalUpRight, 0.8);
-  swipeRightGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.DiagonalUpRight, 0.8);
-  swipeRightGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.DiagonalUpRight, 0.8);
-  swipeRightGesture.addDirection(fp.Finger.Index, fp.FingerDirection.DiagonalDownRight, 0.8);
-  swipeRightGesture.addDirection(fp.Finger.Middle, fp.FingerDirection.DiagonalDownRight, 0.8);
-  swipeRightGesture.addDirection(fp.Finger.Ring, fp.FingerDirection.DiagonalDownRight, 0.8);
-  swipeRightGesture.addDirection(fp.Finger.Pinky, fp.FingerDirection.DiagonalDownRight, 0.8);
-  // All fingers are uncurled
-  swipeRightGesture.addCurl(fp.Finger.Index, fp.FingerCurl.NoCurl, 1.0);
-  swipeRightGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.NoCurl, 1.0);
-  swipeRightGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.NoCurl, 1.0);
-  swipeRightGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.NoCurl, 1.0);
-  // Allow slight curl
-  swipeRightGesture.addCurl(fp.Finger.Index, fp.FingerCurl.HalfCurl, 0.4);
-  swipeRightGesture.addCurl(fp.Finger.Middle, fp.FingerCurl.HalfCurl, 0.4);
-  swipeRightGesture.addCurl(fp.Finger.Ring, fp.FingerCurl.HalfCurl, 0.4);
-  swipeRightGesture.addCurl(fp.Finger.Pinky, fp.FingerCurl.HalfCurl, 0.4);
-
-  // Initialize with all defined gestures based on configuration
-  const defaultGestures = [
-    thumbsUpGesture,
-    palmGesture,
-    pinchGesture,
-    pointUpGesture,
-    pointDownGesture
-  ];
+  // Built-in and custom `fingers` gestures come from the catalogue shared with the web background service
+  gestureEstimator = createGestureEstimator(fp, config.enabledGestures, customGestures);
   
-  // Add additional gestures based on user config
-  if (config.enabledGestures.thumbsDown) defaultGestures.push(thumbsDownGesture);
-  if (config.enabledGestures.victory) defaultGestures.push(victoryGesture);
-  if (config.enabledGestures.fist) defaultGestures.push(fistGesture);
-  if (config.enabledGestures.swipeLeft) defaultGestures.push(swipeLeftGesture);
-  if (config.enabledGestures.swipeRight) defaultGestures.push(swipeRightGesture);
+  // Built-in motion templates follow the enabled swipe gestures
+  const motionGestures = [];
+  if (config.enabledGestures.swipeLeft) motionGestures.push('swipe_left');
+  if (config.enabledGestures.swipeRight) motionGestures.push('swipe_right');
+  resetMotionTemplates(motionGestures);
+  handTracker.reset();
   
-  // Create gesture estimator with default gestures
-  gestureEstimator = new fp.GestureEstimator(defaultGestures);
+  // Reload user-defined gesture sequences
+  await loadSequences();
   
-  // Load and add custom gestures
-  try {
-    const customGesturesJson = await AsyncStorage.getItem('customGestures');
-    if (customGesturesJson) {
-      const customGestures = JSON.parse(customGesturesJson);
+  // Recorded custom gestures are matched on their landmarks or hand trajectory
+  clearGestureTemplates();
+  for (const gesture of customGestures) {
+    try {
+      const gestureData = gesture.data || {};
+      const kind = getCustomGestureKind(gesture);
       
-      // Convert stored data back to GestureDescription objects
-      for (const gesture of customGestures) {
-        try {
-          const gestureDesc = convertToGestureDescription(gesture.id, gesture.data);
-          if (gestureDesc) {
-            gestureEstimator.addGesture(gestureDesc);
-            console.log(`Added custom gesture: ${gesture.id}`);
-          }
-        } catch (error) {
-          console.error(`Error adding custom gesture ${gesture.id}:`, error);
+      if (kind === 'motion') {
+        // Motion gestures are matched on the recorded hand-center path
+        const trajectory = (gestureData.frames || []).map(frame => calculateHandCenter(frame.landmarks));
+        if (addMotionTemplate(gesture.id, trajectory)) {
+          console.log(`Added custom motion gesture: ${gesture.id}`);
         }
+      } else if (kind === 'landmarks') {
+        // Recorded gestures are matched against their landmark templates
+        const templateCount = setGestureTemplates(gesture.id, gestureData);
+        console.log(`Added custom landmark gesture: ${gesture.id} (${templateCount} templates)`);
       }
+    } catch (error) {
+      console.error(`Error adding custom gesture ${gesture.id}:`, error);
     }
-  } catch (error) {
-    console.error('Error loading custom gestures:', error);
   }
   
-  console.log('Advanced gesture estimator initialized');
-};
-
-// Helper function to convert stored gesture data to GestureDescription
-const convertToGestureDescription = (gestureId, gestureData) => {
-  try {
-    const desc = new fp.GestureDescription(gestureId);
-    
-    // Process fingers data if available
-    if (gestureData.fingers) {
-      for (const finger of Object.keys(gestureData.fingers)) {
-        const fingerData = gestureData.fingers[finger];
-        
-        // Add curl data
-        if (fingerData.curl) {
-          for (const curl of Object.keys(fingerData.curl)) {
-            desc.addCurl(
-              fp.Finger[finger],
-              fp.FingerCurl[curl],
-              fingerData.curl[curl]
-            );
-          }
-        }
-        
-        // Add direction data
-        if (fingerData.directions) {
-          for (const dir of Object.keys(fingerData.directions)) {
-            desc.addDirection(
-              fp.Finger[finger],
-              fp.FingerDirection[dir],
-              fingerData.directions[dir]
-            );
-          }
-        }
-      }
-    } else if (gestureData.landmarks) {
-      // If we have landmark data, use it to create a gesture model
-      // This is for more advanced custom gesture creation
-      // Implementation would depend on how landmarks are stored
-      console.log('Using landmark data to create gesture model');
-    }
-    
-    return desc;
-  } catch (error) {
-    console.error(`Error converting gesture ${gestureId}:`, error);
-    return null;
+  // Recorded "no gesture" poses are used to reject lookalike resting hands
+  const idleCount = setIdleTemplates(await loadIdleSamples());
+  if (idleCount > 0) {
+    console.log(`Loaded ${idleCount} idle pose templates`);
   }
+  
+  console.log('Advanced gesture estimator initialized');
 };
 
 // Load gesture configuration
 const loadGestureConfig = async () => {
   try {
-    const configJson = await AsyncStorage.getItem('gestureConfig');
+    const configJson = await AsyncStorage.getItem(GESTURE_CONFIG_KEY);
     if (configJson) {
       return JSON.parse(configJson);
     }
@@ -366,23 +330,7 @@ const loadGestureConfig = async () => {
   }
   
   // Default configuration
-  return {
-    confidenceThreshold: 8.0,
-    enabledGestures: {
-      thumbsUp: true,
-      thumbsDown: true,
-      palm: true,
-      pinch: true,
-      pointUp: true,
-      pointDown: true,
-      victory: true,
-      fist: true,
-      swipeLeft: true,
-      swipeRight: true
-    },
-    gestureHistory: {},
-    adaptiveThreshold: true
-  };
+  return DEFAULT_GESTURE_CONFIG;
 };
 
 // Load all available gestures (both default and custom)
@@ -390,41 +338,20 @@ export const loadGestures = async () => {
   // Get config to know which gestures are enabled
   const config = await loadGestureConfig();
   
-  // Base default gestures (always available)
-  const defaultGestures = [
-    { id: 'thumbs_up', name: 'Thumbs Up', category: 'basic', icon: 'thumbs-up' },
-    { id: 'palm', name: 'Palm', category: 'basic', icon: 'hand' },
-    { id: 'pinch', name: 'Pinch', category: 'basic', icon: 'pinch' },
-    { id: 'point_up', name: 'Point Up', category: 'navigation', icon: 'arrow-up' },
-    { id: 'point_down', name: 'Point Down', category: 'navigation', icon: 'arrow-down' }
-  ];
+  // Built-in gestures from the shared catalogue (optional ones only when enabled)
+  const defaultGestures = getCatalogueGestures(config.enabledGestures)
+    .map(({ id, name, category, icon }) => ({ id, name, category, icon }));
   
-  // Advanced gestures (conditionally available based on config)
   const advancedGestures = [];
   
-  if (config.enabledGestures.thumbsDown) {
-    advancedGestures.push({ id: 'thumbs_down', name: 'Thumbs Down', category: 'basic', icon: 'thumbs-down' });
-  }
-  
-  if (config.enabledGestures.victory) {
-    advancedGestures.push({ id: 'victory', name: 'Victory', category: 'advanced', icon: 'victory' });
-  }
-  
-  if (config.enabledGestures.fist) {
-    advancedGestures.push({ id: 'fist', name: 'Fist', category: 'advanced', icon: 'fist' });
-  }
-  
-  if (config.enabledGestures.swipeLeft) {
-    advancedGestures.push({ id: 'swipe_left', name: 'Swipe Left', category: 'navigation', icon: 'swipe-left' });
-  }
-  
-  if (config.enabledGestures.swipeRight) {
-    advancedGestures.push({ id: 'swipe_right', name: 'Swipe Right', category: 'navigation', icon: 'swipe-right' });
+  // Two-hand gestures need both hands to be tracked (and a model that detects two)
+  if (settings.multiGestureDetection && TWO_HAND_GESTURES_AVAILABLE) {
+    advancedGestures.push(...TWO_HAND_GESTURES);
   }
   
   try {
     // Load custom gestures
-    const customGesturesJson = await AsyncStorage.getItem('customGestures');
+    const customGesturesJson = await AsyncStorage.getItem(CUSTOM_GESTURES_KEY);
     const customGestures = customGesturesJson ? JSON.parse(customGesturesJson) : [];
     
     // Add category and other metadata to custom gestures if not present
@@ -444,7 +371,7 @@ export const loadGestures = async () => {
 // Start gesture training using camera
 export const startGestureTraining = (onFrame, onError) => {
   try {
-    if (!handposeModel) {
+    if (!handposeReady) {
       throw new Error('Handpose model not loaded. Please initialize TensorFlow first.');
     }
     
@@ -462,27 +389,39 @@ export const startGestureTraining = (onFrame, onError) => {
       videoElement.onloadedmetadata = () => {
         videoElement.play();
         
-        // Detect hand poses in video frames
-        const detectFrame = async () => {
+        // Detect hand poses in video frames, one frame at a time
+        if (trainingScheduler) {
+          trainingScheduler.stop();
+        }
+        const handedness = createHandednessEstimator();
+        trainingScheduler = createFrameScheduler(async () => {
           try {
-            if (videoElement.readyState === 4) {
-              const predictions = await handposeModel.estimateHands(videoElement);
-              if (predictions.length > 0) {
-                if (onFrame) {
-                  onFrame({
-                    landmarks: predictions[0].landmarks,
-                    boundingBox: predictions[0].boundingBox
-                  });
-                }
+            if (videoElement.readyState !== 4) return false;
+            
+            const predictions = await handposeClient.estimateHands(videoElement);
+            if (predictions.length > 0) {
+              if (onFrame) {
+                // Recorded in pose space (front camera), like the landmarks they are matched against
+                const { landmarks } = predictions[0];
+                onFrame({
+                  landmarks,
+                  poseLandmarks: toPoseSpace(landmarks, handedness.update(landmarks, settings.handedness)),
+                  boundingBox: predictions[0].boundingBox,
+                  frameWidth: videoElement.videoWidth,
+                  frameHeight: videoElement.videoHeight
+                });
               }
+              return true;
             }
-            requestAnimationFrame(detectFrame);
+            return false;
           } catch (err) {
+            trainingScheduler.stop();
             if (onError) onError(err);
+            return false;
           }
-        };
+        }, { frequency: 'high' });
         
-        detectFrame();
+        trainingScheduler.start();
       };
     }).catch(err => {
       if (onError) onError(err);
@@ -499,6 +438,10 @@ export const startGestureTraining = (onFrame, onError) => {
 // Stop gesture training and release camera
 export const stopGestureTraining = () => {
   try {
+    if (trainingScheduler) {
+      trainingScheduler.stop();
+      trainingScheduler = null;
+    }
     if (videoStream) {
       videoStream.getTracks().forEach(track => track.stop());
       videoStream = null;
@@ -510,10 +453,60 @@ export const stopGestureTraining = () => {
   }
 };
 
+// Live scoring of a `fingers` definition being edited (see GestureEditorScreen)
+// Returns a function taking pose-space landmarks from startGestureTraining and returning
+// { score, pose, competitors } with the definition's score, the curl and direction fingerpose
+// sees for each finger ({ Index: { curl, direction } }) and the other gestures scoring above 0
+export const createFingersPreview = (gestureId, fingers) => {
+  const estimator = new fp.GestureEstimator([buildGestureDescription(fp, gestureId, fingers)]);
+  
+  return (landmarks) => {
+    const { gestures, poseData } = estimator.estimate(landmarks, 0);
+    const match = gestures.find(gesture => gesture.name === gestureId);
+    
+    const pose = {};
+    poseData.forEach(([finger, curl, direction]) => {
+      pose[finger] = { curl: curl.replace(/ /g, ''), direction: direction.replace(/ /g, '') };
+    });
+    
+    const competitors = gestureEstimator
+      ? gestureEstimator.estimate(landmarks, 0).gestures
+          .filter(gesture => gesture.name !== gestureId)
+          .sort((a, b) => b.score - a.score)
+      : [];
+    
+    // A definition without any curls or directions has no score
+    return { score: match && Number.isFinite(match.score) ? match.score : 0, pose, competitors };
+  };
+};
+
+// Gestures that already recognize recorded poses, for the training quality report
+// frames: [{ landmarks }] in pose space; excludeId leaves out the gesture being re-recorded
+// Returns [{ name, share }] with the share of frames each gesture matched, most similar first
+export const findSimilarGestures = (frames, excludeId = null) => {
+  if (!gestureEstimator || frames.length === 0) return [];
+  
+  const counts = {};
+  frames.forEach(({ landmarks }) => {
+    const matched = new Set([
+      ...gestureEstimator.estimate(landmarks, settings.confidenceThreshold).gestures,
+      ...classifyLandmarks(landmarks, settings.customThreshold)
+    ].map(gesture => gesture.name));
+    matched.delete(excludeId);
+    matched.forEach(name => {
+      counts[name] = (counts[name] || 0) + 1;
+    });
+  });
+  
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, share: count / frames.length }))
+    .sort((a, b) => b.share - a.share);
+};
+
 // Save custom gesture
 export const saveGesture = async (gestureId, gestureData) => {
   try {
-    const customGesturesJson = await AsyncStorage.getItem('customGestures');
+    const customGesturesJson = await AsyncStorage.getItem(CUSTOM_GESTURES_KEY);
     const customGestures = customGesturesJson ? JSON.parse(customGesturesJson) : [];
     
     // Check if gesture already exists
@@ -532,7 +525,7 @@ export const saveGesture = async (gestureId, gestureData) => {
       });
     }
     
-    await AsyncStorage.setItem('customGestures', JSON.stringify(customGestures));
+    await AsyncStorage.setItem(CUSTOM_GESTURES_KEY, JSON.stringify(customGestures));
     
     // Reinitialize gesture estimator with updated gestures
     await initializeGestureEstimator();
@@ -548,18 +541,18 @@ export const saveGesture = async (gestureId, gestureData) => {
 export const deleteGesture = async (gestureId) => {
   try {
     // Only allow deleting custom gestures, not default ones
-    const defaultGestureIds = ['thumbs_up', 'palm', 'pinch', 'point_up', 'point_down'];
+    const defaultGestureIds = GESTURE_CATALOGUE.filter(gesture => !gesture.optional).map(gesture => gesture.id);
     if (defaultGestureIds.includes(gestureId)) {
       return { success: false, error: 'Cannot delete default gestures' };
     }
     
-    const customGesturesJson = await AsyncStorage.getItem('customGestures');
+    const customGesturesJson = await AsyncStorage.getItem(CUSTOM_GESTURES_KEY);
     if (!customGesturesJson) return true; // No custom gestures exist
     
     const customGestures = JSON.parse(customGesturesJson);
     const updatedGestures = customGestures.filter(g => g.id !== gestureId);
     
-    await AsyncStorage.setItem('customGestures', JSON.stringify(updatedGestures));
+    await AsyncStorage.setItem(CUSTOM_GESTURES_KEY, JSON.stringify(updatedGestures));
     
     // Reinitialize gesture estimator with updated gestures
     await initializeGestureEstimator();
@@ -571,10 +564,11 @@ export const deleteGesture = async (gestureId) => {
   }
 };
 
-// Clear all custom gestures
+// Clear all custom gestures and recorded idle poses
 export const clearAllGestures = async () => {
   try {
-    await AsyncStorage.removeItem('customGestures');
+    await AsyncStorage.removeItem(CUSTOM_GESTURES_KEY);
+    await AsyncStorage.removeItem(IDLE_SAMPLES_KEY);
     // Reinitialize gesture estimator with only default gestures
     await initializeGestureEstimator();
     return true;
@@ -584,26 +578,180 @@ export const clearAllGestures = async () => {
   }
 };
 
+// Recorded idle frames are capped so storage stays small
+const MAX_IDLE_SAMPLES = 300;
+
+// Load recorded "no gesture" frames
+const loadIdleSamples = async () => {
+  try {
+    const samplesJson = await AsyncStorage.getItem(IDLE_SAMPLES_KEY);
+    return samplesJson ? JSON.parse(samplesJson) : [];
+  } catch (error) {
+    console.error('Error loading idle samples:', error);
+    return [];
+  }
+};
+
+// Number of recorded "no gesture" frames
+export const getIdleSampleCount = async () => {
+  const samples = await loadIdleSamples();
+  return samples.length;
+};
+
+// Add frames of resting, typing or other non-gesture hand poses to the rejection class
+// frames: [{ landmarks, timestamp }] as recorded by GestureTrainingInterface
+export const saveIdleSamples = async (frames) => {
+  try {
+    const newSamples = frames
+      .filter(frame => frame.landmarks)
+      .map(frame => ({ landmarks: frame.landmarks, timestamp: frame.timestamp }));
+    
+    // Keep the most recent samples
+    const samples = [...await loadIdleSamples(), ...newSamples].slice(-MAX_IDLE_SAMPLES);
+    await AsyncStorage.setItem(IDLE_SAMPLES_KEY, JSON.stringify(samples));
+    setIdleTemplates(samples);
+    
+    return { success: true, sampleCount: samples.length };
+  } catch (error) {
+    console.error('Error saving idle samples:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Forget all recorded "no gesture" frames
+export const clearIdleSamples = async () => {
+  try {
+    await AsyncStorage.removeItem(IDLE_SAMPLES_KEY);
+    setIdleTemplates([]);
+    return true;
+  } catch (error) {
+    console.error('Error clearing idle samples:', error);
+    return false;
+  }
+};
+
 // Global variables for advanced gesture detection
-let lastGesture = null;
-let lastGestureTime = 0;
 let gestureSequence = [];
-let gestureConfidenceHistory = {};
+const gestureRanker = createGestureRanker(); // Recent scores of each gesture, for stability ranking
 let gestureCounters = {};
 let gestureWindowStart = 0;
-let adaptiveThreshold = 7.5; // Default threshold will be dynamically adjusted
+let adaptiveThreshold = DEFAULT_ADAPTIVE_THRESHOLD; // Default threshold will be dynamically adjusted
+let visibleHandCount = 0;
+
+// Record-and-replay hooks (see landmarkRecorder.js)
+let frameRecorder = null;  // Receives every processed frame and its result
+let replaySource = null;   // Supplies recorded frames instead of the camera
+let liveSettings = null;   // Settings to restore when a replay with its recording's settings ends
 
-// Track hand position for motion detection
-let previousHandPosition = null;
-let handVelocity = { x: 0, y: 0 };
+// Track each hand's position, velocity and trajectory separately
+const handTracker = createHandTracker(
+  (landmarks) => calculateHandCenter(landmarks),
+  settings.landmarkSmoothing
+);
+
+// Number of hands seen in the last detected frame (lets the frame scheduler back off)
+export const getVisibleHandCount = () => visibleHandCount;
+
+// Clear all per-session detection state (tracked hands, history, adaptive threshold)
+export const resetDetectionState = () => {
+  handTracker.reset();
+  gestureSequence = [];
+  gestureRanker.reset();
+  gestureCounters = {};
+  gestureWindowStart = 0;
+  adaptiveThreshold = DEFAULT_ADAPTIVE_THRESHOLD;
+  visibleHandCount = 0;
+};
+
+// Send every processed frame to a recorder (null stops recording)
+export const setFrameRecorder = (recorder) => {
+  frameRecorder = recorder;
+};
+
+// Use detection settings without storing them (a replay's recorded settings)
+const applyDetectionSettings = (newSettings) => {
+  settings = {
+    ...newSettings,
+    ...normalizeOrientationSettings(newSettings),
+    landmarkSmoothing: normalizeFilterSettings(newSettings.landmarkSmoothing),
+    gestureLock: normalizeLockSettings(newSettings.gestureLock)
+  };
+  handTracker.setFilterSettings(settings.landmarkSmoothing);
+};
+
+// Take frames from a recorded stream instead of the camera (null returns to the camera)
+// replaySettings (a recording's metadata.settings) apply until the replay ends; detection
+// state and the gesture lock are reset so a replay always starts the same way
+export const setReplaySource = (source, replaySettings = null) => {
+  if (!source && !replaySource) return;
+  
+  if (liveSettings) {
+    applyDetectionSettings(liveSettings);
+    liveSettings = null;
+  }
+  if (source && replaySettings) {
+    liveSettings = settings;
+    applyDetectionSettings({ ...settings, ...replaySettings, modelUrl: settings.modelUrl });
+  }
+  
+  replaySource = source;
+  resetDetectionState();
+  setGestureLockSettings(settings.gestureLock);
+};
+
+// Whether detectGesture is consuming a recorded stream
+export const isReplaying = () => replaySource !== null;
+
+// Run handpose on a camera frame
+const captureFrame = async (videoFrame) => {
+  const timestamp = Date.now();
+  
+  // Estimate hand landmarks (unflipped, so the tracker's left/right convention holds)
+  const hands = await handposeClient.estimateHands(videoFrame, false);
+  
+  return {
+    timestamp,
+    frameWidth: videoFrame.videoWidth || videoFrame.width || 0,
+    hands
+  };
+};
 
 // Detect gesture from video frame with advanced features
+// While a replay source is set, videoFrame is ignored and the next recorded frame is used
 export const detectGesture = async (videoFrame, options = {}) => {
   try {
-    if (!handposeModel || !gestureEstimator) {
+    if ((!handposeReady && !replaySource) || !gestureEstimator) {
       throw new Error('Models not initialized. Please call initTensorFlow first.');
     }
     
+    const frame = replaySource ? replaySource.next() : await captureFrame(videoFrame);
+    if (!frame) {
+      return null; // End of the recording
+    }
+    
+    const result = await recognizeFrame(frame, options);
+    
+    // Wake and lock gestures; a gesture that may not run its action is marked consumed
+    setGestureLockState(gestureLock.update(result ? result.name : null, frame.timestamp));
+    if (result) {
+      result.lock = { armed: gestureLockState.armed, consumed: gestureLockState.consumed };
+    }
+    
+    if (frameRecorder) {
+      frameRecorder.recordFrame(frame, result);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error detecting gesture:', error);
+    return null;
+  }
+};
+
+// Recognize gestures in one frame of handpose output ({ timestamp, frameWidth, hands })
+// Uses the frame's timestamp throughout so replays behave exactly like the recording
+const recognizeFrame = async ({ timestamp, frameWidth, hands }, options = {}) => {
+  try {
     // Merge options with global settings
     const detectOptions = {
       calculateLandmarks: options.calculateLandmarks ?? false,
@@ -614,215 +762,165 @@ export const detectGesture = async (videoFrame, options = {}) => {
       confidenceThreshold: options.confidenceThreshold || settings.confidenceThreshold
     };
     
-    const now = Date.now();
+    const now = timestamp;
     
     // Manage sequence window - reset sequence if too much time has elapsed
-    if (now - gestureWindowStart > 3000 && gestureSequence.length > 0) {
-      // Only log sequence if it contains multiple gestures
-      if (gestureSequence.length > 1) {
-        console.log('Gesture sequence detected:', gestureSequence);
-        // Trigger actions based on sequences
-        checkGestureSequence(gestureSequence);
-      }
+    if (now - gestureWindowStart > getSequenceWindowMs() && gestureSequence.length > 0) {
       gestureSequence = [];
       gestureWindowStart = now;
     }
     
-    // Estimate hand landmarks with higher precision settings
-    const hands = await handposeModel.estimateHands(videoFrame, {
-      flipHorizontal: false,
-      staticImageMode: false, // Set to true for static images, false for video
-      maxNumHands: detectOptions.multiGesture ? 2 : 1,
-      detectionConfidence: settings.handTrackingSensitivity
-    });
+    // Work in view space, where moving the hand to the user's left increases x for either camera
+    const viewHands = hands.map(hand => ({
+      ...hand,
+      landmarks: toViewSpace(hand.landmarks, frameWidth, settings.cameraFacing)
+    }));
     
-    if (hands.length === 0) {
-      // No hands detected
-      if (lastGesture !== null && now - lastGestureTime > 500) {
-        // Reset last gesture if hand disappears for over 500ms
-        lastGesture = null;
-        // Clear sequence if applicable
-        if (gestureSequence.length > 0 && now - gestureWindowStart > 1000) {
-          gestureSequence = [];
-        }
+    // Associate hands with their tracks (hands gone for over 500ms are forgotten)
+    // and smooth each hand's landmarks
+    const trackedHands = handTracker.update(viewHands, now, frameWidth);
+    visibleHandCount = trackedHands.length;
+    
+    // Smoothed landmarks are handed out in image space, to be drawn over the video
+    // (handId matches the result's handId)
+    if (options.onHands) {
+      options.onHands(trackedHands.map(({ id, hand, landmarks }) => ({
+        ...hand,
+        handId: id,
+        landmarks: toViewSpace(landmarks, frameWidth, settings.cameraFacing)
+      })));
+    }
+    
+    if (trackedHands.length === 0) {
+      // No hands detected - clear sequence if applicable
+      if (gestureSequence.length > 0 && now - gestureWindowStart > 1000) {
+        gestureSequence = [];
       }
       return null;
     }
     
     // Process hand data and detect gestures
-    const handResults = await Promise.all(hands.map(async (hand) => {
-      // Get landmarks and bounding box
-      const landmarks = hand.landmarks;
-      
-      // Track hand motion for gesture enhancement
-      const currentHandPosition = calculateHandCenter(landmarks);
-      let movementMagnitude = 0;
+    const handResults = await Promise.all(trackedHands.map(async ({ id: handId, landmarks, track }) => {
       
-      if (previousHandPosition) {
-        handVelocity = {
-          x: currentHandPosition.x - previousHandPosition.x,
-          y: currentHandPosition.y - previousHandPosition.y
-        };
-        
-        // Calculate movement magnitude
-        movementMagnitude = Math.sqrt(
-          handVelocity.x * handVelocity.x + handVelocity.y * handVelocity.y
-        );
-      }
-      previousHandPosition = currentHandPosition;
-    
-    // Adjust confidence threshold based on environmental conditions and movement
-    let confidenceThreshold = adaptiveThreshold;
-    
-    // Apply adaptive threshold based on config
-    if (config.adaptiveThreshold) {
-      // If hand is moving fast, increase threshold to prevent false positives
-      if (movementMagnitude > 15) {
-        confidenceThreshold += 1.0;
-      } else if (movementMagnitude < 5) {
-        // If hand is relatively still, lower threshold for better detection
-        confidenceThreshold -= 0.5;
-      }
+      // Motion state of this hand, kept apart from the other hand
+      const currentHandPosition = track.position;
+      const handVelocity = track.velocity;
       
-      // Keep threshold within reasonable bounds
-      confidenceThreshold = Math.max(6.0, Math.min(confidenceThreshold, 9.0));
-    } else {
-      // Use fixed threshold from config
-      confidenceThreshold = config.confidenceThreshold;
-    }
-    
-    // Estimate gestures using fingerpose
-    const estimatedGestures = gestureEstimator.estimate(landmarks, confidenceThreshold);
-    
-    if (estimatedGestures.gestures.length === 0) {
-      return null; // No gesture detected
-    }
-    
-    // Update adaptive threshold based on detection confidence
-    // If we detected gestures, gradually adjust the threshold
-    if (adaptiveThreshold !== confidenceThreshold) {
-      adaptiveThreshold = confidenceThreshold * 0.9 + adaptiveThreshold * 0.1; // Smooth transition
-    }
-    
-    // Process all detected gestures and their confidence scores
-    const detectedGestures = estimatedGestures.gestures;
-    const allGesturesWithScores = {};
-    
-    detectedGestures.forEach(gesture => {
-      allGesturesWithScores[gesture.name] = gesture.score;
+      // Thresholds, fingerpose and template scores, idle rejection and stability ranking
+      // (shared with the offline evaluator)
+      const recognized = recognizeHandGesture({
+        landmarks,
+        velocity: handVelocity,
+        trajectory: track.trajectory,
+        handedness: track.handedness
+      }, {
+        ...getRecognitionThresholds(gestureConfig, settings),
+        estimator: gestureEstimator,
+        calibration,
+        handedness: settings.handedness,
+        adaptiveThreshold,
+        ranker: gestureRanker
+      });
       
-      // Update confidence history for this gesture
-      if (!gestureConfidenceHistory[gesture.name]) {
-        gestureConfidenceHistory[gesture.name] = [];
+      if (!recognized) {
+        return null; // No gesture detected
       }
       
-      // Keep last 10 confidence scores to track stability
-      gestureConfidenceHistory[gesture.name].push(gesture.score);
-      if (gestureConfidenceHistory[gesture.name].length > 10) {
-        gestureConfidenceHistory[gesture.name].shift();
-      }
-    });
-    
-    // Apply gesture stability enhancement:
-    // If multiple gestures have similar scores, prefer the one that has been more stable
-    const topGestures = detectedGestures
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 3); // Consider top 3 gestures
-    
-    if (topGestures.length >= 2) {
-      const [first, second] = topGestures;
+      adaptiveThreshold = recognized.adaptiveThreshold;
+      const { gesture, handedness, allGestures: allGesturesWithScores } = recognized;
+      const finalGesture = gesture.name;
+      let sequenceMatch = null;
       
-      // If scores are close (within 10%), consider stability
-      if (second.score > first.score * 0.9) {
-        const firstStability = calculateGestureStability(first.name);
-        const secondStability = calculateGestureStability(second.name);
-        
-        // If second gesture is significantly more stable, prefer it
-        if (secondStability > firstStability * 1.5) {
-          topGestures[0] = second;
-          topGestures[1] = first;
+      // Update gesture sequence if this is a new gesture for this hand
+      if (finalGesture !== track.lastGesture) {
+        // Only count as a new gesture if enough time has passed
+        // This prevents rapid oscillation between gestures
+        if (now - track.lastGestureTime > 350) {
+          if (gestureSequence.length === 0) {
+            gestureWindowStart = now;
+          }
+          
+          // Add to sequence
+          gestureSequence.push({
+            gesture: finalGesture,
+            timestamp: now
+          });
+          
+          // Keep sequence to reasonable length
+          if (gestureSequence.length > 5) {
+            gestureSequence.shift();
+          }
+          
+          // Dispatch a completed sequence and start over so it fires once (only while unlocked)
+          if (detectOptions.useSequence && gestureLock.isArmed(now)) {
+            sequenceMatch = checkGestureSequence(gestureSequence);
+            if (sequenceMatch) {
+              gestureSequence = [];
+            }
+          }
+          
+          // Track gesture frequency
+          gestureCounters[finalGesture] = (gestureCounters[finalGesture] || 0) + 1;
+          
+          // Update last gesture info
+          track.lastGesture = finalGesture;
+          track.lastGestureTime = now;
+          
+          // Save usage statistics for ML-based improvements (not for replayed sessions)
+          if (!replaySource) {
+            saveGestureStatistics(finalGesture, allGesturesWithScores, gesture.score);
+          }
         }
       }
-    }
+      
+      return {
+        name: finalGesture,
+        confidence: gesture.score,
+        allGestures: allGesturesWithScores,
+        handId,
+        handedness,
+        handPosition: currentHandPosition,
+        velocity: handVelocity,
+        sequence: sequenceMatch,
+        motion: recognized.motion // Reported once, so it cannot be held
+      };
+    }));
     
-    // Get highest confidence gesture after stability analysis
-    const gesture = topGestures[0];
+    const detectedHands = handResults.filter(result => result !== null);
+    if (detectedHands.length === 0) {
+      return null;
+    }
     
-    // Consider motion for swipe gestures to enhance detection
-    let finalGesture = gesture.name;
+    // Most confident hand, carrying any sequence completed by either hand
+    const primary = [...detectedHands].sort((a, b) => b.confidence - a.confidence)[0];
+    const sequence = detectedHands.map(result => result.sequence).find(Boolean) || null;
     
-    // Motion enhancement for swipe gestures
-    if (gesture.name === 'swipe_left' && handVelocity.x > 15) {
-      // Boost confidence for swipe_left when hand is actually moving left
-      finalGesture = 'swipe_left';
-    } else if (gesture.name === 'swipe_right' && handVelocity.x < -15) {
-      // Boost confidence for swipe_right when hand is actually moving right
-      finalGesture = 'swipe_right';
-    }
+    // A gesture made with both hands is reported like a single-hand gesture
+    const twoHandGesture = detectOptions.multiGesture && TWO_HAND_GESTURES_AVAILABLE
+      ? handTracker.detectTwoHandGesture(detectedHands, now)
+      : null;
     
-    // Update gesture sequence if this is a new gesture
-    if (finalGesture !== lastGesture) {
-      // Only count as a new gesture if enough time has passed
-      // This prevents rapid oscillation between gestures
-      if (now - lastGestureTime > 350) {
-        if (gestureSequence.length === 0) {
-          gestureWindowStart = now;
-        }
-        
-        // Add to sequence
-        gestureSequence.push({
-          gesture: finalGesture,
-          timestamp: now
-        });
-        
-        // Keep sequence to reasonable length
-        if (gestureSequence.length > 5) {
-          gestureSequence.shift();
-        }
-        
-        // Track gesture frequency
-        gestureCounters[finalGesture] = (gestureCounters[finalGesture] || 0) + 1;
-        
-        // Update last gesture info
-        lastGesture = finalGesture;
-        lastGestureTime = now;
-        
-        // Save usage statistics for ML-based improvements
-        saveGestureStatistics(finalGesture, allGesturesWithScores, gesture.score);
-      }
+    if (twoHandGesture) {
+      return {
+        name: twoHandGesture.name,
+        confidence: twoHandGesture.confidence,
+        allGestures: { ...primary.allGestures, [twoHandGesture.name]: twoHandGesture.confidence },
+        handId: 'both',
+        handPosition: twoHandGesture.handPosition,
+        velocity: primary.velocity,
+        sequence,
+        motion: twoHandGesture.motion,
+        hands: detectedHands
+      };
     }
     
-    return {
-      name: finalGesture,
-      confidence: gesture.score,
-      allGestures: allGesturesWithScores,
-      handPosition: currentHandPosition,
-      velocity: handVelocity
-    };
+    return { ...primary, sequence, hands: detectedHands };
   } catch (error) {
-    console.error('Error detecting gesture:', error);
+    console.error('Error recognizing gesture:', error);
     return null;
   }
 };
 
-// Calculate stability of a gesture based on confidence history
-const calculateGestureStability = (gestureName) => {
-  if (!gestureConfidenceHistory[gestureName] || 
-      gestureConfidenceHistory[gestureName].length < 3) {
-    return 0;
-  }
-  
-  // Calculate standard deviation of confidence scores
-  // Lower std dev means more stable
-  const scores = gestureConfidenceHistory[gestureName];
-  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
-  const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
-  const stdDev = Math.sqrt(variance);
-  
-  // Invert so higher value means more stable
-  return 1 / (stdDev + 0.01); // Add small epsilon to avoid division by zero
-};
-
 // Calculate center position of hand
 const calculateHandCenter = (landmarks) => {
   if (!landmarks || landmarks.length === 0) return { x: 0, y: 0 };
@@ -834,84 +932,143 @@ const calculateHandCenter = (landmarks) => {
   };
 };
 
-// Check for known gesture sequences and perform actions
+// Check for known gesture sequences; the caller runs a match's action through its
+// activation rules like any other binding
 const checkGestureSequence = (sequence) => {
-  if (sequence.length < 2) return;
-  
-  // Extract just the gesture names in sequence
-  const gestures = sequence.map(g => g.gesture);
+  if (sequence.length < 2) return null;
   
-  // Define known sequences and their actions
-  const knownSequences = {
-    'thumbs_up,thumbs_down': 'TOGGLE_APPROVAL',
-    'palm,fist': 'GRAB_OBJECT',
-    'swipe_left,swipe_right': 'SHAKE_GESTURE',
-    'victory,fist': 'SCISSORS_TO_ROCK',
-    'point_up,point_down': 'FLIP_DIRECTION'
-  };
+  // Match against the user-editable sequence registry
+  const match = findSequenceMatch(sequence);
+  if (!match) return null;
   
-  // Check each known sequence
-  for (const [pattern, action] of Object.entries(knownSequences)) {
-    const patternGestures = pattern.split(',');
-    
-    // Check if the recent gestures match this pattern
-    if (patternGestures.length <= gestures.length) {
-      const recentGestures = gestures.slice(-patternGestures.length);
-      
-      if (recentGestures.join(',') === pattern) {
-        console.log(`Detected gesture sequence: ${pattern} → Action: ${action}`);
-        // Here we could trigger the sequence action
-        // For now just log it
-        return action;
-      }
-    }
-  }
+  console.log(`Detected gesture sequence: ${match.gestures.join(',')} → Action: ${match.action}`);
   
-  return null;
+  return {
+    id: match.id,
+    gestures: match.gestures,
+    action: match.action
+  };
 };
 
-// Save gesture statistics for machine learning improvements
-const saveGestureStatistics = async (gestureName, allGestures, confidence) => {
-  try {
-    // Get existing statistics
+// Statistics are read, changed and written back as a whole, so updates run one at a time
+// (a report saved while a new gesture is counted would otherwise lose one of the changes)
+let statisticsQueue = Promise.resolve();
+
+// Apply update(stats) to the stored statistics once earlier updates are saved
+const updateGestureStatistics = (update) => {
+  const run = statisticsQueue.then(async () => {
     const statsJson = await AsyncStorage.getItem('gestureStatistics');
-    let stats = statsJson ? JSON.parse(statsJson) : {
+    const stats = statsJson ? JSON.parse(statsJson) : {
       gestureFrequency: {},
       confusionMatrix: {},
+      corrections: {},
       timestamps: []
     };
     
-    // Update frequency
-    stats.gestureFrequency[gestureName] = (stats.gestureFrequency[gestureName] || 0) + 1;
-    
-    // Update confusion data - which gestures are often confused
-    if (!stats.confusionMatrix[gestureName]) {
-      stats.confusionMatrix[gestureName] = {};
-    }
-    
-    // For each detected gesture that wasn't the top one
-    Object.keys(allGestures).forEach(otherGesture => {
-      if (otherGesture !== gestureName) {
-        stats.confusionMatrix[gestureName][otherGesture] = 
-          (stats.confusionMatrix[gestureName][otherGesture] || 0) + 1;
+    update(stats);
+    await AsyncStorage.setItem('gestureStatistics', JSON.stringify(stats));
+  });
+  statisticsQueue = run.catch(() => {});
+  return run;
+};
+
+// Save gesture statistics for machine learning improvements
+const saveGestureStatistics = async (gestureName, allGestures, confidence) => {
+  try {
+    await updateGestureStatistics(stats => {
+      // Update frequency
+      stats.gestureFrequency[gestureName] = (stats.gestureFrequency[gestureName] || 0) + 1;
+      
+      // Update confusion data - which gestures are often confused
+      if (!stats.confusionMatrix[gestureName]) {
+        stats.confusionMatrix[gestureName] = {};
+      }
+      
+      // For each detected gesture that wasn't the top one
+      Object.keys(allGestures).forEach(otherGesture => {
+        if (otherGesture !== gestureName) {
+          stats.confusionMatrix[gestureName][otherGesture] = 
+            (stats.confusionMatrix[gestureName][otherGesture] || 0) + 1;
+        }
+      });
+      
+      // Record timestamp (keep latest 100)
+      stats.timestamps.push({
+        gesture: gestureName,
+        time: Date.now(),
+        confidence
+      });
+      
+      if (stats.timestamps.length > 100) {
+        stats.timestamps.shift();
       }
     });
-    
-    // Record timestamp (keep latest 100)
-    stats.timestamps.push({
-      gesture: gestureName,
-      time: Date.now(),
-      confidence
+  } catch (error) {
+    console.error('Error saving gesture statistics:', error);
+  }
+};
+
+// Record that a recognized gesture was wrong, then recalibrate
+// intended is the gesture the user actually made, or 'none' if they made none
+export const reportWrongGesture = async (recognizedGesture, intendedGesture = 'none') => {
+  try {
+    await updateGestureStatistics(stats => {
+      if (!stats.corrections) {
+        stats.corrections = {};
+      }
+      if (!stats.corrections[recognizedGesture]) {
+        stats.corrections[recognizedGesture] = {};
+      }
+      stats.corrections[recognizedGesture][intendedGesture] =
+        (stats.corrections[recognizedGesture][intendedGesture] || 0) + 1;
     });
+    return await calibrateGestureThresholds();
+  } catch (error) {
+    console.error('Error saving gesture feedback:', error);
+    return null;
+  }
+};
+
+// Derive per-gesture thresholds and pair margins from the collected statistics,
+// persist them and use them for detection from now on
+export const calibrateGestureThresholds = async () => {
+  try {
+    const statsJson = await AsyncStorage.getItem('gestureStatistics');
+    const baseThreshold = (gestureConfig && gestureConfig.confidenceThreshold) || settings.confidenceThreshold;
     
-    if (stats.timestamps.length > 100) {
-      stats.timestamps.shift();
+    calibration = calibrateFromStatistics(statsJson ? JSON.parse(statsJson) : null, baseThreshold);
+    await AsyncStorage.setItem(GESTURE_CALIBRATION_KEY, JSON.stringify(calibration));
+    return calibration;
+  } catch (error) {
+    console.error('Error calibrating gesture thresholds:', error);
+    return null;
+  }
+};
+
+// Current calibration
+export const getGestureCalibration = () => calibration;
+
+// Go back to the configured threshold for every gesture
+export const resetGestureCalibration = async () => {
+  try {
+    calibration = createCalibration();
+    await AsyncStorage.removeItem(GESTURE_CALIBRATION_KEY);
+    return true;
+  } catch (error) {
+    console.error('Error resetting gesture calibration:', error);
+    return false;
+  }
+};
+
+// Load the saved calibration
+const loadGestureCalibration = async () => {
+  try {
+    const calibrationJson = await AsyncStorage.getItem(GESTURE_CALIBRATION_KEY);
+    if (calibrationJson) {
+      calibration = { ...createCalibration(), ...JSON.parse(calibrationJson) };
     }
-    
-    // Save back to storage
-    await AsyncStorage.setItem('gestureStatistics', JSON.stringify(stats));
   } catch (error) {
-    console.error('Error saving gesture statistics:', error);
+    console.error('Error loading gesture calibration:', error);
   }
 };
 
@@ -929,6 +1086,8 @@ export const getGestureStatistics = async () => {
 // Reset all gesture statistics
 export const resetGestureStatistics = async () => {
   try {
+    // After any update still being saved
+    await statisticsQueue;
     await AsyncStorage.removeItem('gestureStatistics');
     return true;
   } catch (error) {
@@ -0,0 +1,90 @@
+// User-editable gesture sequence registry
+// Matching rules live in public/shared/gestureSequences.js so the web background service behaves the same
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  SEQUENCE_STORAGE_KEY,
+  DEFAULT_SEQUENCES,
+  normalizeSequence,
+  validateSequence,
+  matchSequence,
+  getSequenceWindow
+} from '../../public/shared/gestureSequences';
+
+// Registered sequences (defaults until the stored registry is loaded)
+let sequences = DEFAULT_SEQUENCES;
+
+// Load the registry from storage
+export const loadSequences = async () => {
+  try {
+    const storedSequences = await AsyncStorage.getItem(SEQUENCE_STORAGE_KEY);
+    sequences = storedSequences
+      ? JSON.parse(storedSequences).map(normalizeSequence)
+      : DEFAULT_SEQUENCES;
+  } catch (error) {
+    console.error('Error loading gesture sequences:', error);
+    sequences = DEFAULT_SEQUENCES;
+  }
+  return sequences;
+};
+
+// Currently registered sequences
+export const getSequences = () => sequences;
+
+// Add or update a sequence
+export const saveSequence = async (sequence) => {
+  try {
+    const validationError = validateSequence(sequence);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const normalized = normalizeSequence(sequence);
+    const existingIndex = sequences.findIndex(s => s.id === normalized.id);
+
+    const updatedSequences = [...sequences];
+    if (existingIndex >= 0) {
+      updatedSequences[existingIndex] = normalized;
+    } else {
+      updatedSequences.push(normalized);
+    }
+
+    await AsyncStorage.setItem(SEQUENCE_STORAGE_KEY, JSON.stringify(updatedSequences));
+    sequences = updatedSequences;
+
+    return { success: true, sequenceId: normalized.id };
+  } catch (error) {
+    console.error('Error saving gesture sequence:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Remove a sequence
+export const deleteSequence = async (sequenceId) => {
+  try {
+    const updatedSequences = sequences.filter(s => s.id !== sequenceId);
+    await AsyncStorage.setItem(SEQUENCE_STORAGE_KEY, JSON.stringify(updatedSequences));
+    sequences = updatedSequences;
+    return true;
+  } catch (error) {
+    console.error('Error deleting gesture sequence:', error);
+    return false;
+  }
+};
+
+// Restore the default sequences
+export const resetSequences = async () => {
+  try {
+    await AsyncStorage.removeItem(SEQUENCE_STORAGE_KEY);
+    sequences = DEFAULT_SEQUENCES;
+    return true;
+  } catch (error) {
+    console.error('Error resetting gesture sequences:', error);
+    return false;
+  }
+};
+
+// Find the sequence completed by the latest gesture in the history
+export const findSequenceMatch = (history) => matchSequence(history, sequences);
+
+// How long gesture history needs to be kept
+export const getSequenceWindowMs = () => getSequenceWindow(sequences);
@@ -0,0 +1,216 @@
+// Multi-hand tracking for gesture detection
+// Keeps per-hand motion state with a stable left/right identity and
+// recognizes compound gestures performed with both hands
+import { createTrajectoryRecognizer } from '../../public/shared/trajectoryRecognizer';
+import { createLandmarkFilter } from '../../public/shared/landmarkFilter';
+import { createHandednessEstimator } from '../../public/shared/handOrientation';
+
+// Hand identities, from the user's point of view (by position, see handedness for the hand itself)
+export const HAND_IDS = ['right', 'left'];
+
+// Tracking parameters
+const TRACK_TIMEOUT = 500;            // Drop a hand that has not been seen for this long (ms)
+const MAX_ASSOCIATION_DISTANCE = 200; // Max center movement (px) between frames for the same hand
+
+// Two-hand gesture parameters
+const PAIR_WINDOW_MS = 1000;          // Window for hands moving apart/together
+const ZOOM_DISTANCE_RATIO = 0.35;     // Relative change in hand distance that counts as zoom
+const MIN_PAIR_SCORE = 7.5;           // Both hands need at least this score for a pose pair
+
+// Compound gestures made of the same pose on both hands
+const TWO_HAND_POSES = {
+  palm: 'both_palms'
+};
+
+// Hands the hand-pose model reports per frame: @tensorflow-models/handpose 0.1 only ever
+// detects one, so two-hand gestures are neither offered nor detected until the model
+// is replaced by a multi-hand detector
+const DETECTOR_MAX_HANDS = 1;
+export const TWO_HAND_GESTURES_AVAILABLE = DETECTOR_MAX_HANDS >= 2;
+
+// Two-hand gesture ids (for action mapping and gesture lists)
+export const TWO_HAND_GESTURES = [
+  { id: 'both_palms', name: 'Both Palms', category: 'two_hand', icon: 'pause' },
+  { id: 'hands_apart', name: 'Hands Apart', category: 'two_hand', icon: 'zoom-in' },
+  { id: 'hands_together', name: 'Hands Together', category: 'two_hand', icon: 'zoom-out' }
+];
+
+// Distance between two hand centers
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Create fresh motion state for a newly seen hand
+const createTrack = (id, timestamp, filterSettings) => ({
+  id,
+  landmarkFilter: createLandmarkFilter(filterSettings),
+  position: null,
+  previousPosition: null,
+  velocity: { x: 0, y: 0 },
+  trajectory: createTrajectoryRecognizer(),
+  handedness: createHandednessEstimator(),
+  lastSeen: timestamp,
+  lastGesture: null,
+  lastGestureTime: 0
+});
+
+// Create a tracker that follows up to two hands across frames
+// getCenter converts handpose landmarks (in view space, see handOrientation.js) into the tracked position
+// filterSettings configures the One Euro smoothing of each hand's landmarks
+export const createHandTracker = (getCenter, filterSettings) => {
+  let tracks = {};
+  let pairHistory = [];
+  let smoothing = filterSettings;
+
+  // Pick an identity for a hand that does not match an existing track
+  // Hands are in view space (front-camera orientation), so the user's right hand
+  // appears on the left of the image
+  const assignId = (position, otherPosition, frameWidth) => {
+    const freeIds = HAND_IDS.filter(id => !tracks[id]);
+    if (freeIds.length === 1) return freeIds[0];
+
+    if (otherPosition) {
+      return position.x < otherPosition.x ? 'right' : 'left';
+    }
+    if (frameWidth) {
+      return position.x < frameWidth / 2 ? 'right' : 'left';
+    }
+    return 'right';
+  };
+
+  return {
+    // Associate detected hands with tracks and update their motion state
+    // Returns [{ id, hand, landmarks, track }] in detection order, landmarks being smoothed
+    update: (hands, timestamp = Date.now(), frameWidth = 0) => {
+      // Forget hands that have been gone for a while
+      Object.keys(tracks).forEach(id => {
+        if (timestamp - tracks[id].lastSeen > TRACK_TIMEOUT) {
+          delete tracks[id];
+        }
+      });
+
+      const positions = hands.map(hand => getCenter(hand.landmarks));
+      const assigned = new Array(hands.length).fill(null);
+
+      // Greedily match the closest hand/track pairs first
+      const pairs = [];
+      positions.forEach((position, handIndex) => {
+        Object.values(tracks).forEach(track => {
+          const d = distance(position, track.position);
+          if (d <= MAX_ASSOCIATION_DISTANCE) {
+            pairs.push({ handIndex, id: track.id, d });
+          }
+        });
+      });
+      pairs.sort((a, b) => a.d - b.d);
+
+      const usedIds = new Set();
+      pairs.forEach(({ handIndex, id }) => {
+        if (assigned[handIndex] === null && !usedIds.has(id)) {
+          assigned[handIndex] = id;
+          usedIds.add(id);
+        }
+      });
+
+      // Start new tracks for unmatched hands
+      positions.forEach((position, handIndex) => {
+        if (assigned[handIndex] !== null) return;
+
+        const otherIndex = positions.findIndex((_, i) => i !== handIndex);
+        const id = assignId(position, otherIndex >= 0 ? positions[otherIndex] : null, frameWidth);
+        if (usedIds.has(id)) return;
+
+        tracks[id] = createTrack(id, timestamp, smoothing);
+        assigned[handIndex] = id;
+        usedIds.add(id);
+      });
+
+      return hands
+        .map((hand, handIndex) => {
+          const id = assigned[handIndex];
+          if (!id) return null;
+
+          const track = tracks[id];
+
+          // Position and velocity come from the smoothed landmarks so jitter
+          // does not read as movement
+          const landmarks = track.landmarkFilter.filter(hand.landmarks, timestamp);
+          const position = getCenter(landmarks);
+
+          // Velocity from this hand's own previous position
+          track.previousPosition = track.position;
+          track.velocity = track.previousPosition
+            ? { x: position.x - track.previousPosition.x, y: position.y - track.previousPosition.y }
+            : { x: 0, y: 0 };
+          track.position = position;
+          track.lastSeen = timestamp;
+          track.trajectory.addPoint(position, timestamp);
+
+          return { id, hand, landmarks, track };
+        })
+        .filter(entry => entry !== null);
+    },
+
+    // Recognize a gesture made with both hands from the per-hand results
+    // handResults are detection results with a handId, one per hand
+    detectTwoHandGesture: (handResults, timestamp = Date.now()) => {
+      const left = handResults.find(result => result && result.handId === 'left');
+      const right = handResults.find(result => result && result.handId === 'right');
+
+      if (!left || !right) {
+        pairHistory = [];
+        return null;
+      }
+
+      const handPosition = {
+        x: (left.handPosition.x + right.handPosition.x) / 2,
+        y: (left.handPosition.y + right.handPosition.y) / 2
+      };
+
+      // Hands moving apart or together (zoom)
+      const currentDistance = distance(left.handPosition, right.handPosition);
+      pairHistory.push({ distance: currentDistance, timestamp });
+      pairHistory = pairHistory.filter(entry => timestamp - entry.timestamp <= PAIR_WINDOW_MS);
+
+      const startDistance = pairHistory[0].distance;
+      if (startDistance > 0) {
+        const change = (currentDistance - startDistance) / startDistance;
+
+        if (Math.abs(change) >= ZOOM_DISTANCE_RATIO) {
+          pairHistory = [];
+          return {
+            name: change > 0 ? 'hands_apart' : 'hands_together',
+            confidence: Math.min(10, 7.5 + Math.abs(change) * 5),
+            handPosition,
+            motion: true
+          };
+        }
+      }
+
+      // Same pose on both hands
+      const pairName = left.name === right.name ? TWO_HAND_POSES[left.name] : null;
+      if (pairName && left.confidence >= MIN_PAIR_SCORE && right.confidence >= MIN_PAIR_SCORE) {
+        return {
+          name: pairName,
+          confidence: (left.confidence + right.confidence) / 2,
+          handPosition,
+          motion: false
+        };
+      }
+
+      return null;
+    },
+
+    // Get the tracked state of a hand
+    getTrack: (id) => tracks[id] || null,
+
+    // Change the smoothing of all hands (existing tracks restart their filters)
+    setFilterSettings: (settings) => {
+      smoothing = settings;
+      Object.values(tracks).forEach(track => track.landmarkFilter.setSettings(settings));
+    },
+
+    reset: () => {
+      tracks = {};
+      pairHistory = [];
+    }
+  };
+};
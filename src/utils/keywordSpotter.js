@@ -0,0 +1,348 @@
+// Offline keyword spotting
+// Recognizes only the command phrases, entirely on the device: the VoiceFeatureExtractor worklet
+// (public/audio-processors.js) streams MFCC frames, an energy detector cuts them into utterances
+// and each utterance is compared with recorded samples of every phrase using dynamic time
+// warping. Phrases need a few recorded samples before they can be spotted.
+// Used as a recognizer backend by voiceRecognition.js.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY_KEYWORD_SAMPLES = 'keywordSamples';
+
+// Samples needed before a phrase is spotted, and the most kept per phrase
+export const KEYWORD_SAMPLES_REQUIRED = 3;
+const MAX_KEYWORD_SAMPLES = 5;
+
+// Audio and utterance detection (one worklet frame is 256 samples, 16 ms at 16 kHz)
+const SAMPLE_RATE = 16000;
+const SPEECH_ENERGY_RATIO = 4;      // Energy above the noise floor that counts as speech
+const MIN_SPEECH_ENERGY = 1e-6;
+const NOISE_ADAPTATION = 0.05;      // How fast the noise floor follows quiet frames
+const PRE_ROLL_FRAMES = 5;          // Quiet frames kept before the utterance starts
+const END_SILENCE_FRAMES = 20;      // Quiet frames that end an utterance
+const MIN_UTTERANCE_FRAMES = 12;
+const MAX_UTTERANCE_FRAMES = 190;   // About 3 seconds
+const INTERIM_EVERY_FRAMES = 10;
+const INTERIM_PREFIX_STRETCH = 2;   // Interim utterances are matched against sample prefixes this much longer
+
+// Matching: distances are relative to how far a phrase's own samples are from each other,
+// and confidence drops by this much per unit of relative distance above 1
+const CONFIDENCE_FALLOFF = 0.5;
+
+// Interim matches below this are not reported: a partial utterance is compared with the
+// beginning of every sample, so a little speech or noise would otherwise "match" the only
+// phrase listened for (the wake phrase while asleep)
+const MIN_INTERIM_CONFIDENCE = 0.6;
+
+let keywordSamples = null;
+
+const loadKeywordSamples = async () => {
+  if (keywordSamples) return keywordSamples;
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY_KEYWORD_SAMPLES);
+    keywordSamples = stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading keyword samples:', error);
+    keywordSamples = {};
+  }
+  return keywordSamples;
+};
+
+const phraseKey = (phrase) => phrase.trim().toLowerCase();
+
+// The worklet and microphone are only available in browsers with AudioWorklet support
+export const isKeywordSpotterSupported = () => {
+  return typeof window !== 'undefined' &&
+    typeof window.AudioWorkletNode !== 'undefined' &&
+    typeof navigator !== 'undefined' &&
+    !!navigator.mediaDevices;
+};
+
+// Drop the loudness coefficient and subtract the utterance mean (cepstral mean normalization)
+const normalizeUtterance = (frames) => {
+  const features = frames.map(mfcc => mfcc.slice(1));
+  const mean = features[0].map((_, i) => features.reduce((sum, frame) => sum + frame[i], 0) / features.length);
+  return features.map(frame => frame.map((value, i) => Math.round((value - mean[i]) * 100) / 100));
+};
+
+const frameDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) * (a[i] - b[i]);
+  }
+  return Math.sqrt(sum);
+};
+
+// DTW distance between two utterances, normalized by the path length
+// openEnd matches an utterance still being spoken against the start of a sample
+const dtwDistance = (a, b, openEnd = false) => {
+  let previous = new Float64Array(b.length + 1).fill(Infinity);
+  previous[0] = 0;
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Float64Array(b.length + 1).fill(Infinity);
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = frameDistance(a[i - 1], b[j - 1]) + Math.min(previous[j], current[j - 1], previous[j - 1]);
+    }
+    previous = current;
+  }
+
+  if (!openEnd) {
+    return previous[b.length] / (a.length + b.length);
+  }
+  let best = Infinity;
+  for (let j = 1; j <= b.length; j++) {
+    best = Math.min(best, previous[j] / (a.length + j));
+  }
+  return best;
+};
+
+// Trained phrases with their samples and the mean distance between those samples
+const buildTemplates = (phrases, samples) => {
+  return phrases
+    .map(phrase => ({ phrase, samples: samples[phraseKey(phrase)] || [] }))
+    .filter(template => template.samples.length >= KEYWORD_SAMPLES_REQUIRED)
+    .map(template => {
+      let total = 0;
+      let pairs = 0;
+      template.samples.forEach((a, i) => template.samples.slice(i + 1).forEach(b => {
+        total += dtwDistance(a, b);
+        pairs++;
+      }));
+      return { ...template, reference: Math.max(total / pairs, 1e-3) };
+    });
+};
+
+// Ranked phrases for an utterance: [{ transcript, confidence }], best first
+const rankPhrases = (utterance, templates, openEnd) => {
+  return templates
+    .map(template => {
+      // A partial utterance can only match the beginning of a sample, so the rest is skipped
+      const distance = Math.min(...template.samples.map(sample => dtwDistance(
+        utterance,
+        openEnd ? sample.slice(0, utterance.length * INTERIM_PREFIX_STRETCH) : sample,
+        openEnd
+      )));
+      const relative = distance / template.reference;
+      return {
+        transcript: phraseKey(template.phrase),
+        confidence: Math.max(0, Math.min(1, 1 - (relative - 1) * CONFIDENCE_FALLOFF))
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// Microphone → worklet MFCC frames; calls onFrame({ mfcc, energy }) for every frame
+const openFeatureStream = async (onFrame) => {
+  const context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: SAMPLE_RATE });
+  try {
+    await context.audioWorklet.addModule('/audio-processors.js');
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+    const source = context.createMediaStreamSource(stream);
+    const extractor = new AudioWorkletNode(context, 'voice-feature-extractor');
+    extractor.port.onmessage = (event) => {
+      if (event.data.type === 'frame') onFrame(event.data);
+    };
+    extractor.port.postMessage({ type: 'stream', enabled: true });
+
+    // A silent connection to the output keeps the worklet running
+    const mute = context.createGain();
+    mute.gain.value = 0;
+    source.connect(extractor);
+    extractor.connect(mute);
+    mute.connect(context.destination);
+
+    return {
+      pause: () => context.suspend(),
+      resume: () => context.resume(),
+      close: async () => {
+        stream.getTracks().forEach(track => track.stop());
+        await context.close();
+      }
+    };
+  } catch (error) {
+    await context.close();
+    throw error;
+  }
+};
+
+// Cuts the frame stream into utterances by energy against an adaptive noise floor
+// onProgress(frames) is called while speaking, onUtterance(frames) when the speaker stops
+const createUtteranceDetector = ({ onProgress, onUtterance }) => {
+  let noiseFloor = null;
+  let preRoll = [];
+  let utterance = null;
+  let quietFrames = 0;
+
+  const finish = () => {
+    const frames = utterance.slice(0, utterance.length - quietFrames);
+    utterance = null;
+    quietFrames = 0;
+    if (frames.length >= MIN_UTTERANCE_FRAMES) {
+      onUtterance(frames);
+    }
+  };
+
+  return ({ mfcc, energy }) => {
+    if (noiseFloor === null) noiseFloor = energy;
+    const speech = energy > Math.max(noiseFloor * SPEECH_ENERGY_RATIO, MIN_SPEECH_ENERGY);
+
+    if (!utterance) {
+      if (!speech) {
+        noiseFloor += (energy - noiseFloor) * NOISE_ADAPTATION;
+        preRoll.push(mfcc);
+        if (preRoll.length > PRE_ROLL_FRAMES) preRoll.shift();
+        return;
+      }
+      utterance = [...preRoll];
+      preRoll = [];
+    }
+
+    utterance.push(mfcc);
+    quietFrames = speech ? 0 : quietFrames + 1;
+
+    if (quietFrames >= END_SILENCE_FRAMES || utterance.length >= MAX_UTTERANCE_FRAMES) {
+      finish();
+    } else if (onProgress && utterance.length % INTERIM_EVERY_FRAMES === 0) {
+      onProgress(utterance);
+    }
+  };
+};
+
+// Recorded samples per phrase: [{ phrase, samples, trained }]
+export const getKeywordSpotterStatus = async (phrases) => {
+  const samples = await loadKeywordSamples();
+  return phrases.map(phrase => {
+    const count = (samples[phraseKey(phrase)] || []).length;
+    return { phrase, samples: count, trained: count >= KEYWORD_SAMPLES_REQUIRED };
+  });
+};
+
+// Record the user saying a phrase once and keep it as a sample
+export const recordKeywordSample = async (phrase, { timeoutMs = 5000 } = {}) => {
+  let featureStream = null;
+  try {
+    if (!isKeywordSpotterSupported()) {
+      throw new Error('Offline keyword spotting is not supported on this device');
+    }
+
+    // The microphone is open before the timeout starts, so it is always closed below
+    let handleUtterance = null;
+    featureStream = await openFeatureStream(createUtteranceDetector({
+      onUtterance: (utterance) => handleUtterance && handleUtterance(utterance)
+    }));
+
+    const frames = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No speech detected')), timeoutMs);
+      handleUtterance = (utterance) => {
+        clearTimeout(timer);
+        resolve(utterance);
+      };
+    });
+
+    const samples = await loadKeywordSamples();
+    const key = phraseKey(phrase);
+    samples[key] = [...(samples[key] || []), normalizeUtterance(frames)].slice(-MAX_KEYWORD_SAMPLES);
+    await AsyncStorage.setItem(STORAGE_KEY_KEYWORD_SAMPLES, JSON.stringify(samples));
+
+    return { success: true, samples: samples[key].length };
+  } catch (error) {
+    console.error('Error recording keyword sample:', error);
+    return { success: false, error: error.message };
+  } finally {
+    if (featureStream) await featureStream.close();
+  }
+};
+
+// Forget the samples of one phrase, or of all phrases
+export const clearKeywordSamples = async (phrase = null) => {
+  try {
+    const samples = await loadKeywordSamples();
+    if (phrase) {
+      delete samples[phraseKey(phrase)];
+    } else {
+      Object.keys(samples).forEach(key => delete samples[key]);
+    }
+    await AsyncStorage.setItem(STORAGE_KEY_KEYWORD_SAMPLES, JSON.stringify(samples));
+    return true;
+  } catch (error) {
+    console.error('Error clearing keyword samples:', error);
+    return false;
+  }
+};
+
+// Recognizer backend (see voiceRecognition.js) reporting the best matching phrase as transcript
+export const createKeywordSpotterBackend = () => {
+  let featureStream = null;
+  let templates = [];
+  let activePhrases = null;   // Phrase keys being listened for, null for all
+  let handleEnd = null;
+
+  return {
+    isSupported: isKeywordSpotterSupported,
+
+    start: async ({ phrases, wakePhrase, onStart, onResult, onError, onEnd }) => {
+      handleEnd = onEnd;
+      templates = buildTemplates(phrases, await loadKeywordSamples());
+      if (templates.length === 0) {
+        onError({ code: 'not-trained', message: 'Record samples of your command phrases to use offline recognition' });
+        return false;
+      }
+      
+      // Without samples of the wake phrase nothing could ever wake the app
+      if (wakePhrase && !templates.some(template => phraseKey(template.phrase) === phraseKey(wakePhrase))) {
+        onError({ code: 'not-trained', message: `Record samples of the wake phrase "${wakePhrase}" to use it with offline recognition` });
+        return false;
+      }
+
+      const report = (frames, isFinal) => {
+        const listening = activePhrases
+          ? templates.filter(template => activePhrases.includes(phraseKey(template.phrase)))
+          : templates;
+        if (listening.length === 0) return;
+
+        const [best, ...alternatives] = rankPhrases(normalizeUtterance(frames), listening, !isFinal);
+        if (isFinal && best.confidence === 0) {
+          onError({ code: 'no-match', message: null });
+          return;
+        }
+        if (!isFinal && best.confidence < MIN_INTERIM_CONFIDENCE) return;
+        onResult({ transcript: best.transcript, confidence: best.confidence, isFinal, alternatives });
+      };
+
+      try {
+        featureStream = await openFeatureStream(createUtteranceDetector({
+          onProgress: (frames) => report(frames, false),
+          onUtterance: (frames) => report(frames, true)
+        }));
+      } catch (error) {
+        onError({
+          code: error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture',
+          message: error.name === 'NotAllowedError' ? 'Microphone permission denied' : 'Microphone not available or not working'
+        });
+        return false;
+      }
+
+      console.log(`Keyword spotter listening for ${templates.length} of ${phrases.length} phrases`);
+      onStart();
+      return true;
+    },
+
+    // Fewer phrases to compare keeps listening for a wake phrase cheap
+    setActivePhrases: (phrases) => {
+      activePhrases = phrases ? phrases.map(phraseKey) : null;
+    },
+
+    pause: () => featureStream && featureStream.pause(),
+    resume: () => featureStream && featureStream.resume(),
+
+    stop: async () => {
+      if (featureStream) {
+        await featureStream.close();
+        featureStream = null;
+        if (handleEnd) handleEnd();
+      }
+    }
+  };
+};
@@ -0,0 +1,248 @@
+// Record-and-replay of the handpose stream seen by detectGesture
+//
+// A recording is JSON:
+// {
+//   "format": "landmark-recording",
+//   "version": 1,
+//   "metadata": { "name", "createdAt", "settings", "duration", "frameCount" },
+//   "frames": [{
+//     "timestamp", "frameWidth",
+//     "hands": [{ "landmarks", "boundingBox", "handInViewConfidence" }],  // raw handpose output
+//     "result": { "name", "confidence", "allGestures", "handId", "hands" } // what detectGesture chose, or null
+//   }]
+// }
+//
+// Replaying feeds the recorded hands (with their original timestamps) back through
+// detectGesture with the recorded settings, so a session can be reproduced on a machine
+// without a camera.
+import * as FileSystem from 'expo-file-system';
+import {
+  detectGesture,
+  getGestureSettings,
+  initGestureEstimation,
+  setFrameRecorder,
+  setReplaySource
+} from './gestureRecognition';
+
+export const RECORDING_FORMAT = 'landmark-recording';
+export const RECORDING_VERSION = 1;
+
+// Recording in progress, if any
+let activeRecorder = null;
+
+// Keep only the parts of a detectGesture result needed to compare replays
+const summarizeResult = (result) => {
+  if (!result) return null;
+
+  return {
+    name: result.name,
+    confidence: result.confidence,
+    allGestures: result.allGestures,
+    handId: result.handId,
+    sequence: result.sequence ? result.sequence.id : null,
+    hands: (result.hands || []).map(hand => ({
+      handId: hand.handId,
+      name: hand.name,
+      confidence: hand.confidence,
+      allGestures: hand.allGestures
+    }))
+  };
+};
+
+// Plain-data copy of handpose predictions
+const serializeHands = (hands) => {
+  return hands.map(hand => ({
+    landmarks: hand.landmarks,
+    boundingBox: hand.boundingBox,
+    handInViewConfidence: hand.handInViewConfidence
+  }));
+};
+
+// Create a recorder that collects frames passed to recordFrame
+export const createLandmarkRecorder = (metadata = {}) => {
+  const frames = [];
+
+  return {
+    recordFrame: (frame, result) => {
+      frames.push({
+        timestamp: frame.timestamp,
+        frameWidth: frame.frameWidth,
+        hands: serializeHands(frame.hands),
+        result: summarizeResult(result)
+      });
+    },
+
+    getFrameCount: () => frames.length,
+
+    toRecording: () => ({
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      metadata: {
+        name: metadata.name || 'Gesture session',
+        createdAt: new Date().toISOString(),
+        settings: getGestureSettings(),
+        duration: frames.length > 1 ? frames[frames.length - 1].timestamp - frames[0].timestamp : 0,
+        frameCount: frames.length
+      },
+      frames
+    })
+  };
+};
+
+// Start recording every frame processed by detectGesture
+export const startRecording = (metadata = {}) => {
+  activeRecorder = createLandmarkRecorder(metadata);
+  setFrameRecorder(activeRecorder);
+  return true;
+};
+
+// Stop recording; returns the recording, or null if none was running
+export const stopRecording = () => {
+  if (!activeRecorder) return null;
+
+  const recording = activeRecorder.toRecording();
+  activeRecorder = null;
+  setFrameRecorder(null);
+  return recording;
+};
+
+export const isRecording = () => activeRecorder !== null;
+
+// Offer a file for download in the browser
+const downloadFile = (fileName, json) => {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Write a recording to a JSON file; returns { success, json, uri, downloaded }
+// Without a document directory (web) the file is offered as a download and uri is null
+export const saveRecording = async (recording) => {
+  try {
+    const json = JSON.stringify(recording);
+    const fileName = `landmark-recording-${Date.now()}.json`;
+    let uri = null;
+    let downloaded = false;
+
+    if (FileSystem.documentDirectory) {
+      uri = `${FileSystem.documentDirectory}${fileName}`;
+      await FileSystem.writeAsStringAsync(uri, json);
+    } else if (typeof document !== 'undefined') {
+      downloadFile(fileName, json);
+      downloaded = true;
+    }
+
+    return { success: true, json, uri, downloaded };
+  } catch (error) {
+    console.error('Error saving landmark recording:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Parse and check a recording; returns { recording } or { error }
+export const parseRecording = (json) => {
+  let recording;
+  try {
+    recording = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    return { error: 'The recording is not valid JSON' };
+  }
+
+  if (!recording || recording.format !== RECORDING_FORMAT) {
+    return { error: 'Not a landmark recording' };
+  }
+  if (recording.version > RECORDING_VERSION) {
+    return { error: `Recording version ${recording.version} is newer than this app supports (${RECORDING_VERSION})` };
+  }
+  if (!Array.isArray(recording.frames) || recording.frames.some(frame => !Array.isArray(frame.hands))) {
+    return { error: 'The recording has no valid frames' };
+  }
+
+  return { recording };
+};
+
+// Read a recording saved by saveRecording, from a file URI or a picked File (web)
+export const loadRecording = async (file) => {
+  try {
+    const json = typeof file === 'string'
+      ? await FileSystem.readAsStringAsync(file)
+      : await file.text();
+    return parseRecording(json);
+  } catch (error) {
+    console.error('Error loading landmark recording:', error);
+    return { error: error.message };
+  }
+};
+
+// Frame source for setReplaySource; next() returns null after the last frame
+export const createReplaySource = (recording) => {
+  let index = 0;
+
+  return {
+    next: () => {
+      if (index >= recording.frames.length) return null;
+      const { timestamp, frameWidth, hands } = recording.frames[index++];
+      return { timestamp, frameWidth, hands };
+    },
+
+    isFinished: () => index >= recording.frames.length,
+
+    getProgress: () => ({ frame: index, frameCount: recording.frames.length }),
+
+    reset: () => {
+      index = 0;
+    }
+  };
+};
+
+// Make detectGesture consume the recording instead of the camera (e.g. in GestureDetector)
+// The recording's settings apply until stopReplay
+export const startReplay = (recording) => {
+  const source = createReplaySource(recording);
+  setReplaySource(source, recording.metadata ? recording.metadata.settings : null);
+  return source;
+};
+
+export const stopReplay = () => {
+  setReplaySource(null);
+};
+
+// Replay a whole recording as fast as possible, without a camera or handpose model
+// Returns every replayed result and the frames whose chosen gesture differs from the recording
+export const replayRecording = async (recording, options = {}) => {
+  if (!await initGestureEstimation()) {
+    throw new Error('Gesture recognition could not be initialized');
+  }
+
+  const source = startReplay(recording);
+  const results = [];
+  const mismatches = [];
+
+  try {
+    while (!source.isFinished()) {
+      const frame = recording.frames[source.getProgress().frame];
+      const result = summarizeResult(await detectGesture(null, options));
+      results.push(result);
+
+      const recordedName = frame.result ? frame.result.name : null;
+      const replayedName = result ? result.name : null;
+      if (recordedName !== replayedName) {
+        mismatches.push({
+          frame: results.length - 1,
+          timestamp: frame.timestamp,
+          recorded: recordedName,
+          replayed: replayedName
+        });
+      }
+    }
+  } finally {
+    stopReplay();
+  }
+
+  return { results, mismatches };
+};
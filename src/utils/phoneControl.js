@@ -1,7 +1,18 @@
 // Utility functions for controlling the phone based on commands
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getBindingAction, getActivationRules } from '../../public/shared/gestureActivation';
+import { isAnalogBinding, getAnalogRules } from '../../public/shared/analogControl';
 
-export const executeAction = (action) => {
-  console.log(`Executing action: ${action}`);
+// Handler for SELECT, registered by whatever currently points at the screen (the air cursor)
+let selectHandler = null;
+
+export const setSelectHandler = (handler) => {
+  selectHandler = handler;
+};
+
+// params holds the slot values of templated voice commands ("Set brightness to {level}")
+export const executeAction = (action, params = {}) => {
+  console.log(`Executing action: ${action}`, params);
   
   switch (action) {
     case 'OPEN_CAMERA':
@@ -28,13 +39,84 @@ export const executeAction = (action) => {
       console.log('Mock: Going back');
       return { success: true, message: 'Went back' };
       
-    case 'SCROLL_UP':
-      console.log('Mock: Scrolling up');
-      return { success: true, message: 'Scrolled up' };
+    case 'SCROLL_UP': {
+      const count = params.count || 1;
+      console.log(`Mock: Scrolling up ${count} time(s)`);
+      return { success: true, message: count > 1 ? `Scrolled up ${count} times` : 'Scrolled up' };
+    }
+      
+    case 'SCROLL_DOWN': {
+      const count = params.count || 1;
+      console.log(`Mock: Scrolling down ${count} time(s)`);
+      return { success: true, message: count > 1 ? `Scrolled down ${count} times` : 'Scrolled down' };
+    }
+    
+    // Voice command actions with parameters
+    case 'SET_BRIGHTNESS':
+    case 'SET_VOLUME':
+      if (params.level === undefined) {
+        return { success: false, message: 'No level given' };
+      }
+      return setAnalogValue(action === 'SET_BRIGHTNESS' ? 'BRIGHTNESS' : 'VOLUME', params.level / 100);
+      
+    case 'SET_THEME':
+      if (!params.theme) {
+        return { success: false, message: 'No theme given' };
+      }
+      console.log(`Mock: Switching to ${params.theme} mode`);
+      return { success: true, message: `${params.theme} mode on` };
+      
+    case 'SEARCH':
+      if (!params.query) {
+        return { success: false, message: 'Nothing to search for' };
+      }
+      console.log(`Mock: Searching for "${params.query}"`);
+      return { success: true, message: `Searched for ${params.query}` };
+      
+    case 'SELECT':
+      if (selectHandler) {
+        return selectHandler();
+      }
+      console.log('Nothing to select: pointer mode is off');
+      return { success: false, message: 'Nothing to select' };
+      
+    // Gesture sequence actions
+    case 'TOGGLE_APPROVAL':
+      console.log('Mock: Toggling approval');
+      return { success: true, message: 'Approval toggled' };
+      
+    case 'GRAB_OBJECT':
+      console.log('Mock: Grabbing object');
+      return { success: true, message: 'Object grabbed' };
+      
+    case 'SHAKE_GESTURE':
+      console.log('Mock: Shake gesture');
+      return { success: true, message: 'Shake gesture performed' };
+      
+    case 'SCISSORS_TO_ROCK':
+      console.log('Mock: Scissors to rock');
+      return { success: true, message: 'Scissors to rock performed' };
+      
+    case 'FLIP_DIRECTION':
+      console.log('Mock: Flipping direction');
+      return { success: true, message: 'Direction flipped' };
+      
+    // Two-hand gesture actions
+    case 'PAUSE_ALL':
+      console.log('Mock: Pausing all media and gestures');
+      return { success: true, message: 'Everything paused' };
+      
+    case 'ZOOM_IN':
+      console.log('Mock: Zooming in');
+      return { success: true, message: 'Zoomed in' };
+      
+    case 'ZOOM_OUT':
+      console.log('Mock: Zooming out');
+      return { success: true, message: 'Zoomed out' };
       
-    case 'SCROLL_DOWN':
-      console.log('Mock: Scrolling down');
-      return { success: true, message: 'Scrolled down' };
+    // Several voice commands said in one sentence
+    case 'COMMAND_CHAIN':
+      return executeActionChain(params.steps || []);
       
     default:
       console.log(`Unknown action: ${action}`);
@@ -42,6 +124,54 @@ export const executeAction = (action) => {
   }
 };
 
+// Run actions in order ([{ action, params }]), stopping at the first that fails
+// The result tells which step failed (failedStep) and holds the results of the steps that ran
+export const executeActionChain = (steps) => {
+  const results = [];
+  for (let i = 0; i < steps.length; i++) {
+    const result = executeAction(steps[i].action, steps[i].params);
+    results.push(result);
+    
+    if (!result || !result.success) {
+      console.log(`Command chain stopped at step ${i + 1} of ${steps.length} (${steps[i].action})`);
+      return {
+        success: false,
+        message: `Stopped at step ${i + 1} of ${steps.length}: ${result ? result.message : 'no result'}`,
+        failedStep: i,
+        results
+      };
+    }
+  }
+  
+  return { success: true, message: results.map(result => result.message).join(', '), results };
+};
+
+// Set a continuous target to a value from 0 to 1 (driven by analog gesture bindings)
+export const setAnalogValue = (target, value) => {
+  const percent = Math.round(value * 100);
+  
+  switch (target) {
+    case 'BRIGHTNESS':
+      console.log(`Mock: Setting brightness to ${percent}%`);
+      return { success: true, message: `Brightness ${percent}%` };
+      
+    case 'VOLUME':
+      console.log(`Mock: Setting volume to ${percent}%`);
+      return { success: true, message: `Volume ${percent}%` };
+      
+    case 'SCROLL_SPEED': {
+      // 0.5 is stopped, lower values scroll up and higher values scroll down
+      const speed = Math.round((value - 0.5) * 200);
+      console.log(`Mock: Scrolling at ${speed}% speed`);
+      return { success: true, message: speed === 0 ? 'Scrolling stopped' : `Scrolling ${speed > 0 ? 'down' : 'up'} at ${Math.abs(speed)}%` };
+    }
+      
+    default:
+      console.log(`Unknown analog target: ${target}`);
+      return { success: false, message: 'Unknown analog target' };
+  }
+};
+
 export const commandToAction = (command) => {
   // Map voice commands to actions
   const commandMap = {
@@ -68,7 +198,25 @@ export const getAvailableActions = () => {
     { id: 'OPEN_SETTINGS', name: 'Open Settings', icon: 'settings' },
     { id: 'GO_BACK', name: 'Go Back', icon: 'arrow-left' },
     { id: 'SCROLL_UP', name: 'Scroll Up', icon: 'arrow-up' },
-    { id: 'SCROLL_DOWN', name: 'Scroll Down', icon: 'arrow-down' }
+    { id: 'SCROLL_DOWN', name: 'Scroll Down', icon: 'arrow-down' },
+    { id: 'SELECT', name: 'Select', icon: 'mouse-pointer' },
+    { id: 'TOGGLE_APPROVAL', name: 'Toggle Approval', icon: 'check-circle' },
+    { id: 'GRAB_OBJECT', name: 'Grab Object', icon: 'move' },
+    { id: 'SHAKE_GESTURE', name: 'Shake Gesture', icon: 'shuffle' },
+    { id: 'SCISSORS_TO_ROCK', name: 'Scissors to Rock', icon: 'scissors' },
+    { id: 'FLIP_DIRECTION', name: 'Flip Direction', icon: 'repeat' },
+    { id: 'PAUSE_ALL', name: 'Pause Everything', icon: 'pause' },
+    { id: 'ZOOM_IN', name: 'Zoom In', icon: 'zoom-in' },
+    { id: 'ZOOM_OUT', name: 'Zoom Out', icon: 'zoom-out' }
+  ];
+};
+
+// Targets an analog binding can drive
+export const getAnalogTargets = () => {
+  return [
+    { id: 'BRIGHTNESS', name: 'Brightness', icon: 'sun' },
+    { id: 'VOLUME', name: 'Volume', icon: 'volume-2' },
+    { id: 'SCROLL_SPEED', name: 'Scroll Speed', icon: 'chevrons-down' }
   ];
 };
 
@@ -80,3 +228,109 @@ export const gestureToAction = {
   'pinch': 'DECREASE_BRIGHTNESS',
   'spread': 'INCREASE_BRIGHTNESS'
 };
+
+// User-assigned gesture → action bindings, layered over gestureToAction
+// A binding is an action id, { action, activation } with hold/repeat/cooldown rules,
+// or an analog binding { type: 'analog', target, analog } (see public/shared/analogControl.js)
+export const GESTURE_BINDINGS_KEY = 'gestureBindings';
+let gestureBindings = {};
+
+// Load user bindings from storage
+export const loadGestureBindings = async () => {
+  try {
+    const bindingsJson = await AsyncStorage.getItem(GESTURE_BINDINGS_KEY);
+    gestureBindings = bindingsJson ? JSON.parse(bindingsJson) : {};
+  } catch (error) {
+    console.error('Error loading gesture bindings:', error);
+    gestureBindings = {};
+  }
+  return gestureBindings;
+};
+
+// User bindings only (without the built-in defaults)
+export const getGestureBindings = () => gestureBindings;
+
+// Action for a gesture, preferring the user's binding (null for analog bindings)
+export const getActionForGesture = (gestureId) => {
+  if (isAnalogBinding(gestureBindings[gestureId])) return null;
+  return getBindingAction(gestureBindings[gestureId]) || gestureToAction[gestureId] || null;
+};
+
+// Action and complete activation rules for a gesture (see public/shared/gestureActivation.js)
+export const getGestureBinding = (gestureId) => {
+  const action = getActionForGesture(gestureId);
+  if (!action) return null;
+  
+  const binding = gestureBindings[gestureId];
+  return {
+    action,
+    activation: getActivationRules(action, binding && binding.activation)
+  };
+};
+
+// Save the complete set of user bindings
+const saveGestureBindings = async (updatedBindings) => {
+  await AsyncStorage.setItem(GESTURE_BINDINGS_KEY, JSON.stringify(updatedBindings));
+  gestureBindings = updatedBindings;
+};
+
+// Bind a gesture to an action (a null action removes the binding)
+// activation optionally overrides the action's default hold/repeat/cooldown rules
+export const setGestureBinding = async (gestureId, action, activation = null) => {
+  try {
+    const updatedBindings = { ...gestureBindings };
+    if (action) {
+      updatedBindings[gestureId] = activation ? { action, activation } : action;
+    } else {
+      delete updatedBindings[gestureId];
+    }
+    
+    await saveGestureBindings(updatedBindings);
+    return true;
+  } catch (error) {
+    console.error('Error saving gesture binding:', error);
+    return false;
+  }
+};
+
+// Move a gesture's binding (action or analog) to another id, e.g. a renamed custom gesture
+export const moveGestureBinding = async (fromId, toId) => {
+  try {
+    await loadGestureBindings();
+    if (!gestureBindings[fromId]) return true;
+    
+    const updatedBindings = { ...gestureBindings, [toId]: gestureBindings[fromId] };
+    delete updatedBindings[fromId];
+    await saveGestureBindings(updatedBindings);
+    return true;
+  } catch (error) {
+    console.error('Error moving gesture binding:', error);
+    return false;
+  }
+};
+
+// Target and complete analog rules for a gesture with an analog binding, otherwise null
+export const getAnalogBinding = (gestureId) => {
+  const binding = gestureBindings[gestureId];
+  if (!isAnalogBinding(binding)) return null;
+  
+  return {
+    target: binding.target,
+    analog: getAnalogRules(binding.analog)
+  };
+};
+
+// Bind a gesture to a continuous target (see getAnalogTargets)
+// analog overrides the default source, dead zone and smoothing, e.g. { source: 'hand_height' }
+export const setAnalogBinding = async (gestureId, target, analog = {}) => {
+  try {
+    await saveGestureBindings({
+      ...gestureBindings,
+      [gestureId]: { type: 'analog', target, analog }
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving analog binding:', error);
+    return false;
+  }
+};
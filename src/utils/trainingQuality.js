@@ -0,0 +1,251 @@
+// Quality report and augmentation for recorded custom gestures
+// GestureTrainingInterface records a hand pose in several takes. Before saving, the report tells
+// the user whether the hand stayed in view and steady, whether the takes agree with each other
+// and whether existing gestures already recognize the pose. Accepted frames are then augmented
+// with slightly tilted, stretched and jittered copies, so a few seconds of recording cover more
+// of the ways the pose will be performed later.
+import { normalizeLandmarks, landmarkDistance } from '../../public/shared/landmarkClassifier';
+
+// Hand poses are recorded this many times
+export const TRAINING_TAKES = 3;
+
+// Limits for the quality checks (distances in palm lengths)
+const QUALITY_LIMITS = {
+  minFrames: 8,             // Frames with a hand needed per take
+  visibilityMargin: 0.02,   // Landmarks this close to the frame edge (relative) count as cut off
+  minVisibleShare: 0.9,     // Share of frames that must show the whole hand
+  maxMovement: 0.05,        // Mean landmark movement between frames while holding the pose
+  maxTakeDistance: 0.15,    // Takes further apart than this no longer match each other's templates
+  confusionShare: 0.3       // Another gesture recognizing this share of frames will be confused
+};
+
+// Augmentation parameters
+// In-plane rotation and uniform scale are normalized away when matching, so copies are
+// tilted out of the image plane and stretched along one axis instead
+const AUGMENTATION = {
+  copies: 2,                        // Augmented copies per accepted frame
+  maxTilt: 15 * Math.PI / 180,      // Rotation about the vertical and horizontal axes
+  maxStretch: 0.1,                  // Relative change of width or height
+  noise: 0.02                       // Landmark jitter, in palm lengths
+};
+
+const palmLength = (landmarks) => {
+  return Math.hypot(landmarks[9][0] - landmarks[0][0], landmarks[9][1] - landmarks[0][1]);
+};
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+// Whether all landmarks lie inside the camera frame, away from its edges
+export const isHandInFrame = (landmarks, frameWidth, frameHeight) => {
+  if (!landmarks || !frameWidth || !frameHeight) return true;
+
+  const marginX = frameWidth * QUALITY_LIMITS.visibilityMargin;
+  const marginY = frameHeight * QUALITY_LIMITS.visibilityMargin;
+  return landmarks.every(([x, y]) =>
+    x >= marginX && x <= frameWidth - marginX &&
+    y >= marginY && y <= frameHeight - marginY
+  );
+};
+
+// Mean landmark movement between consecutive frames, in palm lengths
+export const measureMovement = (frames) => {
+  if (frames.length < 2) return 0;
+
+  let total = 0;
+  for (let i = 1; i < frames.length; i++) {
+    const previous = frames[i - 1].landmarks;
+    const current = frames[i].landmarks;
+    const scale = palmLength(current) || 1;
+
+    let movement = 0;
+    for (let j = 0; j < current.length; j++) {
+      movement += Math.hypot(current[j][0] - previous[j][0], current[j][1] - previous[j][1]);
+    }
+    total += movement / current.length / scale;
+  }
+
+  return total / (frames.length - 1);
+};
+
+// Average normalized pose of a set of frames (null without usable frames)
+const meanPose = (frames) => {
+  const poses = frames.map(frame => normalizeLandmarks(frame.landmarks)).filter(pose => pose !== null);
+  if (poses.length === 0) return null;
+
+  return poses[0].map((_, i) => [0, 1, 2].map(axis =>
+    poses.reduce((sum, pose) => sum + pose[i][axis], 0) / poses.length
+  ));
+};
+
+// The frame closest to the average pose, stored as the gesture's representative landmarks
+export const findRepresentativeFrame = (frames) => {
+  const mean = meanPose(frames);
+  if (!mean) return frames[Math.floor(frames.length / 2)] || null;
+
+  let best = null;
+  let bestDistance = Infinity;
+  frames.forEach(frame => {
+    const pose = normalizeLandmarks(frame.landmarks);
+    const distance = pose ? landmarkDistance(pose, mean) : Infinity;
+    if (distance < bestDistance) {
+      best = frame;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+};
+
+// Check that the hand was found and fully in view in every take
+const checkVisibility = (takes) => {
+  const shortTake = takes.findIndex(take => take.length < QUALITY_LIMITS.minFrames);
+  if (shortTake >= 0) {
+    return {
+      id: 'visibility',
+      label: 'Hand fully visible',
+      passed: false,
+      detail: `The hand was lost during take ${shortTake + 1}`
+    };
+  }
+
+  const frames = takes.flat();
+  const visibleShare = frames.filter(frame => frame.visible !== false).length / frames.length;
+  return {
+    id: 'visibility',
+    label: 'Hand fully visible',
+    passed: visibleShare >= QUALITY_LIMITS.minVisibleShare,
+    detail: visibleShare >= QUALITY_LIMITS.minVisibleShare
+      ? `Whole hand in view in ${Math.round(visibleShare * 100)}% of frames`
+      : `Part of the hand was outside the frame in ${Math.round((1 - visibleShare) * 100)}% of frames`
+  };
+};
+
+// Check that the pose was held steady in every take
+const checkStability = (takes) => {
+  const movements = takes.map(measureMovement);
+  const worst = movements.indexOf(Math.max(...movements));
+  const passed = movements[worst] <= QUALITY_LIMITS.maxMovement;
+
+  return {
+    id: 'stability',
+    label: 'Hand held steady',
+    passed,
+    detail: passed
+      ? 'The pose was held still while recording'
+      : takes.length > 1
+        ? `The hand moved too much during take ${worst + 1}`
+        : 'The hand moved too much while recording'
+  };
+};
+
+// Check that the takes show the same pose
+const checkConsistency = (takes) => {
+  const means = takes.map(meanPose);
+  if (means.some(mean => mean === null)) {
+    return { id: 'consistency', label: 'Consistent takes', passed: false, detail: 'A take has no usable frames' };
+  }
+
+  // The take furthest from the others on average is reported
+  const spread = means.map((mean, i) => {
+    const others = means.filter((_, j) => j !== i);
+    return others.reduce((sum, other) => sum + landmarkDistance(mean, other), 0) / others.length;
+  });
+  const outlier = spread.indexOf(Math.max(...spread));
+  let maxDistance = 0;
+  means.forEach((a, i) => means.slice(i + 1).forEach(b => {
+    maxDistance = Math.max(maxDistance, landmarkDistance(a, b));
+  }));
+  const passed = maxDistance <= QUALITY_LIMITS.maxTakeDistance;
+
+  return {
+    id: 'consistency',
+    label: 'Consistent takes',
+    passed,
+    detail: passed
+      ? `All ${takes.length} takes show the same pose`
+      : `Take ${outlier + 1} differs from the others`
+  };
+};
+
+// Check that no existing gesture already recognizes the pose
+// similarGestures: [{ name, share }] as returned by findSimilarGestures, with display names
+const checkDistinctness = (similarGestures) => {
+  const confused = similarGestures.filter(gesture => gesture.share >= QUALITY_LIMITS.confusionShare);
+
+  return {
+    id: 'distinctness',
+    label: 'Distinct from other gestures',
+    passed: confused.length === 0,
+    detail: confused.length === 0
+      ? 'No existing gesture looks like this pose'
+      : `Could be mistaken for ${confused
+        .map(gesture => `${gesture.name} (${Math.round(gesture.share * 100)}% of frames)`)
+        .join(', ')}`
+  };
+};
+
+// Quality report for the takes of a recording ([[{ landmarks, visible }]])
+// Motion gestures are only checked for visibility, since their hand is meant to move
+// Returns { rating: 'good' | 'fair' | 'poor', checks: [{ id, label, passed, detail }] }
+export const assessRecording = (takes, { type = 'static', similarGestures = [] } = {}) => {
+  if (takes.length === 0) {
+    return { rating: 'poor', checks: [] };
+  }
+
+  const checks = [checkVisibility(takes)];
+  if (type === 'static') {
+    checks.push(checkStability(takes));
+    if (takes.length > 1) {
+      checks.push(checkConsistency(takes));
+    }
+    checks.push(checkDistinctness(similarGestures));
+  }
+
+  const failed = checks.filter(check => !check.passed).length;
+  return {
+    rating: failed === 0 ? 'good' : failed === 1 ? 'fair' : 'poor',
+    checks
+  };
+};
+
+// Tilted, stretched and jittered copy of one hand, transformed about its wrist
+const augmentLandmarks = (landmarks, options) => {
+  const [wristX, wristY, wristZ = 0] = landmarks[0];
+  const jitter = options.noise * (palmLength(landmarks) || 1);
+
+  const yaw = randomBetween(-options.maxTilt, options.maxTilt);
+  const pitch = randomBetween(-options.maxTilt, options.maxTilt);
+  const stretchX = 1 + randomBetween(-options.maxStretch, options.maxStretch);
+  const stretchY = 1 + randomBetween(-options.maxStretch, options.maxStretch);
+
+  return landmarks.map(([x, y, z = 0]) => {
+    let dx = x - wristX;
+    let dy = y - wristY;
+    let dz = z - wristZ;
+
+    // Rotate about the vertical axis, then the horizontal one
+    [dx, dz] = [dx * Math.cos(yaw) + dz * Math.sin(yaw), dz * Math.cos(yaw) - dx * Math.sin(yaw)];
+    [dy, dz] = [dy * Math.cos(pitch) - dz * Math.sin(pitch), dy * Math.sin(pitch) + dz * Math.cos(pitch)];
+
+    return [
+      wristX + dx * stretchX + randomBetween(-jitter, jitter),
+      wristY + dy * stretchY + randomBetween(-jitter, jitter),
+      wristZ + dz + randomBetween(-jitter, jitter)
+    ];
+  });
+};
+
+// Synthetic variations of accepted frames ([{ landmarks }]), stored next to the recorded frames
+export const augmentFrames = (frames, options = {}) => {
+  const config = { ...AUGMENTATION, ...options };
+  const augmented = [];
+
+  frames.forEach(frame => {
+    if (!frame.landmarks || frame.landmarks.length < 21) return;
+    for (let i = 0; i < config.copies; i++) {
+      augmented.push({ landmarks: augmentLandmarks(frame.landmarks, config) });
+    }
+  });
+
+  return augmented;
+};
@@ -1,7 +1,27 @@
 // Advanced Voice Recognition Implementation
-// Using Web Speech API with enhanced features
+// Using the Web Speech API or the offline keyword spotter, with enhanced features
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createKeywordSpotterBackend } from './keywordSpotter';
+import { hasCommandSlots, validateCommandTemplate } from './commandSlots';
+import { calculateSimilarity, rankCommands, splitUtterance } from './commandMatcher';
+
+// Recognizer backends
+// A backend turns microphone audio into transcripts:
+//   isSupported()      whether it can run on this device
+//   start(options)     resolves to true once listening; options are
+//                      { language, phrases, wakePhrase, onStart, onResult, onError, onEnd }
+//                      (wakePhrase is null without wake phrase mode)
+//   pause(), resume(), stop()
+//   setActivePhrases(phrases)  optional; limits recognition to some phrases (null for all)
+// onResult({ transcript, confidence, isFinal, alternatives }) and onError({ code, message })
+// are handled the same way for every backend (message is null for errors users needn't see)
+export const RECOGNIZER_BACKENDS = [
+  { id: 'webSpeech', name: 'Web Speech', description: 'Uses the browser\'s speech service, which needs a network' },
+  { id: 'keywordSpotter', name: 'Offline Keywords', description: 'Runs on this device and recognizes recorded command phrases' }
+];
+let recognizerId = 'webSpeech';
+let activeBackend = null;
 
 // Speech recognition instance
 let recognition = null;
@@ -26,16 +46,34 @@ let consecutiveSilenceMs = 0;
 const SILENCE_THRESHOLD = 0.05;
 const MAX_SILENCE_DURATION = 1500; // 1.5 seconds of silence before stopping
 
+// Wake phrase mode: commands are only matched for a few seconds after the wake phrase
+export const DEFAULT_WAKE_WORD_SETTINGS = {
+  enabled: false,
+  phrase: 'Hey Control',
+  windowMs: 5000       // How long the command window stays open
+};
+const WAKE_PHRASE_SIMILARITY = 0.8;
+let wakeWordSettings = { ...DEFAULT_WAKE_WORD_SETTINGS };
+let wakeState = 'off'; // 'off' without wake mode, otherwise 'sleeping' or 'awake'
+let wakeTimer = null;
+
 // Command processing
 let commandProcessor = null;
+let commandCallback = null;
+let pendingCandidates = null; // Candidates of an ambiguous command, waiting for "yes" or a choice
+const COMMAND_CHAIN_ACTION = 'COMMAND_CHAIN'; // Runs params.steps in order (see phoneControl.js)
 let activeListeners = [];
 let contextualCommands = {};
 let activeContext = 'global';
 
+const isWebSpeechSupported = () => {
+  return typeof window !== 'undefined' && ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window);
+};
+
 // Initialize the speech recognition system
 const initializeSpeechRecognition = () => {
   try {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+    if (!isWebSpeechSupported()) {
       console.error('Speech recognition not supported in this browser');
       return false;
     }
@@ -56,6 +94,95 @@ const initializeSpeechRecognition = () => {
   }
 };
 
+// Web Speech API backend
+const webSpeechBackend = {
+  isSupported: isWebSpeechSupported,
+  
+  start: async ({ onStart, onResult, onError, onEnd }) => {
+    if (!recognition && !initializeSpeechRecognition()) {
+      return false;
+    }
+    
+    recognition.onstart = onStart;
+    
+    recognition.onend = () => {
+      // Restart recognition if still listening
+      if (isListening) {
+        console.log('Voice recognition restarted');
+        recognition.start();
+      } else {
+        onEnd();
+      }
+    };
+    
+    recognition.onerror = (event) => {
+      // Map specific errors to messages (no-speech and aborted only restart)
+      const messages = {
+        'no-speech': null,
+        'aborted': null,
+        'audio-capture': 'Microphone not available or not working',
+        'network': 'Network error occurred',
+        'not-allowed': 'Microphone permission denied'
+      };
+      onError({
+        code: event.error,
+        message: event.error in messages ? messages[event.error] : `Recognition error: ${event.error}`
+      });
+    };
+    
+    recognition.onresult = (event) => {
+      const results = event.results;
+      
+      // Report the most confident interpretation of each result
+      for (let i = event.resultIndex; i < results.length; i++) {
+        onResult({
+          transcript: results[i][0].transcript.trim().toLowerCase(),
+          confidence: results[i][0].confidence,
+          isFinal: results[i].isFinal,
+          alternatives: Array.from({ length: results[i].length - 1 }, (_, j) => ({
+            transcript: results[i][j+1].transcript.trim().toLowerCase(),
+            confidence: results[i][j+1].confidence
+          }))
+        });
+      }
+    };
+    
+    recognition.start();
+    return true;
+  },
+  
+  pause: () => recognition.stop(),
+  resume: () => recognition.start(),
+  stop: () => recognition.stop()
+};
+
+let keywordSpotterBackend = null;
+
+// Backend instances keyed by recognizer id
+const getBackends = () => {
+  keywordSpotterBackend = keywordSpotterBackend || createKeywordSpotterBackend();
+  return { webSpeech: webSpeechBackend, keywordSpotter: keywordSpotterBackend };
+};
+
+// Backend for a recognizer id, falling back to another one when it can't run here
+const getRecognizerBackend = (id) => {
+  const backends = getBackends();
+  const preferred = backends[id] ? id : 'webSpeech';
+  if (backends[preferred].isSupported()) return backends[preferred];
+  
+  const fallback = Object.keys(backends).find(other => other !== preferred && backends[other].isSupported());
+  if (fallback) {
+    console.warn(`Recognizer "${preferred}" is not supported here, using "${fallback}"`);
+  }
+  return fallback ? backends[fallback] : null;
+};
+
+// Recognizers with whether each can run on this device
+export const getRecognizerBackends = () => {
+  const backends = getBackends();
+  return RECOGNIZER_BACKENDS.map(backend => ({ ...backend, supported: backends[backend.id].isSupported() }));
+};
+
 // Initialize audio context for visualization and VAD
 const initializeAudioContext = async () => {
   try {
@@ -99,6 +226,18 @@ export const loadConfiguration = async () => {
       confidenceThreshold = parseFloat(storedThreshold);
     }
     
+    // Load recognizer backend
+    const storedRecognizer = await AsyncStorage.getItem('voiceRecognizer');
+    if (storedRecognizer) {
+      recognizerId = storedRecognizer;
+    }
+    
+    // Load wake phrase settings
+    const storedWakeWord = await AsyncStorage.getItem('wakeWordSettings');
+    if (storedWakeWord) {
+      wakeWordSettings = { ...DEFAULT_WAKE_WORD_SETTINGS, ...JSON.parse(storedWakeWord) };
+    }
+    
     // Load VAD settings
     const vadSettings = await AsyncStorage.getItem('vadSettings');
     if (vadSettings) {
@@ -113,7 +252,14 @@ export const loadConfiguration = async () => {
       commandHistory = JSON.parse(storedHistory);
     }
     
-    return { languageCode, confidenceThreshold, vadEnabled, vadSensitivity };
+    return {
+      languageCode,
+      confidenceThreshold,
+      vadEnabled,
+      vadSensitivity,
+      recognizer: recognizerId,
+      wakeWord: wakeWordSettings
+    };
   } catch (error) {
     console.error('Error loading voice configuration:', error);
     return null;
@@ -134,6 +280,20 @@ export const saveConfiguration = async (config) => {
       await AsyncStorage.setItem('confidenceThreshold', config.confidenceThreshold.toString());
     }
     
+    // Applies the next time recognition starts
+    if (config.recognizer) {
+      recognizerId = config.recognizer;
+      await AsyncStorage.setItem('voiceRecognizer', config.recognizer);
+    }
+    
+    if (config.wakeWord) {
+      wakeWordSettings = { ...wakeWordSettings, ...config.wakeWord };
+      await AsyncStorage.setItem('wakeWordSettings', JSON.stringify(wakeWordSettings));
+      if (isListening) {
+        setWakeState(wakeWordSettings.enabled ? 'sleeping' : 'off');
+      }
+    }
+    
     if (config.vadEnabled !== undefined || config.vadSensitivity !== undefined) {
       vadEnabled = config.vadEnabled ?? vadEnabled;
       vadSensitivity = config.vadSensitivity ?? vadSensitivity;
@@ -196,6 +356,7 @@ export const loadCommands = async () => {
 };
 
 // Get default command set
+// Phrases with {slots} are templates whose values are passed to the action (see commandSlots.js)
 export const getDefaultCommands = () => {
   return [
     { id: 'open_camera', phrase: 'Open camera', action: 'OPEN_CAMERA', context: 'global' },
@@ -208,7 +369,49 @@ export const getDefaultCommands = () => {
     { id: 'scroll_down', phrase: 'Scroll down', action: 'SCROLL_DOWN', context: 'scrollable' },
     { id: 'select_item', phrase: 'Select', action: 'SELECT', context: 'global' },
     { id: 'confirm', phrase: 'Confirm', action: 'CONFIRM', context: 'dialog' },
-    { id: 'cancel', phrase: 'Cancel', action: 'CANCEL', context: 'dialog' }
+    { id: 'cancel', phrase: 'Cancel', action: 'CANCEL', context: 'dialog' },
+    {
+      id: 'set_brightness',
+      phrase: 'Set brightness to {level}',
+      action: 'SET_BRIGHTNESS',
+      slots: { level: { type: 'percentage' } },
+      context: 'global'
+    },
+    {
+      id: 'set_volume',
+      phrase: 'Set volume to {level}',
+      action: 'SET_VOLUME',
+      slots: { level: { type: 'percentage' } },
+      context: 'global'
+    },
+    {
+      id: 'scroll_down_times',
+      phrase: 'Scroll down {count} times',
+      action: 'SCROLL_DOWN',
+      slots: { count: { type: 'number', min: 1, max: 20 } },
+      context: 'scrollable'
+    },
+    {
+      id: 'scroll_up_times',
+      phrase: 'Scroll up {count} times',
+      action: 'SCROLL_UP',
+      slots: { count: { type: 'number', min: 1, max: 20 } },
+      context: 'scrollable'
+    },
+    {
+      id: 'switch_theme',
+      phrase: 'Switch to {theme} mode',
+      action: 'SET_THEME',
+      slots: { theme: { type: 'enum', values: ['dark', 'light'] } },
+      context: 'global'
+    },
+    {
+      id: 'search',
+      phrase: 'Search for {query}',
+      action: 'SEARCH',
+      slots: { query: { type: 'text' } },
+      context: 'global'
+    }
   ];
 };
 
@@ -219,6 +422,10 @@ export const saveCustomCommand = async (command) => {
     if (!command.id || !command.phrase || !command.action) {
       throw new Error('Invalid command structure');
     }
+    const slotError = validateCommandTemplate(command);
+    if (slotError) {
+      throw new Error(`Invalid command template: ${slotError}`);
+    }
     
     // Retrieve existing custom commands
     const customCommandsStr = await AsyncStorage.getItem('customCommands');
@@ -363,12 +570,253 @@ const notifyListeners = (type, data) => {
   });
 };
 
+// Move between sleeping and the command window, and tell listeners
+// While sleeping, a backend that supports it only listens for the wake phrase; Web Speech
+// can't be limited, so it keeps streaming audio to the speech service (the wake phrase
+// setting says so) and everything but the wake phrase is dropped here
+const setWakeState = (state) => {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  
+  wakeState = state;
+  if (state === 'awake') {
+    wakeTimer = setTimeout(() => setWakeState('sleeping'), wakeWordSettings.windowMs);
+  }
+  
+  if (activeBackend && activeBackend.setActivePhrases) {
+    activeBackend.setActivePhrases(state === 'sleeping' ? [wakeWordSettings.phrase] : null);
+  }
+  
+  notifyListeners('wakeStateChange', {
+    state,
+    phrase: wakeWordSettings.phrase,
+    expiresAt: state === 'awake' ? Date.now() + wakeWordSettings.windowMs : null,
+    timestamp: Date.now()
+  });
+};
+
+// Current wake phrase state: 'off', 'sleeping' or 'awake'
+export const getWakeState = () => wakeState;
+
+// Text after the wake phrase in a transcript, or null when it doesn't contain the wake phrase
+const findWakePhrase = (transcript) => {
+  const phrase = wakeWordSettings.phrase.trim().toLowerCase();
+  const index = transcript.indexOf(phrase);
+  if (index >= 0) {
+    return transcript.slice(index + phrase.length).trim();
+  }
+  
+  // Recognizers often mishear the wake phrase slightly ("hey controls"), so compare the opening words
+  const words = transcript.split(/\s+/);
+  const phraseLength = phrase.split(/\s+/).length;
+  if (words.length >= phraseLength &&
+      calculateSimilarity(phrase, words.slice(0, phraseLength).join(' ')) >= WAKE_PHRASE_SIMILARITY) {
+    return words.slice(phraseLength).join(' ');
+  }
+  return null;
+};
+
+// Handle a transcript from the recognizer backend
+const handleRecognitionResult = ({ transcript, confidence, isFinal, alternatives = [] }) => {
+  // In wake phrase mode, ignore everything but the wake phrase until it opens the command window
+  if (wakeState !== 'off') {
+    // Only a confident wake phrase wakes the app (noise can resemble it)
+    if (wakeState === 'sleeping' && confidence < confidenceThreshold) return;
+    
+    const remainder = findWakePhrase(transcript);
+    if (wakeState === 'sleeping' && remainder === null) return;
+    
+    if (remainder !== null) {
+      if (wakeState === 'sleeping') {
+        console.log('Wake phrase detected');
+      }
+      if (wakeState === 'sleeping' || isFinal) {
+        setWakeState('awake');
+      }
+      
+      // A command can follow the wake phrase in the same breath
+      if (!remainder) return;
+      transcript = remainder;
+      alternatives = alternatives.map(alternative => ({
+        ...alternative,
+        transcript: findWakePhrase(alternative.transcript) || alternative.transcript
+      }));
+    }
+  }
+  
+  // Log interim results for debugging
+  if (!isFinal) {
+    console.log(`Interim: "${transcript}" (${confidence.toFixed(2)})`);
+    notifyListeners('interimResult', { 
+      transcript,
+      confidence,
+      timestamp: Date.now()
+    });
+    return;
+  }
+  
+  console.log(`Final: "${transcript}" (${confidence.toFixed(2)})`);
+  
+  // Notify of final recognition
+  notifyListeners('finalResult', {
+    transcript,
+    confidence,
+    timestamp: Date.now(),
+    alternatives
+  });
+  
+  // Check if confidence is above threshold
+  if (confidence < confidenceThreshold) {
+    console.log(`Command rejected: confidence ${confidence} below threshold ${confidenceThreshold}`);
+    return;
+  }
+  
+  // A "yes" or "no" answers the last "Did you mean…?"
+  if (pendingCandidates && answerAmbiguousCommand(transcript)) return;
+  
+  // Rank commands against the transcript and the recognizer's alternatives
+  const { best, candidates, ambiguous } = findMatchingCommand([{ transcript, confidence }, ...alternatives]);
+  
+  // Several commands in one sentence run as a chain, unless the whole sentence is a
+  // command phrase of its own ("save and exit")
+  const exactPhrase = best && best.score === 1 && !hasCommandSlots(best.command);
+  const chain = exactPhrase ? null : findCommandChain(transcript);
+  
+  if (chain) {
+    runCommandChain(chain, transcript, confidence);
+  } else if (best) {
+    runCommand(best.command, best.params, transcript, confidence);
+  } else if (ambiguous) {
+    console.log(`Ambiguous command "${transcript}":`, candidates.map(c => `${c.command.phrase} (${c.score.toFixed(2)})`));
+    
+    // Keep the command window open while the user decides
+    if (wakeState === 'awake') {
+      setWakeState('awake');
+    }
+    
+    pendingCandidates = candidates;
+    notifyListeners('ambiguousCommand', {
+      transcript,
+      confidence,
+      candidates,
+      timestamp: Date.now()
+    });
+  } else {
+    console.log(`No matching command found for: "${transcript}"`);
+    
+    // Notify about unrecognized command
+    notifyListeners('unrecognizedCommand', {
+      transcript,
+      confidence,
+      timestamp: Date.now()
+    });
+  }
+};
+
+// Run a matched command
+const runCommand = (command, params, transcript, confidence) => {
+  console.log(`Command matched: ${command.phrase} -> ${command.action}`, params);
+  
+  // Record command in history for ML improvements
+  recordCommandExecution(command, transcript, confidence);
+  
+  return dispatchCommand(command, params, transcript, confidence);
+};
+
+// Run the commands of a compound utterance in order, as one COMMAND_CHAIN action
+// phoneControl stops the chain at the first step that fails
+const runCommandChain = (steps, transcript, confidence) => {
+  console.log(`Command chain: ${steps.map(step => step.command.action).join(' -> ')}`);
+  steps.forEach(step => recordCommandExecution(step.command, step.transcript, confidence));
+  
+  const command = {
+    id: 'command_chain',
+    phrase: steps.map(step => step.transcript).join(', then '),
+    action: COMMAND_CHAIN_ACTION
+  };
+  const params = {
+    steps: steps.map(step => ({ action: step.command.action, params: step.params }))
+  };
+  return dispatchCommand(command, params, transcript, confidence);
+};
+
+// Hand a command to the command callback and tell listeners how it went
+// The callback can return the action's result ({ success, message }) to report failures
+const dispatchCommand = async (command, params, transcript, confidence) => {
+  pendingCandidates = null;
+  
+  // Each command keeps the command window open a little longer
+  if (wakeState === 'awake') {
+    setWakeState('awake');
+  }
+  
+  // Execute the command callback
+  const result = commandCallback ? await commandCallback(command.action, params) : null;
+  
+  if (result && !result.success) {
+    console.log(`Command failed: ${command.phrase} (${result.message})`);
+    notifyListeners('commandFailed', {
+      command,
+      params,
+      result,
+      transcript,
+      timestamp: Date.now()
+    });
+    return;
+  }
+  
+  // Notify listeners
+  notifyListeners('commandExecuted', {
+    command,
+    params,
+    result,
+    transcript,
+    confidence,
+    timestamp: Date.now()
+  });
+};
+
+// Spoken answer to "Did you mean…?"; returns true when the transcript was an answer
+const answerAmbiguousCommand = (transcript) => {
+  if (/^(yes|yeah|yep|correct|right)$/.test(transcript)) {
+    resolveAmbiguousCommand(pendingCandidates[0]);
+    return true;
+  }
+  if (/^(no|nope)$/.test(transcript)) {
+    dismissAmbiguousCommand();
+    return true;
+  }
+  return false;
+};
+
+// Run the candidate the user picked from an ambiguous command's candidates
+export const resolveAmbiguousCommand = (candidate) => {
+  if (!candidate) return false;
+  runCommand(candidate.command, candidate.params, candidate.transcript, candidate.score);
+  return true;
+};
+
+// Drop the candidates of an ambiguous command without running any
+export const dismissAmbiguousCommand = () => {
+  if (!pendingCandidates) return;
+  pendingCandidates = null;
+  notifyListeners('ambiguousCommandDismissed', { timestamp: Date.now() });
+};
+
 // Start voice recognition
 export const startVoiceRecognition = async (onCommand, onError) => {
   try {
-    // Initialize recognition if not already initialized
-    if (!recognition && !initializeSpeechRecognition()) {
-      throw new Error('Failed to initialize speech recognition');
+    // Load configuration and commands
+    await loadConfiguration();
+    const commands = await loadCommands();
+    commandCallback = onCommand;
+    
+    // Pick the configured recognizer, or one that runs on this device
+    activeBackend = getRecognizerBackend(recognizerId);
+    if (!activeBackend) {
+      throw new Error('Speech recognition is not supported on this device');
     }
     
     // Initialize audio context if not already initialized
@@ -376,151 +824,56 @@ export const startVoiceRecognition = async (onCommand, onError) => {
       throw new Error('Failed to initialize audio context');
     }
     
-    // Load configuration and commands
-    await loadConfiguration();
-    await loadCommands();
-    
-    // Set up recognition event handlers
-    recognition.onstart = () => {
-      console.log('Voice recognition started');
-      isListening = true;
-      notifyListeners('recognitionStart', { timestamp: Date.now() });
-    };
-    
-    recognition.onend = () => {
-      // Restart recognition if still listening
-      if (isListening) {
-        console.log('Voice recognition restarted');
-        recognition.start();
-      } else {
+    // Start the recognizer backend
+    const started = await activeBackend.start({
+      language: languageCode,
+      phrases: [
+        ...(wakeWordSettings.enabled ? [wakeWordSettings.phrase] : []),
+        ...commands.filter(command => !hasCommandSlots(command)).map(command => command.phrase)
+      ],
+      wakePhrase: wakeWordSettings.enabled ? wakeWordSettings.phrase : null,
+      onStart: () => {
+        console.log('Voice recognition started');
+        isListening = true;
+        notifyListeners('recognitionStart', { timestamp: Date.now() });
+      },
+      onEnd: () => {
         console.log('Voice recognition ended');
         notifyListeners('recognitionEnd', { timestamp: Date.now() });
-      }
-    };
-    
-    recognition.onerror = (event) => {
-      console.error('Recognition error:', event.error);
-      
-      // Handle specific errors
-      switch (event.error) {
-        case 'no-speech':
-          // No speech detected, just restart
-          break;
-        case 'aborted':
-          // Recognition was aborted, just log
-          break;
-        case 'audio-capture':
-          if (onError) onError(new Error('Microphone not available or not working'));
-          break;
-        case 'network':
-          if (onError) onError(new Error('Network error occurred'));
-          break;
-        case 'not-allowed':
-          if (onError) onError(new Error('Microphone permission denied'));
-          break;
-        default:
-          if (onError) onError(new Error(`Recognition error: ${event.error}`));
-      }
-      
-      notifyListeners('recognitionError', { 
-        timestamp: Date.now(),
-        error: event.error
-      });
-    };
-    
-    // Handle recognition results
-    recognition.onresult = (event) => {
-      const results = event.results;
-      
-      // Process each result
-      for (let i = event.resultIndex; i < results.length; i++) {
-        // Get most confident interpretation
-        const transcript = results[i][0].transcript.trim().toLowerCase();
-        const confidence = results[i][0].confidence;
-        const isFinal = results[i].isFinal;
-        
-        // Log interim results for debugging
-        if (!isFinal) {
-          console.log(`Interim: "${transcript}" (${confidence.toFixed(2)})`);
-          notifyListeners('interimResult', { 
-            transcript,
-            confidence,
-            timestamp: Date.now()
-          });
-          continue;
-        }
-        
-        console.log(`Final: "${transcript}" (${confidence.toFixed(2)})`);
+      },
+      onError: ({ code, message }) => {
+        console.error('Recognition error:', code);
+        if (message && onError) onError(new Error(message));
         
-        // Notify of final recognition
-        notifyListeners('finalResult', {
-          transcript,
-          confidence,
+        notifyListeners('recognitionError', { 
           timestamp: Date.now(),
-          alternatives: Array.from({ length: results[i].length - 1 }, (_, j) => ({
-            transcript: results[i][j+1].transcript.trim().toLowerCase(),
-            confidence: results[i][j+1].confidence
-          }))
+          error: code
         });
-        
-        // Check if confidence is above threshold
-        if (confidence < confidenceThreshold) {
-          console.log(`Command rejected: confidence ${confidence} below threshold ${confidenceThreshold}`);
-          continue;
-        }
-        
-        // Match command against the transcript
-        const matchedCommand = findMatchingCommand(transcript);
-        
-        if (matchedCommand) {
-          console.log(`Command matched: ${matchedCommand.phrase} -> ${matchedCommand.action}`);
-          
-          // Record command in history for ML improvements
-          recordCommandExecution(matchedCommand, transcript, confidence);
-          
-          // Execute the command callback
-          if (onCommand) {
-            onCommand(matchedCommand.action);
-          }
-          
-          // Notify listeners
-          notifyListeners('commandExecuted', {
-            command: matchedCommand,
-            transcript,
-            confidence,
-            timestamp: Date.now()
-          });
-        } else {
-          console.log(`No matching command found for: "${transcript}"`);
-          
-          // Notify about unrecognized command
-          notifyListeners('unrecognizedCommand', {
-            transcript,
-            confidence,
-            timestamp: Date.now()
-          });
-        }
-      }
-    };
-    
-    // Start recognition
-    recognition.start();
+      },
+      onResult: handleRecognitionResult
+    });
+    if (!started) {
+      throw new Error('Failed to initialize speech recognition');
+    }
     
     // Start voice activity detection
     startVoiceActivityDetection();
     
+    // Wait for the wake phrase before matching commands
+    setWakeState(wakeWordSettings.enabled ? 'sleeping' : 'off');
+    
     // Return control object for managing recognition
     commandProcessor = {
       updateContext: (context) => setRecognitionContext(context),
       pause: () => {
         if (isListening) {
-          recognition.stop();
           isListening = false;
+          activeBackend.pause();
         }
       },
       resume: () => {
         if (!isListening) {
-          recognition.start();
+          activeBackend.resume();
           isListening = true;
         }
       },
@@ -539,13 +892,14 @@ export const startVoiceRecognition = async (onCommand, onError) => {
 export const stopVoiceRecognition = async () => {
   try {
     // Stop recognition
-    if (recognition && isListening) {
-      recognition.stop();
+    if (activeBackend && isListening) {
       isListening = false;
+      await activeBackend.stop();
     }
     
     // Stop voice activity detection
     stopVoiceActivityDetection();
+    setWakeState('off');
     
     // Clean up audio resources
     if (microphoneStream) {
@@ -558,6 +912,8 @@ export const stopVoiceRecognition = async () => {
     
     // Reset other state
     commandProcessor = null;
+    commandCallback = null;
+    pendingCandidates = null;
     
     return true;
   } catch (error) {
@@ -566,66 +922,32 @@ export const stopVoiceRecognition = async () => {
   }
 };
 
-// Find matching command based on transcript
-const findMatchingCommand = (transcript) => {
-  // Get commands for current context plus global commands
-  const availableCommands = [
-    ...(contextualCommands[activeContext] || []),
-    ...(activeContext !== 'global' ? contextualCommands['global'] || [] : [])
-  ];
+// Commands for each part of a compound utterance ("open camera and take a photo"), or null
+// unless there are several parts and each is clearly one command
+// Earlier steps can change the screen, so later ones are looked up in every context
+const findCommandChain = (transcript) => {
+  const segments = splitUtterance(transcript);
+  if (segments.length < 2) return null;
   
-  // Try exact matches first
-  const exactMatch = availableCommands.find(cmd => {
-    return cmd.phrase.toLowerCase() === transcript;
-  });
-  
-  if (exactMatch) return exactMatch;
-  
-  // Try fuzzy matching (contains the command phrase)
-  const fuzzyMatch = availableCommands.find(cmd => {
-    return transcript.includes(cmd.phrase.toLowerCase());
-  });
-  
-  if (fuzzyMatch) return fuzzyMatch;
-  
-  // Try partial word matching with similarity threshold
-  return availableCommands.find(cmd => {
-    return calculateSimilarity(cmd.phrase.toLowerCase(), transcript) > 0.8;
-  });
+  const steps = [];
+  for (const segment of segments) {
+    const { best } = findMatchingCommand([{ transcript: segment, confidence: 1 }], steps.length > 0);
+    if (!best) return null;
+    steps.push(best);
+  }
+  return steps;
 };
 
-// Calculate text similarity using Levenshtein distance
-const calculateSimilarity = (s1, s2) => {
-  // Early return for exact match or empty strings
-  if (s1 === s2) return 1;
-  if (s1.length === 0 || s2.length === 0) return 0;
-  
-  // Calculate Levenshtein distance
-  const track = Array(s2.length + 1).fill(null).map(() => 
-    Array(s1.length + 1).fill(null));
-  
-  for (let i = 0; i <= s1.length; i += 1) {
-    track[0][i] = i;
-  }
-  
-  for (let j = 0; j <= s2.length; j += 1) {
-    track[j][0] = j;
-  }
-  
-  for (let j = 1; j <= s2.length; j += 1) {
-    for (let i = 1; i <= s1.length; i += 1) {
-      const indicator = s1[i - 1] === s2[j - 1] ? 0 : 1;
-      track[j][i] = Math.min(
-        track[j][i - 1] + 1, // deletion
-        track[j - 1][i] + 1, // insertion
-        track[j - 1][i - 1] + indicator, // substitution
-      );
-    }
-  }
-  
-  // Calculate similarity as inverse of normalized distance
-  const maxLength = Math.max(s1.length, s2.length);
-  return 1 - (track[s2.length][s1.length] / maxLength);
+// Rank the commands of the current context (plus global commands), or of every context,
+// against the transcripts; see rankCommands in commandMatcher.js for the result
+const findMatchingCommand = (transcripts, allContexts = false) => {
+  const availableCommands = allContexts
+    ? Object.values(contextualCommands).flat()
+    : [
+      ...(contextualCommands[activeContext] || []),
+      ...(activeContext !== 'global' ? contextualCommands['global'] || [] : [])
+    ];
+  return rankCommands(transcripts, availableCommands);
 };
 
 // Record command execution for ML improvement